@@ -5,9 +5,13 @@
 import { readFile } from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import {
+  createGameState as createEngineState, validateEventCatalog, validateFacilityCatalog, validateScenarioCatalog, linkEventPolicies,
+} from '../../../js/engine/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+// 게임 데이터는 브라우저/headless와 공유 (repo 루트 data/game)
+const DATA_DIR = path.join(__dirname, '..', '..', '..', 'data', 'game');
 
 // === Types ===
 
@@ -26,6 +30,53 @@ export interface LivingPop {
   weekdayNight: number;
   weekendDay: number;
   weekendNight: number;
+  visitors?: number;   // 평일 낮 방문객 (상권활력·livingPopBonus, 초기 대비)
+  residents?: number;  // 지난 턴 상주인구 (평일 낮 변화 계산용)
+}
+
+// 동 통근 요약 (commute.js) — 평일 낮, 대각(동 안 통근) 제외
+export interface DongCommute {
+  inbound: number;
+  outbound: number;
+  net: number;
+  netChange: number;
+  congestion: number;  // 닿는 링크 통근량 가중 평균 부하 (용량 대비)
+}
+
+// 통근 OD 행렬 — flows[o][d], 'ext' = 구 밖
+export interface CommuteState {
+  flows: Record<string, Record<string, number>>;
+  capacity?: Record<string, Record<string, number>>;
+  base?: {
+    flows: Record<string, Record<string, number>>;
+    capacity: Record<string, Record<string, number>>;
+    residents: Record<string, number>;
+    jobs: Record<string, number>;
+  };
+}
+
+// 지하철 역·노선 그래프 (transit.js)
+export interface TransitStation {
+  dongId: string;
+  lines: string[];
+  ridership: number;                  // 일 이용객
+  catchment: Record<string, number>;  // 인접 동 → 인접 계수
+}
+
+export interface TransitLine {
+  stations: string[];  // 노선 순서
+  capacity?: number;
+  load?: number;       // 이용객 / 용량
+}
+
+export interface TransitState {
+  stations: Record<string, TransitStation>;
+  lines: Record<string, TransitLine>;
+  base?: {
+    ridership: Record<string, number>;
+    demand: Record<string, number>;
+    capacity: Record<string, number>;
+  };
 }
 
 export interface SatisfactionFactors {
@@ -43,6 +94,82 @@ export interface BlockSummary {
   zoningConflicts: number;
 }
 
+export interface BlockWeight {
+  economy: number;
+  livingPop: number;
+  residentPop: number;
+  satisfaction: number;
+}
+
+// 원본 데이터(공시지가·용도지역·건물·시설·도로)에서 만든 동 기초 지표 (generate_init.js)
+export interface LandValue {
+  avgPerSqm: number;     // 만원/㎡
+  medianPerSqm: number;
+  index: number;         // 구 평균 = 1 (초과분이 기본 임대료 압력)
+}
+
+export interface ZoningMix {
+  residential: number;   // 면적 %
+  commercial: number;
+  green: number;
+}
+
+export interface BuildingStock {
+  buildings: number;
+  avgFloors: number;
+  lowRiseRatio: number;  // 1~2층 비율 (노후도 대리지표)
+  highRiseRatio: number; // 11층 이상 비율
+}
+
+export interface HousingUnits {
+  apt: number;
+  villa: number;
+  oneRoom: number;
+  public: number;
+}
+
+// js/engine/housing.js
+export interface HousingStock {
+  units: HousingUnits;
+  baseRent: number;      // 빌라 기준 월세 (만원)
+  avgRent: number;       // 유형 가중 평균 월세 (만원)
+  vacancyRate: number;   // 음수 = 과밀
+  capacity: number;      // 수용 가능 인구 (순유입 상한)
+  // 엔진이 게임 시작 시 채움 (initHousing)
+  pph?: number;
+  pipeline?: Array<{ units: number; readyTurn: number }>;  // 재건축 중 (아파트)
+  demolished?: number;
+  displaced?: number;
+  displacedTotal?: number;
+}
+
+export interface FacilityCounts {
+  transit: number;
+  market: number;
+  park: number;
+  culture: number;
+  school: number;
+  office: number;
+}
+
+export interface Block {
+  id: string;
+  name: string;
+  type: string;
+  zoning: string;
+  zoningConflict: boolean;
+  slotCapacity: number;
+  traits: string[];
+  facilities: string[];  // 기존 시설 (표시용, 슬롯 미차지)
+  weight: BlockWeight;
+  // 엔진이 게임 시작 시 채움 (blocks.js initBlockState)
+  businesses: number;
+  rentPressure: number;
+  commerceCharacter: number;
+  satisfaction: number;
+  satOffset: number;
+}
+
 export interface Dong {
   id: string;
   name: string;
@@ -58,11 +185,23 @@ export interface Dong {
   livingPop: LivingPop;
   satisfaction: number;
   satisfactionFactors: SatisfactionFactors;
+  approval?: number;  // 구청장 지지율 % (election.js)
   transitScore: number;
+  accessibility?: number;  // 교통 접근성 (transit.js) — 있으면 transitScore 대신 쓴다
+  landValue?: LandValue;
+  zoningMix?: ZoningMix;
+  buildingStock?: BuildingStock | null;
+  housing?: HousingStock;
+  facilityCounts?: FacilityCounts;
+  roadDensity?: number;  // 간선도로 차선 합, 구 평균 = 1
+  vitals?: { births: number; deaths: number };  // 지난 턴 출생·사망 (population.js)
+  commute?: DongCommute;
   blockSummary: BlockSummary;
+  blocks?: Block[];
   // Internal tracking (set after first tick)
   _initPop?: number;
   _initBiz?: number;
+  _initVitality?: number;
 }
 
 export interface Revenue {
@@ -90,6 +229,25 @@ export interface Finance {
   revenue: Revenue;
   fiscalIndependence: number;
   policyCost?: number;
+  eventCost?: number;
+  facilityCost?: number;  // 시설 건설비(공사 중) + 유지비(완공)
+  reserve?: number;       // 적립금 (억원)
+  reserveFlow?: number;   // 이번 턴 적립금 증감
+  debt?: number;          // 지방채 잔액 (억원)
+  debtService?: number;   // 이번 턴 원리금 (의무지출에 포함)
+  bondIssued?: number;
+  deficit?: number;       // 적립금으로도 못 메운 초과 지출
+  seasonalSpend?: number; // 겨울 난방 등 복지 의무지출 (calendar.js)
+  budgetPhase?: 'annual' | 'supplementary' | 'locked';  // 지난 틱에 반영된 예산 단계
+  cycle?: FiscalCycle;
+  revenueScale?: Partial<Revenue>;  // 시나리오 세입 배수 (조정교부금 삭감 등)
+}
+
+// 회계연도 (finance.js resolveBudget) — 본예산·추경 일정은 GameMeta.calendar
+export interface FiscalCycle {
+  year: number;
+  approved: BudgetAllocation | null;  // 확정 배분 (본예산·추경)
+  supplementary: boolean;             // 올해 추경 사용 여부
 }
 
 export interface PolicyDef {
@@ -100,7 +258,10 @@ export interface PolicyDef {
   delay: number;
   duration: number;
   targetDong: string | string[] | null;
+  targetBlock?: string | string[];
   effects: Record<string, Record<string, number>>;
+  seasonal?: Partial<Record<SeasonId, number>>;  // 계절 효과 배수 (예: 여름 축제철 1.5)
+  council?: boolean;  // 비용과 무관하게 구의회 표결 대상 (council.js)
   description?: string;
   prerequisites?: string[];
   incompatible?: string[];
@@ -111,6 +272,7 @@ export interface ActivePolicy {
   remainDelay: number;
   remainDuration: number;
   turnsActive: number;
+  source?: string;  // 이벤트 선택지가 시행한 정책이면 이벤트 ID
 }
 
 export interface EventChoice {
@@ -122,6 +284,17 @@ export interface EventChoice {
   effects?: Record<string, Record<string, number>>;
   duration?: number;
   advisorComment?: string;
+  // 선택하면 시행·중단할 정책 (loadEvents()가 ID를 정책 정의로 바꿔 둔다)
+  policies?: { activate?: Array<string | PolicyDef>; cancel?: Array<string | PolicyDef> };
+  // 선택하면 afterTurns턴 뒤 발생할 후속 이벤트 (outcome이 있으면 그 추첨 결과일 때만)
+  followUp?: EventFollowUp | EventFollowUp[];
+}
+
+export interface EventFollowUp {
+  event: string;
+  afterTurns: number;
+  chance?: number;
+  outcome?: string | string[];
 }
 
 export interface GameEvent {
@@ -136,13 +309,60 @@ export interface GameEvent {
   affectedDongs?: string[];
 }
 
+// 고른 이벤트 선택지 기록 (후속 이벤트 트리거 — js/engine/events.js)
+export interface EventLogEntry {
+  turn: number;
+  eventId: string;
+  eventName: string;
+  choiceId: string;
+  choiceName: string;
+  outcome: string | null;
+  from: { eventId: string; choiceId: string; turn: number } | null;  // 후속 이벤트면 앞 선택
+}
+
+export interface ScheduledEvent {
+  eventId: string;
+  dueTurn: number;
+  from: { eventId: string; choiceId: string; turn: number };
+  status: 'pending' | 'fired' | 'averted';
+  resolvedTurn?: number;
+}
+
 export interface ActiveEvent {
   eventId: string;
+  eventName?: string;
   choiceId: string;
   choice: EventChoice;
   affectedDongs: string[];
   totalDuration: number;
   remainDuration: number;
+  outcome?: string;  // randomOutcome 선택지의 추첨 결과
+  costPaid?: boolean;  // 선택 비용(일회성) 차감 여부
+  turnsActive?: number;
+  blockedPolicies?: Array<{ id: string; reason: 'prerequisite' | 'incompatible'; ids: string[] }>;  // 선행 미충족 · 상충으로 시행하지 못한 선택지 정책
+}
+
+export interface FacilityDef {
+  id: string;
+  name: string;
+  cost: number;  // 총 건설비 (buildTurns에 나눠 차감)
+  buildTurns: number;
+  maintenance: number;
+  blockTypes?: string[];
+  housingUnits?: number;  // 완공 시 공공임대 재고 추가
+  effects: Record<string, Record<string, number>>;
+  description?: string;
+}
+
+export interface Facility {
+  id: string;
+  facility: FacilityDef;
+  blockId: string;
+  dongId: string;
+  status: 'building' | 'built';
+  remainTurns: number;
+  startedTurn: number;
+  completedTurn: number | null;
 }
 
 export interface HistoryEntry {
@@ -150,24 +370,151 @@ export interface HistoryEntry {
   totalPopulation: number;
   avgSatisfaction: number;
   fiscalIndependence: number;
-  dongs: Array<{ id: string; population: number; satisfaction: number; businesses: number }>;
+  dongs: Array<{ id: string; population: number; satisfaction: number; businesses: number; approval?: number }>;
+}
+
+export type SeasonId = 'winter' | 'spring' | 'summer' | 'autumn';
+
+// 게임 달력 (calendar.js) — 턴 길이·임기·본예산 의결 월·추경 기간
+export interface Calendar {
+  startYear: number;
+  startMonth: number;
+  turnMonths: number;
+  termYears: number;
+  budgetMonth: number;
+  supplementaryMonths: [number, number];
+}
+
+// 구의회 (council.js) — 의석·교섭단체·예산/정책 표결
+export type CouncilFactionId = 'ruling' | 'opposition' | 'independent';
+
+export interface CouncilSeat {
+  id: string;
+  name: string;
+  faction: CouncilFactionId;
+  dongs: string[] | null;  // 지역구 동 (비례는 null = 구 전체)
+}
+
+export interface CouncilVote {
+  kind: 'budget' | 'policy';
+  id: string;            // 예산: 'annual' | 'supplementary', 정책: 정책 ID
+  name: string;
+  turn: number;
+  yes: number;
+  no: number;
+  seats: number;
+  byFaction: Partial<Record<CouncilFactionId, { yes: number; no: number }>>;
+  result: 'passed' | 'amended' | 'rejected';
+  allocation?: BudgetAllocation | null;  // 예산: 집행될 배분 (부결이면 null)
+  bond?: number;
+  reserveDraw?: number;
+  amendments?: Partial<Record<keyof BudgetAllocation, number>> | null;  // 수정 가결 시 분야별 증감 (%p)
+}
+
+export interface Council {
+  seats: CouncilSeat[];
+  votes: CouncilVote[];  // 마지막 틱(또는 이번 턴 activate_policy)의 표결
+  log: CouncilVote[];    // 최근 표결
+}
+
+// 임기 말 구청장 선거 (election.js)
+export interface DongElectionResult {
+  id: string;
+  name: string;
+  approval: number;
+  turnout: number;    // 0~1
+  voteShare: number;  // 0~1
+  votes: number;
+  voters: number;
+}
+
+export interface Election {
+  term: number;
+  turn: number;
+  voteShare: number;
+  turnout: number;
+  reelected: boolean;
+  pledgeSwing: number;  // 공약 달성·미달에 따른 득표율 가감
+  byDong: DongElectionResult[];
+}
+
+// 시나리오 (scenarios.json — js/engine/scenario.js)
+export interface ScenarioGoal {
+  metric: string;  // 'population' | 'businesses' | ... | 'satisfaction.<구성요소>'
+  dongs?: string[];
+  change?: 'percent' | 'points';
+  min?: number;
+  max?: number;
+}
+
+export interface ScenarioPledge {
+  id: string;
+  name: string;
+  desc?: string;
+  difficulty: number;
+  goal: ScenarioGoal;
+}
+
+export interface ScenarioScope {
+  only?: string[];
+  exclude?: string[];
+}
+
+export interface ScenarioSummary {
+  id: string;
+  name: string;
+  description: string;
+  pledges: Array<string | ScenarioPledge> | null;
+  winConditions: Array<ScenarioGoal & { label: string }>;
+  events: ScenarioScope | null;
+  policies: ScenarioScope | null;
+}
+
+export interface Scenario extends Partial<Omit<ScenarioSummary, 'id' | 'name'>> {
+  id: string;
+  name: string;
+  calendar?: Partial<Calendar>;
+  overrides?: {
+    finance?: Partial<Finance>;
+    dongs?: Array<{ ids: '*' | string[]; scale?: Record<string, number>; add?: Record<string, number> }>;
+  };
+}
+
+export interface ScenarioResult {
+  id: string;
+  name: string;
+  cleared: boolean;
+  conditions: Array<{ label: string; detail: string; met: boolean; progress: number }>;
 }
 
 export interface GameMeta {
   turn: number;
   year: number;
   month: number;
+  term?: number;         // 임기 (재선하면 2기, 3기 — election.js)
+  ticks?: number;        // 엔진 틱 카운터 (다음 틱 = ticks + 1번째 턴)
+  calendar?: Calendar;
   playerName: string;
   pledges: string[];
+  seed: number | null;
 }
 
 export interface GameState {
   meta: GameMeta;
   dongs: Dong[];
+  commute?: CommuteState;
+  transit?: TransitState;
   finance: Finance;
   industryBreakdown: Record<string, unknown>;
   activePolicies: ActivePolicy[];
+  enactedPolicies: string[];  // 한 번이라도 효과를 낸 정책 (선행조건 해금)
   activeEvents: ActiveEvent[];
+  facilities: Facility[];
+  council?: Council;
+  elections?: Election[];
+  eventLog?: EventLogEntry[];
+  scheduledEvents?: ScheduledEvent[];
+  scenario?: ScenarioSummary | null;
   history: HistoryEntry[];
   _pledgeProgress?: Record<string, number>;
 }
@@ -182,10 +529,14 @@ export type AdjacencyMap = Record<string, Record<string, number>>;
 
 // === Data Loading ===
 
-let cachedInitData: { dongs: Dong[]; finance: Finance; industryBreakdown: Record<string, unknown> } | null = null;
+let cachedInitData: {
+  dongs: Dong[]; commute?: CommuteState; transit?: TransitState; finance: Finance; industryBreakdown: Record<string, unknown>;
+} | null = null;
 let cachedAdjacency: AdjacencyMap | null = null;
 let cachedPolicies: PolicyDef[] | null = null;
 let cachedEvents: GameEvent[] | null = null;
+let cachedFacilities: FacilityDef[] | null = null;
+let cachedScenarios: Scenario[] | null = null;
 
 export async function loadInitData() {
   if (cachedInitData) return cachedInitData;
@@ -193,6 +544,8 @@ export async function loadInitData() {
   const data = JSON.parse(raw);
   cachedInitData = {
     dongs: data.dongs,
+    commute: data.commute,
+    transit: data.transit,
     finance: data.finance,
     industryBreakdown: data.industryBreakdown || {},
   };
@@ -216,21 +569,33 @@ export async function loadPolicies(): Promise<PolicyDef[]> {
 export async function loadEvents(): Promise<GameEvent[]> {
   if (cachedEvents) return cachedEvents;
   const raw = await readFile(path.join(DATA_DIR, 'events.json'), 'utf-8');
-  cachedEvents = JSON.parse(raw).events;
+  const events: GameEvent[] = JSON.parse(raw).events;
+  const policies = await loadPolicies();
+  // stdout은 MCP 프로토콜용 — 데이터 오류는 stderr로
+  for (const err of validateEventCatalog(events, policies)) console.error('[Events] 데이터 오류:', err);
+  cachedEvents = linkEventPolicies(events, policies);  // 선택지가 시행하는 정책 정의를 붙인다
   return cachedEvents!;
 }
 
+export async function loadFacilities(): Promise<FacilityDef[]> {
+  if (cachedFacilities) return cachedFacilities;
+  const raw = await readFile(path.join(DATA_DIR, 'facilities.json'), 'utf-8');
+  cachedFacilities = JSON.parse(raw).facilities;
+  for (const err of validateFacilityCatalog(cachedFacilities!)) console.error('[Facilities] 데이터 오류:', err);
+  return cachedFacilities!;
+}
+
+export async function loadScenarios(): Promise<Scenario[]> {
+  if (cachedScenarios) return cachedScenarios;
+  const raw = await readFile(path.join(DATA_DIR, 'scenarios.json'), 'utf-8');
+  cachedScenarios = JSON.parse(raw).scenarios;
+  for (const err of validateScenarioCatalog(cachedScenarios!)) console.error('[Scenarios] 데이터 오류:', err);
+  return cachedScenarios!;
+}
+
 // === Game Initialization ===
 
-export async function createGameState(): Promise<GameState> {
+export async function createGameState(seed?: number, calendar?: Partial<Calendar>, scenario?: Scenario | null): Promise<GameState> {
   const initData = await loadInitData();
-  return {
-    meta: { turn: 1, year: 2026, month: 1, playerName: 'Player', pledges: [] },
-    dongs: initData.dongs.map(d => ({ ...d })),
-    finance: { ...initData.finance },
-    industryBreakdown: initData.industryBreakdown,
-    activePolicies: [],
-    activeEvents: [],
-    history: [],
-  };
+  return createEngineState(initData, { playerName: 'Player', seed, calendar, scenario }) as GameState;
 }
@@ -1,7 +1,7 @@
 /**
  * server.ts — MCP Server for AI 마포구청장
  *
- * Tools: start_game (2-phase w/ pledges), advance_turn, get_state, get_policy_catalog, activate_policy, deactivate_policy, choose_event_option
+ * Tools: start_game (2-phase w/ pledges, scenario), advance_turn, preview_turn, forecast, get_state, get_policy_catalog, compare_dongs, activate_policy, deactivate_policy, build_facility, choose_event_option, start_next_term
  * UI resource: mcp-app.html (single-file bundle)
  */
 
@@ -17,10 +17,23 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import {
-  createGameState, loadAdjacency, loadPolicies, loadEvents,
+  createGameState, loadAdjacency, loadPolicies, loadEvents, loadFacilities, loadScenarios,
   type GameState, type AdjacencyMap, type BudgetAllocation, type PolicyDef, type GameEvent, type ActiveEvent,
+  type FacilityDef, type HousingUnits, type CouncilVote, type CouncilFactionId, type Election, type ScenarioResult,
 } from './engine/game-state.js';
-import { tick } from './engine/simulation.js';
+import {
+  tick, getPledgeCatalog, findPledge, calcProgress, calcFinalScore,
+  createEventTracker, checkEventTriggers, createRng, randomSeed,
+  checkPolicyActivation, describeActivationBlocker, getMissingPrerequisites, getBlockedChoicePolicies,
+  checkConstruction, startConstruction, getUsedSlots, getCommuteLinks, EXTERNAL,
+  getAccessibility, getBudgetPhase, getBondCapacity,
+  getCalendar, getTotalTurns, setTurn, formatTurnDate, formatTurnLength, formatBudgetSchedule, formatSeason, TURN_LENGTHS,
+  COUNCIL_FACTIONS, POLICY_COST_THRESHOLD, needsCouncilVote, voteOnPolicy, recordVote, formatVote, formatCouncilSeats,
+  getApprovalRating, simulateElection, recordElection, canStartNextTerm, startNextTerm, formatElection, MAX_TERMS,
+  DEFAULT_SCENARIO_ID, findScenario, filterScenarioCatalog, evaluateScenario, formatChoicePolicies,
+  formatEventOrigin, formatEventChains, createActiveEvent, formatEventDuration, formatDongComparison, projectTurn, formatProjection,
+  forecast, formatForecast, FORECAST_RUNS, historySnapshot,
+} from '../../js/engine/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DIST_DIR = path.join(__dirname, '..', 'dist');
@@ -32,161 +45,12 @@ let initialState: GameState | null = null;
 let adjacency: AdjacencyMap = {};
 let policyCatalog: PolicyDef[] = [];
 let eventCatalog: GameEvent[] = [];
+let facilityCatalog: FacilityDef[] = [];
 
 // Event tracking
 let pendingEvent: GameEvent | null = null;  // event awaiting player choice
-let eventCooldowns: Record<string, number> = {};  // eventId → turns remaining
-let firedOneShots: Set<string> = new Set();
-
-// === Pledge System ===
-
-interface PledgeCandidate {
-  id: string;
-  name: string;
-  description: string;
-  difficulty: number; // 1~3
-}
-
-const PLEDGE_CANDIDATES: PledgeCandidate[] = [
-  { id: 'population_rebound', name: '인구 반등', description: '최종 인구 ≥ 초기값', difficulty: 3 },
-  { id: 'fiscal_health', name: '재정 건전', description: '재정자립도 ≥ 초기값+3%p', difficulty: 2 },
-  { id: 'tourism_coexist', name: '관광 상생', description: '서교·합정·연남 만족도≥70 & 상권특색≥60', difficulty: 3 },
-  { id: 'transport_hub', name: '교통 혁신', description: '구 평균 교통 만족도 ≥ 75', difficulty: 2 },
-  { id: 'youth_friendly', name: '청년 친화', description: '청년 인구 비율 ≥ 초기값', difficulty: 2 },
-  { id: 'balanced_growth', name: '균형 발전', description: '동간 만족도 표준편차 ≤ 5', difficulty: 2 },
-  { id: 'green_mapo', name: '녹색 마포', description: '환경·안전 만족도 평균 ≥ 70', difficulty: 1 },
-  { id: 'local_economy', name: '지역 경제', description: '사업체 수 변화 ≥ +5%', difficulty: 3 },
-];
-
-function calcPledgeProgress(pledgeId: string, state: GameState, initState: GameState): number {
-  const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
-  const initPop = initState.dongs.reduce((s, d) => s + d.population, 0);
-
-  switch (pledgeId) {
-    case 'population_rebound':
-      return (totalPop / initPop) * 100;
-
-    case 'fiscal_health': {
-      const initFiscal = initState.finance.fiscalIndependence || 28;
-      const delta = (state.finance.fiscalIndependence || 28) - initFiscal;
-      return Math.min(100, (delta / 3) * 100);
-    }
-
-    case 'tourism_coexist': {
-      const targets = ['seogyo', 'hapjeong', 'yeonnam'];
-      const satOk = targets.every(id => (state.dongs.find(d => d.id === id)?.satisfaction || 0) >= 70);
-      const charOk = targets.every(id => (state.dongs.find(d => d.id === id)?.commerceCharacter || 0) >= 60);
-      const satProg = targets.reduce((s, id) =>
-        s + Math.min(100, (state.dongs.find(d => d.id === id)?.satisfaction || 0) / 70 * 100), 0) / 3;
-      const charProg = targets.reduce((s, id) =>
-        s + Math.min(100, (state.dongs.find(d => d.id === id)?.commerceCharacter || 0) / 60 * 100), 0) / 3;
-      return (satOk && charOk) ? 100 : (satProg + charProg) / 2;
-    }
-
-    case 'transport_hub': {
-      const avg = state.dongs.reduce((s, d) => s + d.satisfactionFactors.transport, 0) / state.dongs.length;
-      return Math.min(100, (avg / 75) * 100);
-    }
-
-    case 'youth_friendly': {
-      const currentYouthRatio = state.dongs.reduce((s, d) => s + d.populationByAge.youth, 0) / totalPop;
-      const initYouthRatio = initState.dongs.reduce((s, d) => s + d.populationByAge.youth, 0) / initPop;
-      // progress = 100 when current >= initial
-      return initYouthRatio > 0 ? Math.min(100, (currentYouthRatio / initYouthRatio) * 100) : 100;
-    }
-
-    case 'balanced_growth': {
-      const satValues = state.dongs.map(d => d.satisfaction);
-      const mean = satValues.reduce((s, v) => s + v, 0) / satValues.length;
-      const stdDev = Math.sqrt(satValues.reduce((s, v) => s + (v - mean) ** 2, 0) / satValues.length);
-      // σ ≤ 5 = 100%, σ = 15 = 0%, linear between
-      if (stdDev <= 5) return 100;
-      if (stdDev >= 15) return 0;
-      return Math.round((15 - stdDev) / 10 * 100);
-    }
-
-    case 'green_mapo': {
-      const avg = state.dongs.reduce((s, d) => s + d.satisfactionFactors.safety, 0) / state.dongs.length;
-      return Math.min(100, (avg / 70) * 100);
-    }
-
-    case 'local_economy': {
-      const initBiz = initState.dongs.reduce((s, d) => s + d.businesses, 0);
-      const totalBiz = state.dongs.reduce((s, d) => s + d.businesses, 0);
-      const changeRate = ((totalBiz - initBiz) / initBiz) * 100;
-      // +5% = 100%, 0% = 0%, linear
-      return Math.min(100, Math.max(0, (changeRate / 5) * 100));
-    }
-
-    default: return 0;
-  }
-}
-
-function linearScore(value: number, low: number, mid: number, high: number, scores: [number, number, number], max: number): number {
-  if (value <= low) return scores[0];
-  if (value >= high) return scores[2];
-  if (value <= mid) {
-    const t = (value - low) / (mid - low);
-    return Math.round(scores[0] + t * (scores[1] - scores[0]));
-  }
-  const t = (value - mid) / (high - mid);
-  return Math.min(max, Math.round(scores[1] + t * (scores[2] - scores[1])));
-}
-
-function calcFinalScore(state: GameState, initState: GameState): {
-  total: number; grade: string;
-  kpis: Array<{ id: string; label: string; max: number; score: number; detail: string }>;
-  pledgeResults: Array<{ id: string; name: string; achieved: boolean; progress: number; score: number }>;
-  kpiTotal: number; pledgeTotal: number;
-} {
-  const initPop = initState.dongs.reduce((s, d) => s + d.population, 0);
-  const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
-  const popChangeRate = ((totalPop - initPop) / initPop) * 100;
-
-  const initBiz = initState.dongs.reduce((s, d) => s + d.businesses, 0);
-  const totalBiz = state.dongs.reduce((s, d) => s + d.businesses, 0);
-  const initWorkers = initState.dongs.reduce((s, d) => s + d.workers, 0);
-  const totalWorkers = state.dongs.reduce((s, d) => s + d.workers, 0);
-  const econGrowth = ((totalBiz - initBiz) / initBiz * 100 + (totalWorkers - initWorkers) / initWorkers * 100) / 2;
-
-  const initTax = initState.finance.revenue?.localTax || 613;
-  const currentTax = state.finance.revenue?.localTax || 613;
-  const taxChange = ((currentTax - initTax) / initTax) * 100;
-
-  const initFiscal = initState.finance.fiscalIndependence || 28;
-  const currentFiscal = state.finance.fiscalIndependence || 28;
-  const fiscalDelta = currentFiscal - initFiscal;
-
-  const avgSat = state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length;
-
-  const satValues = state.dongs.map(d => d.satisfaction);
-  const satMean = satValues.reduce((s, v) => s + v, 0) / satValues.length;
-  const satStdDev = Math.sqrt(satValues.reduce((s, v) => s + (v - satMean) ** 2, 0) / satValues.length);
-
-  const kpis = [
-    { id: 'population', label: '인구 변화', max: 15, score: linearScore(popChangeRate, -12, -2, 5, [-5, 0, 15], 15), detail: `${popChangeRate >= 0 ? '+' : ''}${popChangeRate.toFixed(1)}%` },
-    { id: 'economy', label: '경제 성장', max: 5, score: linearScore(econGrowth, -3, 0, 10, [0, 2, 5], 5), detail: `${econGrowth >= 0 ? '+' : ''}${econGrowth.toFixed(1)}%` },
-    { id: 'tax', label: '세수 증감', max: 5, score: linearScore(taxChange, -5, 0, 10, [0, 2, 5], 5), detail: `${taxChange >= 0 ? '+' : ''}${taxChange.toFixed(1)}%` },
-    { id: 'fiscal', label: '재정 건전성', max: 10, score: linearScore(fiscalDelta, -3, 0, 7, [0, 5, 10], 10), detail: `${fiscalDelta >= 0 ? '+' : ''}${fiscalDelta.toFixed(1)}%p` },
-    { id: 'satisfaction', label: '주민 만족도', max: 12, score: linearScore(avgSat, 42, 52, 72, [0, 8, 12], 12), detail: `평균 ${avgSat.toFixed(0)}` },
-    { id: 'balance', label: '균형 발전', max: 10, score: satStdDev < 10 ? 10 : satStdDev < 15 ? 5 : satStdDev > 20 ? 0 : Math.round(5 * (20 - satStdDev) / 5), detail: `σ = ${satStdDev.toFixed(1)}` },
-  ];
-
-  const pledgeIds = state.meta.pledges || [];
-  const pledgeResults = pledgeIds.map(id => {
-    const pledge = PLEDGE_CANDIDATES.find(p => p.id === id);
-    const progress = calcPledgeProgress(id, state, initState);
-    const achieved = progress >= 100;
-    return { id, name: pledge?.name || id, achieved, progress: Math.round(progress), score: achieved ? 15 : -20 };
-  });
-
-  const kpiTotal = kpis.reduce((s, k) => s + k.score, 0);
-  const pledgeTotal = pledgeResults.reduce((s, p) => s + p.score, 0);
-  const total = kpiTotal + pledgeTotal;
-  const grade = total >= 100 ? 'S' : total >= 80 ? 'A' : total >= 60 ? 'B' : total >= 40 ? 'C' : total >= 20 ? 'D' : 'F';
-
-  return { total, grade, kpis, pledgeResults, kpiTotal, pledgeTotal };
-}
+let eventTracker = createEventTracker();  // cooldowns + fired one-shots
+let rng = createRng(randomSeed());  // event triggers + random outcomes (seeded per game)
 
 // === Helper: Format state for AI context ===
 
@@ -194,8 +58,6 @@ function formatStateForAI(state: GameState): string {
   const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
   const totalBiz = state.dongs.reduce((s, d) => s + d.businesses, 0);
   const avgSat = Math.round(state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length);
-  const year = state.meta.year;
-  const month = state.meta.month;
   const turn = state.meta.turn;
 
   // Population delta from initial
@@ -207,17 +69,18 @@ function formatStateForAI(state: GameState): string {
   const top3 = sorted.slice(0, 3).map(d => `${d.name}(${d.satisfaction})`).join(', ');
   const bottom3 = sorted.slice(-3).reverse().map(d => `${d.name}(${d.satisfaction})`).join(', ');
 
-  // Active policies
-  const policyCost = state.activePolicies.reduce((s, ap) => s + ap.policy.cost, 0);
+  // Active policies (월 비용 × 턴 길이)
+  const policyCost = state.activePolicies.reduce((s, ap) => s + ap.policy.cost, 0) * getCalendar(state).turnMonths;
 
-  let text = `## ${year}년 ${month}월 (${turn}/48턴)
+  let text = `## ${formatTurnDate(state)} · ${formatSeason(state)} (${turn}/${getTotalTurns(state)}턴, 한 턴 = ${formatTurnLength(state)})
 
 ### 핵심 지표
 - 총인구: ${totalPop.toLocaleString()}명 (${Number(popDelta) >= 0 ? '+' : ''}${popDelta}%)
 - 사업체: ${totalBiz.toLocaleString()}개
 - 평균 만족도: ${avgSat}/100
+- 지지율: ${getApprovalRating(state).toFixed(1)}% (${state.meta.term || 1}기 — ${getTotalTurns(state)}턴 종료 후 선거)
 - 재정자립도: ${state.finance.fiscalIndependence}%
-- 자유예산: ${state.finance.freeBudget}억원 (정책비용 ${policyCost}억원 차감 후)
+- 자유예산: ${state.finance.freeBudget}억원 (정책비용 ${policyCost}억원${state.finance.facilityCost ? `, 시설비 ${state.finance.facilityCost}억원` : ''} 차감 후)
 
 ### 만족도 순위
 - 상위: ${top3}
@@ -226,6 +89,9 @@ function formatStateForAI(state: GameState): string {
 ### 현재 예산 배분
 경제 ${state.finance.allocation.economy}% | 교통 ${state.finance.allocation.transport}% | 문화 ${state.finance.allocation.culture}% | 환경 ${state.finance.allocation.environment}% | 교육 ${state.finance.allocation.education}% | 복지 ${state.finance.allocation.welfare}% | 도시재생 ${state.finance.allocation.renewal}%
 
+${formatFiscal(state)}
+${formatCouncil(state)}
+
 ### 활성 정책 (${state.activePolicies.length}/3)`;
 
   if (state.activePolicies.length === 0) {
@@ -247,7 +113,7 @@ function formatStateForAI(state: GameState): string {
       const event = eventCatalog.find(e => e.id === ae.eventId);
       const eventName = event?.name || ae.eventId;
       const choiceName = ae.choice.name || ae.choice.text || ae.choiceId;
-      text += `\n- ${eventName} → ${choiceName} (잔여 ${ae.remainDuration}턴)`;
+      text += `\n- ${eventName} → ${choiceName} (${formatEventDuration(ae.totalDuration, ae.remainDuration)})`;
     }
   }
 
@@ -256,6 +122,9 @@ function formatStateForAI(state: GameState): string {
     text += `\n\n### ⚠ 대응 필요: ${pendingEvent.name}`;
   }
 
+  // Event chains
+  text += formatEventChainsText(state);
+
   // Previous turn changes
   if (state.history.length > 1) {
     const prev = state.history[state.history.length - 2];
@@ -273,130 +142,32 @@ function formatStateForAI(state: GameState): string {
   if (state.meta.pledges?.length > 0 && initialState) {
     text += `\n\n### 공약 달성도`;
     for (const id of state.meta.pledges) {
-      const pledge = PLEDGE_CANDIDATES.find(p => p.id === id);
+      const pledge = findPledge(state, id);
       if (!pledge) continue;
-      const progress = Math.round(calcPledgeProgress(id, state, initialState));
+      const progress = Math.round(calcProgress(id, state, initialState));
       const bar = progress >= 100 ? '달성' : `${progress}%`;
       text += `\n- ${pledge.name}: ${bar}`;
     }
   }
 
-  return text;
-}
-
-// === Event Trigger Logic (ported from js/event.js) ===
-
-function checkEventTriggers(state: GameState): GameEvent | null {
-  const turn = state.meta.turn;
-
-  // Decrement cooldowns
-  for (const id of Object.keys(eventCooldowns)) {
-    eventCooldowns[id]--;
-    if (eventCooldowns[id] <= 0) delete eventCooldowns[id];
-  }
-
-  // Collect candidates
-  const candidates: GameEvent[] = [];
-  for (const event of eventCatalog) {
-    if (eventCooldowns[event.id]) continue;
-    if (event.oneShot && firedOneShots.has(event.id)) continue;
-    if (checkTrigger(event, state, turn)) candidates.push(event);
-  }
-
-  if (candidates.length === 0) return null;
-
-  // Probability check
-  const triggered: GameEvent[] = [];
-  for (const event of candidates) {
-    if (Math.random() < (event.probability || 1.0)) triggered.push(event);
-  }
-  if (triggered.length === 0) return null;
-
-  // Pick one
-  const selected = triggered[Math.floor(Math.random() * triggered.length)];
+  // Scenario win conditions
+  const scenarioResult = evaluateScenario(state, initialState);
+  if (scenarioResult) text += formatScenarioResult(scenarioResult);
 
-  // Record cooldown + oneShot
-  if (selected.cooldown && selected.cooldown > 0) eventCooldowns[selected.id] = selected.cooldown;
-  if (selected.oneShot) firedOneShots.add(selected.id);
-
-  return selected;
-}
-
-function checkTrigger(event: GameEvent, state: GameState, turn: number): boolean {
-  const trigger = event.trigger;
-  if (!trigger) return false;
-
-  switch (trigger.type as string) {
-    case 'periodic': {
-      const startTurn = (trigger.startTurn as number) || 1;
-      const interval = (trigger.interval as number) || 4;
-      return turn >= startTurn && (turn - startTurn) % interval === 0;
-    }
-
-    case 'threshold': {
-      const cond = trigger.condition as Record<string, unknown> | undefined;
-      if (!cond) return false;
-
-      if (cond.dong) {
-        const dong = state.dongs.find(d => d.id === cond.dong);
-        if (!dong) return false;
-        return checkCondition(
-          getMetricValue(dong, cond.metric as string),
-          cond.operator as string,
-          cond.value as number,
-        );
-      } else if (cond.minDongCount) {
-        const count = state.dongs.filter(d =>
-          checkCondition(getMetricValue(d, cond.metric as string), cond.operator as string, cond.value as number)
-        ).length;
-        return count >= (cond.minDongCount as number);
-      }
-      return false;
-    }
-
-    case 'random': {
-      const minTurn = (trigger.minTurn as number) || 1;
-      const prob = (trigger.probabilityPerTurn as number) || 0.1;
-      return turn >= minTurn && Math.random() < prob;
-    }
-
-    case 'turn': {
-      const minTurn = (trigger.minTurn as number) || 1;
-      if (turn < minTurn) return false;
-      const addCond = trigger.additionalCondition as Record<string, unknown> | undefined;
-      if (addCond) {
-        const dong = state.dongs.find(d => d.id === addCond.dong);
-        if (!dong) return false;
-        return checkCondition(
-          getMetricValue(dong, addCond.metric as string),
-          addCond.operator as string,
-          addCond.value as number,
-        );
-      }
-      return true;
-    }
-
-    default:
-      return false;
-  }
+  return text;
 }
 
-function getMetricValue(dong: GameState['dongs'][0], metric: string): number {
-  if (metric === 'elderlyRatio') {
-    return (dong.populationByAge?.elderly || 0) / Math.max(1, dong.population);
-  }
-  return (dong as unknown as Record<string, number>)[metric] ?? 0;
+function formatEventChainsText(state: GameState): string {
+  const chains = formatEventChains(state);
+  return chains.length > 0 ? `\n\n### 이벤트 연쇄\n${chains.map(c => `- ${c}`).join('\n')}` : '';
 }
 
-function checkCondition(value: number, operator: string, threshold: number): boolean {
-  switch (operator) {
-    case '>': return value > threshold;
-    case '<': return value < threshold;
-    case '>=': return value >= threshold;
-    case '<=': return value <= threshold;
-    case '==': return value === threshold;
-    default: return false;
+function formatScenarioResult(result: ScenarioResult, title = '시나리오 목표'): string {
+  let text = `\n\n### ${title} — ${result.name}${result.cleared ? ' (달성)' : ''}`;
+  for (const c of result.conditions) {
+    text += `\n- ${c.met ? '✓' : '✗'} ${c.label}: ${c.detail}`;
   }
+  return text;
 }
 
 function formatEventForAI(event: GameEvent, state: GameState): string {
@@ -407,6 +178,8 @@ function formatEventForAI(event: GameEvent, state: GameState): string {
 
   let text = `\n\n### 이벤트 발생: ${event.name}\n\n`;
   text += `${event.description}\n\n`;
+  const origin = formatEventOrigin(state, event.id);
+  if (origin) text += `(${origin}입니다)\n\n`;
   text += `영향 동: ${dongNames.join(', ')}\n\n`;
   text += `**선택지** (choose_event_option 도구로 선택하세요):\n\n`;
 
@@ -414,6 +187,10 @@ function formatEventForAI(event: GameEvent, state: GameState): string {
     const costStr = choice.cost && choice.cost > 0 ? ` (${choice.cost}억원)` : ' (무료)';
     text += `**${choice.name || choice.text}** (id: \`${choice.id}\`)${costStr}\n`;
     text += `${choice.description || choice.text}\n`;
+    if (choice.policies) text += `정책 ${formatChoicePolicies(choice)}\n`;
+    for (const { policy, blocker } of getBlockedChoicePolicies(choice, state)) {
+      text += `⚠ ${policy.name || policy.id} 시행 불가 — ${describeActivationBlocker(blocker, policyCatalog)}\n`;
+    }
     if (choice.advisorComment) text += `> 자문: ${choice.advisorComment}\n`;
     text += '\n';
   }
@@ -423,6 +200,22 @@ function formatEventForAI(event: GameEvent, state: GameState): string {
   return text;
 }
 
+// === Shared Input Schemas (advance_turn · preview_turn) ===
+const budgetInput = z.object({
+  economy: z.number().describe('경제·일자리 예산 %'),
+  transport: z.number().describe('교통 예산 %'),
+  culture: z.number().describe('문화·관광 예산 %'),
+  environment: z.number().describe('환경·안전 예산 %'),
+  education: z.number().describe('교육 예산 %'),
+  welfare: z.number().describe('복지 예산 %'),
+  renewal: z.number().describe('도시재생 예산 %'),
+}).describe('예산 배분 (합계 100 이하, 나머지는 적립금). 생략시 현재 배분 유지.');
+
+const fiscalInput = z.object({
+  bond: z.number().describe('지방채 발행액 (억원)').optional(),
+  reserveDraw: z.number().describe('적립금 인출액 (억원)').optional(),
+}).describe('재원 조달 — 다음 턴 자유예산에 더해짐. 지방채 원리금은 의무지출로 상환.');
+
 // === Server Creation ===
 
 export function createServer(): McpServer {
@@ -441,22 +234,40 @@ export function createServer(): McpServer {
       title: '마포구청장 게임 시작',
       description: `마포구청장 도시 경영 시뮬레이션을 시작합니다.
 당신은 마포구 도시계획 자문관 역할입니다. 구청장(사용자)에게 데이터 기반 분석과 전략 조언을 제공하세요.
-게임은 48턴(4년)으로 구성되며, 매 턴 예산 배분과 정책을 통해 마포구를 발전시킵니다.
+게임은 4년 임기 — 한 턴 1개월(48턴, 기본) 또는 1분기(16턴, turnMonths: 3)이며, 매 턴 예산 배분과 정책을 통해 마포구를 발전시킵니다.
 
 **2단계 시작:**
-1. pledges 없이 호출 → 공약 후보 8개 반환 (구청장에게 1~4개 선택 요청)
-2. pledges에 선택된 공약 ID 배열로 재호출 → 게임 시작
+1. pledges 없이 호출 → 시나리오 목록과 공약 후보 반환 (구청장에게 시나리오와 공약 1~4개 선택 요청)
+2. pledges에 선택된 공약 ID 배열로 재호출 → 게임 시작 (시나리오를 골랐다면 두 번 모두 scenario 전달)
+
+시나리오마다 시작 시점·도시 상태·공약 후보·승리 조건이 다릅니다. 생략하면 기본(${DEFAULT_SCENARIO_ID}).
 
 공약은 임기 말 달성 여부로 점수에 반영됩니다. 난이도가 높을수록 도전적이지만 성취감도 큽니다.`,
       inputSchema: z.object({
         pledges: z.array(z.string()).min(1).max(4)
           .describe('선택한 공약 ID 배열 (1~4개). 생략하면 후보 목록 반환.')
           .optional(),
+        seed: z.number().int()
+          .describe('난수 시드. 같은 시드 + 같은 결정이면 같은 이벤트가 발생합니다. 생략하면 무작위.')
+          .optional(),
+        turnMonths: z.number().int()
+          .describe(`한 턴의 길이 (개월, ${TURN_LENGTHS.join(' 또는 ')}). 세입·인구 변동·예산 일정이 실제 기간에 맞춰집니다. 생략하면 1.`)
+          .optional(),
+        scenario: z.string()
+          .describe(`시나리오 ID (data/game/scenarios.json). 생략하면 ${DEFAULT_SCENARIO_ID}.`)
+          .optional(),
       }),
       _meta: { ui: { resourceUri } },
     },
     async (args) => {
       const pledgeIds = args.pledges as string[] | undefined;
+      const scenarios = await loadScenarios();
+      const scenarioId = (args.scenario as string | undefined) ?? DEFAULT_SCENARIO_ID;
+      const scenario = findScenario(scenarios, scenarioId);
+      if (!scenario) {
+        return { content: [{ type: 'text' as const, text: `알 수 없는 시나리오: ${scenarioId}\n사용 가능: ${scenarios.map(s => s.id).join(', ')}` }] };
+      }
+      const pledgeCatalog = getPledgeCatalog({ scenario });
 
       // Phase 1: No pledges → return candidate list
       if (!pledgeIds || pledgeIds.length === 0) {
@@ -464,15 +275,23 @@ export function createServer(): McpServer {
         adjacency = await loadAdjacency();
         policyCatalog = await loadPolicies();
         eventCatalog = await loadEvents();
+        facilityCatalog = await loadFacilities();
 
         const difficultyStars: Record<number, string> = { 1: '★☆☆', 2: '★★☆', 3: '★★★' };
         let text = `# 마포구청장 취임 — 공약 선택\n\n`;
         text += `구청장님, 취임을 축하합니다! 임기를 시작하기 전에 구민에게 약속할 공약을 선택해주세요.\n\n`;
-        text += `**1~4개의 공약**을 선택하세요. 달성하면 +15점, 미달성 시 -20점입니다.\n\n`;
+        text += `### 시나리오\n`;
+        text += `| ID | 이름 | 설명 |\n|---|---|---|\n`;
+        for (const sc of scenarios) {
+          text += `| \`${sc.id}\`${sc.id === scenario.id ? ' (선택)' : ''} | ${sc.name} | ${sc.description || ''} |\n`;
+        }
+        text += `\n다른 시나리오의 공약 후보를 보려면 scenario를 지정해 다시 호출하세요.\n\n`;
+        text += `### 공약 후보 — ${scenario.name}\n`;
+        text += `**1~4개의 공약**을 선택하세요. 달성하면 +10점, 미달성 시 -5점입니다.\n\n`;
         text += `| ID | 공약명 | 조건 | 난이도 |\n`;
         text += `|---|---|---|---|\n`;
-        for (const p of PLEDGE_CANDIDATES) {
-          text += `| \`${p.id}\` | ${p.name} | ${p.description} | ${difficultyStars[p.difficulty]} |\n`;
+        for (const p of pledgeCatalog) {
+          text += `| \`${p.id}\` | ${p.name} | ${p.desc} | ${difficultyStars[p.difficulty]} |\n`;
         }
         text += `\n구청장님의 선택을 듣고, start_game에 pledges 배열을 전달하여 게임을 시작하세요.`;
 
@@ -480,31 +299,33 @@ export function createServer(): McpServer {
       }
 
       // Phase 2: Validate pledges and start game
-      const invalidIds = pledgeIds.filter(id => !PLEDGE_CANDIDATES.find(p => p.id === id));
+      const invalidIds = pledgeIds.filter(id => !pledgeCatalog.find(p => p.id === id));
       if (invalidIds.length > 0) {
-        const validIds = PLEDGE_CANDIDATES.map(p => p.id).join(', ');
-        return { content: [{ type: 'text' as const, text: `잘못된 공약 ID: ${invalidIds.join(', ')}\n사용 가능: ${validIds}` }] };
+        const validIds = pledgeCatalog.map(p => p.id).join(', ');
+        return { content: [{ type: 'text' as const, text: `잘못된 공약 ID: ${invalidIds.join(', ')}\n사용 가능 (${scenario.id}): ${validIds}` }] };
       }
 
       // Initialize game
-      gameState = await createGameState();
+      const seed = (args.seed as number | undefined) ?? randomSeed();
+      gameState = await createGameState(seed, { turnMonths: args.turnMonths as number | undefined }, scenario);
       gameState.meta.pledges = pledgeIds;
       initialState = JSON.parse(JSON.stringify(gameState));
       adjacency = await loadAdjacency();
-      policyCatalog = await loadPolicies();
-      eventCatalog = await loadEvents();
+      policyCatalog = filterScenarioCatalog(gameState, await loadPolicies(), 'policies');
+      eventCatalog = filterScenarioCatalog(gameState, await loadEvents(), 'events');
+      facilityCatalog = await loadFacilities();
 
       // Reset event state
       pendingEvent = null;
-      eventCooldowns = {};
-      firedOneShots = new Set();
+      eventTracker = createEventTracker();
+      rng = createRng(seed);
 
       const stateText = formatStateForAI(gameState);
 
       // Format selected pledges
       const selectedPledges = pledgeIds.map(id => {
-        const p = PLEDGE_CANDIDATES.find(c => c.id === id)!;
-        return `- **${p.name}**: ${p.description}`;
+        const p = findPledge(gameState, id)!;
+        return `- **${p.name}**: ${p.desc}`;
       }).join('\n');
 
       return {
@@ -513,14 +334,17 @@ export function createServer(): McpServer {
           text: `# 마포구청장 게임 시작
 
 구청장님, 취임을 축하합니다! 마포구의 미래가 당신의 손에 달려있습니다.
-
+${scenario.id !== DEFAULT_SCENARIO_ID ? `\n### 시나리오: ${scenario.name}\n${scenario.description || ''}\n` : ''}
 ### 선택한 공약
 ${selectedPledges}
 
+시드: \`${seed}\` (같은 시드로 다시 시작하면 같은 이벤트 전개를 재현할 수 있습니다)
+
 ${stateText}
 
 ### 게임 안내
-- 48턴(4년) 동안 마포구를 운영합니다
+- ${getTotalTurns(gameState)}턴(${getCalendar(gameState).termYears}년, 한 턴 = ${formatTurnLength(gameState)}) 동안 마포구를 운영합니다
+- 예산 일정: ${formatBudgetSchedule(gameState)}
 - 매 턴: 예산 배분(7개 분야) → 턴 종료 → 시뮬레이션 결과
 - UI에서 예산 조정 후 "턴 종료"를 누르거나, 저에게 전략을 물어보세요
 - 공약 달성과 핵심 KPI로 최종 성적이 결정됩니다
@@ -537,17 +361,10 @@ ${stateText}
     'advance_turn',
     {
       title: '턴 진행',
-      description: '현재 예산 배분으로 1턴을 진행합니다. 시뮬레이션이 실행되고 결과를 반환합니다.',
+      description: '현재 예산 배분으로 1턴을 진행합니다. 시뮬레이션이 실행되고 결과를 반환합니다. 예산 배분·지방채·적립금은 본예산(12월 의결, 임기 첫 턴 포함)·추경(4~9월 중 연 1회) 턴에만 바꿀 수 있고, 구의회 표결에서 수정되거나 부결될 수 있습니다.',
       inputSchema: z.object({
-        budget: z.object({
-          economy: z.number().describe('경제·일자리 예산 %'),
-          transport: z.number().describe('교통 예산 %'),
-          culture: z.number().describe('문화·관광 예산 %'),
-          environment: z.number().describe('환경·안전 예산 %'),
-          education: z.number().describe('교육 예산 %'),
-          welfare: z.number().describe('복지 예산 %'),
-          renewal: z.number().describe('도시재생 예산 %'),
-        }).describe('예산 배분 (합계 100). 생략시 현재 배분 유지.').optional(),
+        budget: budgetInput.optional(),
+        fiscal: fiscalInput.optional(),
       }),
       _meta: { ui: { resourceUri } },
     },
@@ -556,8 +373,8 @@ ${stateText}
         return { content: [{ type: 'text' as const, text: '게임이 시작되지 않았습니다. start_game을 먼저 호출하세요.' }] };
       }
 
-      if (gameState.meta.turn > 48) {
-        return { content: [{ type: 'text' as const, text: '게임이 이미 종료되었습니다. (48턴 완료)' }] };
+      if (gameState.meta.turn > getTotalTurns(gameState)) {
+        return { content: [{ type: 'text' as const, text: `게임이 이미 종료되었습니다. (${getTotalTurns(gameState)}턴 완료)` }] };
       }
 
       // Block if pending event not resolved
@@ -567,51 +384,47 @@ ${stateText}
 
       // Apply budget if provided
       const budget = args.budget as BudgetAllocation | undefined;
+      const fiscal = args.fiscal as { bond?: number; reserveDraw?: number } | undefined;
+      const phase = getBudgetPhase(gameState);
+      const changed = (budget && JSON.stringify({ ...gameState.finance.allocation, ...budget }) !== JSON.stringify(gameState.finance.allocation))
+        || (fiscal?.bond ?? 0) > 0 || (fiscal?.reserveDraw ?? 0) > 0;
+      if (phase === 'locked' && changed) {
+        return { content: [{ type: 'text' as const, text: `${BUDGET_PHASE_TEXT.locked}\nbudget·fiscal 없이 다시 호출하세요.` }] };
+      }
       if (budget) {
         const sum = Object.values(budget).reduce((s, v) => s + (v || 0), 0);
-        if (Math.abs(sum - 100) > 1) {
-          return { content: [{ type: 'text' as const, text: `예산 합계가 100이 아닙니다 (현재: ${sum}). 다시 시도하세요.` }] };
+        if (sum > 101) {
+          return { content: [{ type: 'text' as const, text: `예산 합계가 100을 넘습니다 (현재: ${sum}). 다시 시도하세요.` }] };
         }
-        gameState.finance.allocation = { ...gameState.finance.allocation, ...budget };
       }
 
       // Save history snapshot before tick
-      const totalPop = gameState.dongs.reduce((s, d) => s + d.population, 0);
-      const avgSat = Math.round(gameState.dongs.reduce((s, d) => s + d.satisfaction, 0) / gameState.dongs.length);
-      gameState.history.push({
-        turn: gameState.meta.turn,
-        totalPopulation: totalPop,
-        avgSatisfaction: avgSat,
-        fiscalIndependence: gameState.finance.fiscalIndependence,
-        dongs: gameState.dongs.map(d => ({
-          id: d.id, population: d.population, satisfaction: d.satisfaction, businesses: d.businesses,
-        })),
-      });
+      gameState.history.push(historySnapshot(gameState));
 
       // Run simulation tick
+      // 예산안은 구의회 표결 후 집행 배분(finance.allocation)에 반영된다
       gameState = tick(gameState, {
-        budget: gameState.finance.allocation,
+        budget: budget && { ...gameState.finance.allocation, ...budget },
+        fiscal,
         policies: [],
         eventChoice: null,
-      }, adjacency);
+      }, adjacency, rng);
 
       // Advance turn counter
-      gameState.meta.turn++;
-      gameState.meta.month = ((gameState.meta.turn - 1) % 12) + 1;
-      gameState.meta.year = 2026 + Math.floor((gameState.meta.turn - 1) / 12);
+      setTurn(gameState, gameState.meta.turn + 1);
 
       // Update pledge progress on state (for AI context)
       if (gameState.meta.pledges?.length > 0 && initialState) {
         gameState._pledgeProgress = {};
         for (const id of gameState.meta.pledges) {
-          gameState._pledgeProgress[id] = calcPledgeProgress(id, gameState, initialState);
+          gameState._pledgeProgress[id] = calcProgress(id, gameState, initialState);
         }
       }
 
-      const stateText = formatStateForAI(gameState);
+      const stateText = formatStateForAI(gameState) + formatVotes(gameState.council?.votes ?? []);
 
       // Check game end
-      if (gameState.meta.turn > 48) {
+      if (gameState.meta.turn > getTotalTurns(gameState)) {
         let endText = `# 게임 종료 — 임기 완료!\n\n${stateText}\n\n`;
 
         if (initialState) {
@@ -634,7 +447,22 @@ ${stateText}
           }
 
           endText += `\n---\n총점: KPI ${result.kpiTotal} + 공약 ${result.pledgeTotal} = **${result.total}점 (${result.grade}등급)**`;
-          endText += `\n\n4년간의 마포구 운영을 종합 분석해주세요.`;
+
+          const scenarioResult = evaluateScenario(gameState, initialState);
+          if (scenarioResult) {
+            endText += formatScenarioResult(scenarioResult, '시나리오 결과');
+            endText += `\n\n**${scenarioResult.cleared ? '시나리오 달성' : '시나리오 실패'}**`;
+          }
+          endText += formatEventChainsText(gameState);
+
+          const election = recordElection(gameState, simulateElection(gameState, initialState));
+          endText += formatElectionResult(election);
+          if (canStartNextTerm(gameState)) {
+            endText += `\n\n재선했습니다. 구청장과 새 공약을 정한 뒤 start_next_term으로 ${(gameState.meta.term || 1) + 1}기 임기를 시작할 수 있습니다.`;
+          } else if (election.reelected) {
+            endText += `\n\n연임 제한(${MAX_TERMS}기)으로 이번이 마지막 임기입니다.`;
+          }
+          endText += `\n\n${getCalendar(gameState).termYears}년간의 마포구 운영을 종합 분석해주세요.`;
         }
 
         return {
@@ -646,7 +474,7 @@ ${stateText}
       }
 
       // Check for new event
-      const event = checkEventTriggers(gameState);
+      const event = checkEventTriggers(eventCatalog, gameState, eventTracker, rng);
       let eventText = '';
       if (event) {
         pendingEvent = event;
@@ -690,7 +518,7 @@ ${stateText}
         return {
           content: [{
             type: 'text' as const,
-            text: formatDongDetail(dong),
+            text: formatDongDetail(dong, gameState),
           }],
         };
       }
@@ -748,13 +576,22 @@ ${stateText}
         text += `### ${categoryNames[cat] || cat}\n\n`;
         for (const p of policies) {
           const status = activeIds.has(p.id) ? ' [활성]' : '';
-          const target = p.targetDong
-            ? (Array.isArray(p.targetDong) ? p.targetDong.join(', ') : p.targetDong)
-            : '구 전체';
+          const target = p.targetBlock
+            ? `구획 ${([] as string[]).concat(p.targetBlock).join(', ')}`
+            : p.targetDong
+              ? (Array.isArray(p.targetDong) ? p.targetDong.join(', ') : p.targetDong)
+              : '구 전체';
           const incompatStr = p.incompatible?.length ? ` | 상충: ${p.incompatible.join(', ')}` : '';
-
-          text += `- **${p.name}**${status} (id: \`${p.id}\`)\n`;
-          text += `  비용: ${p.cost}억/월 | 딜레이: ${p.delay}턴 | 지속: ${p.duration === 0 ? '영구' : p.duration + '턴'} | 대상: ${target}${incompatStr}\n`;
+          const missing = getMissingPrerequisites(p, gameState);
+          const prereqStr = p.prerequisites?.length
+            ? ` | 선행: ${p.prerequisites.join(', ')}${missing.length ? ' (미충족)' : ' (충족)'}`
+            : '';
+          const lockedStr = !status && missing.length ? ' [잠김]' : '';
+          const vote = !status && needsCouncilVote(p) ? voteOnPolicy(gameState, p) : null;
+          const councilStr = vote ? ` | 구의회 표결 (예상 찬성 ${vote.yes}/${vote.seats})` : '';
+
+          text += `- **${p.name}**${status}${lockedStr} (id: \`${p.id}\`)\n`;
+          text += `  비용: ${p.cost}억/월 | 딜레이: ${p.delay}턴 | 지속: ${p.duration === 0 ? '영구' : p.duration + '턴'} | 대상: ${target}${prereqStr}${incompatStr}${councilStr}\n`;
           text += `  ${p.description || ''}\n\n`;
         }
       }
@@ -763,6 +600,159 @@ ${stateText}
     },
   );
 
+  // === Tool: preview_turn ===
+  registerAppTool(
+    server,
+    'preview_turn',
+    {
+      title: '다음 턴 미리보기',
+      description: `advance_turn을 같은 budget·fiscal로 호출했을 때의 결과를 게임 상태 사본으로 미리 계산해 현재 대비 구 전체·동별 변화(인구·사업체·만족도·재정자립도 등)와 구의회 표결을 보여줍니다.
+실제 게임에는 영향이 없고, 결정을 바꾸지 않고 advance_turn하면 같은 결과가 나옵니다 (새 이벤트 발생 제외).
+activate·deactivate로 정책을 시행·중단했다고 가정해 볼 수 있습니다 (실제로 시행·중단하지 않음, 고비용 정책은 표결 포함).`,
+      inputSchema: z.object({
+        budget: budgetInput.optional(),
+        fiscal: fiscalInput.optional(),
+        activate: z.array(z.string()).describe('시행한다고 가정할 정책 ID').optional(),
+        deactivate: z.array(z.string()).describe('중단한다고 가정할 시행 중 정책 ID').optional(),
+        dongIds: z.array(z.string()).describe('동별 표에 넣을 동 ID (생략하면 변화가 큰 5개 동)').optional(),
+      }),
+      _meta: { ui: { resourceUri } },
+    },
+    async (args) => {
+      if (!gameState) {
+        return { content: [{ type: 'text' as const, text: '게임이 시작되지 않았습니다. start_game을 먼저 호출하세요.' }] };
+      }
+
+      if (gameState.meta.turn > getTotalTurns(gameState)) {
+        return { content: [{ type: 'text' as const, text: `게임이 이미 종료되었습니다. (${getTotalTurns(gameState)}턴 완료)` }] };
+      }
+
+      const budget = args.budget as BudgetAllocation | undefined;
+      const fiscal = args.fiscal as { bond?: number; reserveDraw?: number } | undefined;
+      if (budget) {
+        const sum = Object.values(budget).reduce((s, v) => s + (v || 0), 0);
+        if (sum > 101) {
+          return { content: [{ type: 'text' as const, text: `예산 합계가 100을 넘습니다 (현재: ${sum}). 다시 시도하세요.` }] };
+        }
+      }
+
+      // 가정한 정책 변경 — 중단한 뒤의 상태에서 선행·상충 판정
+      const deactivate = [...new Set((args.deactivate as string[] | undefined) || [])];
+      const notActive = deactivate.filter(id => !gameState!.activePolicies.some(ap => ap.policy.id === id));
+      if (notActive.length > 0) {
+        return { content: [{ type: 'text' as const, text: `시행 중인 정책이 아닙니다: ${notActive.join(', ')}` }] };
+      }
+      const afterCancel = { ...gameState, activePolicies: gameState.activePolicies.filter(ap => !deactivate.includes(ap.policy.id)) };
+      const policies: PolicyDef[] = [];
+      for (const id of new Set((args.activate as string[] | undefined) || [])) {
+        const policy = policyCatalog.find(p => p.id === id);
+        if (!policy) {
+          return { content: [{ type: 'text' as const, text: `정책을 찾을 수 없습니다: ${id}\nget_policy_catalog로 ID를 확인하세요.` }] };
+        }
+        const blocker = checkPolicyActivation(policy, afterCancel, policies.map(p => p.id));
+        if (blocker) {
+          return { content: [{ type: 'text' as const, text: `${policy.name}: ${describeActivationBlocker(blocker, policyCatalog)}` }] };
+        }
+        policies.push(policy);
+      }
+
+      const dongIds = args.dongIds as string[] | undefined;
+      const unknown = (dongIds || []).filter(id => !gameState!.dongs.some(d => d.id === id));
+      if (unknown.length > 0) {
+        return { content: [{ type: 'text' as const, text: `동을 찾을 수 없습니다: ${unknown.join(', ')}` }] };
+      }
+
+      // advance_turn과 같은 결정·같은 난수 지점에서 한 턴 (rng 상태를 복제하므로 실제 난수 흐름은 그대로)
+      const projection = projectTurn(gameState, {
+        budget: budget && { ...gameState.finance.allocation, ...budget },
+        fiscal,
+        policies,
+        eventChoice: null,
+        deactivate,
+      }, adjacency, { rngState: rng.getState() });
+
+      let text = formatProjection(projection, { dongIds: dongIds?.length ? dongIds : null });
+      if (pendingEvent) {
+        text += `\n\n대응하지 않은 이벤트(${pendingEvent.name})의 선택지 효과는 반영되지 않았습니다.`;
+      }
+      return { content: [{ type: 'text' as const, text }] };
+    },
+  );
+
+  // === Tool: forecast ===
+  registerAppTool(
+    server,
+    'forecast',
+    {
+      title: '다중 턴 전망',
+      description: `지금 예산 배분(또는 budget으로 가정한 배분)을 유지할 때 4·12·24턴 뒤(남은 임기까지)의 총인구·평균 만족도·재정자립도와 공약별 진행률·달성 비율을 시드를 바꿔 여러 번 시뮬레이션해 중앙값과 10~90백분위로 보여줍니다.
+공약이 달성 궤도에 있는지 판단할 때 쓰세요. 이벤트는 실제처럼 발생하고 선택지는 무작위로 가정합니다. 실제 게임에는 영향이 없습니다.`,
+      inputSchema: z.object({
+        budget: budgetInput.optional(),
+        runs: z.number().int().min(4).max(40).describe(`시뮬레이션 횟수 (기본 ${FORECAST_RUNS})`).optional(),
+      }),
+      _meta: { ui: { resourceUri } },
+    },
+    async (args) => {
+      if (!gameState) {
+        return { content: [{ type: 'text' as const, text: '게임이 시작되지 않았습니다. start_game을 먼저 호출하세요.' }] };
+      }
+
+      const budget = args.budget as BudgetAllocation | undefined;
+      if (budget) {
+        const sum = Object.values(budget).reduce((s, v) => s + (v || 0), 0);
+        if (sum > 101) {
+          return { content: [{ type: 'text' as const, text: `예산 합계가 100을 넘습니다 (현재: ${sum}). 다시 시도하세요.` }] };
+        }
+      }
+
+      const result = forecast(gameState, {
+        budget: budget && { ...gameState.finance.allocation, ...budget },
+        policies: [],
+        eventChoice: null,
+      }, adjacency, {
+        runs: args.runs as number | undefined,
+        eventCatalog,
+        eventTracker,
+        initialState,
+      });
+
+      let text = formatForecast(result);
+      if (pendingEvent) {
+        text += `\n\n대응하지 않은 이벤트(${pendingEvent.name})의 선택지 효과는 반영되지 않았습니다.`;
+      }
+      return { content: [{ type: 'text' as const, text }] };
+    },
+  );
+
+  // === Tool: compare_dongs ===
+  registerAppTool(
+    server,
+    'compare_dongs',
+    {
+      title: '동 비교',
+      description: '2~4개 동의 인구 구조·경제·임대료·만족도 구성요소·지지율·월세·교통을 구 평균과 나란히 비교합니다.',
+      inputSchema: z.object({
+        dongIds: z.array(z.string()).min(2).max(4).describe('비교할 동 ID 2~4개'),
+      }),
+      _meta: { ui: { resourceUri } },
+    },
+    async (args) => {
+      if (!gameState) {
+        return { content: [{ type: 'text' as const, text: '게임이 시작되지 않았습니다.' }] };
+      }
+
+      const dongIds = [...new Set(args.dongIds as string[])];
+      const unknown = dongIds.filter(id => !gameState!.dongs.some(d => d.id === id));
+      if (unknown.length > 0) {
+        const available = gameState.dongs.map(d => `${d.id}(${d.name})`).join(', ');
+        return { content: [{ type: 'text' as const, text: `동을 찾을 수 없습니다: ${unknown.join(', ')}\n사용 가능: ${available}` }] };
+      }
+
+      return { content: [{ type: 'text' as const, text: `## 동 비교\n\n${formatDongComparison(gameState, dongIds)}` }] };
+    },
+  );
+
   // === Tool: activate_policy ===
   registerAppTool(
     server,
@@ -771,7 +761,9 @@ ${stateText}
       title: '정책 활성화',
       description: `정책을 활성화합니다. 정책 비용은 매 턴 자유예산에서 차감됩니다.
 get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세요.
-최대 3개 정책을 동시 운영할 수 있습니다.`,
+최대 3개 정책을 동시 운영할 수 있습니다.
+선행 정책이 지정된 정책은 선행 정책이 먼저 시행되어 효과가 발현된 뒤에만 활성화할 수 있습니다.
+월 ${POLICY_COST_THRESHOLD}억원 이상 정책은 구의회 표결을 거치며, 부결되면 시행되지 않습니다.`,
       inputSchema: z.object({
         policyId: z.string().describe('활성화할 정책 ID (예: "econ_startup_hub")'),
       }),
@@ -795,6 +787,12 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
         return { content: [{ type: 'text' as const, text: `이미 활성화된 정책입니다: ${policy.name}` }] };
       }
 
+      // Check prerequisites (선행 정책이 한 번이라도 효과를 냈어야 함)
+      const blocker = checkPolicyActivation(policy, gameState);
+      if (blocker?.reason === 'prerequisite') {
+        return { content: [{ type: 'text' as const, text: `${policy.name}: ${describeActivationBlocker(blocker, policyCatalog)}\n선행 정책을 활성화하고 효과가 발현된 뒤 다시 시도하세요.` }] };
+      }
+
       // Check max 3 policies
       if (gameState.activePolicies.length >= 3) {
         const active = gameState.activePolicies.map(ap => `${ap.policy.name}(${ap.policy.id})`).join(', ');
@@ -811,12 +809,21 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
         }
       }
 
-      // Check budget
-      const currentPolicyCost = gameState.activePolicies.reduce((s, ap) => s + ap.policy.cost, 0);
-      const newTotalCost = currentPolicyCost + policy.cost;
+      // Check budget (정책 비용은 월 기준 → 턴당 자유예산과 비교)
+      const months = getCalendar(gameState).turnMonths;
+      const currentPolicyCost = gameState.activePolicies.reduce((s, ap) => s + ap.policy.cost, 0) * months;
+      const newTotalCost = currentPolicyCost + policy.cost * months;
       const freeBudgetBeforePolicies = gameState.finance.freeBudget + currentPolicyCost;
       if (newTotalCost > freeBudgetBeforePolicies) {
-        return { content: [{ type: 'text' as const, text: `예산이 부족합니다.\n자유예산: ${freeBudgetBeforePolicies}억원\n현재 정책비용: ${currentPolicyCost}억원\n추가 비용: ${policy.cost}억원\n필요: ${newTotalCost}억원` }] };
+        return { content: [{ type: 'text' as const, text: `예산이 부족합니다.\n자유예산: ${freeBudgetBeforePolicies}억원\n현재 정책비용: ${currentPolicyCost}억원\n추가 비용: ${policy.cost * months}억원\n필요: ${newTotalCost}억원` }] };
+      }
+
+      // 구의회 표결 (비용이 큰 정책) — 부결되면 시행하지 않음
+      if (needsCouncilVote(policy)) {
+        const vote = recordVote(gameState, voteOnPolicy(gameState, policy));
+        if (vote.result !== 'passed') {
+          return { content: [{ type: 'text' as const, text: `## 구의회 부결: ${policy.name}\n\n${formatVote(vote)}\n${formatFactionVotes(vote)}\n\n지역구 만족도를 높이거나 교섭단체 선호 분야의 정책으로 다시 시도하세요.` }] };
+        }
       }
 
       // Activate
@@ -835,6 +842,8 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
       const durationText = policy.duration === 0 ? '영구 지속 (해제 가능)' : `${policy.duration}턴 지속`;
 
       let text = `## 정책 활성화: ${policy.name}\n\n`;
+      const lastVote = gameState.council?.votes.at(-1);
+      if (lastVote?.kind === 'policy' && lastVote.id === policy.id) text += `- 구의회: ${formatVote(lastVote)}\n`;
       text += `- 비용: ${policy.cost}억원/월\n`;
       text += `- ${delayText}\n`;
       text += `- ${durationText}\n`;
@@ -886,7 +895,7 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
       const removed = gameState.activePolicies.splice(idx, 1)[0];
 
       // Update finance
-      const newPolicyCost = gameState.activePolicies.reduce((s, ap) => s + ap.policy.cost, 0);
+      const newPolicyCost = gameState.activePolicies.reduce((s, ap) => s + ap.policy.cost, 0) * getCalendar(gameState).turnMonths;
       const freeBudgetBeforePolicies = gameState.finance.freeBudget + (gameState.finance.policyCost || 0);
       gameState.finance.policyCost = newPolicyCost;
       gameState.finance.freeBudget = freeBudgetBeforePolicies - newPolicyCost;
@@ -908,6 +917,97 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
     },
   );
 
+  // === Tool: build_facility ===
+  registerAppTool(
+    server,
+    'build_facility',
+    {
+      title: '시설 건설',
+      description: `구획 슬롯에 공공시설을 착공합니다. 건설비는 공사 기간 동안 나눠서, 완공 후에는 유지비가 매 턴 자유예산에서 차감됩니다.
+완공 시설은 해당 동과 인접 동의 만족도·인구 유입에 지속 효과를 줍니다.
+facilityId 없이 호출하면 시설 목록을, blockId 후보는 get_state(dongId)의 구획 표를 확인하세요.`,
+      inputSchema: z.object({
+        facilityId: z.string().describe('시설 ID (예: "fac_daycare"). 생략시 시설 목록 반환.').optional(),
+        blockId: z.string().describe('구획 ID (예: "mangwon1_B3")').optional(),
+      }),
+      _meta: { ui: { resourceUri } },
+    },
+    async (args) => {
+      if (!gameState) {
+        return { content: [{ type: 'text' as const, text: '게임이 시작되지 않았습니다.' }] };
+      }
+
+      const facilityId = args.facilityId as string | undefined;
+      const blockId = args.blockId as string | undefined;
+
+      if (!facilityId || !blockId) {
+        let text = `## 시설 카탈로그
+
+현재 자유예산: ${gameState.finance.freeBudget}억원
+
+`;
+        for (const f of facilityCatalog) {
+          text += `- **${f.name}** (id: \`${f.id}\`)
+`;
+          text += `  건설비: ${f.cost}억 (${f.buildTurns}턴 분할) | 유지비: ${f.maintenance}억/월 | 구획 유형: ${(f.blockTypes || []).join(', ') || '전체'}
+`;
+          text += `  ${f.description || ''}
+
+`;
+        }
+        return { content: [{ type: 'text' as const, text }] };
+      }
+
+      const facility = facilityCatalog.find(f => f.id === facilityId);
+      if (!facility) {
+        const available = facilityCatalog.map(f => f.id).join(', ');
+        return { content: [{ type: 'text' as const, text: `시설을 찾을 수 없습니다: ${facilityId}
+사용 가능: ${available}` }] };
+      }
+
+      const reason = checkConstruction(facility, blockId, gameState);
+      if (reason) {
+        return { content: [{ type: 'text' as const, text: `착공할 수 없습니다: ${reason}` }] };
+      }
+
+      const perTurn = Math.round(facility.cost / facility.buildTurns);
+      if (perTurn > gameState.finance.freeBudget) {
+        return { content: [{ type: 'text' as const, text: `예산이 부족합니다.
+자유예산: ${gameState.finance.freeBudget}억원
+턴당 건설비: ${perTurn}억원` }] };
+      }
+
+      // 착공 — 건설비는 다음 턴 진행(tick)부터 차감
+      const entry = startConstruction(gameState, facility, blockId)!;
+      const dong = gameState.dongs.find(d => d.id === entry.dongId)!;
+      const block = dong.blocks?.find(b => b.id === blockId);
+
+      let text = `## 착공: ${facility.name}
+
+`;
+      text += `- 위치: ${dong.name} ${block?.name || blockId} (슬롯 ${getUsedSlots(blockId, gameState)}/${block?.slotCapacity ?? '-'})
+`;
+      text += `- 공사: ${facility.buildTurns}턴, 턴당 ${perTurn}억원
+`;
+      text += `- 완공 후 유지비: ${facility.maintenance}억원/월
+
+`;
+      text += `${facility.description || ''}
+
+`;
+
+      const inProgress = gameState.facilities.filter(f => f.status === 'building');
+      text += `### 공사 중 시설 (${inProgress.length})
+`;
+      for (const f of inProgress) {
+        text += `- ${f.facility.name} @ ${f.blockId} (${f.remainTurns}턴 남음)
+`;
+      }
+
+      return { content: [{ type: 'text' as const, text }] };
+    },
+  );
+
   // === Tool: choose_event_option ===
   registerAppTool(
     server,
@@ -943,14 +1043,7 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
       }
 
       // Add to activeEvents for ongoing effects
-      const activeEvent: ActiveEvent = {
-        eventId: pendingEvent.id,
-        choiceId: choiceId,
-        choice: choice,
-        affectedDongs: pendingEvent.affectedDongs || [],
-        totalDuration: choice.duration || 1,
-        remainDuration: choice.duration || 1,
-      };
+      const activeEvent: ActiveEvent = createActiveEvent(pendingEvent, choice);
 
       gameState.activeEvents.push(activeEvent);
 
@@ -966,7 +1059,7 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
       let text = `## 이벤트 대응: ${pendingEvent.name}\n\n`;
       text += `선택: **${choiceName}**\n`;
       if (choiceCost > 0) text += `비용: ${choiceCost}억원\n`;
-      text += `효과 지속: ${choice.duration || 1}턴\n`;
+      text += `효과 지속: ${formatEventDuration(choice.duration)}\n`;
       text += `영향 동: ${dongNames.join(', ')}\n\n`;
 
       // Show effects summary
@@ -995,6 +1088,60 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
     },
   );
 
+  // === Tool: start_next_term ===
+  registerAppTool(
+    server,
+    'start_next_term',
+    {
+      title: '재선 임기 시작',
+      description: `임기 말 선거에서 재선했을 때 새 공약으로 다음 임기를 시작합니다 (최대 ${MAX_TERMS}기).
+턴 번호와 날짜, 도시 상태는 그대로 이어지고, 새 공약 달성도는 이번 임기 시작 상태를 기준으로 평가합니다.`,
+      inputSchema: z.object({
+        pledges: z.array(z.string()).min(1).max(4).describe('새 임기 공약 ID 배열 (1~4개)'),
+      }),
+      _meta: { ui: { resourceUri } },
+    },
+    async (args) => {
+      if (!gameState) {
+        return { content: [{ type: 'text' as const, text: '게임이 시작되지 않았습니다.' }] };
+      }
+
+      const pledgeIds = args.pledges as string[];
+      const pledgeCatalog = getPledgeCatalog(gameState);
+      const invalidIds = pledgeIds.filter(id => !pledgeCatalog.find(p => p.id === id));
+      if (invalidIds.length > 0) {
+        const validIds = pledgeCatalog.map(p => p.id).join(', ');
+        return { content: [{ type: 'text' as const, text: `잘못된 공약 ID: ${invalidIds.join(', ')}\n사용 가능: ${validIds}` }] };
+      }
+
+      try {
+        startNextTerm(gameState, pledgeIds);
+      } catch (err) {
+        return { content: [{ type: 'text' as const, text: (err as Error).message }] };
+      }
+      initialState = JSON.parse(JSON.stringify(gameState));
+
+      const selectedPledges = pledgeIds.map(id => {
+        const p = findPledge(gameState, id)!;
+        return `- **${p.name}**: ${p.desc}`;
+      }).join('\n');
+
+      return {
+        content: [{
+          type: 'text' as const,
+          text: `# ${gameState.meta.term}기 임기 시작
+
+### 새 공약
+${selectedPledges}
+
+${formatStateForAI(gameState)}
+
+[${getTotalTurns(gameState)}턴까지 임기가 이어집니다. 구청장님의 다음 전략을 조언해주세요.]`,
+        }],
+      };
+    },
+  );
+
   // === UI Resource ===
   registerAppResource(
     server,
@@ -1017,7 +1164,7 @@ get_policy_catalog으로 정책 목록을 확인한 후 policyId를 지정하세
 
 // === Formatting Helpers ===
 
-function formatDongDetail(dong: GameState['dongs'][0]): string {
+function formatDongDetail(dong: GameState['dongs'][0], state: GameState): string {
   const chars: Record<string, string> = {
     seogyo: '관광·문화·스타트업', hapjeong: '미디어·카페문화',
     yeonnam: '트렌디·경의선숲길', mangwon1: '로컬브랜드·전통시장',
@@ -1035,19 +1182,139 @@ function formatDongDetail(dong: GameState['dongs'][0]): string {
 - 총인구: ${dong.population.toLocaleString()}명
 - 세대수: ${dong.households.toLocaleString()}
 - 청년(20-34): ${dong.populationByAge.youth.toLocaleString()}명 (${(dong.populationByAge.youth / dong.population * 100).toFixed(1)}%)
-- 고령(65+): ${dong.populationByAge.elderly.toLocaleString()}명 (${(dong.populationByAge.elderly / dong.population * 100).toFixed(1)}%)
+- 고령(65+): ${dong.populationByAge.elderly.toLocaleString()}명 (${(dong.populationByAge.elderly / dong.population * 100).toFixed(1)}%)${dong.vitals ? `
+- 이번 턴 출생 ${dong.vitals.births}명 / 사망 ${dong.vitals.deaths}명` : ''}
 
 ### 경제
 - 사업체: ${dong.businesses.toLocaleString()}개
 - 종사자: ${dong.workers.toLocaleString()}명
 - 상권활력: ${dong.commerceVitality}
 - 임대료압력: ${dong.rentPressure.toFixed(4)}
-- 상권특색: ${dong.commerceCharacter}
+- 상권특색: ${dong.commerceCharacter}${formatLandHousing(dong)}${formatCommute(dong, state)}${formatTransit(dong, state)}
 
-### 만족도: ${dong.satisfaction}
+### 만족도: ${dong.satisfaction}${dong.approval !== undefined ? ` (지지율 ${dong.approval.toFixed(1)}%)` : ''}
 - 경제: ${dong.satisfactionFactors.economy} | 교통: ${dong.satisfactionFactors.transport}
 - 주거: ${dong.satisfactionFactors.housing} | 안전: ${dong.satisfactionFactors.safety}
-- 문화: ${dong.satisfactionFactors.culture} | 복지: ${dong.satisfactionFactors.welfare}`;
+- 문화: ${dong.satisfactionFactors.culture} | 복지: ${dong.satisfactionFactors.welfare}${formatBlocks(dong)}`;
+}
+
+// 선거 결과 — 구 전체 + 득표율 상·하위 동
+function formatElectionResult(election: Election): string {
+  const sorted = [...election.byDong].sort((a, b) => b.voteShare - a.voteShare);
+  const row = (d: Election['byDong'][number]) => `${d.name} ${(d.voteShare * 100).toFixed(1)}%`;
+  return `\n\n### ${election.term}기 구청장 선거\n${formatElection(election)}`
+    + `\n- 강세: ${sorted.slice(0, 3).map(row).join(', ')}`
+    + `\n- 약세: ${sorted.slice(-3).reverse().map(row).join(', ')}`;
+}
+
+const BUDGET_PHASE_TEXT = {
+  annual: '본예산 편성 — 이번 턴 배분이 1년간 집행, 지방채 발행·적립금 인출 가능',
+  supplementary: '추경 가능 — 배분을 바꾸거나 재원을 쓰면 추경(연 1회)',
+  locked: '집행 중 — 배분·재원 변경 불가 (예산 일정 참고)',
+} as const;
+
+function formatFiscal(state: GameState): string {
+  const f = state.finance;
+  return `
+### 재정 운용
+- 예산 단계: ${BUDGET_PHASE_TEXT[getBudgetPhase(state)]}
+- 적립금: ${(f.reserve ?? 0).toLocaleString()}억원 (배분하지 않은 비율이 적립, 지출 초과분을 먼저 충당)${f.deficit ? ` | 적자 ${f.deficit}억원` : ''}
+- 지방채: ${(f.debt ?? 0).toLocaleString()}억원${f.debtService ? ` (원리금 ${f.debtService}억원/턴 의무지출)` : ''} | 추가 발행 한도 ${getBondCapacity(f).toLocaleString()}억원
+- 예산 일정: ${formatBudgetSchedule(state)}${f.seasonalSpend ? ` | 겨울 복지지출 ${f.seasonalSpend}억원 (의무지출)` : ''}`;
+}
+
+function formatCouncil(state: GameState): string {
+  const last = state.council?.log.at(-1);
+  return `
+### 구의회
+- 의석: ${formatCouncilSeats(state)}
+- 표결 대상: 본예산·추경, 월 ${POLICY_COST_THRESHOLD}억원 이상(또는 의회 동의 필요) 정책 — 의원은 지역구 동 만족도와 교섭단체 성향으로 찬반${last ? `
+- 최근 표결: ${last.turn}턴 ${formatVote(last)}` : ''}`;
+}
+
+function formatFactionVotes(vote: CouncilVote): string {
+  return Object.entries(vote.byFaction)
+    .map(([id, v]) => `- ${COUNCIL_FACTIONS[id as CouncilFactionId]?.name ?? id}: 찬성 ${v.yes} · 반대 ${v.no}`)
+    .join('\n');
+}
+
+/**
+ * 이번 틱 구의회 표결 (advance_turn 결과)
+ */
+function formatVotes(votes: CouncilVote[]): string {
+  if (votes.length === 0) return '';
+  let text = '\n\n### 구의회 표결';
+  for (const vote of votes) {
+    text += `\n- ${formatVote(vote)}`;
+    if (vote.amendments) {
+      text += ` — 수정: ${Object.entries(vote.amendments).map(([cat, d]) => `${cat} ${d > 0 ? '+' : ''}${d}%p`).join(', ')}`;
+    }
+    if (vote.result === 'rejected') text += vote.kind === 'budget' ? ' — 기존 확정 배분으로 집행' : ' — 시행되지 않음';
+  }
+  return text;
+}
+
+function formatLandHousing(dong: GameState['dongs'][0]): string {
+  if (!dong.landValue || !dong.housing) return '';
+  const stock = dong.buildingStock;
+  const fc = dong.facilityCounts;
+  return `
+
+### 토지·주거
+- 공시지가: ${dong.landValue.avgPerSqm.toLocaleString()}만원/㎡ (구 평균 대비 ${dong.landValue.index.toFixed(2)})
+- 주택: ${formatUnits(dong.housing.units)} (공가율 ${(dong.housing.vacancyRate * 100).toFixed(1)}%, 수용 인구 ${dong.housing.capacity.toLocaleString()}명)
+- 평균 월세: ${dong.housing.avgRent}만원${dong.housing.displacedTotal ? ` | 재개발 강제이주 누적 ${dong.housing.displacedTotal.toLocaleString()}명` : ''}${dong.housing.pipeline?.length ? ` | 재건축 중 ${dong.housing.pipeline.reduce((s, p) => s + p.units, 0).toLocaleString()}호` : ''}${stock ? `
+- 건물: ${stock.buildings.toLocaleString()}동, 평균 ${stock.avgFloors}층 (저층 ${Math.round(stock.lowRiseRatio * 100)}% / 고층 ${Math.round(stock.highRiseRatio * 100)}%)` : ''}${fc ? `
+- 주요 시설: 역 ${fc.transit} · 시장 ${fc.market} · 공원 ${fc.park} · 문화 ${fc.culture} · 학교 ${fc.school} · 업무 ${fc.office}` : ''}
+- 간선도로 밀도: ${dong.roadDensity ?? 1} (구 평균 1)`;
+}
+
+function formatCommute(dong: GameState['dongs'][0], state: GameState): string {
+  if (!dong.commute) return '';
+  const name = (id: string) => id === EXTERNAL ? '구 밖' : state.dongs.find(d => d.id === id)?.name ?? id;
+  const top = (direction: 'in' | 'out') => getCommuteLinks(state, dong.id, direction).slice(0, 3)
+    .map(l => `${name(direction === 'in' ? l.from : l.to)} ${l.flow.toLocaleString()}명 (부하 ${l.load.toFixed(2)})`).join(', ');
+  const c = dong.commute;
+  return `
+
+### 통근 (평일 낮)
+- 유입 ${c.inbound.toLocaleString()}명 / 유출 ${c.outbound.toLocaleString()}명 (순 ${c.net >= 0 ? '+' : ''}${c.net.toLocaleString()}, 지난 턴 대비 ${c.netChange >= 0 ? '+' : ''}${c.netChange.toLocaleString()})
+- 통근 혼잡도: ${c.congestion.toFixed(2)} (링크 용량 대비, 0.9 초과 시 교통 만족도 하락)
+- 주요 출발지: ${top('in')}
+- 주요 도착지: ${top('out')}`;
+}
+
+function formatTransit(dong: GameState['dongs'][0], state: GameState): string {
+  const t = state.transit;
+  if (!t || dong.accessibility === undefined) return '';
+  const avg = state.dongs.reduce((s, d) => s + getAccessibility(d), 0) / state.dongs.length;
+  const stations = Object.entries(t.stations).filter(([, st]) => st.dongId === dong.id);
+  const lines = [...new Set(stations.flatMap(([, st]) => st.lines))];
+  return `
+
+### 지하철
+- 교통 접근성: ${dong.accessibility.toFixed(1)} (구 평균 ${avg.toFixed(1)} — 교통 만족도·전입·상권 수요에 반영)
+- 동 내 역: ${stations.length ? stations.map(([name, st]) => `${name}(${st.lines.join('·')}) ${st.ridership.toLocaleString()}명/일`).join(', ') : '없음 (인접 동 역 이용)'}${lines.length ? `
+- 노선 부하: ${lines.map(l => `${l} ${(t.lines[l].load ?? 0).toFixed(2)}`).join(', ')} (1 초과 시 접근성 하락)` : ''}`;
+}
+
+function formatUnits(units: HousingUnits): string {
+  const total = units.apt + units.villa + units.oneRoom + units.public;
+  return `${total.toLocaleString()}호 (아파트 ${units.apt.toLocaleString()} · 빌라 ${units.villa.toLocaleString()} · 원룸 ${units.oneRoom.toLocaleString()} · 공공임대 ${units.public.toLocaleString()})`;
+}
+
+function formatBlocks(dong: GameState['dongs'][0]): string {
+  if (!dong.blocks?.length) return '';
+  const lines = [
+    '', '', '### 구획',
+    '| 구획 | 유형 | 사업체 | 임대료압력 | 만족도 | 시설 슬롯 |', '|---|---|---|---|---|---|',
+  ];
+  for (const b of dong.blocks) {
+    const conflict = b.zoningConflict ? ' ⚠용도갈등' : '';
+    const slots = `${getUsedSlots(b.id, gameState!)}/${b.slotCapacity}`;
+    lines.push(`| ${b.name} (\`${b.id}\`)${conflict} | ${b.type} | ${Math.round(b.businesses).toLocaleString()} | ${b.rentPressure.toFixed(4)} | ${b.satisfaction} | ${slots} |`);
+  }
+  return lines.join('\n');
 }
 
 function formatAllDongs(state: GameState): string {
@@ -42,6 +42,7 @@ interface GameState {
 
 // === State ===
 let gameState: GameState | null = null;
+let turnProgress = { turn: 1, total: 48 }; // get_state 헤더에서 파싱 (턴 길이에 따라 48 또는 16턴)
 let app: InstanceType<typeof App>;
 
 // === DOM Elements ===
@@ -78,7 +79,7 @@ btnEndTurn.addEventListener('click', async () => {
     await refreshState();
 
     // Check if game ended
-    if (gameState && gameState.meta.turn > 48) {
+    if (turnProgress.turn > turnProgress.total) {
       showGameOver();
     }
   } catch (err) {
@@ -114,14 +115,11 @@ async function refreshState() {
 // === Parse State from Markdown Text ===
 // Extracts key numbers from the formatted markdown state
 function parseAndUpdateState(text: string) {
-  // Extract turn info
-  const turnMatch = text.match(/(\d+)\/48턴/);
-  const yearMatch = text.match(/(\d{4})년\s+(\d{1,2})월/);
-  if (turnMatch && yearMatch) {
-    const turn = parseInt(turnMatch[1]);
-    const year = parseInt(yearMatch[1]);
-    const month = parseInt(yearMatch[2]);
-    turnInfoEl.textContent = `${year}년 ${month}월 (${turn}/48턴)`;
+  // Extract turn info — "## 2026년 1월 · 겨울 (1/48턴, ...)" / "## 2026년 1분기 · 겨울 (1/16턴, ...)"
+  const turnMatch = text.match(/##\s+(\d{4}년\s+[^·(]+?)\s+·\s+\S+\s+\((\d+)\/(\d+)턴/);
+  if (turnMatch) {
+    turnProgress = { turn: parseInt(turnMatch[2]), total: parseInt(turnMatch[3]) };
+    turnInfoEl.textContent = `${turnMatch[1]} (${turnProgress.turn}/${turnProgress.total}턴)`;
   }
 
   // Extract summary numbers
@@ -209,7 +207,7 @@ function updateDongList(dongs: Array<{ name: string; population: number; satisfa
 function showGameOver() {
   const overlay = document.getElementById('game-over')!;
   const text = document.getElementById('game-over-text')!;
-  text.textContent = '48턴이 완료되었습니다. 호스트 AI에게 최종 결과를 물어보세요.';
+  text.textContent = `${turnProgress.total}턴이 완료되었습니다. 호스트 AI에게 최종 결과를 물어보세요.`;
   overlay.classList.add('visible');
   btnEndTurn.disabled = true;
 }
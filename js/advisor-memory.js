@@ -0,0 +1,226 @@
+/**
+ * advisor-memory.js — 자문관 전략 메모 (임기 동안 유지하는 목표 · 약속 · 교훈)
+ *
+ * 대화 기록은 최근 몇 턴만 프롬프트에 들어가므로, 오래 지켜야 할 판단은 여기에 따로 적어 시스템 메시지에 요약해 넣는다.
+ * 자문관은 update_memory 도구로 쓰고 (도구가 없는 백엔드는 advisor.js가 브리핑 때 구의회 부결을 교훈으로 남긴다),
+ * 구청장님은 채팅 패널의 전략 메모에서 보고 고친다. 세이브에는 advisor.js getAdvisorSaveData()로 함께 저장된다.
+ */
+
+// === Constants ===
+export const MEMORY_SECTIONS = { goals: '목표', commitments: '약속', lessons: '교훈' };
+
+export const MEMORY_TEXT_LIMIT = 120; // 메모 한 줄 최대 글자 수
+
+const SECTION_LIMIT = 8; // 분류별 메모 수 — 넘으면 자문관이 쓴 오래된 메모부터 밀려난다
+
+const SOURCE_LABELS = { advisor: '자문관', player: '구청장' };
+
+// === State ===
+let memory = createMemory();
+let getTurn = () => 1;
+
+function createMemory() {
+  return { nextId: 1, goals: [], commitments: [], lessons: [] };
+}
+
+/**
+ * 전략 메모 초기화 + 채팅 패널 메모 UI 연결 (advisor.js initAdvisor)
+ * @param {Object} options
+ *   - getTurn: 현재 턴 (구청장님이 추가한 메모에 기록)
+ */
+export function initAdvisorMemory(options) {
+  getTurn = options.getTurn;
+  memory = createMemory();
+
+  document.getElementById('btn-memory')?.addEventListener('click', () => {
+    const panel = document.getElementById('advisor-memory');
+    if (panel) panel.hidden = !panel.hidden;
+  });
+  document.getElementById('memory-add')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('memory-input');
+    const section = document.getElementById('memory-section')?.value;
+    if (!input?.value.trim() || !MEMORY_SECTIONS[section]) return;
+    addEntry(section, input.value, 'player', getTurn());
+    input.value = '';
+    renderMemory();
+  });
+
+  const list = document.getElementById('memory-list');
+  list?.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('memory-text')) return;
+    editEntry(e.target.closest('.memory-entry')?.dataset.id, e.target.value);
+    renderMemory();
+  });
+  list?.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('memory-remove')) return;
+    removeEntry(e.target.closest('.memory-entry')?.dataset.id);
+    renderMemory();
+  });
+
+  renderMemory();
+}
+
+/**
+ * 세이브용 사본
+ * @returns {{ nextId: number, goals: Object[], commitments: Object[], lessons: Object[] }}
+ */
+export function getMemorySaveData() {
+  return JSON.parse(JSON.stringify(memory));
+}
+
+/**
+ * 세이브에서 복원 (메모 도입 이전 세이브는 빈 메모, 형식이 맞지 않는 메모는 버린다)
+ * @param {Object|undefined} data - getMemorySaveData() 결과
+ */
+export function restoreMemory(data) {
+  memory = createMemory();
+  const seen = new Set();
+  for (const section of Object.keys(MEMORY_SECTIONS)) {
+    const saved = Array.isArray(data?.[section]) ? data[section] : [];
+    memory[section] = saved.map(restoreEntry)
+      .filter(entry => entry && !seen.has(entry.id) && seen.add(entry.id))
+      .slice(-SECTION_LIMIT);
+  }
+  const ids = Object.keys(MEMORY_SECTIONS).flatMap(s => memory[s]).map(entry => Number(entry.id.slice(1)));
+  memory.nextId = Math.max(Number.isInteger(data?.nextId) ? data.nextId : 1, ...ids.map(id => id + 1));
+  renderMemory();
+}
+
+/**
+ * 메모 추가 · 삭제 (update_memory 도구, 규칙 기반 교훈)
+ * @param {Object} changes
+ *   - add: [{ section: 'goals'|'commitments'|'lessons', text }]
+ *   - remove: 지울 메모 ID ['m3', ...]
+ * @param {Object} options - source ('advisor'|'player'), turn
+ * @returns {string} 처리 결과 문구 (도구 결과로 모델에게 돌려준다)
+ */
+export function updateMemory(changes, options) {
+  const lines = [];
+  for (const id of changes?.remove || []) {
+    const entry = removeEntry(id);
+    lines.push(entry ? `삭제: [${id}] ${entry.text}` : `없는 메모 ID입니다: ${id}`);
+  }
+  for (const item of changes?.add || []) {
+    if (!MEMORY_SECTIONS[item?.section]) {
+      lines.push(`알 수 없는 분류입니다: ${item?.section} (${Object.keys(MEMORY_SECTIONS).join(' · ')})`);
+      continue;
+    }
+    const text = cleanText(item.text);
+    if (!text) continue;
+    const existing = memory[item.section].find(entry => entry.text === text);
+    if (existing) {
+      lines.push(`이미 있는 메모입니다: [${existing.id}]`);
+      continue;
+    }
+    const entry = addEntry(item.section, text, options.source, options.turn);
+    lines.push(entry
+      ? `기록: [${entry.id}] ${MEMORY_SECTIONS[item.section]} — ${entry.text}`
+      : `${MEMORY_SECTIONS[item.section]} 메모가 구청장님이 쓴 것으로 가득 찼습니다 (${SECTION_LIMIT}개). 지울 메모를 구청장님께 여쭤보세요.`);
+  }
+  renderMemory();
+  return lines.length > 0 ? lines.join('\n') : '바뀐 메모가 없습니다.';
+}
+
+/**
+ * 시스템 메시지용 요약
+ * @param {boolean} [withTool] - update_memory 도구를 줄 때 (메모가 비어 있어도 기록 안내를 넣는다)
+ * @returns {string} 메모가 없고 도구도 없으면 ''
+ */
+export function formatMemoryForPrompt(withTool = false) {
+  const sections = Object.entries(MEMORY_SECTIONS).filter(([section]) => memory[section].length > 0);
+  if (sections.length === 0 && !withTool) return '';
+
+  const lines = ['## 전략 메모 (임기 동안 유지 — 구청장님이 쓰거나 고친 메모를 우선)'];
+  for (const [section, label] of sections) {
+    lines.push(`${label}:`);
+    for (const entry of memory[section]) {
+      lines.push(`- [${entry.id}] ${entry.text} (${entry.turn}턴 · ${SOURCE_LABELS[sourceOf(entry)]})`);
+    }
+  }
+  if (sections.length === 0) lines.push('(아직 없음)');
+  lines.push('메모와 다른 제안을 할 때는 이유를 밝히세요.');
+  if (withTool) {
+    lines.push('구청장님과 합의한 목표, 자문관이 한 약속(예: 몇 턴 뒤 다시 점검), 지난 턴 결과에서 얻은 교훈은 update_memory로 한 줄씩 기록하고, '
+      + '이루었거나 더는 맞지 않는 메모는 지우세요. 메모를 고친 사실은 답변에 언급하지 않습니다.');
+  }
+  return lines.join('\n');
+}
+
+// === Entries ===
+
+function addEntry(section, text, source, turn) {
+  const list = memory[section];
+  if (list.length >= SECTION_LIMIT) {
+    const oldest = list.findIndex(entry => entry.source === 'advisor');
+    if (oldest >= 0) list.splice(oldest, 1);
+    else if (source === 'advisor') return null;
+  }
+  const entry = { id: `m${memory.nextId++}`, text: cleanText(text), turn, source };
+  list.push(entry);
+  return entry;
+}
+
+// 구청장님이 고친 메모는 구청장님 메모가 된다
+function editEntry(id, text) {
+  const entry = findEntry(id);
+  const cleaned = cleanText(text);
+  if (!entry || !cleaned) return;
+  entry.text = cleaned;
+  entry.source = 'player';
+}
+
+function removeEntry(id) {
+  for (const section of Object.keys(MEMORY_SECTIONS)) {
+    const index = memory[section].findIndex(entry => entry.id === id);
+    if (index >= 0) return memory[section].splice(index, 1)[0];
+  }
+  return null;
+}
+
+function findEntry(id) {
+  return Object.keys(MEMORY_SECTIONS).flatMap(section => memory[section]).find(entry => entry.id === id) || null;
+}
+
+// 세이브 파일은 검증 없이 들어올 수 있다 — ID · 내용 · 턴이 맞지 않으면 null
+function restoreEntry(entry) {
+  if (typeof entry?.id !== 'string' || !/^m\d+$/.test(entry.id)) return null;
+  if (typeof entry.text !== 'string' || !Number.isInteger(entry.turn)) return null;
+  const text = cleanText(entry.text);
+  if (!text) return null;
+  return { id: entry.id, text, turn: entry.turn, source: sourceOf(entry) };
+}
+
+function cleanText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim().slice(0, MEMORY_TEXT_LIMIT);
+}
+
+// === Panel ===
+
+function renderMemory() {
+  const count = Object.keys(MEMORY_SECTIONS).reduce((s, section) => s + memory[section].length, 0);
+  const countEl = document.getElementById('memory-count');
+  if (countEl) countEl.textContent = count;
+
+  const list = document.getElementById('memory-list');
+  if (!list) return;
+  list.innerHTML = Object.entries(MEMORY_SECTIONS).map(([section, label]) => `
+    <div class="memory-section">
+      <div class="memory-title">${label}</div>
+      ${memory[section].length === 0 ? '<div class="memory-empty">없음</div>' : memory[section].map(entry => `
+        <div class="memory-entry" data-id="${escapeHtml(entry.id)}">
+          <input class="memory-text" value="${escapeHtml(entry.text)}" maxlength="${MEMORY_TEXT_LIMIT}" title="고치면 구청장님 메모가 됩니다">
+          <span class="memory-meta ${sourceOf(entry)}">${escapeHtml(entry.turn)}턴 · ${SOURCE_LABELS[sourceOf(entry)]}</span>
+          <button class="memory-remove" title="삭제">×</button>
+        </div>`).join('')}
+    </div>`).join('');
+}
+
+// 알 수 없는 작성자는 자문관으로 (세이브 파일은 검증 없이 들어올 수 있다)
+function sourceOf(entry) {
+  return SOURCE_LABELS[entry.source] ? entry.source : 'advisor';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,346 @@
+/**
+ * advisor-tools.js — 자문관 도구 호출 (시뮬레이션 직접 조회)
+ *
+ * 조회 도구 이름은 MCP 서버(ai-mapo-mcp)와 같다: get_state · get_policy_catalog · compare_dongs · preview_turn · forecast
+ * update_memory는 브라우저 자문관 전용 — 전략 메모(advisor-memory.js)에 목표·약속·교훈을 적는다.
+ * parameters는 JSON Schema — advisor.js가 백엔드 형식(Anthropic input_schema, OpenAI/Ollama function,
+ * Gemini functionDeclarations)으로 감싼다. 도구 결과는 모두 문자열 (오류도 문구로 돌려줘 모델이 고쳐 부르게 한다).
+ *
+ * preview_turn의 기준 결정과 forecast의 첫 턴은 지금 화면에서 고른 예산·정책·시설·이벤트 선택 (main.js가 initAdvisorTools로 넘긴다).
+ */
+
+import { getPolicyCatalog, getSelectedPolicies } from './policy.js';
+import { runForecast } from './forecast.js';
+import { MEMORY_SECTIONS, MEMORY_TEXT_LIMIT, updateMemory } from './advisor-memory.js';
+import {
+  checkPolicyActivation, describeActivationBlocker, getMissingPrerequisites, needsCouncilVote, voteOnPolicy,
+  getAccessibility, formatDongComparison, previewTurn, formatPreview, PREVIEW_MAX_TURNS, formatForecast,
+} from './engine/index.js';
+
+// === Constants ===
+const BUDGET_CATEGORIES = ['economy', 'transport', 'culture', 'environment', 'education', 'welfare', 'renewal'];
+
+const CATEGORY_NAMES = {
+  economy: '경제·일자리', transport: '교통', culture: '문화·관광',
+  environment: '환경·안전', education: '교육', welfare: '복지', renewal: '도시재생',
+};
+
+// === State ===
+let adjacency = {};
+let getPlayerActions = () => ({});
+
+/**
+ * 미리보기에 필요한 데이터 연결 (main.js 초기화 시)
+ * @param {Object} options
+ *   - adjacency: adjacency.json의 adjacency
+ *   - getPlayerActions: 지금 화면에서 고른 결정 (tick playerActions 형식)을 돌려주는 함수
+ */
+export function initAdvisorTools(options) {
+  adjacency = options.adjacency || {};
+  getPlayerActions = options.getPlayerActions || (() => ({}));
+}
+
+/**
+ * 도구 정의 — 동 ID는 현재 상태의 16개 동으로 제한
+ * @returns {{ name: string, description: string, parameters: Object }[]}
+ */
+export function getAdvisorTools(state) {
+  const dongId = {
+    type: 'string',
+    enum: state.dongs.map(d => d.id),
+    description: `동 ID (${state.dongs.map(d => `${d.id}=${d.name}`).join(', ')})`,
+  };
+  const policyIds = { type: 'array', items: { type: 'string' } };
+  return [
+    {
+      name: 'get_state',
+      description: '현재 게임 상태를 조회합니다. dongId를 주면 그 동의 인구·경제·주거·통근·만족도 상세, 생략하면 16개 동 현황표.',
+      parameters: { type: 'object', properties: { dongId: { ...dongId, description: `특정 동 ID (선택). 생략시 전체 요약. ${dongId.description}` } } },
+    },
+    {
+      name: 'get_policy_catalog',
+      description: '활성화 가능한 정책 목록을 카테고리별로 반환합니다. 비용, 대상 동, 딜레이, 선행·상충 정책, 구의회 표결 예상을 확인할 수 있습니다.',
+      parameters: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: BUDGET_CATEGORIES, description: '카테고리 필터. 생략시 전체.' },
+        },
+      },
+    },
+    {
+      name: 'compare_dongs',
+      description: '2~4개 동의 인구 구조·경제·임대료·만족도 구성요소·지지율·월세·교통을 구 평균과 나란히 비교합니다.',
+      parameters: {
+        type: 'object',
+        properties: { dongIds: { type: 'array', items: dongId, description: '비교할 동 ID 2~4개' } },
+        required: ['dongIds'],
+      },
+    },
+    {
+      name: 'preview_turn',
+      description: '구청장님이 지금 고른 결정(기준)과, 여기서 일부를 바꾼 대안을 같은 난수로 시뮬레이션해 '
+        + `구 전체·동별 결과 차이를 보여줍니다 (1~${PREVIEW_MAX_TURNS}턴 뒤). 실제 게임에는 영향이 없습니다. 새 이벤트 발생은 포함하지 않습니다.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          budget: {
+            type: 'object',
+            description: '바꿀 예산 배분 (%, 적은 분야만 변경 — 합계 100 이하). 예산 집행 중인 턴에는 반영되지 않습니다.',
+            properties: Object.fromEntries(BUDGET_CATEGORIES.map(c => [c, { type: 'number', description: CATEGORY_NAMES[c] }])),
+          },
+          activate: { ...policyIds, description: '추가로 시행할 정책 ID' },
+          deactivate: { ...policyIds, description: '중단할 시행 중 정책 ID' },
+          turns: { type: 'integer', description: `몇 턴 뒤까지 볼지 (1~${PREVIEW_MAX_TURNS}, 기본 1)` },
+          dongIds: { type: 'array', items: dongId, description: '동별 표에 넣을 동 (생략하면 차이가 큰 동)' },
+        },
+      },
+    },
+    {
+      name: 'forecast',
+      description: '지금 결정 후 예산 배분을 유지할 때 4·12·24턴 뒤(남은 임기까지) 총인구·평균 만족도·재정자립도와 공약별 진행률·달성 비율을 '
+        + '여러 시드로 시뮬레이션해 중앙값과 10~90백분위로 보여줍니다. 공약이 달성 궤도에 있는지 판단할 때 쓰세요. 실제 게임에는 영향이 없습니다.',
+      parameters: { type: 'object', properties: {} },
+    },
+    {
+      name: 'update_memory',
+      description: '전략 메모에 목표·약속·교훈을 기록하거나 지웁니다. 메모는 임기 내내 시스템 메시지에 들어가고 구청장님도 보고 고칠 수 있습니다. '
+        + '구청장님과 합의한 목표, 자문관이 한 약속, 지난 턴 결과에서 얻은 교훈을 짧게 남기세요.',
+      parameters: {
+        type: 'object',
+        properties: {
+          add: {
+            type: 'array',
+            description: '새 메모',
+            items: {
+              type: 'object',
+              properties: {
+                section: {
+                  type: 'string',
+                  enum: Object.keys(MEMORY_SECTIONS),
+                  description: Object.entries(MEMORY_SECTIONS).map(([k, v]) => `${k}=${v}`).join(', '),
+                },
+                text: { type: 'string', description: `메모 한 줄 (${MEMORY_TEXT_LIMIT}자 이내)` },
+              },
+              required: ['section', 'text'],
+            },
+          },
+          remove: { type: 'array', items: { type: 'string' }, description: '지울 메모 ID (시스템 메시지의 m1, m2 …)' },
+        },
+      },
+    },
+  ];
+}
+
+/**
+ * 도구 실행
+ * @param {string} name
+ * @param {Object} args - 모델이 넘긴 인자
+ * @param {Object} state - 현재 gameState (변경하지 않음)
+ * @returns {Promise<string>} 모델에게 돌려줄 결과
+ */
+export async function runAdvisorTool(name, args, state) {
+  try {
+    switch (name) {
+      case 'get_state': return toolGetState(args, state);
+      case 'get_policy_catalog': return toolPolicyCatalog(args, state);
+      case 'compare_dongs': return toolCompareDongs(args, state);
+      case 'preview_turn': return toolPreviewTurn(args, state);
+      case 'forecast': return await toolForecast(state);
+      case 'update_memory': return updateMemory(args, { source: 'advisor', turn: state.meta.turn });
+      default: return `알 수 없는 도구입니다: ${name}`;
+    }
+  } catch (err) {
+    console.warn(`[AdvisorTools] ${name} failed:`, err);
+    return `도구 실행 중 오류가 발생했습니다: ${err.message}`;
+  }
+}
+
+/**
+ * 채팅창 진행 표시용 도구 호출 설명 — "동 상세 조회: 서교동"
+ */
+export function describeToolCall(call, state) {
+  const names = ids => (ids || []).map(id => state.dongs.find(d => d.id === id)?.name || id).join(' · ');
+  switch (call.name) {
+    case 'get_state': return call.args?.dongId ? `동 상세 조회: ${names([call.args.dongId])}` : '동별 현황 조회';
+    case 'get_policy_catalog': return '정책 카탈로그 조회';
+    case 'compare_dongs': return `동 비교: ${names(call.args?.dongIds)}`;
+    case 'preview_turn': return '결정 미리보기 시뮬레이션';
+    case 'forecast': return '다중 턴 전망 시뮬레이션';
+    case 'update_memory': return '전략 메모 정리';
+    default: return call.name;
+  }
+}
+
+// === Tools ===
+function toolGetState(args, state) {
+  if (!args?.dongId) return formatAllDongs(state);
+  const dong = state.dongs.find(d => d.id === args.dongId);
+  if (!dong) return `동을 찾을 수 없습니다: ${args.dongId}\n사용 가능: ${availableDongs(state)}`;
+  return formatDongDetail(dong, state);
+}
+
+function toolPolicyCatalog(args, state) {
+  const catalog = getPolicyCatalog();
+  const filtered = args?.category ? catalog.filter(p => p.category === args.category) : catalog;
+  const activeIds = new Set((state.activePolicies || []).map(ap => ap.policy.id));
+  const selectedIds = new Set(getSelectedPolicies().map(p => p.id));
+
+  const lines = [
+    '## 정책 카탈로그', '',
+    `현재 자유예산: ${state.finance.freeBudget}억원`,
+    `활성 정책 비용: ${(state.activePolicies || []).reduce((s, ap) => s + ap.policy.cost, 0)}억원/월`,
+  ];
+  for (const category of BUDGET_CATEGORIES) {
+    const policies = filtered.filter(p => p.category === category);
+    if (policies.length === 0) continue;
+    lines.push('', `### ${CATEGORY_NAMES[category]}`);
+    for (const p of policies) {
+      const status = activeIds.has(p.id) ? ' [활성]' : selectedIds.has(p.id) ? ' [이번 턴 선택]' : '';
+      const missing = getMissingPrerequisites(p, state);
+      const locked = !status && missing.length ? ' [잠김]' : '';
+      const prereq = p.prerequisites?.length ? ` | 선행: ${p.prerequisites.join(', ')}${missing.length ? ' (미충족)' : ' (충족)'}` : '';
+      const incompat = p.incompatible?.length ? ` | 상충: ${p.incompatible.join(', ')}` : '';
+      const vote = !status && needsCouncilVote(p) ? voteOnPolicy(state, p) : null;
+      const council = vote ? ` | 구의회 표결 (예상 찬성 ${vote.yes}/${vote.seats})` : '';
+      lines.push(`- ${p.name}${status}${locked} (id: ${p.id})`);
+      lines.push(`  비용: ${p.cost}억/월 | 딜레이: ${p.delay}턴 | 지속: ${p.duration === 0 ? '영구' : `${p.duration}턴`} | 대상: ${formatTarget(p)}${prereq}${incompat}${council}`);
+      if (p.description) lines.push(`  ${p.description}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function toolCompareDongs(args, state) {
+  const ids = [...new Set(args?.dongIds || [])];
+  const unknown = ids.filter(id => !state.dongs.some(d => d.id === id));
+  if (unknown.length) return `동을 찾을 수 없습니다: ${unknown.join(', ')}\n사용 가능: ${availableDongs(state)}`;
+  if (ids.length < 2 || ids.length > 4) return '비교할 동을 2~4개 지정하세요.';
+  return formatDongComparison(state, ids);
+}
+
+function toolPreviewTurn(args, state) {
+  const base = getPlayerActions();
+  const catalog = getPolicyCatalog();
+  const activeIds = (state.activePolicies || []).map(ap => ap.policy.id);
+
+  const deactivate = [...new Set(args?.deactivate || [])];
+  const notActive = deactivate.filter(id => !activeIds.includes(id));
+  if (notActive.length) return `시행 중인 정책이 아닙니다: ${notActive.join(', ')}`;
+
+  // 중단한 뒤의 상태에서 선행·상충 판정
+  const afterCancel = { ...state, activePolicies: (state.activePolicies || []).filter(ap => !deactivate.includes(ap.policy.id)) };
+  const policies = [...(base.policies || [])];
+  for (const id of new Set(args?.activate || [])) {
+    const policy = catalog.find(p => p.id === id);
+    if (!policy) return `정책을 찾을 수 없습니다: ${id} (get_policy_catalog로 ID를 확인하세요)`;
+    if (policies.some(p => p.id === id)) continue;
+    const blocker = checkPolicyActivation(policy, afterCancel, policies.map(p => p.id));
+    if (blocker) return `${policy.name}: ${describeActivationBlocker(blocker, catalog)}`;
+    policies.push(policy);
+  }
+
+  const budget = { ...base.budget };
+  for (const [category, value] of Object.entries(args?.budget || {})) {
+    if (!BUDGET_CATEGORIES.includes(category)) return `알 수 없는 예산 분야입니다: ${category} (${BUDGET_CATEGORIES.join(', ')})`;
+    budget[category] = Math.max(0, Math.round(Number(value) || 0));
+  }
+  const total = Object.values(budget).reduce((s, v) => s + v, 0);
+  if (total > 100) return `예산 합계가 ${total}%입니다. 100% 이하로 다시 지정하세요.`;
+
+  const variant = { ...base, budget, policies, deactivate };
+  const result = previewTurn(state, base, variant, adjacency, { turns: args?.turns });
+  return `${describeVariant(base, variant, catalog, state)}\n\n${formatPreview(result, { dongIds: args?.dongIds?.length ? args.dongIds : null })}`;
+}
+
+async function toolForecast(state) {
+  const actions = getPlayerActions();
+  const total = Object.values(actions.budget || {}).reduce((s, v) => s + v, 0);
+  if (total > 100) return `지금 예산 합계가 ${total}%라 전망할 수 없습니다. 구청장님께 100% 이하로 조정을 권하세요.`;
+  return formatForecast(await runForecast(state, actions));
+}
+
+// === Formatting ===
+
+// 기준 결정 대비 대안에서 바뀐 것 — "대안: 예산 경제 15→25% · 시행 +X · 중단 −Y"
+function describeVariant(base, variant, catalog, state) {
+  const name = id => catalog.find(p => p.id === id)?.name
+    || (state.activePolicies || []).find(ap => ap.policy.id === id)?.policy.name || id;
+  const budget = BUDGET_CATEGORIES
+    .filter(c => (variant.budget[c] ?? 0) !== (base.budget?.[c] ?? 0))
+    .map(c => `${CATEGORY_NAMES[c]} ${base.budget?.[c] ?? 0}→${variant.budget[c]}%`);
+  const added = variant.policies.filter(p => !(base.policies || []).some(b => b.id === p.id)).map(p => p.name);
+  const parts = [
+    budget.length ? `예산 ${budget.join(', ')}` : '',
+    added.length ? `시행 ${added.join(', ')}` : '',
+    variant.deactivate.length ? `중단 ${variant.deactivate.map(name).join(', ')}` : '',
+  ].filter(Boolean);
+  const plan = [
+    (base.policies || []).length ? `정책 ${base.policies.map(p => p.name).join(', ')}` : '',
+    (base.constructions || []).length ? `시설 ${base.constructions.length}건` : '',
+    base.eventChoice ? `이벤트 선택 ${base.eventChoice.choice?.name || base.eventChoice.choiceId}` : '',
+  ].filter(Boolean);
+  return `기준: 구청장님이 지금 고른 결정${plan.length ? ` (${plan.join(' · ')})` : ''}\n`
+    + `대안: ${parts.length ? parts.join(' · ') : '변경 없음 (기준 결정의 예상 결과)'}`;
+}
+
+function formatAllDongs(state) {
+  const prev = state.history?.length ? state.history[state.history.length - 1] : null;
+  const delta = (v, id, key) => {
+    const p = prev?.dongs?.find(d => d.id === id)?.[key];
+    if (p === undefined) return '';
+    const diff = Math.round((v - p) * 10) / 10;
+    return ` (${diff >= 0 ? '+' : ''}${diff.toLocaleString()})`;
+  };
+  const lines = [
+    '### 16개 동 현황 (괄호는 지난 턴 대비)',
+    '| 동 (ID) | 인구 | 만족도 | 사업체 | 상권활력 | 임대료압력 | 지지율 |',
+    '|---|---|---|---|---|---|---|',
+  ];
+  for (const d of [...state.dongs].sort((a, b) => b.satisfaction - a.satisfaction)) {
+    lines.push(`| ${d.name} (${d.id}) | ${d.population.toLocaleString()}${delta(d.population, d.id, 'population')} `
+      + `| ${d.satisfaction}${delta(d.satisfaction, d.id, 'satisfaction')} | ${d.businesses.toLocaleString()}${delta(d.businesses, d.id, 'businesses')} `
+      + `| ${d.commerceVitality} | ${d.rentPressure.toFixed(4)} | ${(d.approval ?? 50).toFixed(1)}% |`);
+  }
+  return lines.join('\n');
+}
+
+function formatDongDetail(dong, state) {
+  const share = v => `${(v / dong.population * 100).toFixed(1)}%`;
+  const f = dong.satisfactionFactors;
+  const lines = [
+    `## ${dong.name} (${dong.id})`,
+    `- 인구 ${dong.population.toLocaleString()}명 · 세대 ${dong.households.toLocaleString()} · 청년(20-34) ${share(dong.populationByAge.youth)} · 고령(65+) ${share(dong.populationByAge.elderly)}`,
+    `- 사업체 ${dong.businesses.toLocaleString()}개 · 종사자 ${dong.workers.toLocaleString()}명 · 상권활력 ${dong.commerceVitality} · 임대료압력 ${dong.rentPressure.toFixed(4)} · 상권특색 ${dong.commerceCharacter}`,
+  ];
+  if (dong.housing) {
+    lines.push(`- 평균 월세 ${dong.housing.avgRent}만원 · 공가율 ${(dong.housing.vacancyRate * 100).toFixed(1)}% · 수용 인구 ${dong.housing.capacity.toLocaleString()}명`
+      + `${dong.housing.displacedTotal ? ` · 재개발 강제이주 누적 ${dong.housing.displacedTotal.toLocaleString()}명` : ''}`);
+  }
+  if (dong.commute) {
+    const c = dong.commute;
+    lines.push(`- 통근(평일 낮) 유입 ${c.inbound.toLocaleString()}명 · 유출 ${c.outbound.toLocaleString()}명 · 혼잡도 ${c.congestion.toFixed(2)} (0.9 초과 시 교통 만족도 하락)`);
+  }
+  if (dong.accessibility !== undefined) {
+    const avg = state.dongs.reduce((s, d) => s + getAccessibility(d), 0) / state.dongs.length;
+    lines.push(`- 교통 접근성 ${getAccessibility(dong).toFixed(1)} (구 평균 ${avg.toFixed(1)})`);
+  }
+  lines.push(`- 만족도 ${dong.satisfaction} (경제 ${f.economy} · 교통 ${f.transport} · 주거 ${f.housing} · 안전 ${f.safety} · 문화 ${f.culture} · 복지 ${f.welfare})`
+    + `${dong.approval !== undefined ? ` · 지지율 ${dong.approval.toFixed(1)}%` : ''}`);
+
+  const targeted = (state.activePolicies || []).filter(ap => [].concat(ap.policy.targetDong || []).includes(dong.id));
+  if (targeted.length) lines.push(`- 이 동 대상 시행 정책: ${targeted.map(ap => ap.policy.name).join(', ')}`);
+  for (const b of dong.blocks || []) {
+    lines.push(`  - 구획 ${b.name} (${b.type}${b.zoningConflict ? ', 용도갈등' : ''}): 사업체 ${Math.round(b.businesses).toLocaleString()} · 임대료압력 ${b.rentPressure.toFixed(4)} · 만족도 ${b.satisfaction}`);
+  }
+  return lines.join('\n');
+}
+
+function formatTarget(p) {
+  if (p.targetBlock) return `구획 ${[].concat(p.targetBlock).join(', ')}`;
+  if (p.targetDong) return [].concat(p.targetDong).join(', ');
+  return '구 전체';
+}
+
+function availableDongs(state) {
+  return state.dongs.map(d => `${d.id}(${d.name})`).join(', ');
+}
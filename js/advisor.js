@@ -3,14 +3,20 @@
  * advisor-prompt-v1.md 기반 구현
  */
 
-import { PLEDGES, calcProgress } from './pledge.js';
+import { findPledge, calcProgress } from './pledge.js';
+import {
+  getBudgetPhase, getBondCapacity, getTotalTurns, getTermTurns, getTermTurn, getApprovalRating, formatTurnDate, formatTurnLength, formatBudgetSchedule, formatSeason,
+  POLICY_COST_THRESHOLD, formatCouncilSeats, formatVote, formatGoal, formatChoicePolicies, formatEventChains,
+} from './engine/index.js';
+import { getAdvisorTools, runAdvisorTool, describeToolCall } from './advisor-tools.js';
+import { initAdvisorMemory, getMemorySaveData, restoreMemory, updateMemory, formatMemoryForPrompt } from './advisor-memory.js';
 
 // === System Prompt (Hard Shell — §1.1) ===
 const SYSTEM_PROMPT = `당신은 서울특별시 마포구의 도시계획 자문관입니다.
 
 ## 역할
 - 구청장님의 정책 결정을 데이터 기반으로 보좌합니다.
-- 매달(턴) 핵심 변화를 브리핑하고, 질문에 분석으로 답합니다.
+- 매 턴 핵심 변화를 브리핑하고, 질문에 분석으로 답합니다.
 - 결정은 구청장님이 합니다. 당신은 분석과 선택지를 제공합니다.
 
 ## 마포구 개요
@@ -18,6 +24,8 @@ const SYSTEM_PROMPT = `당신은 서울특별시 마포구의 도시계획 자
 - 홍대·연남 관광 상권, 상암 DMC 업무지구, 공덕 교통허브, 성산 주거단지 공존
 - 재정자립도 약 28%. 세수를 늘리려면 사업체를 늘리고, 부동산 가치를 올려야 합니다.
 - 핵심 딜레마: 관광 활성화 ↔ 주민 삶의 질, 개발 ↔ 보존, 성장 ↔ 형평
+- 구의회(16석)가 본예산·추경과 비용이 큰 정책을 표결합니다. 의원은 지역구 동 만족도와 소속 교섭단체 성향에 따라 찬반을 정합니다.
+- 동별 지지율은 만족도를 따라 천천히 움직이고, 구의회 부결이 잦으면 떨어집니다. 임기 마지막 턴에 구청장 선거가 열려 득표율 50%를 넘으면 재선합니다.
 
 ## 행동 규칙
 1. 항상 "구청장님"으로 호칭합니다.
@@ -45,9 +53,21 @@ const SYSTEM_PROMPT = `당신은 서울특별시 마포구의 도시계획 자
 const QUICK_PROMPTS = {
   compare: '16개 동의 현황을 비교 분석해 주세요. 만족도 기준 상위 3개·하위 3개 동을 짚고, 특히 주목할 동이 있으면 이유와 함께 설명하세요.',
   predict: '현재 활성화된 정책과 예산 배분을 보고, 다음 달에 예상되는 변화를 분석해 주세요. 특히 어떤 동이 가장 큰 영향을 받을지 예측하세요.',
-  summary: '이번 달 가장 주의해야 할 이슈 3개를 순서대로 정리하고, 각각에 대한 짧은 대응 제안을 해 주세요.',
+  summary: '이번 턴 가장 주의해야 할 이슈 3개를 순서대로 정리하고, 각각에 대한 짧은 대응 제안을 해 주세요.',
 };
 
+// 도구 호출 안내 (채팅·빠른 질문 — 동별 수치는 프롬프트 대신 도구로 조회)
+const TOOL_PROMPT = `## 도구
+- 동별 세부 수치가 필요하면 get_state(dongId)로, 여러 동을 견줄 때는 compare_dongs로 조회하세요.
+- 정책을 추천하기 전에 get_policy_catalog로 비용·선행 조건·구의회 표결 전망을 확인하세요.
+- 예산 조정이나 정책 시행의 효과를 묻거나 예측할 때는 preview_turn으로 시뮬레이션한 결과를 근거로 드세요.
+- 공약 달성 가능성이나 몇 달 뒤 전망을 물으면 forecast의 중앙값과 범위로 답하세요.
+- 도구 이름이나 호출 과정은 답변에 언급하지 않습니다.`;
+
+const BRIEFING_TOOLS = ['update_memory']; // 브리핑은 전체 맥락을 받으므로 조회 도구 없이 메모만
+
+const MAX_TOOL_ROUNDS = 4; // 도구 호출 왕복 한도 — 넘으면 도구 없이 답하게 한다
+
 // === Model Options ===
 const ANTHROPIC_MODELS = [
   { id: 'claude-sonnet-4-6',          name: 'Sonnet 4.6',  desc: '빠르고 경제적' },
@@ -78,6 +98,8 @@ let apiKey = '';
 let openaiKey = '';
 let geminiKey = '';
 let currentState = null;
+const activeStreams = new Set(); // 진행 중인 스트리밍 요청의 AbortController (중단 버튼)
+const toolsUnsupported = new Set(); // 도구 없이 다시 보내서야 응답한 모델 (`backend:model`) — 이후 전체 맥락 프롬프트로
 
 /**
  * Strip non-printable/non-ASCII characters from API keys.
@@ -93,6 +115,13 @@ function jsonBody(data) {
   return JSON.stringify(data);
 }
 
+/** HTTP 오류 — 상태 코드를 남겨 도구 거절 판정에 쓴다 (callWithTools) */
+function apiError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
 // === AI Backends ===
 const AI_BACKENDS = {
   mock:      { name: 'Mock (기본)',    call: mockCall },
@@ -107,6 +136,7 @@ export function initAdvisor(state) {
   currentState = state;
   chatMessages = document.getElementById('chat-messages');
   chatHistory = [];
+  initAdvisorMemory({ getTurn: () => currentState?.meta?.turn || 1 });
 
   // Load saved settings (sanitize keys to strip invisible Unicode from copy-paste)
   apiKey = sanitizeKey(localStorage.getItem('ai-mapo-api-key') || '');
@@ -134,6 +164,7 @@ export function initAdvisor(state) {
       if (e.key === 'Enter') sendChat();
     });
   }
+  document.getElementById('chat-cancel')?.addEventListener('click', cancelStreams);
 
   // Quick buttons
   document.querySelectorAll('.quick-btn').forEach(btn => {
@@ -168,32 +199,39 @@ export async function generateBriefing(state) {
     // Use AI for briefing
     const briefingPrompt = turn <= 1
       ? `구청장님이 취임했습니다. 마포구의 현 상태를 요약하고, 임기 4년의 핵심 과제를 제시하세요.\n\n${context}\n\n## 브리핑 형식\n1. 마포구 현황 한 줄 요약\n2. 가장 큰 기회 (수치 근거)\n3. 가장 큰 위험 (수치 근거)\n4. 선택한 공약 달성을 위한 첫 달 제안\n\n전체 6문장 이내.`
-      : `아래 데이터를 바탕으로 이번 달 브리핑을 작성하세요.\n\n${context}\n\n## 브리핑 형식\n1. **핵심 요약** (1~2문장): 이번 달 가장 중요한 변화.\n2. **긴급 이슈** (1개): 가장 시급한 문제. 수치 근거 포함.\n3. **기회 요인** (1개): 활용할 수 있는 긍정적 변화. 수치 근거 포함.\n4. **공약 관련** (해당되면): 공약 진척에 영향을 주는 변화.\n\n전체 5문장 이내. 간결하게.`;
+      : `아래 데이터를 바탕으로 이번 턴 브리핑을 작성하세요.\n\n${context}\n\n## 브리핑 형식\n1. **핵심 요약** (1~2문장): 이번 턴 가장 중요한 변화.\n2. **긴급 이슈** (1개): 가장 시급한 문제. 수치 근거 포함.\n3. **기회 요인** (1개): 활용할 수 있는 긍정적 변화. 수치 근거 포함.\n4. **공약 관련** (해당되면): 공약 진척에 영향을 주는 변화.\n\n전체 5문장 이내. 간결하게.`;
 
-    addMessage('advisor', '(브리핑 생성 중...)');
+    const placeholder = addMessage('advisor', '(브리핑 생성 중...)');
     try {
-      const response = await callAI(briefingPrompt);
-      // Replace the loading message
-      const msgs = chatMessages.querySelectorAll('.chat-msg.advisor');
-      const last = msgs[msgs.length - 1];
-      if (last) last.textContent = response;
-      chatHistory.push({ turn, role: 'advisor', content: response });
+      const response = toolsAvailable()
+        ? await streamToolReply(placeholder, briefingPrompt, BRIEFING_TOOLS)
+        : await streamIntoMessage(placeholder, briefingPrompt);
+      if (response) chatHistory.push({ turn, role: 'advisor', content: response });
     } catch (err) {
       console.warn('[Advisor] API briefing failed, falling back to mock:', err);
-      const msgs = chatMessages.querySelectorAll('.chat-msg.advisor');
-      const last = msgs[msgs.length - 1];
-      if (last) last.remove();
+      placeholder?.remove();
       generateMockBriefing(state);
     }
   } else {
     generateMockBriefing(state);
   }
+  if (!toolsAvailable()) recordCouncilLessons(state);
+}
+
+// 도구로 메모를 쓰지 못하는 백엔드 — 이번 턴 구의회 부결을 교훈으로 남긴다
+function recordCouncilLessons(state) {
+  const rejected = (state.council?.votes || []).filter(v => v.result === 'rejected');
+  if (rejected.length === 0) return;
+  updateMemory({
+    add: rejected.map(v => ({
+      section: 'lessons',
+      text: `${v.name} 구의회 부결 (찬성 ${v.yes} · 반대 ${v.no}) — 반대 지역구 만족도를 올리거나 규모를 줄여 재상정`,
+    })),
+  }, { source: 'advisor', turn: state.meta.turn });
 }
 
 function generateMockBriefing(state) {
   const turn = state.meta.turn;
-  const year = state.meta.year;
-  const month = state.meta.month;
   const prev = state.history?.length > 0 ? state.history[state.history.length - 1] : null;
 
   const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
@@ -207,7 +245,7 @@ function generateMockBriefing(state) {
   const lowestSat = sortedBySat[0];
   const highestSat = sortedBySat[sortedBySat.length - 1];
 
-  let briefing = `구청장님, ${year}년 ${month}월 브리핑입니다.\n\n`;
+  let briefing = `구청장님, ${formatTurnDate(state)} 브리핑입니다.\n\n`;
 
   if (popDelta !== 0) {
     briefing += `인구 ${totalPop.toLocaleString()}명 (${popDelta >= 0 ? '+' : ''}${popDelta.toLocaleString()})\n`;
@@ -270,20 +308,13 @@ async function sendChat() {
   chatHistory.push({ turn: currentState.meta.turn, role: 'player', content: message });
 
   if (currentBackend !== 'mock') {
-    addMessage('advisor', '...');
+    const reply = addMessage('advisor', '...');
     try {
-      const context = buildAdvisorContext(currentState);
-      const prompt = `${context}\n\n[구청장님의 질문]\n${message}\n\n위 데이터를 바탕으로 답하세요. 5문장 이내.`;
-      const response = await callAI(prompt);
-      const msgs = chatMessages.querySelectorAll('.chat-msg.advisor');
-      const last = msgs[msgs.length - 1];
-      if (last) last.textContent = response;
-      chatHistory.push({ turn: currentState.meta.turn, role: 'advisor', content: response });
+      const response = await streamChatReply(reply, context => `${context}\n\n[구청장님의 질문]\n${message}\n\n위 데이터를 바탕으로 답하세요. 5문장 이내.`);
+      if (response) chatHistory.push({ turn: currentState.meta.turn, role: 'advisor', content: response });
     } catch (err) {
       console.warn('[Advisor] API failed:', err);
-      const msgs = chatMessages.querySelectorAll('.chat-msg.advisor');
-      const last = msgs[msgs.length - 1];
-      if (last) last.textContent = generateMockResponse(message);
+      if (reply) reply.textContent = generateMockResponse(message);
     }
   } else {
     setTimeout(() => {
@@ -308,17 +339,11 @@ function handleQuickAction(action) {
   chatHistory.push({ turn: currentState.meta.turn, role: 'player', content: prompt });
 
   if (currentBackend !== 'mock') {
-    addMessage('advisor', '...');
-    const context = buildAdvisorContext(currentState);
-    callAI(`${context}\n\n${prompt}`).then(response => {
-      const msgs = chatMessages.querySelectorAll('.chat-msg.advisor');
-      const last = msgs[msgs.length - 1];
-      if (last) last.textContent = response;
-      chatHistory.push({ turn: currentState.meta.turn, role: 'advisor', content: response });
+    const reply = addMessage('advisor', '...');
+    streamChatReply(reply, context => `${context}\n\n${prompt}`).then(response => {
+      if (response) chatHistory.push({ turn: currentState.meta.turn, role: 'advisor', content: response });
     }).catch(() => {
-      const msgs = chatMessages.querySelectorAll('.chat-msg.advisor');
-      const last = msgs[msgs.length - 1];
-      if (last) last.textContent = generateMockResponse(prompt);
+      if (reply) reply.textContent = generateMockResponse(prompt);
     });
   } else {
     setTimeout(() => {
@@ -330,7 +355,43 @@ function handleQuickAction(action) {
 }
 
 // === Context Builder (§2.2) ===
-export function buildAdvisorContext(state) {
+const BUDGET_PHASE_LABELS = { annual: '본예산 편성', supplementary: '추경 가능', locked: '집행 중 (배분 변경 불가)' };
+
+// 회계연도 단계 · 적립금 · 지방채 한 줄 요약
+function formatFiscalLine(state) {
+  const f = state.finance;
+  return `예산: ${BUDGET_PHASE_LABELS[getBudgetPhase(state)]} | 적립금 ${(f.reserve || 0).toLocaleString()}억 | 지방채 ${(f.debt || 0).toLocaleString()}억`
+    + `${f.debtService ? ` (원리금 ${f.debtService}억/턴)` : ''} | 추가 발행 한도 ${getBondCapacity(f).toLocaleString()}억\n`
+    + `예산 일정: ${formatBudgetSchedule(state)}${f.seasonalSpend ? ` | 겨울 복지지출 ${f.seasonalSpend}억` : ''}\n`;
+}
+
+// 구의회 의석 · 표결 대상 · 최근 표결 한 줄 요약
+function formatCouncilLine(state) {
+  const last = state.council?.log?.slice(-3).map(v => `${v.turn}턴 ${formatVote(v)}`).join(', ');
+  return `구의회: ${formatCouncilSeats(state)} | 예산안·월 ${POLICY_COST_THRESHOLD}억 이상 정책 표결${last ? ` | 최근: ${last}` : ''}\n`;
+}
+
+// 시나리오 이름 · 승리 조건 (기본 게임이면 빈 문자열)
+function formatScenarioLine(state) {
+  const scenario = state.scenario;
+  if (!scenario?.winConditions?.length) return '';
+  return `시나리오: ${scenario.name} | 승리 조건: ${scenario.winConditions.map(c => `${c.label}(${formatGoal(c)})`).join(', ')}\n`;
+}
+
+// 구 전체 지지율 · 임기 · 지지율 낮은 동
+function formatApprovalLine(state) {
+  const weakest = [...state.dongs].sort((a, b) => (a.approval ?? 0) - (b.approval ?? 0)).slice(0, 2)
+    .map(d => `${d.name} ${(d.approval ?? 0).toFixed(1)}%`).join(' · ');
+  return `지지율: ${getApprovalRating(state).toFixed(1)}% (${state.meta.term || 1}기, ${getTotalTurns(state)}턴에 선거) | 약세: ${weakest}\n`;
+}
+
+/**
+ * 자문관 프롬프트용 상태 요약
+ * @param {Object} state
+ * @param {Object} [options]
+ *   - compact: 동별 현황을 빼고 도구 조회로 대신 (도구 호출을 쓰는 채팅)
+ */
+export function buildAdvisorContext(state, options = {}) {
   const prev = state.history?.length > 0 ? state.history[state.history.length - 1] : null;
 
   const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
@@ -341,8 +402,8 @@ export function buildAdvisorContext(state) {
   const satDelta = prev ? avgSat - prev.avgSatisfaction : 0;
 
   let ctx = `[현재 상황]\n`;
-  ctx += `턴: ${state.meta.turn}/48 (${state.meta.year}년 ${state.meta.month}월)\n`;
-  ctx += `임기 경과: ${Math.round(state.meta.turn / 48 * 100)}%\n\n`;
+  ctx += `턴: ${state.meta.turn}/${getTotalTurns(state)} (${formatTurnDate(state)}, ${formatSeason(state)}, 한 턴 = ${formatTurnLength(state)})\n`;
+  ctx += `임기 경과: ${Math.round(getTermTurn(state) / getTermTurns(state) * 100)}%\n\n`;
 
   ctx += `[구 전체 요약]\n`;
   ctx += `총인구: ${totalPop.toLocaleString()}명 (${popDelta >= 0 ? '+' : ''}${popDelta.toLocaleString()})\n`;
@@ -350,12 +411,16 @@ export function buildAdvisorContext(state) {
   ctx += `평균 만족도: ${avgSat}/100 (${satDelta >= 0 ? '+' : ''}${satDelta})\n`;
   ctx += `재정자립도: ${state.finance.fiscalIndependence}%\n`;
   ctx += `자유예산: ${state.finance.freeBudget}억원\n`;
+  ctx += formatFiscalLine(state);
+  ctx += formatCouncilLine(state);
+  ctx += formatApprovalLine(state);
+  ctx += formatScenarioLine(state);
 
   // Pledges with progress
   if (state.meta.pledges?.length > 0) {
     ctx += `\n[공약 진척도]\n`;
     for (const id of state.meta.pledges) {
-      const pledge = PLEDGES.find(p => p.id === id);
+      const pledge = findPledge(state, id);
       const progress = Math.round(calcProgress(id, state));
       const name = pledge?.name || id;
       const status = progress >= 100 ? '달성' : progress >= 70 ? '순항' : progress >= 40 ? '보통' : '위험';
@@ -365,7 +430,10 @@ export function buildAdvisorContext(state) {
 
   // Dong details (compact)
   ctx += `\n[동별 현황]\n`;
-  for (const dong of state.dongs) {
+  if (options.compact) {
+    ctx += `16개 동의 세부 수치는 도구로 조회하세요 (get_state · compare_dongs).\n`;
+  }
+  for (const dong of options.compact ? [] : state.dongs) {
     const prevDong = prev?.dongs?.find(d => d.id === dong.id);
     const pD = prevDong ? dong.population - prevDong.population : 0;
     const bD = prevDong ? dong.businesses - prevDong.businesses : 0;
@@ -373,7 +441,10 @@ export function buildAdvisorContext(state) {
     ctx += `${dong.name}: 인구 ${dong.population}(${pD >= 0 ? '+' : ''}${pD}) | `;
     ctx += `사업체 ${dong.businesses}(${bD >= 0 ? '+' : ''}${bD}) | `;
     ctx += `만족도 ${dong.satisfaction}(${sD >= 0 ? '+' : ''}${sD}) | `;
-    ctx += `상권 ${dong.commerceVitality} | 임대료 ${(dong.rentPressure * 100).toFixed(1)}%\n`;
+    ctx += `상권 ${dong.commerceVitality} | 임대료 ${(dong.rentPressure * 100).toFixed(1)}%`;
+    ctx += dong.housing?.avgRent ? ` | 월세 ${dong.housing.avgRent}만 공가 ${(dong.housing.vacancyRate * 100).toFixed(1)}%` : '';
+    ctx += dong.commute?.congestion > 0.9 ? ` | 통근혼잡 ${dong.commute.congestion.toFixed(2)}` : '';
+    ctx += '\n';
   }
 
   // Active policies
@@ -389,6 +460,12 @@ export function buildAdvisorContext(state) {
     }
   }
 
+  // Event chains (앞 선택이 부른 후속 이벤트)
+  const chains = formatEventChains(state);
+  if (chains.length > 0) {
+    ctx += `\n[이벤트 연쇄]\n${chains.map(c => `- ${c}`).join('\n')}\n`;
+  }
+
   // Budget allocation
   const alloc = state.finance.allocation || {};
   ctx += `\n[예산 배분]\n`;
@@ -400,6 +477,7 @@ export function buildAdvisorContext(state) {
   for (const dong of state.dongs) {
     if (dong.satisfaction < 50) flags.push(`${dong.name} 만족도 ${dong.satisfaction} — 주민 유출 위험`);
     if (dong.rentPressure > 0.01) flags.push(`${dong.name} 임대료 압력 ${(dong.rentPressure * 100).toFixed(1)}% — 젠트리피케이션 주의`);
+    if (dong.housing?.displaced > 0) flags.push(`${dong.name} 재개발 철거로 ${dong.housing.displaced}명 강제이주`);
     const prevDong = prev?.dongs?.find(d => d.id === dong.id);
     if (prevDong && dong.population - prevDong.population < -200) {
       flags.push(`${dong.name} 인구 ${dong.population - prevDong.population}명 급감`);
@@ -413,22 +491,33 @@ export function buildAdvisorContext(state) {
 }
 
 // === AI Call Abstraction (§7.1) ===
-function buildSystemMessage() {
-  let sys = SYSTEM_PROMPT;
+function buildSystemMessage(useTools = false) {
+  let sys = useTools === true ? `${SYSTEM_PROMPT}\n\n${TOOL_PROMPT}` : SYSTEM_PROMPT;
   if (currentState?.meta?.playerName) {
     sys += `\n\n구청장님 성함: ${currentState.meta.playerName}`;
   }
   if (currentState?.meta?.pledges?.length > 0) {
     const pledgeNames = currentState.meta.pledges.map(id => {
-      const p = PLEDGES.find(pp => pp.id === id);
+      const p = findPledge(currentState, id);
       return p ? `${p.name} (${p.desc})` : id;
     });
     sys += `\n선택한 공약: ${pledgeNames.join(', ')}`;
   }
+  const memoryTool = useTools === true || (Array.isArray(useTools) && useTools.includes('update_memory'));
+  const memoryText = formatMemoryForPrompt(memoryTool);
+  if (memoryText) sys += `\n\n${memoryText}`;
   return sys;
 }
 
-async function callAI(userMessage) {
+/**
+ * 자문관 대화 맥락을 붙여 AI 호출
+ * @param {string} userMessage
+ * @param {{ onText: Function, onTool?: Function, signal: AbortSignal }|null} [stream] - 있으면 스트리밍
+ *   (onText(조각)을 받는 대로, onTool({ name, args })을 도구 실행 직전에 호출)
+ * @param {boolean|string[]} [useTools] - 도구 제공 (advisor-tools.js) — true면 전부, 배열이면 그 이름만
+ * @returns {Promise<string>} 응답 전문
+ */
+async function callAI(userMessage, stream = null, useTools = false) {
   const backend = AI_BACKENDS[currentBackend];
   if (!backend) throw new Error(`Unknown backend: ${currentBackend}`);
 
@@ -436,7 +525,7 @@ async function callAI(userMessage) {
   const historyWindow = currentBackend === 'ollama' ? 2 : 4;
   const recentHistory = getRecentHistory(historyWindow);
   const messages = [
-    { role: 'system', content: buildSystemMessage() },
+    { role: 'system', content: buildSystemMessage(useTools) },
     ...recentHistory.map(h => ({
       role: h.role === 'advisor' ? 'assistant' : 'user',
       content: h.content,
@@ -444,7 +533,56 @@ async function callAI(userMessage) {
     { role: 'user', content: userMessage },
   ];
 
-  return await backend.call(messages);
+  if (!useTools) return await backend.call(messages, undefined, stream);
+  return await callWithTools(backend, messages, stream, useTools);
+}
+
+/**
+ * 도구 호출 왕복 — 모델이 도구를 부르면 실행 결과를 붙여 다시 호출 (MAX_TOOL_ROUNDS까지)
+ * 대화는 백엔드 공통 형식으로 쌓고 백엔드 함수가 자기 형식으로 바꾼다:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, args }], parts? }  — parts: Gemini 원본 (thoughtSignature 보존)
+ *   { role: 'tool', toolCallId, name, content }
+ * @param {true|string[]} useTools - 전부 또는 제공할 도구 이름
+ * @returns {Promise<string>} 라운드마다 받은 응답을 이은 전문
+ */
+async function callWithTools(backend, messages, stream, useTools) {
+  const tools = getAdvisorTools(currentState).filter(t => useTools === true || useTools.includes(t.name));
+  let answer = '';
+  for (let round = 0; ; round++) {
+    const last = round === MAX_TOOL_ROUNDS;
+    let result;
+    try {
+      result = await backend.call(messages, undefined, stream, tools, last ? 'none' : 'auto');
+    } catch (err) {
+      if (round === 0 && mayRejectTools(err)) err.toolsRejected = true;
+      throw err;
+    }
+    answer += result.text;
+    if (last || result.toolCalls.length === 0) return answer;
+
+    if (result.text) {
+      answer += '\n\n';
+      stream?.onText('\n\n');
+    }
+    messages.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls, parts: result.parts });
+    for (const call of result.toolCalls) {
+      stream?.onTool?.(call);
+      messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: await runAdvisorTool(call.name, call.args, currentState) });
+    }
+  }
+}
+
+/**
+ * 도구를 준 첫 요청의 오류가 '이 모델은 도구 호출을 지원하지 않음'일 수 있는지
+ * Ollama는 "does not support tools", 다른 백엔드는 도구 호출이 오가기 전의 400 (잘못된 요청)
+ * 400은 긴 프롬프트 · 잘못된 모델 ID 등도 포함하므로 확정하지 않는다 — streamToolReply()가 도구 없이 다시 보내 본다
+ */
+function mayRejectTools(err) {
+  return /does not support tools/i.test(err.message) || err.status === 400;
+}
+
+function toolsAvailable() {
+  return currentBackend !== 'mock' && !toolsUnsupported.has(`${currentBackend}:${getCurrentModelId()}`);
 }
 
 function getRecentHistory(turnWindow) {
@@ -452,14 +590,252 @@ function getRecentHistory(turnWindow) {
   return chatHistory.filter(h => h.turn >= currentTurn - turnWindow);
 }
 
+// === Streaming ===
+/**
+ * 채팅 응답 — 도구를 쓸 수 있으면 요약 맥락 + 도구 호출, 아니면 전체 맥락
+ * @param {HTMLElement|null} el
+ * @param {Function} buildPrompt - (상태 요약) => 프롬프트
+ * @returns {Promise<string>}
+ */
+async function streamChatReply(el, buildPrompt) {
+  const fullPrompt = () => buildPrompt(buildAdvisorContext(currentState));
+  if (toolsAvailable()) {
+    return await streamToolReply(el, buildPrompt(buildAdvisorContext(currentState, { compact: true })), true, fullPrompt);
+  }
+  return await streamIntoMessage(el, fullPrompt());
+}
+
+/**
+ * 도구를 주고 응답 받기 — 첫 요청이 도구 거절로 보이면 도구 없이 한 번 다시 보낸다
+ * 다시 보낸 요청이 성공해야 이 모델을 도구 미지원으로 기억한다 (실패하면 원래 문제 — 그 오류를 던진다)
+ * @param {HTMLElement|null} el
+ * @param {string} prompt
+ * @param {true|string[]} useTools - callAI() useTools
+ * @param {Function} [fallbackPrompt] - 도구 없이 보낼 프롬프트 (기본: 같은 프롬프트)
+ * @returns {Promise<string>}
+ */
+async function streamToolReply(el, prompt, useTools, fallbackPrompt = () => prompt) {
+  try {
+    return await streamIntoMessage(el, prompt, useTools);
+  } catch (err) {
+    if (!err.toolsRejected) throw err;
+    console.warn('[Advisor] Tool request rejected, retrying without tools:', err.message);
+    const response = await streamIntoMessage(el, fallbackPrompt());
+    // 도구 호출을 지원하지 않는 모델 (Ollama 일부 등) — 이 모델은 이후 도구 없이
+    toolsUnsupported.add(`${currentBackend}:${getCurrentModelId()}`);
+    return response;
+  }
+}
+
+/**
+ * 자문관 말풍선에 응답을 받는 대로 채운다 (중단 버튼으로 abort)
+ * @param {HTMLElement|null} el - addMessage()로 만든 말풍선
+ * @param {string} prompt
+ * @param {boolean|string[]} [useTools] - callAI() useTools (도구를 실행하는 동안 말풍선에 진행 표시)
+ * @returns {Promise<string>} 응답 전문 — 중단하면 받은 데까지 ('' 가능)
+ * @throws 요청 실패 — 호출자가 mock 응답으로 대체
+ */
+async function streamIntoMessage(el, prompt, useTools = false) {
+  if (el) el.dataset.pending = 'true'; // 생성 중에는 저장 제외
+  let text = '';
+  const show = (status = '') => {
+    if (!el) return;
+    el.textContent = `${text}${status}`;
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  };
+  const onTool = call => show(`(확인 중 — ${describeToolCall(call, currentState)})`);
+  try {
+    text = await callStreaming(delta => {
+      text += delta;
+      show();
+    }, stream => callAI(prompt, { ...stream, onTool }, useTools));
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err;
+    if (el) el.textContent = `${text}${text ? ' ' : ''}(중단됨)`;
+  } finally {
+    if (el) delete el.dataset.pending;
+  }
+  return text;
+}
+
+/**
+ * 중단 버튼에 등록한 스트리밍 호출
+ * @param {Function} onText - 조각마다 호출
+ * @param {Function} call - stream 옵션 { onText, signal }을 받아 응답 전문을 돌려주는 함수
+ */
+async function callStreaming(onText, call) {
+  const controller = new AbortController();
+  activeStreams.add(controller);
+  updateCancelButton();
+  try {
+    return await call({ onText, signal: controller.signal });
+  } finally {
+    activeStreams.delete(controller);
+    updateCancelButton();
+  }
+}
+
+function cancelStreams() {
+  for (const controller of activeStreams) controller.abort();
+}
+
+function updateCancelButton() {
+  const btn = document.getElementById('chat-cancel');
+  if (btn) btn.hidden = activeStreams.size === 0;
+}
+
+/**
+ * 응답 본문을 줄 단위로 읽기 (SSE · NDJSON 공용)
+ */
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) onLine(line.replace(/\r$/, ''));
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) onLine(buffer);
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * SSE 응답 읽기 — data: 줄의 JSON마다 onData 호출 ([DONE] 제외)
+ */
+async function readSSE(response, onData) {
+  await readLines(response, line => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (data && data !== '[DONE]') onData(JSON.parse(data));
+  });
+}
+
+// === Tool Calling (백엔드 공통 → 백엔드 형식) ===
+// 백엔드 함수는 tools가 있으면 { text, toolCalls: [{ id, name, args }], parts? }를, 없으면 응답 문자열을 돌려준다
+
+// OpenAI · Ollama 공용 function 도구 형식
+function functionTools(tools) {
+  return tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+}
+
+// 스트리밍으로 나눠 받은 인자 JSON (잘못된 JSON이면 빈 인자 — 도구가 오류 문구를 돌려준다)
+function parseToolArgs(json) {
+  if (json && typeof json === 'object') return json;
+  try {
+    return JSON.parse(json || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function toAnthropicMessages(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      // 같은 라운드의 도구 결과는 user 메시지 하나에
+      const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: m.content };
+      const last = out[out.length - 1];
+      if (last?.role === 'user' && Array.isArray(last.content)) last.content.push(block);
+      else out.push({ role: 'user', content: [block] });
+    } else if (m.toolCalls) {
+      out.push({
+        role: 'assistant',
+        content: [
+          ...(m.content ? [{ type: 'text', text: m.content }] : []),
+          ...m.toolCalls.map(c => ({ type: 'tool_use', id: c.id, name: c.name, input: c.args })),
+        ],
+      });
+    } else {
+      out.push({ role: m.role, content: m.content });
+    }
+  }
+  return out;
+}
+
+function toOpenAIMessages(messages) {
+  return messages.map(m => {
+    if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+    if (m.toolCalls) {
+      return {
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.args) } })),
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+function toOllamaMessages(messages) {
+  return messages.map(m => {
+    if (m.role === 'tool') return { role: 'tool', content: m.content, tool_name: m.name };
+    if (m.toolCalls) {
+      return { role: 'assistant', content: m.content || '', tool_calls: m.toolCalls.map(c => ({ function: { name: c.name, arguments: c.args } })) };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+function toGeminiContents(messages) {
+  const contents = [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      // 같은 라운드의 functionResponse는 한 턴에
+      const part = { functionResponse: { name: m.name, response: { result: m.content } } };
+      const last = contents[contents.length - 1];
+      if (last?.role === 'user' && last.parts.every(p => p.functionResponse)) last.parts.push(part);
+      else contents.push({ role: 'user', parts: [part] });
+    } else if (m.toolCalls) {
+      contents.push({
+        role: 'model',
+        parts: m.parts || [
+          ...(m.content ? [{ text: m.content }] : []),
+          ...m.toolCalls.map(c => ({ functionCall: { name: c.name, args: c.args } })),
+        ],
+      });
+    } else {
+      contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] });
+    }
+  }
+  return contents;
+}
+
 // === Anthropic API Backend (§7.3) ===
-async function anthropicCall(messages, maxTokens = 500) {
+/**
+ * @param {Object[]} messages
+ * @param {number} [maxTokens]
+ * @param {{ onText: Function, signal: AbortSignal }|null} [stream]
+ * @param {Object[]|null} [tools] - advisor-tools.js getAdvisorTools() (있으면 { text, toolCalls } 반환)
+ * @param {'auto'|'none'} [toolChoice] - 'none'이면 도구 없이 답하게 한다 (왕복 한도)
+ */
+async function anthropicCall(messages, maxTokens = 500, stream = null, tools = null, toolChoice = 'auto') {
   if (!apiKey) throw new Error('API key required');
 
   const model = localStorage.getItem('ai-mapo-anthropic-model') || 'claude-sonnet-4-6';
   const systemMsg = messages.find(m => m.role === 'system');
   const otherMsgs = messages.filter(m => m.role !== 'system');
 
+  const body = {
+    model,
+    max_tokens: maxTokens,
+    system: systemMsg?.content || SYSTEM_PROMPT,
+    messages: toAnthropicMessages(otherMsgs),
+    stream: Boolean(stream),
+  };
+  if (tools) {
+    body.tools = tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+    body.tool_choice = { type: toolChoice };
+  }
+
   const response = await fetch('https://api.anthropic.com/v1/messages', {
     method: 'POST',
     headers: {
@@ -468,79 +844,167 @@ async function anthropicCall(messages, maxTokens = 500) {
       'anthropic-version': '2023-06-01',
       'anthropic-dangerous-direct-browser-access': 'true',
     },
-    body: jsonBody({
-      model,
-      max_tokens: maxTokens,
-      system: systemMsg?.content || SYSTEM_PROMPT,
-      messages: otherMsgs,
-    }),
+    body: jsonBody(body),
+    signal: stream?.signal,
   });
 
   if (!response.ok) {
     const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `API error ${response.status}`);
+    throw apiError(err.error?.message || `API error ${response.status}`, response.status);
+  }
+
+  if (stream) {
+    let text = '';
+    const calls = {}; // 콘텐츠 블록 index → { id, name, json }
+    await readSSE(response, event => {
+      if (event.type === 'error') throw new Error(event.error?.message || 'API stream error');
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        calls[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        calls[event.index].json += event.delta.partial_json;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        stream.onText(event.delta.text);
+      }
+    });
+    if (!tools) return text;
+    return { text, toolCalls: Object.values(calls).map(c => ({ id: c.id, name: c.name, args: parseToolArgs(c.json) })) };
   }
 
   const data = await response.json();
-  return data.content[0].text;
+  if (!tools) return data.content[0].text;
+  return {
+    text: data.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+    toolCalls: data.content.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, args: b.input || {} })),
+  };
 }
 
 // === OpenAI API Backend ===
-async function openaiCall(messages, maxTokens = 500) {
+async function openaiCall(messages, maxTokens = 500, stream = null, tools = null, toolChoice = 'auto') {
   if (!openaiKey) throw new Error('OpenAI API key required');
 
   const model = localStorage.getItem('ai-mapo-openai-model') || 'gpt-5-mini';
 
+  const body = {
+    model,
+    max_completion_tokens: Math.max(maxTokens, 4000),
+    messages: toOpenAIMessages(messages),
+    stream: Boolean(stream),
+  };
+  if (tools) {
+    body.tools = functionTools(tools);
+    body.tool_choice = toolChoice;
+  }
+
   const response = await fetch('https://api.openai.com/v1/chat/completions', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${openaiKey}`,
     },
-    body: jsonBody({
-      model,
-      max_completion_tokens: Math.max(maxTokens, 4000),
-      messages,
-    }),
+    body: jsonBody(body),
+    signal: stream?.signal,
   });
 
   if (!response.ok) {
     const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `OpenAI error ${response.status}`);
+    throw apiError(err.error?.message || `OpenAI error ${response.status}`, response.status);
+  }
+
+  if (stream) {
+    let text = '';
+    const calls = []; // tool_calls index → { id, name, json } (조각으로 나눠 온다)
+    await readSSE(response, chunk => {
+      if (chunk.error) throw new Error(chunk.error.message || 'OpenAI stream error');
+      const delta = chunk.choices?.[0]?.delta;
+      for (const tc of delta?.tool_calls || []) {
+        const call = (calls[tc.index] ||= { id: '', name: '', json: '' });
+        if (tc.id) call.id = tc.id;
+        if (tc.function?.name) call.name += tc.function.name;
+        if (tc.function?.arguments) call.json += tc.function.arguments;
+      }
+      if (delta?.content) {
+        text += delta.content;
+        stream.onText(delta.content);
+      }
+    });
+    if (!tools) return text;
+    return { text, toolCalls: calls.filter(Boolean).map(c => ({ id: c.id, name: c.name, args: parseToolArgs(c.json) })) };
   }
 
   const data = await response.json();
-  return data.choices[0].message.content;
+  const message = data.choices[0].message;
+  if (!tools) return message.content;
+  return {
+    text: message.content || '',
+    toolCalls: (message.tool_calls || []).map(c => ({ id: c.id, name: c.function.name, args: parseToolArgs(c.function.arguments) })),
+  };
 }
 
 // === Ollama Backend ===
-async function ollamaCall(messages, maxTokens = 500) {
+// 도구는 tool_choice가 없어 'none'이면 도구 목록을 빼고 보낸다
+async function ollamaCall(messages, maxTokens = 500, stream = null, tools = null, toolChoice = 'auto') {
   const ollamaUrl = localStorage.getItem('ai-mapo-ollama-url') || 'http://localhost:11434';
   const ollamaModel = localStorage.getItem('ai-mapo-ollama-model') || 'exaone3.5:7.8b';
 
   const systemMsg = messages.find(m => m.role === 'system');
   const otherMsgs = messages.filter(m => m.role !== 'system');
 
+  const body = {
+    model: ollamaModel,
+    messages: [
+      { role: 'system', content: systemMsg?.content || SYSTEM_PROMPT },
+      ...toOllamaMessages(otherMsgs),
+    ],
+    stream: Boolean(stream),
+  };
+  if (tools && toolChoice !== 'none') body.tools = functionTools(tools);
+
   const response = await fetch(`${ollamaUrl}/api/chat`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: jsonBody({
-      model: ollamaModel,
-      messages: [
-        { role: 'system', content: systemMsg?.content || SYSTEM_PROMPT },
-        ...otherMsgs,
-      ],
-      stream: false,
-    }),
+    body: jsonBody(body),
+    signal: stream?.signal,
   });
 
-  if (!response.ok) throw new Error(`Ollama error ${response.status}`);
+  // 도구를 지원하지 않는 모델은 400 + "does not support tools"
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw apiError(err.error ? `Ollama error: ${err.error}` : `Ollama error ${response.status}`, response.status);
+  }
+
+  const toolCalls = [];
+  const collect = calls => {
+    for (const c of calls || []) {
+      toolCalls.push({ id: `call_${toolCalls.length}`, name: c.function.name, args: parseToolArgs(c.function.arguments) });
+    }
+  };
+
+  // 스트리밍은 NDJSON — 줄마다 { message: { content, tool_calls? }, done }
+  if (stream) {
+    let text = '';
+    await readLines(response, line => {
+      if (!line.trim()) return;
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(`Ollama error: ${chunk.error}`);
+      collect(chunk.message?.tool_calls);
+      const delta = chunk.message?.content;
+      if (delta) {
+        text += delta;
+        stream.onText(delta);
+      }
+    });
+    return tools ? { text, toolCalls } : text;
+  }
+
   const data = await response.json();
-  return data.message?.content || '';
+  const text = data.message?.content || '';
+  collect(data.message?.tool_calls);
+  return tools ? { text, toolCalls } : text;
 }
 
 // === Gemini API Backend ===
-async function geminiCall(messages, maxTokens = 2048) {
+async function geminiCall(messages, maxTokens = 2048, stream = null, tools = null, toolChoice = 'auto') {
   if (!geminiKey) throw new Error('Gemini API key required');
 
   const model = localStorage.getItem('ai-mapo-gemini-model') || 'gemini-2.5-flash';
@@ -548,10 +1012,7 @@ async function geminiCall(messages, maxTokens = 2048) {
   const otherMsgs = messages.filter(m => m.role !== 'system');
 
   // Convert OpenAI-style messages to Gemini format
-  const contents = otherMsgs.map(m => ({
-    role: m.role === 'assistant' ? 'model' : 'user',
-    parts: [{ text: m.content }],
-  }));
+  const contents = toGeminiContents(otherMsgs);
 
   // Gemini 2.5/3.x thinking models: thinking tokens share maxOutputTokens budget.
   // Set higher limit + thinkingBudget to prevent thinking from consuming all tokens.
@@ -568,20 +1029,54 @@ async function geminiCall(messages, maxTokens = 2048) {
   if (systemMsg) {
     body.systemInstruction = { parts: [{ text: systemMsg.content }] };
   }
+  if (tools) {
+    body.tools = [{ functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parameters: t.parameters })) }];
+    body.toolConfig = { functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' } };
+  }
 
   const apiVersion = GEMINI_MODELS.find(m => m.id === model)?.api || 'v1beta';
+  const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
   const response = await fetch(
-    `https://generativelanguage.googleapis.com/${apiVersion}/models/${model}:generateContent?key=${geminiKey}`,
+    `https://generativelanguage.googleapis.com/${apiVersion}/models/${model}:${method}key=${geminiKey}`,
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: jsonBody(body),
+      signal: stream?.signal,
     },
   );
 
   if (!response.ok) {
     const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `Gemini error ${response.status}`);
+    throw apiError(err.error?.message || `Gemini error ${response.status}`, response.status);
+  }
+
+  // 도구 호출: functionCall 파트 — 다음 요청에 model 턴으로 그대로 돌려준다 (thought 요약 파트 제외)
+  const toolResult = (text, parts) => ({
+    text,
+    toolCalls: parts.filter(p => p.functionCall)
+      .map((p, i) => ({ id: p.functionCall.id || `call_${i}`, name: p.functionCall.name, args: p.functionCall.args || {} })),
+    parts: parts.filter(p => !p.thought),
+  });
+
+  // 스트리밍: 조각마다 candidates[0].content.parts (thought 파트 제외)
+  if (stream) {
+    let text = '';
+    const allParts = [];
+    await readSSE(response, chunk => {
+      if (chunk.error) throw new Error(chunk.error.message || 'Gemini stream error');
+      const parts = chunk.candidates?.[0]?.content?.parts || [];
+      allParts.push(...parts);
+      const delta = parts
+        .filter(p => !p.thought && p.text)
+        .map(p => p.text)
+        .join('');
+      if (delta) {
+        text += delta;
+        stream.onText(delta);
+      }
+    });
+    return tools ? toolResult(text, allParts) : text;
   }
 
   const data = await response.json();
@@ -590,16 +1085,17 @@ async function geminiCall(messages, maxTokens = 2048) {
   // Thinking models (3.x): prefer non-thought text parts
   const textParts = parts.filter(p => !p.thought && p.text);
   if (textParts.length > 0) {
-    return textParts.map(p => p.text).join('');
+    const text = textParts.map(p => p.text).join('');
+    return tools ? toolResult(text, parts) : text;
   }
 
   // Fallback: use first part's text directly (original handler, works for 2.5 Flash)
   const fallback = parts[0]?.text || '';
-  if (!fallback) {
+  if (!fallback && !parts.some(p => p.functionCall)) {
     console.warn('[Gemini] Empty response. finishReason:', data.candidates?.[0]?.finishReason,
       'parts count:', parts.length, 'keys:', parts.length > 0 ? Object.keys(parts[0]).join(',') : 'none');
   }
-  return fallback;
+  return tools ? toolResult(fallback, parts) : fallback;
 }
 
 // === Raw API call for autoplay (custom system prompt + messages) ===
@@ -695,7 +1191,7 @@ function generateMockResponse(message) {
 
     if (issues.length === 0) issues.push('현재 긴급한 이슈는 없습니다. 안정적 운영 중입니다.');
 
-    return `구청장님, 이번 달 주요 이슈입니다.\n\n${issues.map((s, i) => `${i + 1}. ${s}`).join('\n')}`;
+    return `구청장님, 이번 턴 주요 이슈입니다.\n\n${issues.map((s, i) => `${i + 1}. ${s}`).join('\n')}`;
   }
 
   // Default response
@@ -704,21 +1200,33 @@ function generateMockResponse(message) {
 }
 
 // === Event Analysis (§5) ===
-export async function generateEventAnalysis(event, state) {
+/**
+ * 이벤트 선택지 분석
+ * @param {Function|null} [onText] - 있으면 스트리밍 — 받은 데까지의 분석 전문으로 호출
+ * @returns {Promise<string>}
+ */
+export async function generateEventAnalysis(event, state, onText = null) {
   currentState = state;
 
   if (currentBackend !== 'mock') {
     const context = buildAdvisorContext(state);
     const choicesStr = event.choices.map((c, i) => {
       const letter = String.fromCharCode(65 + i);
-      return `${letter}. ${c.name}: ${c.description} (비용: ${c.cost}억원)`;
+      const policies = formatChoicePolicies(c);
+      return `${letter}. ${c.name}: ${c.description} (비용: ${c.cost}억원${policies ? `, 정책 ${policies}` : ''})`;
     }).join('\n');
 
     const prompt = `긴급 상황이 발생했습니다:\n\n[이벤트]\n${event.name}: ${event.description}\n\n[선택지]\n${choicesStr}\n\n${context}\n\n현재 자유예산 ${state.finance.freeBudget}억원을 고려하여 각 선택지의 예상 효과와 리스크를 분석하세요.\n추천하지 말고, 구청장님이 판단할 수 있도록 각 선택지의 트레이드오프를 명확히 제시하세요.\n\n3~5문장.`;
 
+    let text = '';
     try {
-      return await callAI(prompt);
+      if (!onText) return await callAI(prompt);
+      return await callStreaming(delta => {
+        text += delta;
+        onText(text);
+      }, stream => callAI(prompt, stream));
     } catch (err) {
+      if (err.name === 'AbortError') return `${text}${text ? ' ' : ''}(중단됨)`;
       console.warn('[Advisor] Event analysis API failed:', err);
     }
   }
@@ -966,12 +1474,38 @@ export async function callAdvisorForReview(prompt) {
   return '';
 }
 
+// === Save / Restore ===
+/**
+ * 저장용 자문관 상태 — 대화 기록 + 채팅 패널에 표시된 메시지
+ */
+export function getAdvisorSaveData() {
+  const messages = chatMessages
+    ? [...chatMessages.querySelectorAll('.chat-msg:not([data-pending])')].map(el => ({
+      role: el.classList.contains('player') ? 'player' : 'advisor',
+      text: el.textContent,
+    }))
+    : [];
+  return { chatHistory: [...chatHistory], messages, memory: getMemorySaveData() };
+}
+
+export function restoreAdvisor(data, state) {
+  currentState = state;
+  chatHistory = [...(data?.chatHistory || [])];
+  restoreMemory(data?.memory);
+  if (!chatMessages) return;
+  chatMessages.innerHTML = '';
+  for (const msg of data?.messages || []) {
+    addMessage(msg.role, msg.text);
+  }
+}
+
 // === Message UI ===
 export function addMessage(role, text) {
-  if (!chatMessages) return;
+  if (!chatMessages) return null;
   const div = document.createElement('div');
   div.className = `chat-msg ${role}`;
   div.textContent = text;
   chatMessages.appendChild(div);
   chatMessages.scrollTop = chatMessages.scrollHeight;
+  return div;
 }
@@ -6,9 +6,13 @@
  */
 
 import { callAIRaw, getCurrentBackendName, getCurrentModelId, buildAdvisorContext, addMessage } from './advisor.js';
-import { setAllocation } from './budget.js';
+import { setAllocation, setFiscalActions } from './budget.js';
 import { setPolicies, cancelActivePolicy, getPolicyCatalog } from './policy.js';
 import { setEventChoice, getCurrentEvent } from './event.js';
+import {
+  checkPolicyActivation, getMissingPrerequisites, getCalendar, getTermTurns, getTotalTurns, formatTurnLength, formatBudgetSchedule,
+  POLICY_COST_THRESHOLD, needsCouncilVote, voteOnPolicy, formatChoicePolicies,
+} from './engine/index.js';
 
 // === State ===
 let autoplayState = 'idle'; // 'idle' | 'running'
@@ -19,10 +23,11 @@ let gameAccessor = null; // { getState, getPhase, PHASE, triggerEndTurn, setAuto
 let lastAIReasoning = ''; // shared with main.js for turnLog
 
 // === Action System Prompt (adapted from sim/sim-advisor.mjs) ===
-const ACTION_SYSTEM_PROMPT = `당신은 서울특별시 마포구의 AI 구청장입니다. 48개월(4년) 임기 동안 마포구를 운영합니다.
+// 임기·턴 길이는 게임 달력에 따라 buildSystemMessage()에서 채운다
+const ACTION_SYSTEM_PROMPT = `당신은 서울특별시 마포구의 AI 구청장입니다. {TERM} 임기 동안 마포구를 운영합니다.
 
 ## 역할
-- 매달 예산 배분, 정책 선택, 이벤트 대응을 직접 결정합니다.
+- 매 턴({TURN_LENGTH}) 예산 배분, 정책 선택, 이벤트 대응을 직접 결정합니다.
 - 모든 결정은 지정된 JSON 형식으로 응답해야 합니다.
 
 ## 마포구 개요
@@ -30,9 +35,11 @@ const ACTION_SYSTEM_PROMPT = `당신은 서울특별시 마포구의 AI 구청
 - 홍대·연남 관광 상권, 상암 DMC 업무지구, 공덕 교통허브, 성산 주거단지 공존
 - 재정자립도 약 28%. 세수를 늘리려면 사업체를 늘리고, 부동산 가치를 올려야 합니다.
 - 핵심 딜레마: 관광 활성화 ↔ 주민 삶의 질, 개발 ↔ 보존, 성장 ↔ 형평
+- 구의회(16석)가 본예산·추경과 비용이 큰 정책을 표결합니다. 의원은 지역구 동 만족도와 소속 교섭단체 성향에 따라 찬반을 정합니다.
+- 동별 지지율은 만족도를 따라 천천히 움직이고, 구의회 부결이 잦으면 떨어집니다. 임기 마지막 턴에 구청장 선거가 열려 득표율 50%를 넘으면 재선합니다.
 
 ## 판단 프레임워크
-1. **변화**: 전월 대비 무엇이 달라졌는가?
+1. **변화**: 지난 턴 대비 무엇이 달라졌는가?
 2. **원인**: 왜 달라졌는가? (정책 효과? 외부 요인?)
 3. **영향**: 이 변화가 다른 지표에 어떤 파급을 줄 것인가?
 4. **대응**: 어떤 행동이 최선인가?
@@ -92,10 +99,11 @@ function startAutoplay(numTurns) {
   const currentTurn = state.meta.turn;
 
   // numTurns=0 means "play to end"
+  const lastTurn = getTotalTurns(state);
   if (numTurns === 0) {
-    totalTurns = Math.max(0, 49 - currentTurn); // turns until turn > 48
+    totalTurns = Math.max(0, lastTurn + 1 - currentTurn); // turns until turn > lastTurn
   } else {
-    totalTurns = Math.min(numTurns, 49 - currentTurn);
+    totalTurns = Math.min(numTurns, lastTurn + 1 - currentTurn);
   }
 
   if (totalTurns <= 0) return;
@@ -220,6 +228,7 @@ async function autoplayLoop() {
 function applyAction(action, state, event) {
   // Budget
   setAllocation(action.budget, state.finance.freeBudget);
+  setFiscalActions(action.fiscal);
 
   // Policy deactivation
   for (const id of action.policies.deactivate) {
@@ -237,37 +246,47 @@ function applyAction(action, state, event) {
 
 // === Prompt Builder ===
 function buildSystemMessage(state) {
-  let sys = ACTION_SYSTEM_PROMPT;
+  let sys = ACTION_SYSTEM_PROMPT
+    .replace('{TERM}', `${getTermTurns(state)}턴(${getCalendar(state).termYears}년)`)
+    .replace('{TURN_LENGTH}', formatTurnLength(state));
   if (state.meta.pledges?.length > 0) {
     sys += `\n\n선택한 공약: ${state.meta.pledges.join(', ')}`;
   }
   return sys;
 }
 
+// 구의회 표결 대상 정책이면 지금 상정했을 때의 예상 찬성 수
+function formatCouncilForecast(policy, state) {
+  if (!needsCouncilVote(policy)) return '';
+  const vote = voteOnPolicy(state, policy);
+  return `, 의회 표결 예상 찬성 ${vote.yes}/${vote.seats}`;
+}
+
 function buildActionPrompt(state, event, policyCatalog) {
   const context = buildAdvisorContext(state);
   const activePolicyIds = (state.activePolicies || []).map(ap => ap.policy.id);
 
-  // Available policies (not already active)
+  // Available policies (not already active, prerequisites met)
   const available = policyCatalog
-    .filter(p => !activePolicyIds.includes(p.id))
-    .map(p => `${p.id}: ${p.name} (${p.cost}억/턴, ${p.category})`)
+    .filter(p => !activePolicyIds.includes(p.id) && getMissingPrerequisites(p, state).length === 0)
+    .map(p => `${p.id}: ${p.name} (${p.cost}억/월, ${p.category}${p.incompatible?.length ? `, 상충: ${p.incompatible.join('/')}` : ''}${formatCouncilForecast(p, state)})`)
     .join('\n');
 
   let prompt = `${context}\n\n`;
 
   // Event info
   if (event) {
-    const choicesStr = event.choices.map(c =>
-      `${c.id}: ${c.name} — ${c.description} (비용: ${c.cost}억원)`
-    ).join('\n');
+    const choicesStr = event.choices.map(c => {
+      const policies = formatChoicePolicies(c);
+      return `${c.id}: ${c.name} — ${c.description} (비용: ${c.cost}억원${policies ? `, 정책 ${policies}` : ''})`;
+    }).join('\n');
     prompt += `[긴급 이벤트]\n${event.name}: ${event.description}\n선택지:\n${choicesStr}\n\n`;
   }
 
-  prompt += `이번 달 행동을 결정하세요. 아래 JSON 형식으로만 응답하세요:
+  prompt += `이번 턴 행동을 결정하세요. 아래 JSON 형식으로만 응답하세요:
 
 {
-  "reasoning": "이번 달 판단 근거 — 현재 지표 분석 + 전략적 이유",
+  "reasoning": "이번 턴 판단 근거 — 현재 지표 분석 + 전략적 이유",
   "budget": {
     "economy": <0~40>, "transport": <0~40>, "culture": <0~40>,
     "environment": <0~40>, "education": <0~40>, "welfare": <0~40>, "renewal": <0~40>
@@ -275,7 +294,8 @@ function buildActionPrompt(state, event, policyCatalog) {
   "policies": {
     "activate": ["정책ID"],
     "deactivate": ["정책ID"]
-  }${event ? `,\n  "eventChoice": "선택지ID"` : ''}
+  },
+  "fiscal": { "bond": <지방채 발행 억원, 기본 0>, "reserveDraw": <적립금 인출 억원, 기본 0> }${event ? `,\n  "eventChoice": "선택지ID"` : ''}
 }
 
 전략 가이드:
@@ -286,6 +306,9 @@ function buildActionPrompt(state, event, policyCatalog) {
 
 규칙:
 - budget 7개 항목 합계 = 반드시 100
+- budget·fiscal은 예산 편성 턴(${formatBudgetSchedule(state)})에만 반영, 그 외 턴은 확정 배분으로 집행
+- 지방채는 원리금이 의무지출에 붙고 재정 건전 공약을 깎습니다
+- 예산안과 월 ${POLICY_COST_THRESHOLD}억 이상 정책은 구의회 표결 — 부결된 정책은 시행되지 않고, 예산안은 수정되거나 기존 배분으로 집행
 - 각 항목 최소 5, 최대 40
 - 활성 정책 최대 3개 (현재 ${activePolicyIds.length}개: ${activePolicyIds.join(', ') || '없음'})
 - activate: 새로 활성화할 정책 ID (비용 고려)
@@ -406,6 +429,10 @@ function regexExtract(raw) {
   const eventMatch = raw.match(/"eventChoice"\s*:\s*"([^"]+)"/);
   if (eventMatch) result.eventChoice = eventMatch[1];
 
+  const bondMatch = raw.match(/"bond"\s*:\s*(\d+)/);
+  const drawMatch = raw.match(/"reserveDraw"\s*:\s*(\d+)/);
+  if (bondMatch || drawMatch) result.fiscal = { bond: Number(bondMatch?.[1] || 0), reserveDraw: Number(drawMatch?.[1] || 0) };
+
   return result;
 }
 
@@ -417,6 +444,13 @@ function validateAction(parsed, state, event, policyCatalog) {
     eventChoice: null,
   };
 
+  // Fiscal: 음수·비숫자는 0 (한도·잔액 초과분은 엔진이 잘라낸다)
+  if (parsed?.fiscal && typeof parsed.fiscal === 'object') {
+    const bond = Math.max(0, Math.round(Number(parsed.fiscal.bond) || 0));
+    const reserveDraw = Math.max(0, Math.round(Number(parsed.fiscal.reserveDraw) || 0));
+    if (bond > 0 || reserveDraw > 0) action.fiscal = { bond, reserveDraw };
+  }
+
   // Budget validation + normalization
   if (parsed?.budget && typeof parsed.budget === 'object') {
     const keys = ['economy', 'transport', 'culture', 'environment', 'education', 'welfare', 'renewal'];
@@ -453,9 +487,19 @@ function validateAction(parsed, state, event, policyCatalog) {
     const slotsAvailable = 3 - afterDeactivate;
 
     if (Array.isArray(parsed.policies.activate)) {
-      action.policies.activate = parsed.policies.activate
-        .filter(id => catalogIds.has(id) && !activePolicyIds.includes(id))
-        .slice(0, Math.max(0, slotsAvailable));
+      // 선행조건 + 상충 (해제 예정 정책은 상충 대상에서 제외, 같은 턴 선택끼리도 검사)
+      const afterState = {
+        ...state,
+        activePolicies: (state.activePolicies || []).filter(ap => !action.policies.deactivate.includes(ap.policy.id)),
+      };
+      const accepted = [];
+      for (const id of parsed.policies.activate) {
+        if (!catalogIds.has(id) || activePolicyIds.includes(id) || accepted.includes(id)) continue;
+        const policy = policyCatalog.find(p => p.id === id);
+        if (checkPolicyActivation(policy, afterState, accepted)) continue;
+        accepted.push(id);
+      }
+      action.policies.activate = accepted.slice(0, Math.max(0, slotsAvailable));
     }
   }
 
@@ -512,10 +556,14 @@ function getMockAction(state, event, catalog) {
   const activePolicyIds = (state.activePolicies || []).map(ap => ap.policy.id);
   const slotsAvailable = 3 - activePolicyIds.length;
   if (slotsAvailable > 0 && catalog.length > 0) {
-    const affordable = catalog
-      .filter(p => !activePolicyIds.includes(p.id) && p.cost <= state.finance.freeBudget * 0.3)
-      .slice(0, slotsAvailable);
-    action.policies.activate = affordable.map(p => p.id);
+    const affordable = [];
+    for (const p of catalog) {
+      if (affordable.length >= slotsAvailable) break;
+      if (p.cost * getCalendar(state).turnMonths > state.finance.freeBudget * 0.3) continue;
+      if (checkPolicyActivation(p, state, affordable)) continue;
+      affordable.push(p.id);
+    }
+    action.policies.activate = affordable;
   }
 
   // Event: pick first choice
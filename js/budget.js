@@ -1,7 +1,12 @@
 /**
- * budget.js — 예산 배분 슬라이더 UI
+ * budget.js — 예산 배분 슬라이더 + 회계연도(본예산·추경)·적립금·지방채 UI + 구의회 표결 예상
  */
 
+import {
+  getBudgetPhase, getBondCapacity, formatBudgetSchedule,
+  COUNCIL_FACTIONS, getCouncilSeats, voteOnBudget, formatVote,
+} from './engine/index.js';
+
 const CATEGORIES = [
   { id: 'economy', name: '경제·일자리', lag: '2~4턴', icon: '💼' },
   { id: 'transport', name: '교통·인프라', lag: '3~6턴', icon: '🚇' },
@@ -12,12 +17,36 @@ const CATEGORIES = [
   { id: 'renewal', name: '도시재생', lag: '6~12턴', icon: '🏗️' },
 ];
 
+const PHASE_INFO = {
+  annual: { label: '본예산 편성', desc: '이번 배분이 1년간 집행됩니다. 지방채 발행·적립금 인출 가능.' },
+  supplementary: { label: '추경 편성 가능', desc: '배분을 바꾸거나 재원을 쓰면 추경(연 1회)으로 처리됩니다.' },
+  locked: { label: '예산 집행 중', desc: '확정 배분으로 집행됩니다.' },
+};
+
 let allocation = {};
 let freeBudget = 0;
+let finance = null;
+let phase = 'annual';
+let schedule = ''; // 본예산·추경 일정 (게임 달력)
+let fiscal = { bond: 0, reserveDraw: 0 };
+let councilState = null; // 구의회 표결 예상용 gameState (의석·동별 만족도)
 
 export function initBudget(state) {
   allocation = { ...state.finance.allocation };
-  freeBudget = state.finance.freeBudget;
+  updateBudgetState(state);
+}
+
+/**
+ * 턴 시작/불러오기 시 재정 상태 반영 — 집행 중이면 확정 배분으로 되돌린다
+ */
+export function updateBudgetState(state) {
+  finance = state.finance;
+  councilState = state;
+  freeBudget = finance.freeBudget;
+  phase = getBudgetPhase(state);
+  schedule = formatBudgetSchedule(state);
+  if (phase === 'locked' && finance.cycle?.approved) allocation = { ...finance.cycle.approved };
+  fiscal = { bond: 0, reserveDraw: 0 };
   renderBudget();
 }
 
@@ -26,18 +55,38 @@ export function getAllocation() {
 }
 
 export function setAllocation(alloc, currentFreeBudget) {
-  allocation = { ...alloc };
+  if (phase !== 'locked') allocation = { ...alloc };
   if (currentFreeBudget !== undefined) freeBudget = currentFreeBudget;
   renderBudget();
 }
 
+export function getFiscalActions() {
+  return { ...fiscal };
+}
+
+export function setFiscalActions(actions = {}) {
+  if (phase === 'locked') return;
+  fiscal = {
+    bond: clampAmount(actions.bond, finance ? getBondCapacity(finance) : 0),
+    reserveDraw: clampAmount(actions.reserveDraw, finance?.reserve || 0),
+  };
+  renderBudget();
+}
+
 function renderBudget() {
   const container = document.getElementById('tab-budget');
   if (!container) return;
 
   const total = Object.values(allocation).reduce((s, v) => s + v, 0);
 
-  container.innerHTML = CATEGORIES.map(cat => {
+  const locked = phase === 'locked';
+  const info = PHASE_INFO[phase];
+
+  container.innerHTML = `
+    <div class="budget-phase budget-phase-${phase}">
+      <strong>${info.label}</strong> <span>${info.desc} 예산 일정: ${schedule}.</span>
+    </div>
+  ` + CATEGORIES.map(cat => {
     const pct = allocation[cat.id] || 0;
     const amount = Math.round(freeBudget * pct / 100);
     return `
@@ -50,15 +99,17 @@ function renderBudget() {
           </span>
         </div>
         <input type="range" class="budget-slider" data-cat="${cat.id}"
-               min="0" max="40" value="${pct}" step="1">
+               min="0" max="40" value="${pct}" step="1" ${locked ? 'disabled' : ''}>
         <div style="font-size:10px;color:var(--text-muted);margin-top:1px">효과 ${cat.lag} 후</div>
       </div>
     `;
   }).join('') + `
     <div class="budget-total ${total !== 100 ? 'budget-over' : ''}">
       <span>합계</span>
-      <span>${total}% / 100%</span>
+      <span>${total}% / 100%${total < 100 ? ` (나머지 ${100 - total}% 적립)` : ''}</span>
     </div>
+    ${renderFiscal(locked)}
+    ${renderCouncil(locked, total)}
   `;
 
   // Bind slider events — clamp so total never exceeds 100%
@@ -74,4 +125,67 @@ function renderBudget() {
       renderBudget();
     });
   });
+
+  container.querySelectorAll('.budget-fiscal-input').forEach(input => {
+    input.addEventListener('change', (e) => {
+      setFiscalActions({ ...fiscal, [e.target.dataset.key]: parseInt(e.target.value) || 0 });
+    });
+  });
+}
+
+function renderFiscal(locked) {
+  if (!finance) return '';
+  const bondCap = getBondCapacity(finance);
+  const reserve = finance.reserve || 0;
+  return `
+    <div class="budget-fiscal">
+      <div class="budget-label">
+        <span class="budget-name">💰 적립금 ${reserve.toLocaleString()}억</span>
+        <span class="budget-amount">인출 <input type="number" class="budget-fiscal-input" data-key="reserveDraw"
+          min="0" max="${reserve}" step="10" value="${fiscal.reserveDraw}" ${locked || reserve <= 0 ? 'disabled' : ''}>억</span>
+      </div>
+      <div class="budget-label">
+        <span class="budget-name">🏦 지방채 ${(finance.debt || 0).toLocaleString()}억${finance.debtService ? ` (원리금 ${finance.debtService}억/턴)` : ''}</span>
+        <span class="budget-amount">발행 <input type="number" class="budget-fiscal-input" data-key="bond"
+          min="0" max="${bondCap}" step="10" value="${fiscal.bond}" ${locked || bondCap <= 0 ? 'disabled' : ''}>억</span>
+      </div>
+      <div style="font-size:10px;color:var(--text-muted)">
+        발행 한도 ${bondCap.toLocaleString()}억 · 재원은 다음 턴 자유예산에 더해집니다${finance.seasonalSpend ? ` · 겨울 복지지출 ${finance.seasonalSpend}억` : ''}${finance.deficit ? ` · <span class="budget-over">적자 ${finance.deficit}억</span>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * 구의회 의석 막대 + 편성 중인 예산안 표결 예상 + 최근 예산 표결
+ */
+function renderCouncil(locked, total) {
+  if (!councilState) return '';
+  const seats = getCouncilSeats(councilState);
+  const bar = Object.entries(seats).map(([id, n]) =>
+    `<span class="council-seat council-${id}" style="flex:${n}" title="${COUNCIL_FACTIONS[id].name} ${n}석">${COUNCIL_FACTIONS[id].name} ${n}</span>`,
+  ).join('');
+
+  let forecast = '';
+  if (!locked && total > 0) {
+    const vote = voteOnBudget(councilState, { allocation, ...fiscal, phase });
+    forecast = `<div>예상: <span class="council-result-${vote.result}">${formatVote(vote)}</span>${vote.amendments
+      ? ` — 수정안 ${Object.entries(vote.amendments).map(([cat, d]) => `${CATEGORIES.find(c => c.id === cat)?.name || cat} ${d > 0 ? '+' : ''}${d}%p`).join(', ')}`
+      : ''}</div>`;
+  }
+  const last = [...(councilState.council?.log || [])].reverse().find(v => v.kind === 'budget');
+
+  return `
+    <div class="budget-council">
+      <div class="budget-name">🏛️ 구의회 (과반 ${Math.floor(Object.values(seats).reduce((s, n) => s + n, 0) / 2) + 1}석)</div>
+      <div class="council-seats">${bar}</div>
+      <div style="font-size:10px;color:var(--text-muted)">
+        ${forecast}${last ? `<div>최근: ${last.turn}턴 ${formatVote(last)}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+function clampAmount(value, max) {
+  return Math.max(0, Math.min(max, Math.round(Number(value) || 0)));
 }
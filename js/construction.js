@@ -0,0 +1,204 @@
+/**
+ * construction.js — 시설 건설 UI
+ * 동 → 시설 선택 → 구획 선택. 구획 슬롯(slotCapacity)마다 시설 하나.
+ * 착공은 턴 종료 시 엔진 tick()에서 처리 (playerActions.constructions)
+ */
+
+import { checkConstruction, getUsedSlots, validateFacilityCatalog } from './engine/index.js';
+
+let facilityCatalog = [];
+let pendingConstructions = []; // [{ facilityId, blockId }] 이번 턴 신청 (아직 착공 전)
+let selectedDong = null;
+let selectedFacility = null;
+let currentState = null;
+
+export async function initConstruction(state) {
+  currentState = state;
+  selectedDong = state.dongs[0]?.id || null;
+
+  try {
+    const resp = await fetch('data/game/facilities.json');
+    const data = await resp.json();
+    facilityCatalog = data.facilities;
+    for (const error of validateFacilityCatalog(facilityCatalog)) console.error('[Facilities] 데이터 오류:', error);
+  } catch (err) {
+    console.warn('[Construction] Failed to load facilities.json:', err);
+    facilityCatalog = [];
+  }
+
+  pendingConstructions = [];
+  renderConstructionPanel();
+}
+
+export function updateConstructionState(state) {
+  currentState = state;
+  pendingConstructions = [];
+  renderConstructionPanel();
+}
+
+/**
+ * 이번 턴 신청한 건설 (tick의 playerActions.constructions 형식)
+ * @returns {{ facility: Object, blockId: string }[]}
+ */
+export function getPendingConstructions() {
+  return pendingConstructions
+    .map(c => ({ facility: facilityCatalog.find(f => f.id === c.facilityId), blockId: c.blockId }))
+    .filter(c => c.facility);
+}
+
+/**
+ * 저장된 신청 목록 복원 / 자동 플레이 적용
+ * @param {{ facilityId: string, blockId: string }[]} list
+ */
+export function setConstructions(list) {
+  pendingConstructions = [];
+  for (const c of list || []) {
+    const facility = facilityCatalog.find(f => f.id === c.facilityId);
+    if (facility && !checkConstruction(facility, c.blockId, currentState, getPendingConstructions())) {
+      pendingConstructions.push({ facilityId: c.facilityId, blockId: c.blockId });
+    }
+  }
+  renderConstructionPanel();
+}
+
+export function getFacilityCatalog() {
+  return facilityCatalog;
+}
+
+function renderConstructionPanel() {
+  const container = document.getElementById('tab-build');
+  if (!container || !currentState) return;
+
+  const facilities = currentState.facilities || [];
+  const freeBudget = currentState.finance?.freeBudget || 0;
+  const pendingCost = getPendingConstructions()
+    .reduce((s, c) => s + Math.round(c.facility.cost / (c.facility.buildTurns || 1)), 0);
+
+  let html = '';
+
+  // 진행 중 / 완공 시설
+  if (facilities.length > 0) {
+    html += '<div class="policy-section-title">구 시설 현황</div>';
+    html += '<div class="active-policies">';
+    for (const f of facilities) {
+      const status = f.status === 'building'
+        ? `공사 중 (${f.remainTurns}턴 남음, ${Math.round(f.facility.cost / (f.facility.buildTurns || 1))}억/턴)`
+        : `운영 중 (유지비 ${f.facility.maintenance}억/월)`;
+      html += `
+        <div class="active-policy-item">
+          <div class="active-policy-header">
+            <span class="active-policy-name">${f.facility.name}</span>
+            <span class="active-policy-cost">${getBlockName(f.blockId)}</span>
+          </div>
+          <div class="active-policy-status">${status}</div>
+        </div>`;
+    }
+    html += '</div>';
+  }
+
+  html += `<div class="policy-budget-info">
+    자유예산 ${freeBudget}억 | 이번 턴 신청 건설비 ${pendingCost}억/턴
+    <span class="policy-slot-info">(시설 비용은 다음 턴부터 차감)</span>
+  </div>`;
+
+  // 신청 목록
+  if (pendingConstructions.length > 0) {
+    html += '<div class="policy-section-title">이번 턴 착공 신청</div>';
+    html += pendingConstructions.map((c, i) => `
+      <div class="build-pending">
+        <span>${getFacilityName(c.facilityId)} → ${getBlockName(c.blockId)}</span>
+        <button class="active-policy-cancel build-cancel" data-index="${i}">취소</button>
+      </div>`).join('');
+  }
+
+  // 동 선택
+  html += `<div class="build-dong-select">
+    <label for="build-dong">동</label>
+    <select id="build-dong" class="autoplay-select">
+      ${currentState.dongs.map(d => `<option value="${d.id}" ${d.id === selectedDong ? 'selected' : ''}>${d.name}</option>`).join('')}
+    </select>
+  </div>`;
+
+  // 시설 카드
+  html += '<div class="policy-grid">';
+  for (const f of facilityCatalog) {
+    const perTurn = Math.round(f.cost / (f.buildTurns || 1));
+    html += `
+      <div class="policy-card ${f.id === selectedFacility ? 'selected' : ''}" data-facility="${f.id}">
+        <div class="policy-card-header">
+          <span class="policy-name">${f.name}</span>
+          <span class="policy-cost">${f.cost}억</span>
+        </div>
+        <div class="policy-desc">${f.description}</div>
+        <div class="policy-tags">
+          <span class="policy-tag">${f.buildTurns}턴 공사 (${perTurn}억/턴)</span>
+          <span class="policy-tag">유지비 ${f.maintenance}억/월</span>
+        </div>
+      </div>`;
+  }
+  html += '</div>';
+
+  // 구획 선택
+  const facility = facilityCatalog.find(f => f.id === selectedFacility);
+  const dong = currentState.dongs.find(d => d.id === selectedDong);
+  if (facility && dong) {
+    html += `<div class="policy-section-title">${dong.name} 구획 — ${facility.name}</div>`;
+    html += '<div class="build-blocks">';
+    for (const block of dong.blocks || []) {
+      const pending = getPendingConstructions();
+      const used = getUsedSlots(block.id, currentState) + pending.filter(c => c.blockId === block.id).length;
+      const reason = checkConstruction(facility, block.id, currentState, pending);
+      html += `
+        <div class="build-block ${reason ? 'disabled' : ''}">
+          <div class="build-block-info">
+            <span class="build-block-name">${block.name}</span>
+            <span class="build-block-meta">${block.type} · 슬롯 ${used}/${block.slotCapacity}${block.zoningConflict ? ' · 용도갈등' : ''}</span>
+            ${reason ? `<span class="build-block-reason">${reason}</span>` : ''}
+          </div>
+          <button class="build-btn" data-block="${block.id}" ${reason ? 'disabled' : ''}>착공</button>
+        </div>`;
+    }
+    html += '</div>';
+  }
+
+  container.innerHTML = html;
+
+  // Bind events
+  document.getElementById('build-dong')?.addEventListener('change', (e) => {
+    selectedDong = e.target.value;
+    renderConstructionPanel();
+  });
+
+  container.querySelectorAll('.policy-card[data-facility]').forEach(card => {
+    card.addEventListener('click', () => {
+      selectedFacility = selectedFacility === card.dataset.facility ? null : card.dataset.facility;
+      renderConstructionPanel();
+    });
+  });
+
+  container.querySelectorAll('.build-btn:not([disabled])').forEach(btn => {
+    btn.addEventListener('click', () => {
+      pendingConstructions.push({ facilityId: selectedFacility, blockId: btn.dataset.block });
+      renderConstructionPanel();
+    });
+  });
+
+  container.querySelectorAll('.build-cancel').forEach(btn => {
+    btn.addEventListener('click', () => {
+      pendingConstructions.splice(Number(btn.dataset.index), 1);
+      renderConstructionPanel();
+    });
+  });
+}
+
+function getFacilityName(id) {
+  return facilityCatalog.find(f => f.id === id)?.name || id;
+}
+
+function getBlockName(blockId) {
+  for (const dong of currentState?.dongs || []) {
+    const block = dong.blocks?.find(b => b.id === blockId);
+    if (block) return `${dong.name} ${block.name}`;
+  }
+  return blockId;
+}
@@ -2,8 +2,12 @@
  * dashboard.js — 대시보드 (요약 카드 + Chart.js 시계열 + 동별 순위)
  */
 
+import { getApprovalRating } from './engine/index.js';
+
 let trendChart = null;
 let rankChart = null;
+let summaryState = null; // 요약 카드를 마지막으로 그린 상태 — 미리보기를 켜고 끌 때 다시 그린다
+let preview = null; // 다음 턴 예상 (projectTurn 결과)
 
 export function initDashboard(state) {
   renderSummary(state);
@@ -33,7 +37,44 @@ export function updateDashboard(state) {
   updateRankChart(state);
 }
 
+/**
+ * 불러오기 후 대시보드 재구성 — 추세 차트를 history로부터 다시 채운다
+ */
+export function restoreDashboard(state) {
+  renderSummary(state);
+  updateRankChart(state);
+  if (!trendChart) return;
+
+  const points = (state.history || []).map(h => ({
+    turn: h.turn,
+    pop: h.totalPopulation,
+    sat: h.avgSatisfaction,
+  }));
+  points.push({
+    turn: state.meta.turn,
+    pop: state.dongs.reduce((s, d) => s + d.population, 0),
+    sat: Math.round(state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length),
+  });
+
+  // Keep last 12 data points visible (updateTrendChart와 동일)
+  const visible = points.slice(-13);
+  trendChart.data.labels = visible.map(p => p.turn === 1 ? '시작' : `T${p.turn}`);
+  trendChart.data.datasets[0].data = visible.map(p => Math.round(p.pop / 10000 * 10) / 10);
+  trendChart.data.datasets[1].data = visible.map(p => p.sat);
+  trendChart.update();
+}
+
+/**
+ * 요약 카드에 다음 턴 예상 변화 표시 (null이면 지움)
+ * @param {Object|null} projection - projectTurn() 결과
+ */
+export function setDashboardPreview(projection) {
+  preview = projection;
+  if (summaryState) renderSummary(summaryState);
+}
+
 function renderSummary(state) {
+  summaryState = state;
   const container = document.getElementById('dashboard-summary');
   if (!container) return;
 
@@ -48,6 +89,8 @@ function renderSummary(state) {
   const prevPop = prev?.totalPopulation || totalPop;
   const prevSat = prev?.avgSatisfaction || avgSat;
   const prevFiscal = prev?.fiscalIndependence || fiscal;
+  const approval = getApprovalRating(state);
+  const prevApproval = prev?.dongs ? getApprovalRating({ dongs: prev.dongs }) : approval;
 
   container.innerHTML = `
     <div class="summary-card">
@@ -56,11 +99,13 @@ function renderSummary(state) {
       <div class="summary-delta ${totalPop >= prevPop ? 'delta-up' : 'delta-down'}">
         ${totalPop >= prevPop ? '+' : ''}${(totalPop - prevPop).toLocaleString()}
       </div>
+      ${renderPreviewDelta('population', v => Math.round(v).toLocaleString())}
     </div>
     <div class="summary-card">
       <div class="summary-label">사업체</div>
       <div class="summary-value">${(totalBiz / 10000).toFixed(1)}만</div>
       <div class="summary-delta delta-flat">종사자 ${(state.dongs.reduce((s, d) => s + d.workers, 0) / 10000).toFixed(1)}만</div>
+      ${renderPreviewDelta('businesses', v => Math.round(v).toLocaleString())}
     </div>
     <div class="summary-card">
       <div class="summary-label">재정자립도</div>
@@ -68,6 +113,7 @@ function renderSummary(state) {
       <div class="summary-delta ${fiscal >= prevFiscal ? 'delta-up' : 'delta-down'}">
         ${fiscal >= prevFiscal ? '+' : ''}${fiscal - prevFiscal}%p
       </div>
+      ${renderPreviewDelta('fiscalIndependence', v => `${v.toFixed(1)}%p`)}
     </div>
     <div class="summary-card">
       <div class="summary-label">평균만족도</div>
@@ -75,10 +121,27 @@ function renderSummary(state) {
       <div class="summary-delta ${avgSat >= prevSat ? 'delta-up' : 'delta-down'}">
         ${avgSat >= prevSat ? '+' : ''}${avgSat - prevSat}
       </div>
+      ${renderPreviewDelta('satisfaction', v => v.toFixed(1))}
+    </div>
+    <div class="summary-card">
+      <div class="summary-label">지지율</div>
+      <div class="summary-value">${approval.toFixed(1)}%</div>
+      <div class="summary-delta ${approval >= prevApproval ? 'delta-up' : 'delta-down'}">
+        ${approval >= prevApproval ? '+' : ''}${(approval - prevApproval).toFixed(1)}%p
+      </div>
+      ${renderPreviewDelta('approval', v => `${v.toFixed(1)}%p`)}
     </div>
   `;
 }
 
+// 다음 턴 예상 변화 한 줄 (미리보기 중일 때만)
+function renderPreviewDelta(metric, format) {
+  const m = preview?.district[metric];
+  if (!m) return '';
+  const cls = m.delta > 0 ? 'delta-up' : m.delta < 0 ? 'delta-down' : 'delta-flat';
+  return `<div class="summary-delta summary-preview ${cls}" title="지금 결정으로 턴을 끝냈을 때 (새 이벤트 제외)">예상 ${m.delta > 0 ? '+' : ''}${format(m.delta)}</div>`;
+}
+
 // === Trend Chart (시계열) ===
 function initTrendChart(state) {
   const canvas = document.getElementById('trend-chart');
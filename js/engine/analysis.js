@@ -0,0 +1,227 @@
+/**
+ * analysis.js — 분석 도구 (동 비교 · 결정 미리보기 · 다음 턴 예상)
+ *
+ * 브라우저 자문관의 도구 호출(js/advisor-tools.js), 턴 미리보기 버튼(main.js)과 MCP 서버가 같은 계산·문구를 쓴다.
+ *
+ * previewTurn() — 상태 사본을 같은 시드의 난수로 두 번 틱해서 기준 결정과 대안 결정의 결과를 비교
+ * projectTurn() — 지금 결정으로 턴을 끝냈을 때의 결과를 현재와 비교
+ *   게임 난수의 내부 상태(rng.getState())를 넘기면 실제 턴 종료 틱과 같은 난수를 뽑는다.
+ *   실제 게임 상태·난수 흐름은 건드리지 않는다. 틱 사이의 새 이벤트 발생은 미리보기에 넣지 않는다.
+ */
+
+import { tick } from './simulation.js';
+import { setTurn } from './calendar.js';
+import { getBudgetPhase } from './finance.js';
+import { createRng } from './rng.js';
+import { formatVote } from './council.js';
+import { metricInfo, measureMetric, formatMetricValue } from './metrics.js';
+
+// === Constants ===
+export const PREVIEW_MAX_TURNS = 4;
+
+// 미리보기 비교 지표 (metrics.js 키) — 구 전체 + 동별
+const PREVIEW_METRICS = ['population', 'businesses', 'satisfaction', 'commerceVitality', 'rentPressure', 'approval'];
+const PREVIEW_DISTRICT_METRICS = [...PREVIEW_METRICS, 'fiscalIndependence', 'reserve', 'debt'];
+
+// 동 비교 지표 — metrics.js 지표 + 동 고유 값
+const COMPARE_METRICS = [
+  'population', 'youthShare', 'elderlyShare', 'businesses', 'workers', 'commerceVitality', 'rentPressure',
+  'satisfaction', 'satisfaction.economy', 'satisfaction.transport', 'satisfaction.housing',
+  'satisfaction.safety', 'satisfaction.culture', 'satisfaction.welfare', 'approval',
+];
+const COMPARE_EXTRA = [
+  { label: '평균 월세', get: d => d.housing?.avgRent, unit: '만원' },
+  { label: '교통 접근성', get: d => d.accessibility, digits: 1 },
+  { label: '통근 혼잡도', get: d => d.commute?.congestion, digits: 2 },
+];
+
+/**
+ * 동 비교표 (markdown) — 없는 동 ID는 건너뛴다
+ * @param {Object} state
+ * @param {string[]} dongIds
+ * @returns {string}
+ */
+export function formatDongComparison(state, dongIds) {
+  const dongs = dongIds.map(id => state.dongs.find(d => d.id === id)).filter(Boolean);
+  if (dongs.length === 0) return '비교할 동이 없습니다.';
+  const lines = [
+    `| 지표 | ${dongs.map(d => d.name).join(' | ')} | 구 평균 |`,
+    `|---|${dongs.map(() => '---|').join('')}---|`,
+  ];
+  for (const metric of COMPARE_METRICS) {
+    const info = metricInfo(metric);
+    const avg = info.agg === 'sum' ? measureMetric(state, metric) / state.dongs.length : measureMetric(state, metric);
+    const cells = dongs.map(d => formatMetricValue(measureMetric(state, metric, [d.id]), info));
+    lines.push(`| ${info.label} | ${cells.join(' | ')} | ${formatMetricValue(avg, info)} |`);
+  }
+  for (const row of COMPARE_EXTRA) {
+    const values = state.dongs.map(row.get).filter(v => typeof v === 'number');
+    if (values.length === 0) continue;
+    const avg = values.reduce((s, v) => s + v, 0) / values.length;
+    const cells = dongs.map(d => (typeof row.get(d) === 'number' ? formatMetricValue(row.get(d), row) : '-'));
+    lines.push(`| ${row.label} | ${cells.join(' | ')} | ${formatMetricValue(avg, row)} |`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 결정 미리보기 — 같은 상태·같은 난수로 기준 결정과 대안 결정을 각각 틱해서 비교
+ * 둘째 턴부터는 두 결정 모두 예산 배분만 유지한다 (정책·시설·이벤트 선택은 첫 턴에 한 번)
+ * @param {Object} state - 플레이어 단계의 gameState (변경하지 않음)
+ * @param {Object} base - 기준 결정 (tick playerActions + deactivate?: [정책 ID] — 틱 전에 중단)
+ * @param {Object} variant - 대안 결정 (같은 형식)
+ * @param {Object} adjacency
+ * @param {Object} [options]
+ *   - turns: 몇 턴 뒤까지 (1~PREVIEW_MAX_TURNS, 기본 1)
+ *   - seed: 난수 시드 (기본 meta.seed + 현재 턴 — 같은 턴에 다시 물어도 같은 결과)
+ * @returns {{ turns, seed, budgetPhase, district: Object, dongs: Object[], votes: { base: string[], variant: string[] } }}
+ *   district: { [metric]: { base, variant, delta } }, dongs: [{ id, name, metrics: { [metric]: { base, variant, delta } } }]
+ */
+export function previewTurn(state, base, variant, adjacency, options = {}) {
+  const turns = Math.max(1, Math.min(PREVIEW_MAX_TURNS, Math.round(options.turns || 1)));
+  const seed = options.seed ?? ((state.meta.seed ?? 0) + state.meta.turn);
+  const a = simulate(state, base, adjacency, turns, seed);
+  const b = simulate(state, variant, adjacency, turns, seed);
+  const { district, dongs } = diffStates(a.state, b.state, 'base', 'variant');
+  return { turns, seed, budgetPhase: getBudgetPhase(state), district, dongs, votes: { base: a.votes, variant: b.votes } };
+}
+
+/**
+ * 다음 턴 예상 — 지금 결정으로 턴을 끝냈을 때의 결과를 현재 상태와 비교
+ * @param {Object} state - 플레이어 단계의 gameState (변경하지 않음)
+ * @param {Object} actions - 이번 턴 결정 (tick playerActions + deactivate?)
+ * @param {Object} adjacency
+ * @param {Object} [options]
+ *   - rngState: 게임 난수의 내부 상태 (rng.getState()) — 넘기면 결정을 바꾸지 않고 턴을 끝냈을 때와 같은 결과
+ *   - seed: rngState가 없을 때 쓸 시드 (기본 meta.seed + 현재 턴)
+ * @returns {{ turn, budgetPhase, district: Object, dongs: Object[], votes: string[] }}
+ *   district: { [metric]: { current, projected, delta } }, dongs: [{ id, name, metrics: { [metric]: { current, projected, delta } } }]
+ */
+export function projectTurn(state, actions, adjacency, options = {}) {
+  const seed = options.seed ?? ((state.meta.seed ?? 0) + state.meta.turn);
+  const next = simulate(state, actions, adjacency, 1, seed, options.rngState);
+  const { district, dongs } = diffStates(state, next.state, 'current', 'projected');
+  return { turn: state.meta.turn + 1, budgetPhase: getBudgetPhase(state), district, dongs, votes: next.votes };
+}
+
+/**
+ * 미리보기 결과 문구 (markdown)
+ * @param {Object} result - previewTurn() 결과
+ * @param {Object} [options]
+ *   - dongIds: 동별 표에 넣을 동 (생략하면 만족도·인구·사업체 차이가 큰 순으로 limit개)
+ *   - limit: 기본 5
+ * @returns {string}
+ */
+export function formatPreview(result, options = {}) {
+  const { dongIds = null, limit = 5 } = options;
+  const lines = [
+    `## 결정 미리보기 — ${result.turns}턴 뒤 (시드 ${result.seed})`,
+    '',
+    '| 지표 | 기준 | 대안 | 차이 |',
+    '|---|---|---|---|',
+  ];
+  for (const [metric, v] of Object.entries(result.district)) {
+    const info = metricInfo(metric);
+    lines.push(`| ${info.label} | ${formatMetricValue(v.base, info)} | ${formatMetricValue(v.variant, info)} | ${formatMetricValue(v.delta, info, { signed: true })} |`);
+  }
+
+  lines.push('', ...formatDongDeltas(result.dongs, '### 동별 차이 (대안 − 기준)', '동별 차이가 없습니다.', { dongIds, limit }));
+
+  const [baseVotes, variantVotes] = [result.votes.base, result.votes.variant];
+  if (variantVotes.join() !== baseVotes.join()) {
+    lines.push('', `구의회 표결 — 기준: ${baseVotes.join(', ') || '없음'} / 대안: ${variantVotes.join(', ') || '없음'}`);
+  }
+  if (result.budgetPhase === 'locked') {
+    lines.push('', '예산 집행 중인 턴이라 예산 배분·재원 변경은 반영되지 않습니다.');
+  }
+  lines.push('', '새 이벤트 발생은 포함하지 않은 추정입니다.');
+  return lines.join('\n');
+}
+
+/**
+ * 다음 턴 예상 문구 (markdown)
+ * @param {Object} result - projectTurn() 결과
+ * @param {Object} [options] - formatPreview()와 같음 (dongIds, limit)
+ * @returns {string}
+ */
+export function formatProjection(result, options = {}) {
+  const { dongIds = null, limit = 5 } = options;
+  const lines = [
+    `## 다음 턴 예상 — ${result.turn}턴 (지금 결정으로 턴을 끝내면)`,
+    '',
+    '| 지표 | 현재 | 예상 | 변화 |',
+    '|---|---|---|---|',
+  ];
+  for (const [metric, v] of Object.entries(result.district)) {
+    const info = metricInfo(metric);
+    lines.push(`| ${info.label} | ${formatMetricValue(v.current, info)} | ${formatMetricValue(v.projected, info)} | ${formatMetricValue(v.delta, info, { signed: true })} |`);
+  }
+  lines.push('', ...formatDongDeltas(result.dongs, '### 동별 변화', '동별 변화가 없습니다.', { dongIds, limit }));
+
+  if (result.votes.length) lines.push('', `구의회 표결: ${result.votes.join(', ')}`);
+  if (result.budgetPhase === 'locked') {
+    lines.push('', '예산 집행 중인 턴이라 예산 배분·재원 변경은 반영되지 않습니다.');
+  }
+  lines.push('', '새 이벤트 발생은 포함하지 않은 추정입니다.');
+  return lines.join('\n');
+}
+
+// === Helpers ===
+
+// 상태 사본에 결정을 적용하고 turns번 틱 (main.js endTurn → startTurn 순서)
+// rngState가 있으면 그 지점부터 이어서 뽑는다 (게임 난수 복제)
+function simulate(state, actions, adjacency, turns, seed, rngState) {
+  let s = JSON.parse(JSON.stringify(state));
+  const deactivate = actions?.deactivate || [];
+  if (deactivate.length) s.activePolicies = s.activePolicies.filter(ap => !deactivate.includes(ap.policy.id));
+  if (actions?.eventChoice) (s.activeEvents ||= []).push(actions.eventChoice);
+
+  const rng = createRng(seed, rngState ?? seed);
+  let votes = [];
+  for (let k = 1; k <= turns; k++) {
+    setTurn(s, state.meta.turn + k);
+    s = tick(s, k === 1 ? actions : { budget: actions?.budget }, adjacency, rng);
+    if (k === 1) votes = (s.council?.votes || []).map(formatVote);
+  }
+  return { state: s, votes };
+}
+
+// 두 상태의 구 전체·동별 지표 비교 — keys: 결과 필드 이름 [a, b]
+function diffStates(a, b, keyA, keyB) {
+  const compare = (x, y) => ({ [keyA]: x, [keyB]: y, delta: y - x });
+  const district = {};
+  for (const metric of PREVIEW_DISTRICT_METRICS) {
+    district[metric] = compare(measureMetric(a, metric), measureMetric(b, metric));
+  }
+  const dongs = a.dongs.map(d => {
+    const metrics = {};
+    for (const metric of PREVIEW_METRICS) {
+      metrics[metric] = compare(measureMetric(a, metric, [d.id]), measureMetric(b, metric, [d.id]));
+    }
+    return { id: d.id, name: d.name, metrics };
+  });
+  return { district, dongs };
+}
+
+// 동별 변화표 (markdown 줄) — dongIds가 없으면 변화가 큰 순으로 limit개
+function formatDongDeltas(allDongs, title, emptyText, { dongIds, limit }) {
+  const dongs = dongIds
+    ? allDongs.filter(d => dongIds.includes(d.id))
+    : [...allDongs]
+      .sort((x, y) => dongImpact(y) - dongImpact(x))
+      .filter(d => dongImpact(d) > 0)
+      .slice(0, limit);
+  if (dongs.length === 0) return [emptyText];
+  const lines = [title, '', `| 동 | ${PREVIEW_METRICS.map(m => metricInfo(m).label).join(' | ')} |`,
+    `|---|${PREVIEW_METRICS.map(() => '---|').join('')}`];
+  for (const d of dongs) {
+    lines.push(`| ${d.name} | ${PREVIEW_METRICS.map(m => formatMetricValue(d.metrics[m].delta, metricInfo(m), { signed: true })).join(' | ')} |`);
+  }
+  return lines;
+}
+
+// 동별 표 정렬 기준 — 만족도 차이 + 인구 차이(1,000명 = 1점) + 사업체 차이(100개 = 1점)
+function dongImpact(d) {
+  const m = d.metrics;
+  return Math.abs(m.satisfaction.delta) + Math.abs(m.population.delta) / 1000 + Math.abs(m.businesses.delta) / 100;
+}
@@ -0,0 +1,222 @@
+/**
+ * blocks.js — 구획(block) 단위 경제·임대료·만족도
+ *
+ * 동마다 5~7개 구획 (mapo_blocks.json → mapo_init.json dongs[].blocks).
+ * 사업체·임대료 압력·상권특색·만족도를 구획별로 계산하고 동 값은 그 합/가중평균으로 만든다.
+ *   - 사업체: 구획 합
+ *   - 임대료 압력·상권특색: 사업체 가중평균
+ *   - 만족도: 상주인구 가중치(weight.residentPop) 가중평균
+ * 정책 targetBlock은 해당 구획에만 경제·만족도 효과를 준다 (policyEffects.byBlock).
+ */
+
+// === Constants ===
+const BLOCK_SPREAD = 0.25;          // 같은 동 다른 구획 임대료 압력이 넘어오는 비율 (턴당)
+const GENTRIFICATION_FACTOR = 1.3;  // '젠트리피케이션_위험' 구획 압력 배수
+const GENTRIFICATION_TRAIT = '젠트리피케이션_위험';
+const RENT_SAT_SCALE = 800;         // 임대료 압력 0.001 차이 → 만족도 0.8점
+const ZONING_CONFLICT_PENALTY = 1.5; // 용도 갈등 구획 만족도 감점
+const OFFSET_DECAY = 0.9;           // 구획 만족도 편차가 동 평균으로 돌아가는 속도
+// 정책 commerceCharacterBonus → 턴당 상권특색 증감 (게임플레이 계수, calendar.js 참고)
+export const CHARACTER_BONUS_FACTOR = 0.25;
+
+/**
+ * 구획 동적 상태 초기화 (이미 있으면 그대로)
+ * 초기 사업체 = 동 사업체 × weight.economy, 임대료 압력은 사업체 집중도로 나눠 갖는다.
+ * @param {Object} dong - blocks가 있는 동 (mutated)
+ * @returns {Object} dong
+ */
+export function initBlockState(dong) {
+  const blocks = dong.blocks;
+  if (!blocks?.length || blocks[0].businesses !== undefined) return dong;
+
+  const econTotal = blocks.reduce((s, b) => s + (b.weight?.economy || 0), 0) || 1;
+  for (const block of blocks) {
+    block.businesses = Math.round(dong.businesses * (block.weight?.economy || 0) / econTotal * 10) / 10;
+    block.commerceCharacter = dong.commerceCharacter;
+    block.satOffset = 0;
+    block.satisfaction = dong.satisfaction;
+  }
+  const intensity = calcIntensity(blocks);
+  blocks.forEach((block, i) => {
+    block.rentPressure = round4(dong.rentPressure * intensity[i]);
+  });
+  return dong;
+}
+
+/**
+ * 구획 ID → 소속 동
+ */
+export function findBlockDong(blockId, state) {
+  return state.dongs.find(d => d.blocks?.some(b => b.id === blockId)) || null;
+}
+
+/**
+ * targetBlock 정책 효과를 policyEffects에 합산
+ *   - economy / economy_side / satisfaction → byBlock (해당 구획만)
+ *   - population / housing → 소속 동 byDong에 구획 상주인구 비중만큼
+ *   - finance → global
+ * @param {Object} effects - { global, byDong, byBlock }
+ * @param {string[]} blockIds
+ * @param {Object} source - 정책 effects
+ * @param {Object} state
+ * @param {Function} merge - simulation.js mergeEffects
+ */
+export function addBlockEffects(effects, blockIds, source, state, merge) {
+  const { population, housing, finance, ...local } = source;
+  if (finance) merge(effects.global, { finance });
+  if (!effects.byBlock) effects.byBlock = {};
+
+  for (const blockId of blockIds) {
+    const dong = findBlockDong(blockId, state);
+    if (!dong) continue;
+
+    if (!effects.byBlock[blockId]) effects.byBlock[blockId] = {};
+    merge(effects.byBlock[blockId], local);
+
+    const block = dong.blocks.find(b => b.id === blockId);
+    const share = residentShare(block, dong.blocks);
+    for (const [category, values] of Object.entries({ population, housing })) {
+      if (!values) continue;
+      const scaled = {};
+      for (const [key, val] of Object.entries(values)) {
+        if (typeof val === 'number') scaled[key] = val * share;
+      }
+      if (!effects.byDong[dong.id]) effects.byDong[dong.id] = {};
+      merge(effects.byDong[dong.id], { [category]: scaled });
+    }
+  }
+}
+
+// === Economy ===
+
+/**
+ * 구획별 사업체 변동 → 동 사업체 수
+ * 동 단위로 계산한 비율(창업·폐업)에 구획 임대료 압력과 구획 정책 효과를 더한다.
+ * @param {Object} dong - (mutated)
+ * @param {Object} rates - { newRate, closeBase, demand, policyBonus } (economy.js 계산값)
+ * @param {Object} policyEffects
+ * @param {Function} bonusCap - 창업 보너스 체감 함수 (bonus → effective bonus)
+ */
+export function updateBlockBusinesses(dong, rates, policyEffects, bonusCap) {
+  let total = 0;
+  for (const block of dong.blocks) {
+    const be = policyEffects.byBlock?.[block.id]?.economy || {};
+    const newBiz = block.businesses * (rates.newRate + bonusCap(be.newBizBonus || 0)) * rates.demand * rates.policyBonus;
+    const closedBiz = block.businesses * (rates.closeBase + block.rentPressure);
+    block.businesses = Math.max(0, Math.round((block.businesses + newBiz - closedBiz) * 10) / 10);
+    total += block.businesses;
+  }
+  dong.businesses = Math.max(1, Math.round(total));
+}
+
+/**
+ * 구획별 임대료 압력
+ *   동 압력(자체 + 인접 동 전파)을 사업체 집중도로 나눠 갖고 (상권 구획이 먼저 오른다),
+ *   지난 턴 같은 동 다른 구획 압력이 BLOCK_SPREAD만큼 넘어온다 (구획 간 젠트리피케이션 확산).
+ *   두 항의 비중 합이 1이라 동 평균은 구획이 없을 때와 같은 수준으로 수렴한다.
+ * @param {Object} dong - (mutated)
+ * @param {number} ownPressure - 동 상권활력 기준 자체 압력
+ * @param {number} crossDong - 인접 동 전파 압력
+ * @param {number} dongDelta - 동/구 전체 정책 rentPressureDelta
+ * @param {Object} policyEffects
+ * @param {number} max - RENT_MAX
+ */
+export function updateBlockRent(dong, ownPressure, crossDong, dongDelta, policyEffects, max) {
+  const blocks = dong.blocks;
+  const prev = blocks.map(b => b.rentPressure);
+  const prevSum = prev.reduce((s, p) => s + p, 0);
+  const intensity = calcIntensity(blocks);
+
+  blocks.forEach((block, i) => {
+    const trait = block.traits?.includes(GENTRIFICATION_TRAIT) ? GENTRIFICATION_FACTOR : 1;
+    const others = blocks.length > 1 ? (prevSum - prev[i]) / (blocks.length - 1) : 0;
+    let pressure = (1 - BLOCK_SPREAD) * (ownPressure + crossDong) * intensity[i] * trait + BLOCK_SPREAD * others;
+
+    const be = policyEffects.byBlock?.[block.id] || {};
+    pressure += dongDelta + (be.economy?.rentPressureDelta || 0) + (be.economy_side?.rentPressureDelta || 0);
+    block.rentPressure = round4(clamp(pressure, 0, max));
+  });
+
+  dong.rentPressure = round4(bizWeighted(blocks, 'rentPressure'));
+}
+
+/**
+ * 구획별 상권특색 (임대료 압력 → 프랜차이즈화)
+ * @param {Object} dong - (mutated)
+ * @param {Function} decay - economy.js updateCommerceCharacter (구획 객체에 그대로 적용)
+ * @param {number} dongBonus - 동/구 전체 commerceCharacterBonus
+ * @param {Object} policyEffects
+ */
+export function updateBlockCharacter(dong, decay, dongBonus, policyEffects) {
+  for (const block of dong.blocks) {
+    decay(block);
+    const bonus = dongBonus + (policyEffects.byBlock?.[block.id]?.economy?.commerceCharacterBonus || 0);
+    if (bonus !== 0) {
+      block.commerceCharacter = Math.round(clamp(block.commerceCharacter + bonus * CHARACTER_BONUS_FACTOR, 20, 100) * 10) / 10;
+    }
+  }
+  dong.commerceCharacter = Math.round(bizWeighted(dong.blocks, 'commerceCharacter') * 10) / 10;
+}
+
+// === Satisfaction ===
+
+/**
+ * 구획 만족도 = 동 종합 만족도 + 구획 편차, 동 만족도 = 상주인구 가중평균
+ * 구획 편차: 구획 정책 만족도 효과(누적, 감쇠) − 동 평균보다 높은 임대료 압력 − 용도 갈등
+ * @param {Object} dong - (mutated)
+ * @param {number} baseSatisfaction - satisfaction.js가 계산한 동 종합 만족도
+ * @param {Object} policyEffects
+ */
+export function updateBlockSatisfaction(dong, baseSatisfaction, policyEffects) {
+  const blocks = dong.blocks;
+  const resTotal = blocks.reduce((s, b) => s + (b.weight?.residentPop || 0), 0) || 1;
+  const refRent = blocks.reduce((s, b) => s + b.rentPressure * (b.weight?.residentPop || 0), 0) / resTotal;
+
+  let weighted = 0;
+  for (const block of blocks) {
+    // 구획 정책 효과: 구성요소 하나가 종합 만족도에 주는 평균 비중(1/6)으로 환산
+    const sat = policyEffects.byBlock?.[block.id]?.satisfaction || {};
+    const direct = Object.values(sat).reduce((s, v) => s + v, 0) * 0.5 / 6;
+    block.satOffset = Math.round(((block.satOffset || 0) * OFFSET_DECAY + direct) * 100) / 100;
+
+    const rentAdj = -(block.rentPressure - refRent) * RENT_SAT_SCALE;
+    const conflict = block.zoningConflict ? ZONING_CONFLICT_PENALTY : 0;
+    block.satisfaction = Math.round(clamp(baseSatisfaction + block.satOffset + rentAdj - conflict, 0, 100));
+    weighted += block.satisfaction * (block.weight?.residentPop || 0);
+  }
+
+  dong.satisfaction = Math.round(weighted / resTotal);
+}
+
+// === Helpers ===
+
+/**
+ * 사업체 집중도 — 사업체 가중평균이 1이 되도록 정규화
+ * (동 자체 압력을 구획에 나눠도 동 평균은 그대로)
+ */
+function calcIntensity(blocks) {
+  const total = blocks.reduce((s, b) => s + b.businesses, 0);
+  if (total <= 0) return blocks.map(() => 1);
+  const shares = blocks.map(b => b.businesses / total);
+  const sumSq = shares.reduce((s, x) => s + x * x, 0);
+  return shares.map(x => x / sumSq);
+}
+
+function residentShare(block, blocks) {
+  const total = blocks.reduce((s, b) => s + (b.weight?.residentPop || 0), 0);
+  return total > 0 ? (block.weight?.residentPop || 0) / total : 1 / blocks.length;
+}
+
+function bizWeighted(blocks, key) {
+  const total = blocks.reduce((s, b) => s + b.businesses, 0);
+  if (total <= 0) return blocks.reduce((s, b) => s + b[key], 0) / blocks.length;
+  return blocks.reduce((s, b) => s + b[key] * b.businesses, 0) / total;
+}
+
+function round4(val) {
+  return Math.round(val * 10000) / 10000;
+}
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
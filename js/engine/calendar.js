@@ -0,0 +1,201 @@
+/**
+ * calendar.js — 게임 달력 (턴 길이 · 날짜 · 계절 · 예산 일정)
+ *
+ * state.meta.calendar: { startYear, startMonth, turnMonths, termYears, budgetMonth, supplementaryMonths }
+ *   - 한 턴 = turnMonths개월 (1 = 월간 48턴, 3 = 분기 16턴), 임기 termYears년
+ *   - 재선하면 meta.term이 늘고 턴 번호·날짜는 이어진다 (2기 = 49~96턴)
+ *   - 본예산은 budgetMonth(기본 12월 구의회 의결)가 든 턴과 임기 첫 턴에 확정,
+ *     추경은 supplementaryMonths 기간에 든 턴 중 회계연도당 1회 (finance.js)
+ * state.meta.ticks: 엔진이 센 틱 수 — 다음 틱은 ticks + 1번째 턴을 시뮬레이션한다.
+ *   호출자마다 meta.turn을 올리는 시점이 달라(브라우저는 틱 전, MCP는 틱 후) 엔진은 이 값만 쓴다.
+ *
+ * 턴 길이에 따라 바뀌는 값 (실제 시간 기준):
+ *   - 세입·의무지출·정책 비용·시설 유지비 (월 단위 금액 × turnMonths)
+ *   - 출생·사망·노화·수도권 이동 추세 (연간 비율 × yearFraction)
+ *   - 지방채 이자율(연 3%)·상환 기간(5년)
+ * 만족도 감쇠·정책 효과·지속 턴 같은 게임플레이 계수는 턴 단위 그대로다. 정책 효과를 턴당 비율로 바꾸는
+ * 계수도 여기에 든다 — 이주 pull·강제이주(population.js POLICY_PULL_FACTOR · DISPLACEMENT_FACTOR),
+ * 생활인구 보너스(simulation.js LIVING_POP_FACTOR), 상권특색 보너스(blocks.js CHARACTER_BONUS_FACTOR).
+ *
+ * 계절 (한 턴에 든 달의 비율로 섞는다):
+ *   - 겨울(12~2월): 난방 등 복지 의무지출 증가, 고령층이 많은 동의 복지 만족도 부담
+ *   - 여름(6~8월): 축제철 — 정책의 seasonal 배수(예: cult_street_festival { summer: 1.5 })
+ */
+
+// === Constants ===
+export const DEFAULT_CALENDAR = {
+  startYear: 2026,
+  startMonth: 1,
+  turnMonths: 1,
+  termYears: 4,
+  budgetMonth: 12,
+  supplementaryMonths: [4, 9],
+};
+
+export const TURN_LENGTHS = [1, 3]; // 선택 가능한 턴 길이 (개월)
+
+export const SEASONS = {
+  winter: { name: '겨울', months: [12, 1, 2] },
+  spring: { name: '봄', months: [3, 4, 5] },
+  summer: { name: '여름', months: [6, 7, 8] },
+  autumn: { name: '가을', months: [9, 10, 11] },
+};
+
+/**
+ * 달력 설정 생성 — 알 수 없는 키·잘못된 턴 길이는 기본값
+ * @param {Object} [options] - DEFAULT_CALENDAR 일부
+ * @returns {Object} calendar
+ */
+export function createCalendar(options = {}) {
+  const calendar = { ...DEFAULT_CALENDAR };
+  for (const key of Object.keys(DEFAULT_CALENDAR)) {
+    if (options[key] !== undefined && options[key] !== null) calendar[key] = options[key];
+  }
+  if (!TURN_LENGTHS.includes(Number(calendar.turnMonths))) calendar.turnMonths = DEFAULT_CALENDAR.turnMonths;
+  calendar.turnMonths = Number(calendar.turnMonths);
+  return calendar;
+}
+
+/**
+ * 게임 상태의 달력 (달력이 없는 예전 저장은 기본값 = 월간 48턴)
+ */
+export function getCalendar(state) {
+  return { ...DEFAULT_CALENDAR, ...state?.meta?.calendar };
+}
+
+/**
+ * 한 임기의 턴 수
+ */
+export function getTermTurns(state) {
+  const cal = getCalendar(state);
+  return Math.round(cal.termYears * 12 / cal.turnMonths);
+}
+
+/**
+ * 현재 임기 마지막 턴까지의 총 턴 수 (재선해 meta.term이 늘면 다음 임기만큼 늘어난다 — election.js)
+ */
+export function getTotalTurns(state) {
+  return getTermTurns(state) * (state?.meta?.term || 1);
+}
+
+/**
+ * 현재 임기 안에서 몇 번째 턴인지 (2기 첫 턴 = 1)
+ */
+export function getTermTurn(state, turn) {
+  return (turn ?? state.meta.turn) - getTermTurns(state) * ((state.meta.term || 1) - 1);
+}
+
+/**
+ * 턴의 시작 연·월과 그 턴에 든 달들
+ * @param {Object} state
+ * @param {number} turn - 1부터
+ * @returns {{ turn: number, year: number, month: number, months: number[] }}
+ */
+export function turnDate(state, turn) {
+  const cal = getCalendar(state);
+  const start = (cal.startMonth - 1) + (turn - 1) * cal.turnMonths;
+  const months = [];
+  for (let i = 0; i < cal.turnMonths; i++) months.push(((start + i) % 12) + 1);
+  return {
+    turn,
+    year: cal.startYear + Math.floor(start / 12),
+    month: months[0],
+    months,
+  };
+}
+
+/**
+ * meta.turn · year · month 설정 (턴 진행 — 브라우저·headless·MCP·리플레이 공통)
+ * @param {Object} state - (mutated: meta)
+ * @param {number} turn
+ */
+export function setTurn(state, turn) {
+  const date = turnDate(state, turn);
+  state.meta.turn = turn;
+  state.meta.year = date.year;
+  state.meta.month = date.month;
+  return state;
+}
+
+/**
+ * 다음 틱이 시뮬레이션하는 턴 (엔진 틱 카운터 기준)
+ */
+export function getTickTurn(state) {
+  return (state.meta?.ticks ?? 0) + 1;
+}
+
+/**
+ * 한 턴이 1년에서 차지하는 비율 (연간 비율 → 턴당 비율)
+ */
+export function yearFraction(state) {
+  return getCalendar(state).turnMonths / 12;
+}
+
+/**
+ * 월 단위 금액 → 턴당 금액
+ */
+export function perTurn(state, monthly) {
+  return monthly * getCalendar(state).turnMonths;
+}
+
+/**
+ * 달이 속한 계절 ID
+ */
+export function seasonOf(month) {
+  return Object.keys(SEASONS).find(id => SEASONS[id].months.includes(month));
+}
+
+/**
+ * 턴에 든 달의 계절 비율 { winter, spring, summer, autumn } (합계 1)
+ */
+export function getSeasonShares(state, turn) {
+  const { months } = turnDate(state, turn);
+  const shares = Object.fromEntries(Object.keys(SEASONS).map(id => [id, 0]));
+  for (const m of months) shares[seasonOf(m)] += 1 / months.length;
+  return shares;
+}
+
+/**
+ * 계절 배수 { summer: 1.5, ... } → 턴의 효과 배수 (배수가 없는 계절은 1)
+ */
+export function seasonalMultiplier(seasonal, shares) {
+  if (!seasonal) return 1;
+  return Object.entries(shares).reduce((s, [id, share]) => s + share * (seasonal[id] ?? 1), 0);
+}
+
+/**
+ * 턴 날짜 표시 — 월간 "2026년 1월", 분기 "2026년 1분기", 그 밖 "2026년 1~6월"
+ */
+export function formatTurnDate(state, turn) {
+  const cal = getCalendar(state);
+  const date = turnDate(state, turn ?? state.meta.turn);
+  if (cal.turnMonths === 1) return `${date.year}년 ${date.month}월`;
+  if (cal.turnMonths === 3 && (date.month - 1) % 3 === 0) return `${date.year}년 ${(date.month - 1) / 3 + 1}분기`;
+  return `${date.year}년 ${date.month}~${date.months[date.months.length - 1]}월`;
+}
+
+/**
+ * 턴 길이 표시 — "1개월", "1분기"
+ */
+export function formatTurnLength(state) {
+  const months = getCalendar(state).turnMonths;
+  return months === 3 ? '1분기' : `${months}개월`;
+}
+
+/**
+ * 예산 일정 표시 — "본예산 12월(임기 첫 턴 포함)·추경 4~9월 중 연 1회"
+ */
+export function formatBudgetSchedule(state) {
+  const cal = getCalendar(state);
+  const [from, to] = cal.supplementaryMonths;
+  return `본예산 ${cal.budgetMonth}월(임기 첫 턴 포함)·추경 ${from}~${to}월 중 연 1회`;
+}
+
+/**
+ * 턴 계절 표시 — 가장 많이 든 계절 이름 ("겨울")
+ */
+export function formatSeason(state, turn) {
+  const shares = getSeasonShares(state, turn ?? state.meta.turn);
+  const id = Object.keys(shares).reduce((a, b) => (shares[b] > shares[a] ? b : a));
+  return SEASONS[id].name;
+}
@@ -0,0 +1,186 @@
+/**
+ * commute.js — 동 간 통근 OD 행렬 · 링크 혼잡도
+ *
+ * state.commute.flows[o][d] = 평일 낮 o동 주민 중 d동으로 통근·통학하는 인원 (mapo_init.json에서 생성)
+ *   - 대각 성분(o→o)은 거주 동 안에서 일하는 주민, EXTERNAL('ext')은 구 밖
+ *   - 주민 측(행)은 출생지 제약 중력 모형: 근로연령 인구 × 목적지 매력(종사자 증감 × 접근성) 비중
+ *     → 상암 종사자가 늘면 인접·같은 노선의 성산·망원 주민이 상암으로 빠져나간다
+ *   - 구 밖 유입(ext 행)은 목적지 종사자 증감^EXTERNAL_JOB_ELASTICITY에 비례
+ *   - 접근성 = (링크 용량 / 초기 용량)^CAPACITY_ELASTICITY ÷ (1 + 지난 턴 과부하)
+ * 링크 용량은 교통 예산(적정 대비)과 정책 transit.capacity(양 끝 동 평균)로 늘고 준다.
+ * 동 통근 요약(dong.commute)의 순유입 변화가 평일 낮 생활인구에, 혼잡도가 교통 만족도에 반영된다.
+ *
+ * state.commute: { flows, capacity, base: { flows, capacity, residents, jobs } }
+ * dong.commute: { inbound, outbound, net, netChange, congestion }
+ */
+
+// === Constants ===
+export const EXTERNAL = 'ext';
+
+const CAPACITY_HEADROOM = 1.2;      // 초기 링크 용량 = 초기 통근량 × 1.2 (부하 0.83)
+const EXTERNAL_JOB_ELASTICITY = 0.5; // 구 밖 유입은 종사자 증감에 덜 민감
+const CAPACITY_ELASTICITY = 0.5;    // 용량 1% 증가 → 통행 매력 0.5% 증가
+const CONGESTION_IMPEDANCE = 1.0;   // 부하 1 초과분 → 통행 매력 감소
+const FLOW_ADJUST = 0.5;            // 목표 통근량으로 턴당 수렴 비율
+const BUDGET_CAPACITY_RATE = 0.01;  // 교통 예산 효과(적정=1) 1 차이 → 링크 용량 ±1%/턴
+const MIN_CAPACITY_RATIO = 0.8;     // 예산 부족으로 떨어질 수 있는 용량 하한 (초기 대비)
+
+/**
+ * 통근 상태 초기화 (이미 있으면 그대로)
+ * @param {Object} state - commute.flows가 있는 게임 상태 (mutated)
+ * @returns {Object} state
+ */
+export function initCommute(state) {
+  const c = state.commute;
+  if (!c?.flows || c.capacity) return state;
+
+  c.capacity = {};
+  for (const [o, row] of Object.entries(c.flows)) {
+    c.capacity[o] = {};
+    for (const [d, flow] of Object.entries(row)) {
+      if (o !== d) c.capacity[o][d] = Math.max(1, Math.round(flow * CAPACITY_HEADROOM));
+    }
+  }
+  c.base = {
+    flows: JSON.parse(JSON.stringify(c.flows)),
+    capacity: JSON.parse(JSON.stringify(c.capacity)),
+    residents: Object.fromEntries(state.dongs.map(d => [d.id, workingAge(d)])),
+    jobs: Object.fromEntries(state.dongs.map(d => [d.id, d.workers])),
+  };
+  summarize(state, false);
+  return state;
+}
+
+/**
+ * 통근량 · 링크 용량 업데이트 (재정 이후, 만족도 이전)
+ * @param {Object} state - (mutated)
+ * @param {Object} budgetEffects - calcBudgetEffects 결과 (transport = 적정 대비 투자 비율)
+ * @param {Object} policyEffects
+ */
+export function updateCommute(state, budgetEffects, policyEffects) {
+  const c = state.commute;
+  if (!c?.capacity) return;
+
+  // 1. 링크 용량
+  const budgetGrowth = BUDGET_CAPACITY_RATE * ((budgetEffects.transport ?? 1) - 1);
+  const dongGrowth = (id) => policyEffects.byDong?.[id]?.transit?.capacity || 0;
+  for (const [o, row] of Object.entries(c.capacity)) {
+    for (const d of Object.keys(row)) {
+      const ends = [o, d].filter(id => id !== EXTERNAL);
+      const growth = budgetGrowth + ends.reduce((s, id) => s + dongGrowth(id), 0) / ends.length;
+      const min = c.base.capacity[o][d] * MIN_CAPACITY_RATIO;
+      row[d] = Math.max(min, Math.round(row[d] * (1 + growth)));
+    }
+  }
+
+  // 2. 목적지 매력: 종사자 증감 (구 밖은 1)
+  const jobs = {};
+  for (const dong of state.dongs) {
+    jobs[dong.id] = dong.workers / Math.max(1, c.base.jobs[dong.id]);
+  }
+  jobs[EXTERNAL] = 1;
+
+  // 3. 목표 통근량 → 수렴
+  const next = {};
+  for (const [o, baseRow] of Object.entries(c.base.flows)) {
+    const target = {};
+    if (o === EXTERNAL) {
+      for (const [d, flow] of Object.entries(baseRow)) {
+        target[d] = flow * Math.pow(jobs[d] ?? 1, EXTERNAL_JOB_ELASTICITY) * access(c, o, d);
+      }
+    } else {
+      const dong = state.dongs.find(x => x.id === o);
+      const total = Object.values(baseRow).reduce((s, v) => s + v, 0);
+      const residents = dong ? workingAge(dong) / Math.max(1, c.base.residents[o]) : 1;
+      const utility = {};
+      for (const [d, flow] of Object.entries(baseRow)) {
+        utility[d] = flow * (jobs[d] ?? 1) * access(c, o, d);
+      }
+      const sumU = Object.values(utility).reduce((s, v) => s + v, 0) || 1;
+      for (const [d, u] of Object.entries(utility)) {
+        target[d] = total * residents * u / sumU;
+      }
+    }
+
+    next[o] = {};
+    for (const [d, t] of Object.entries(target)) {
+      const prev = c.flows[o]?.[d] ?? t;
+      next[o][d] = Math.max(0, Math.round(prev + (t - prev) * FLOW_ADJUST));
+    }
+  }
+  c.flows = next;
+
+  summarize(state, true);
+}
+
+/**
+ * 동에 닿는 통근 링크 (o ≠ d), 통근량 내림차순
+ * @param {Object} state
+ * @param {string} dongId
+ * @param {'in'|'out'} direction
+ * @returns {{ from: string, to: string, flow: number, load: number }[]}
+ */
+export function getCommuteLinks(state, dongId, direction = 'in') {
+  const c = state.commute;
+  if (!c?.flows) return [];
+  const links = [];
+  for (const [o, row] of Object.entries(c.flows)) {
+    for (const [d, flow] of Object.entries(row)) {
+      if (o === d) continue;
+      if ((direction === 'in' ? d : o) !== dongId) continue;
+      links.push({ from: o, to: d, flow, load: linkLoad(c, o, d) });
+    }
+  }
+  return links.sort((a, b) => b.flow - a.flow);
+}
+
+// === Helpers ===
+
+/**
+ * 동 통근 요약: 유입·유출(대각 제외), 순유입, 순유입 변화, 혼잡도(닿는 링크 통근량 가중 평균 부하)
+ */
+function summarize(state, track) {
+  const c = state.commute;
+  for (const dong of state.dongs) {
+    let inbound = 0;
+    let outbound = 0;
+    let loadSum = 0;
+    for (const [o, row] of Object.entries(c.flows)) {
+      for (const [d, flow] of Object.entries(row)) {
+        if (o === d || (o !== dong.id && d !== dong.id)) continue;
+        if (d === dong.id) inbound += flow;
+        else outbound += flow;
+        loadSum += flow * linkLoad(c, o, d);
+      }
+    }
+    const net = inbound - outbound;
+    const prevNet = dong.commute?.net ?? net;
+    dong.commute = {
+      inbound,
+      outbound,
+      net,
+      netChange: track ? net - prevNet : 0,
+      congestion: Math.round(loadSum / Math.max(1, inbound + outbound) * 100) / 100,
+    };
+  }
+}
+
+function access(c, o, d) {
+  if (o === d) return 1;
+  const cap = c.capacity[o]?.[d];
+  const baseCap = c.base.capacity[o]?.[d];
+  if (!cap || !baseCap) return 1;
+  const overload = Math.max(0, linkLoad(c, o, d) - 1);
+  return Math.pow(cap / baseCap, CAPACITY_ELASTICITY) / (1 + CONGESTION_IMPEDANCE * overload);
+}
+
+function linkLoad(c, o, d) {
+  const cap = c.capacity[o]?.[d];
+  return cap ? (c.flows[o]?.[d] || 0) / cap : 0;
+}
+
+// 통근·통학 인구 (청소년~장년)
+function workingAge(dong) {
+  const a = dong.populationByAge || {};
+  return (a.teen || 0) + (a.youth || 0) + (a.midAge || 0) + (a.senior || 0);
+}
@@ -0,0 +1,253 @@
+/**
+ * council.js — 마포구의회 (의석 · 교섭단체 성향 · 예산/정책 표결)
+ *
+ * 16석 = 지역구 5개 선거구 14석 + 비례 2석 (비례는 구 전체를 지역구로 본다)
+ * 의원별 찬성 점수 = 교섭단체 기본 성향
+ *                 + 지역구 만족도 (인구 가중 평균 − SAT_NEUTRAL) / SAT_SCALE
+ *                 + 안건 정렬도 (예산: 교섭단체 선호 분야 배분, 정책: 분야 선호 + 지역구 수혜 − 비용)
+ * 점수 > 0이면 찬성. 난수를 쓰지 않아 같은 결정이면 같은 표결 (리플레이 재현).
+ *
+ * 표결 대상 (tick이 자동 상정 — MCP는 activate_policy에서 직접 voteOnPolicy):
+ *   - 본예산·추경 (finance.js resolveBudget): 과반 찬성 = 원안 가결,
+ *     찬성 AMEND_SHARE 이상 = 반대 의원 선호 분야로 배분을 옮기고 지방채를 절반으로 줄인 수정 가결,
+ *     그 미만 = 부결 (본예산은 기존 확정 배분으로 집행 — 준예산, 추경은 그해 기회 소진, 재원 요청 무시)
+ *   - 월 비용 POLICY_COST_THRESHOLD 이상이거나 council: true인 정책: 과반 찬성이어야 시행 (부결 시 비용도 없음)
+ *
+ * state.council: { seats: [{ id, name, faction, dongs }], votes: [이번 틱 표결], log: [최근 표결] }
+ */
+
+import { getTickTurn } from './calendar.js';
+
+// === Constants ===
+export const COUNCIL_FACTIONS = {
+  ruling: {
+    name: '여당',
+    lean: 0.6, // 구청장 소속 정당 — 구청장 안건에 기본적으로 우호적
+    // 예산 분야 선호 (+ 늘리면 찬성, − 늘리면 반대) · 정책 분야 선호 · 지방채 수용도 (1 = 부담 없음)
+    budget: { economy: 1, renewal: 1, transport: 0.5, welfare: -0.5 },
+    policy: { economy: 0.3, renewal: 0.3, transport: 0.2, welfare: -0.2 },
+    bondTolerance: 1,
+  },
+  opposition: {
+    name: '야당',
+    lean: -0.3,
+    budget: { welfare: 1, education: 1, environment: 0.5, economy: -0.5, renewal: -0.5 },
+    policy: { welfare: 0.5, education: 0.4, environment: 0.3, economy: -0.2, renewal: -0.4 },
+    bondTolerance: 0,
+  },
+  independent: {
+    name: '무소속',
+    lean: 0.1,
+    budget: { transport: 0.5, culture: 0.5 },
+    policy: { transport: 0.2, culture: 0.2 },
+    bondTolerance: 0.5,
+  },
+};
+
+// 선거구 (지역구 의원은 선거구 동 만족도에 반응)
+const DISTRICTS = {
+  ga: { name: '가', dongs: ['ahyeon', 'gongdeok', 'dohwa', 'yonggang'], factions: ['ruling', 'opposition', 'opposition'] },
+  na: { name: '나', dongs: ['daeheung', 'yeomni', 'sinsu'], factions: ['ruling', 'opposition'] },
+  da: { name: '다', dongs: ['seogang', 'seogyo', 'hapjeong'], factions: ['ruling', 'opposition', 'independent'] },
+  ra: { name: '라', dongs: ['mangwon1', 'mangwon2', 'yeonnam'], factions: ['ruling', 'opposition', 'opposition'] },
+  ma: { name: '마', dongs: ['seongsan1', 'seongsan2', 'sangam'], factions: ['ruling', 'ruling', 'opposition'] },
+  pr: { name: '비례', dongs: null, factions: ['ruling', 'opposition'] },
+};
+
+const SAT_NEUTRAL = 60;   // 지역구 만족도가 이보다 높으면 구청장 안건에 호의적
+const SAT_SCALE = 10;     // 만족도 10점 차이 → 찬성 점수 ±1
+const BUDGET_SCALE = 10;  // 선호 분야 배분 10%p (균등 대비) → 찬성 점수 ±1 × 선호도
+const BOND_WEIGHT = 5;    // 지방채 = 총세입 100% → 찬성 점수 −5 × (1 − 수용도)
+const POLICY_COST_SCALE = 200; // 월 비용 100억 → 찬성 점수 −0.5
+const TARGET_BONUS = 0.3;      // 정책이 지역구 동을 대상으로 하면 가산 (구 전체 정책은 1/3)
+const AMEND_SHARE = 0.35;      // 찬성 비율이 이 이상이면 부결 대신 수정 가결
+const AMEND_SHIFT = 5;         // 수정안: 반대 의원 선호 분야로 옮기는 배분 (%p, 선호도 평균 1 기준)
+const LOG_SIZE = 12;
+
+export const POLICY_COST_THRESHOLD = 40; // 월 비용 이 이상인 정책은 구의회 표결
+
+/**
+ * 구의회 초기화 (이미 있으면 그대로)
+ * @param {Object} state - (mutated)
+ * @returns {Object} state
+ */
+export function initCouncil(state) {
+  if (state.council) return state;
+  const seats = [];
+  for (const [id, district] of Object.entries(DISTRICTS)) {
+    district.factions.forEach((faction, i) => {
+      seats.push({ id: `${id}${i + 1}`, name: `${district.name} 선거구 ${i + 1}`, faction, dongs: district.dongs });
+    });
+  }
+  state.council = { seats, votes: [], log: [] };
+  return state;
+}
+
+/**
+ * 교섭단체별 의석 수 { ruling: 7, opposition: 8, independent: 1 }
+ */
+export function getCouncilSeats(state) {
+  const counts = Object.fromEntries(Object.keys(COUNCIL_FACTIONS).map(f => [f, 0]));
+  for (const seat of initCouncil(state).council.seats) counts[seat.faction] += 1;
+  return counts;
+}
+
+/**
+ * 정책이 구의회 표결 대상인지
+ */
+export function needsCouncilVote(policy) {
+  return policy.council === true || (policy.cost || 0) >= POLICY_COST_THRESHOLD;
+}
+
+/**
+ * 예산안 표결 (상태 변경 없음 — 미리보기와 실제 표결 공용)
+ * @param {Object} state
+ * @param {Object} proposal - { allocation, bond, reserveDraw, phase }
+ * @returns {Object} vote - { kind: 'budget', id, name, turn, yes, no, seats, byFaction, result, allocation, bond, reserveDraw, amendments }
+ */
+export function voteOnBudget(state, proposal) {
+  const { allocation, bond = 0, reserveDraw = 0, phase = 'annual' } = proposal;
+  const totalBudget = Math.max(1, state.finance.totalBudget || 1);
+  const even = 100 / 7;
+
+  const tally = tallyVotes(state, (seat, faction) => {
+    let score = 0;
+    for (const [cat, pref] of Object.entries(faction.budget)) {
+      score += pref * ((allocation[cat] ?? even) - even) / BUDGET_SCALE;
+    }
+    score -= (1 - faction.bondTolerance) * bond / totalBudget * BOND_WEIGHT;
+    return score;
+  });
+
+  const vote = {
+    kind: 'budget',
+    id: phase,
+    name: phase === 'supplementary' ? '추가경정예산안' : '본예산안',
+    ...tally,
+    allocation: { ...allocation },
+    bond,
+    reserveDraw,
+    amendments: null,
+  };
+
+  if (vote.result === 'amended') {
+    const amended = amendAllocation(allocation, tally.opposed);
+    vote.amendments = Object.fromEntries(Object.keys(allocation)
+      .map(cat => [cat, amended[cat] - allocation[cat]])
+      .filter(([, d]) => d !== 0));
+    vote.allocation = amended;
+    vote.bond = Math.round(bond / 2);
+  } else if (vote.result === 'rejected') {
+    vote.allocation = null; // 호출자가 기존 확정 배분 유지
+    vote.bond = 0;
+    vote.reserveDraw = 0;
+  }
+  return vote;
+}
+
+/**
+ * 정책 표결 (상태 변경 없음) — 수정 가결 없이 과반 찬성이면 가결
+ * @param {Object} state
+ * @param {Object} policy - policies.json 정책
+ * @returns {Object} vote - { kind: 'policy', id, name, turn, yes, no, seats, byFaction, result }
+ */
+export function voteOnPolicy(state, policy) {
+  const targets = policy.targetDong ? [].concat(policy.targetDong) : null;
+  const tally = tallyVotes(state, (seat, faction) => {
+    let score = faction.policy[policy.category] || 0;
+    if (!targets) score += TARGET_BONUS / 3;
+    else if (!seat.dongs || seat.dongs.some(id => targets.includes(id))) score += TARGET_BONUS;
+    score -= (policy.cost || 0) / POLICY_COST_SCALE;
+    return score;
+  });
+  return {
+    kind: 'policy',
+    id: policy.id,
+    name: policy.name,
+    ...tally,
+    result: tally.result === 'passed' ? 'passed' : 'rejected',
+  };
+}
+
+/**
+ * 표결 기록 (이번 틱 votes + 최근 log)
+ * @param {Object} state - (mutated: council)
+ */
+export function recordVote(state, vote) {
+  const council = initCouncil(state).council;
+  const { opposed, ...record } = vote;
+  council.votes.push(record);
+  council.log = [...council.log, record].slice(-LOG_SIZE);
+  return record;
+}
+
+/**
+ * 의석 구성 한 줄 — "여당 7 · 야당 8 · 무소속 1석 (과반 9석)"
+ */
+export function formatCouncilSeats(state) {
+  const seats = getCouncilSeats(state);
+  const total = Object.values(seats).reduce((s, n) => s + n, 0);
+  const parts = Object.entries(seats).map(([id, n]) => `${COUNCIL_FACTIONS[id].name} ${n}`).join(' · ');
+  return `${parts}석 (과반 ${Math.floor(total / 2) + 1}석)`;
+}
+
+/**
+ * 표결 결과 한 줄 — "본예산안 수정 가결 (찬성 7 · 반대 9)"
+ */
+export function formatVote(vote) {
+  const label = { passed: '가결', amended: '수정 가결', rejected: '부결' }[vote.result];
+  return `${vote.name} ${label} (찬성 ${vote.yes} · 반대 ${vote.no})`;
+}
+
+// === Helpers ===
+
+/**
+ * 의원별 찬성 점수 = 성향 + 지역구 만족도 + 안건 점수(scoreFn) → 집계
+ */
+function tallyVotes(state, scoreFn) {
+  const council = initCouncil(state).council;
+  const byFaction = {};
+  const opposed = [];
+  let yes = 0;
+  for (const seat of council.seats) {
+    const faction = COUNCIL_FACTIONS[seat.faction];
+    const score = faction.lean + (districtSatisfaction(state, seat) - SAT_NEUTRAL) / SAT_SCALE + scoreFn(seat, faction);
+    const f = byFaction[seat.faction] || (byFaction[seat.faction] = { yes: 0, no: 0 });
+    if (score > 0) {
+      yes += 1;
+      f.yes += 1;
+    } else {
+      f.no += 1;
+      opposed.push(faction);
+    }
+  }
+  const seats = council.seats.length;
+  const result = yes * 2 > seats ? 'passed' : yes >= seats * AMEND_SHARE ? 'amended' : 'rejected';
+  return { turn: getTickTurn(state), yes, no: seats - yes, seats, byFaction, result, opposed };
+}
+
+function districtSatisfaction(state, seat) {
+  const dongs = seat.dongs ? state.dongs.filter(d => seat.dongs.includes(d.id)) : state.dongs;
+  const pop = dongs.reduce((s, d) => s + d.population, 0);
+  return dongs.reduce((s, d) => s + d.satisfaction * d.population, 0) / Math.max(1, pop);
+}
+
+/**
+ * 수정안: 반대 의원들의 평균 분야 선호만큼 배분을 옮기고 원안 합계를 유지 (정수 %)
+ */
+function amendAllocation(allocation, opposed) {
+  const cats = Object.keys(allocation);
+  const total = cats.reduce((s, c) => s + allocation[c], 0);
+  const shifted = {};
+  for (const cat of cats) {
+    const pref = opposed.reduce((s, f) => s + (f.budget[cat] || 0), 0) / Math.max(1, opposed.length);
+    shifted[cat] = Math.max(0, allocation[cat] + pref * AMEND_SHIFT);
+  }
+  const sum = cats.reduce((s, c) => s + shifted[c], 0) || 1;
+  const amended = Object.fromEntries(cats.map(c => [c, Math.round(shifted[c] * total / sum)]));
+  // 반올림 오차는 가장 큰 분야에서 맞춘다
+  const diff = total - cats.reduce((s, c) => s + amended[c], 0);
+  const largest = cats.reduce((a, b) => (amended[b] > amended[a] ? b : a));
+  amended[largest] += diff;
+  return amended;
+}
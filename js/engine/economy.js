@@ -6,8 +6,13 @@
  * + 임대료 압력 (젠트리피케이션 메카닉)
  * + 상권특색 감소 (프랜차이즈화)
  * + 동간 파급효과
+ *
+ * 동에 구획(blocks)이 있으면 사업체·임대료·상권특색은 구획 단위로 계산해 합산한다 (blocks.js).
  */
 
+import { updateBlockBusinesses, updateBlockRent, updateBlockCharacter, CHARACTER_BONUS_FACTOR } from './blocks.js';
+import { getAccessibility } from './transit.js';
+
 // === Constants ===
 const BASE_NEW_RATE = 0.022;   // 턴당 2.2% 신규 창업
 const BASE_CLOSE_RATE = 0.015; // 턴당 1.5% 자연 폐업 (순 +0.7% 기본 성장)
@@ -16,6 +21,7 @@ const ACCEL_BIZ = 1.0;        // 사업체 변동 계수 (가속 제거)
 const RENT_THRESHOLD = 70;       // 상권활력이 70 넘으면 임대료 압력 시작
 const RENT_SENSITIVITY = 0.00012; // vitality 100 → 30*0.00012=0.0036 → 0.36% 추가 폐업
 const RENT_MAX = 0.012;          // 최대 임대료 압력 1.2% (was 2%)
+const LAND_RENT_SENSITIVITY = 0.002; // 지가지수(구 평균=1) 초과분 → 기본 임대료 압력 (generate_init.js와 동일)
 const FRANCHISE_RATE = 0.015;  // 상권특색 감소 속도 (완화)
 
 // 파급 유형별 전파율
@@ -47,28 +53,41 @@ export function updateEconomy(dong, state, adjacency, budgetAlloc = {}, policyEf
   // 정책 효과: 신규 창업률 보너스
   const pe = getPolicyEffect(dong.id, policyEffects);
   const newBizBonus = pe.economy?.newBizBonus || 0;
+  const hasBlocks = dong.blocks?.length > 0;
 
   // === 2. 신규 창업 (수요 변동은 완화 적용) ===
   // demand=1.0이면 기본 비율, !=1.0이면 차이의 50%만 반영
   const adjustedDemand = 1.0 + (demand - 1.0) * 0.5;
 
   // 정책 보너스 체감: 사업체가 초기치를 초과하면 보너스 효율 감소
-  let effectiveNewBizBonus = newBizBonus;
-  if (newBizBonus > 0 && dong._initBiz && biz > dong._initBiz) {
-    const overGrowth = biz / dong._initBiz - 1.0;
-    effectiveNewBizBonus *= Math.max(0.2, 1.0 - overGrowth * 2);
-  }
-
-  const newBiz = Math.round(biz * (BASE_NEW_RATE + effectiveNewBizBonus) * adjustedDemand * policyBonus);
+  const capBonus = (bonus) => {
+    if (bonus > 0 && dong._initBiz && biz > dong._initBiz) {
+      const overGrowth = biz / dong._initBiz - 1.0;
+      return bonus * Math.max(0.2, 1.0 - overGrowth * 2);
+    }
+    return bonus;
+  };
+  const effectiveNewBizBonus = capBonus(newBizBonus);
 
   // === 3. 폐업 (자연 비율) ===
-  const rentPressure = dong.rentPressure || 0;
   const competitionPressure = calcCompetition(dong, state);
-  const closedBiz = Math.round(biz * (BASE_CLOSE_RATE + rentPressure + competitionPressure));
 
   // === 4. 사업체 수 업데이트 (순변동에 가속 적용) ===
-  const netChange = (newBiz - closedBiz) * ACCEL_BIZ;
-  dong.businesses = Math.max(1, biz + Math.round(netChange));
+  if (hasBlocks) {
+    // 구획별: 구획 임대료 압력·구획 정책 효과 반영 후 합산
+    updateBlockBusinesses(dong, {
+      newRate: BASE_NEW_RATE + effectiveNewBizBonus,
+      closeBase: BASE_CLOSE_RATE + competitionPressure,
+      demand: adjustedDemand,
+      policyBonus,
+    }, policyEffects, capBonus);
+  } else {
+    const newBiz = Math.round(biz * (BASE_NEW_RATE + effectiveNewBizBonus) * adjustedDemand * policyBonus);
+    const rentPressure = dong.rentPressure || 0;
+    const closedBiz = Math.round(biz * (BASE_CLOSE_RATE + rentPressure + competitionPressure));
+    const netChange = (newBiz - closedBiz) * ACCEL_BIZ;
+    dong.businesses = Math.max(1, biz + Math.round(netChange));
+  }
 
   // 종사자 비례 조정 (사업체당 평균 종사자 유지)
   if (biz > 0) {
@@ -79,22 +98,30 @@ export function updateEconomy(dong, state, adjacency, budgetAlloc = {}, policyEf
   dong.commerceVitality = calcCommerceVitality(dong, state);
 
   // === 6. 임대료 압력 업데이트 ===
-  updateRentPressure(dong, adjacency, state);
-
   // 정책 효과: 임대료 압력 직접 조정
   const rentDelta = pe.economy?.rentPressureDelta || pe.economy_side?.rentPressureDelta || 0;
-  if (rentDelta !== 0) {
-    dong.rentPressure = Math.round(clamp(dong.rentPressure + rentDelta, 0, RENT_MAX) * 10000) / 10000;
+
+  if (hasBlocks) {
+    updateBlockRent(dong, calcOwnRentPressure(dong), calcRentSpillover(dong, adjacency, state), rentDelta, policyEffects, RENT_MAX);
+  } else {
+    updateRentPressure(dong, adjacency, state);
+    if (rentDelta !== 0) {
+      dong.rentPressure = Math.round(clamp(dong.rentPressure + rentDelta, 0, RENT_MAX) * 10000) / 10000;
+    }
   }
 
   // === 7. 상권특색 감소 (프랜차이즈화) ===
-  updateCommerceCharacter(dong);
-
   // 정책 효과: 상권특색 보너스
   const charBonus = pe.economy?.commerceCharacterBonus || 0;
-  if (charBonus !== 0) {
-    dong.commerceCharacter = clamp(dong.commerceCharacter + charBonus * 0.25, 20, 100);
-    dong.commerceCharacter = Math.round(dong.commerceCharacter * 10) / 10;
+
+  if (hasBlocks) {
+    updateBlockCharacter(dong, updateCommerceCharacter, charBonus, policyEffects);
+  } else {
+    updateCommerceCharacter(dong);
+    if (charBonus !== 0) {
+      dong.commerceCharacter = clamp(dong.commerceCharacter + charBonus * CHARACTER_BONUS_FACTOR, 20, 100);
+      dong.commerceCharacter = Math.round(dong.commerceCharacter * 10) / 10;
+    }
   }
 
   // 정책 효과: 종사자 성장
@@ -113,12 +140,12 @@ export function updateEconomy(dong, state, adjacency, budgetAlloc = {}, policyEf
 function calcDemandFactor(dong, state, adjacency) {
   const avgLivingPop = state.dongs.reduce((s, d) => s + (d.livingPop?.weekdayDay || d.population), 0) / state.dongs.length;
   const avgPop = state.dongs.reduce((s, d) => s + d.population, 0) / state.dongs.length;
-  const avgTransit = state.dongs.reduce((s, d) => s + d.transitScore, 0) / state.dongs.length;
+  const avgAccess = state.dongs.reduce((s, d) => s + getAccessibility(d), 0) / state.dongs.length;
 
   // 비율 계산 후 로그 스케일로 극단값 완화
   const livingPopScore = softCap((dong.livingPop?.weekdayDay || dong.population) / Math.max(1, avgLivingPop));
   const popScore = softCap(dong.population / Math.max(1, avgPop));
-  const transitScore = softCap(dong.transitScore / Math.max(1, avgTransit));
+  const transitScore = softCap(getAccessibility(dong) / Math.max(1, avgAccess));
 
   // 인접 동 파급
   let adjSpill = 0;
@@ -162,10 +189,23 @@ function calcCommerceVitality(dong, state) {
  * + 인접 동 임대료 전파
  */
 function updateRentPressure(dong, adjacency, state) {
-  // 자체 압력
-  let pressure = Math.max(0, (dong.commerceVitality - RENT_THRESHOLD) * RENT_SENSITIVITY);
+  const pressure = calcOwnRentPressure(dong) + calcRentSpillover(dong, adjacency, state);
+  dong.rentPressure = Math.round(clamp(pressure, 0, RENT_MAX) * 10000) / 10000;
+}
 
-  // 인접 동 전파
+/**
+ * 자체 임대료 압력 (상권활력 기준 + 공시지가가 구 평균보다 높은 만큼)
+ */
+function calcOwnRentPressure(dong) {
+  const landRent = Math.max(0, (dong.landValue?.index ?? 1) - 1) * LAND_RENT_SENSITIVITY;
+  return Math.max(0, (dong.commerceVitality - RENT_THRESHOLD) * RENT_SENSITIVITY) + landRent;
+}
+
+/**
+ * 인접 동 임대료 전파
+ */
+function calcRentSpillover(dong, adjacency, state) {
+  let pressure = 0;
   const neighbors = adjacency[dong.id] || {};
   for (const [nId, coeff] of Object.entries(neighbors)) {
     const neighbor = state.dongs.find(d => d.id === nId);
@@ -173,12 +213,12 @@ function updateRentPressure(dong, adjacency, state) {
       pressure += coeff * neighbor.rentPressure * SPILLOVER_RATES.rent;
     }
   }
-
-  dong.rentPressure = Math.round(clamp(pressure, 0, RENT_MAX) * 10000) / 10000;
+  return pressure;
 }
 
 /**
  * 상권특색: 임대료 압력이 누적되면 프랜차이즈화 → 특색 감소
+ * (동 또는 구획 객체 — rentPressure, commerceCharacter만 사용)
  */
 function updateCommerceCharacter(dong) {
   if (dong.rentPressure > 0) {
@@ -0,0 +1,135 @@
+/**
+ * effects.js — 효과 데이터 스키마 검증
+ *
+ * 정책(policies.json)과 이벤트 선택지(events.json)의 effects는 같은 파이프라인
+ * (economy.js / population.js / housing.js / transit.js / commute.js / finance.js / satisfaction.js)으로 들어간다.
+ * 여기 없는 키는 엔진이 읽지 않으므로 데이터 오류로 보고한다.
+ */
+
+import { validateTrigger } from './events.js';
+
+export const EFFECT_KEYS = {
+  economy: ['newBizBonus', 'rentPressureDelta', 'commerceCharacterBonus', 'workerGrowth', 'livingPopBonus'],
+  economy_side: ['rentPressureDelta'],
+  population: ['child', 'teen', 'youth', 'midAge', 'senior', 'elderly', 'displacement', 'birthBonus'],
+  finance: ['localTaxBonus', 'mandatorySpendDelta'],
+  // 턴당 비율 (housing.js): 빌라 철거, 빈집 정비, 공공임대 공급
+  housing: ['demolish', 'renovate', 'publicSupply'],
+  // capacity: 턴당 용량 증가율 — 동에 닿는 통근 링크(commute.js, 양 끝 평균) · 동을 지나는 노선(transit.js, 최대)
+  // catchment: 인접 동 역 이용 비율 가산 (정책 시행 중에만, transit.js)
+  transit: ['capacity', 'catchment'],
+  // 6개 만족도 구성요소 + 예산 카테고리 (satisfaction.js가 구성요소로 분배)
+  satisfaction: [
+    'economy', 'transport', 'housing', 'safety', 'culture', 'welfare',
+    'environment', 'education', 'renewal',
+  ],
+};
+
+/**
+ * effects 객체 검증
+ * @param {Object} effects
+ * @param {string} where - 오류 메시지용 위치 (예: 'evt_rent_spike/rent_cap')
+ * @param {number} [duration] - 이벤트 선택지 duration (주면 delayed_completion이 그 안에 완공되는지 확인)
+ * @returns {string[]} 오류 목록 (없으면 빈 배열)
+ */
+export function validateEffects(effects, where, duration) {
+  const errors = [];
+  if (!effects) return errors;
+
+  for (const [category, values] of Object.entries(effects)) {
+    if (category === 'delayed_completion') {
+      const { triggerAfter, duration: completionDuration, ...rest } = values || {};
+      if (triggerAfter !== undefined && !(Number.isInteger(triggerAfter) && triggerAfter > 0)) {
+        errors.push(`${where}: delayed_completion.triggerAfter는 양의 정수여야 합니다 (${triggerAfter})`);
+      }
+      if (completionDuration !== undefined && !(Number.isInteger(completionDuration) && completionDuration >= 0)) {
+        errors.push(`${where}: delayed_completion.duration은 0 이상의 정수여야 합니다 (${completionDuration})`);
+      }
+      // 선택지는 duration 턴 뒤 빠지므로 (duration 0은 첫 틱 뒤) 완공 시점이 그 안이어야 한다
+      const completesAt = triggerAfter || duration;
+      if (duration !== undefined && !(completesAt >= 1 && completesAt <= Math.max(1, duration))) {
+        errors.push(`${where}: delayed_completion이 선택지 기간(${duration}턴) 안에 완공되지 않습니다 (triggerAfter ${triggerAfter ?? '없음'})`);
+      }
+      errors.push(...validateEffects(rest, `${where} (delayed_completion)`));
+      continue;
+    }
+
+    const known = EFFECT_KEYS[category];
+    if (!known) {
+      errors.push(`${where}: 알 수 없는 효과 분류 '${category}'`);
+      continue;
+    }
+    for (const [key, val] of Object.entries(values || {})) {
+      if (!known.includes(key)) {
+        errors.push(`${where}: 알 수 없는 효과 키 '${category}.${key}'`);
+      } else if (typeof val !== 'number' || !Number.isFinite(val)) {
+        errors.push(`${where}: '${category}.${key}' 값이 숫자가 아닙니다 (${JSON.stringify(val)})`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * events.json 이벤트 카탈로그 검증 (트리거 조건식 + 선택지별 effects · cost · policies · followUp)
+ * @param {Object[]} catalog
+ * @param {Object[]} [policyCatalog] - 있으면 선택지 policies의 정책 ID와 트리거 정책과의 상충도 확인
+ * @returns {string[]} 오류 목록
+ */
+export function validateEventCatalog(catalog, policyCatalog = null) {
+  const errors = [];
+  for (const event of catalog) {
+    errors.push(...validateTrigger(event.trigger, event.id));
+    for (const choice of event.choices || []) {
+      const where = `${event.id}/${choice.id}`;
+      if (choice.cost !== undefined && !(typeof choice.cost === 'number' && choice.cost >= 0)) {
+        errors.push(`${where}: cost는 0 이상의 숫자여야 합니다 (${JSON.stringify(choice.cost)})`);
+      }
+      errors.push(...validateEffects(choice.effects, where, choice.duration || 0));
+      for (const ref of [...choice.policies?.activate || [], ...choice.policies?.cancel || []]) {
+        const id = typeof ref === 'string' ? ref : ref.id;
+        if (policyCatalog && !policyCatalog.some(p => p.id === id)) errors.push(`${where}: 알 수 없는 정책 '${id}'`);
+      }
+      if (policyCatalog) errors.push(...validateTriggerConflicts(event, choice, policyCatalog, where));
+      for (const followUp of [].concat(choice.followUp || [])) {
+        if (!catalog.some(e => e.id === followUp.event)) errors.push(`${where}: 알 수 없는 후속 이벤트 '${followUp.event}'`);
+        if (!(Number.isInteger(followUp.afterTurns) && followUp.afterTurns >= 1)) {
+          errors.push(`${where}: followUp.afterTurns는 1 이상의 정수여야 합니다 (${JSON.stringify(followUp.afterTurns)})`);
+        }
+        if (followUp.chance !== undefined && !(followUp.chance >= 0 && followUp.chance <= 1)) {
+          errors.push(`${where}: followUp.chance는 0~1이어야 합니다 (${JSON.stringify(followUp.chance)})`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// === Helpers ===
+
+// 선택지가 시행할 정책이 이벤트를 부른 정책(트리거 조건)과 상충하면, 그 정책을 중단하지 않는 한 시행되지 않는다
+function validateTriggerConflicts(event, choice, policyCatalog, where) {
+  const trigger = event.trigger || {};
+  const required = new Set([trigger.when, trigger.condition, trigger.additionalCondition].flatMap(conditionPolicies));
+  const cancelIds = (choice.policies?.cancel || []).map(ref => (typeof ref === 'string' ? ref : ref.id));
+  const errors = [];
+  for (const ref of choice.policies?.activate || []) {
+    const id = typeof ref === 'string' ? ref : ref.id;
+    const policy = policyCatalog.find(p => p.id === id);
+    for (const other of required) {
+      if (cancelIds.includes(other)) continue;
+      const otherPolicy = policyCatalog.find(p => p.id === other);
+      if (policy?.incompatible?.includes(other) || otherPolicy?.incompatible?.includes(id)) {
+        errors.push(`${where}: 시행할 정책 '${id}'이(가) 트리거 조건의 '${other}'와 상충합니다 (cancel에 넣거나 시행을 빼세요)`);
+      }
+    }
+  }
+  return errors;
+}
+
+// 조건식이 시행 중이길 요구하는 정책 ID (not 아래는 제외)
+function conditionPolicies(cond) {
+  if (!cond || cond.not) return [];
+  if (cond.all || cond.any) return (cond.all || cond.any).flatMap(conditionPolicies);
+  return cond.policy ? [cond.policy] : [];
+}
@@ -0,0 +1,184 @@
+/**
+ * election.js — 동별 지지율 + 임기 말 구청장 선거 + 재선 임기
+ *
+ * 지지율 (dong.approval, 0~100): 매 틱 만족도 기반 목표치로 APPROVAL_ADJUST만큼 수렴
+ *   목표 = APPROVAL_BASE + (만족도 − SAT_BASELINE) × SAT_TO_APPROVAL − 재개발 강제이주 부담
+ *   구의회가 예산안·정책을 부결하면 구 전체 지지율 −REJECTION_PENALTY (council.js)
+ *
+ * 선거 (임기 마지막 턴): 동별·연령별 득표율 × 연령별 투표율 → 동별 득표, 구 전체 득표율 > 50%면 재선
+ *   연령 득표율 = 50% + (지지율 − 50) × APPROVAL_SWING + (연령 만족도 − 동 만족도) × AGE_SAT_SWING
+ *               + 현직 프리미엄 + 공약 (달성 +PLEDGE_WIN, 미달 −PLEDGE_LOSS)
+ *   난수를 쓰지 않아 같은 상태면 같은 결과
+ *
+ * 재선하면 startNextTerm()으로 meta.term을 올리고 새 공약으로 다음 임기를 이어간다 (MAX_TERMS기까지)
+ * state.elections: [{ term, turn, voteShare, turnout, reelected, pledgeSwing, byDong }]
+ */
+
+import { calcAgeSatisfaction } from './satisfaction.js';
+import { calcProgress } from './pledges.js';
+
+// === Constants ===
+const APPROVAL_BASE = 50;
+const SAT_BASELINE = 58;       // 만족도가 이보다 높으면 지지율 50% 이상
+const SAT_TO_APPROVAL = 1.5;   // 만족도 1점 → 지지율 목표 1.5%p
+const APPROVAL_ADJUST = 0.25;  // 턴당 목표치 수렴 비율 (여론의 관성)
+const DISPLACED_PENALTY = 200; // 강제이주 인구 비율 1% → 목표 −2%p (최대 −10)
+const REJECTION_PENALTY = 1;   // 구의회 부결 1건 → 구 전체 지지율 −1%p
+
+const TURNOUT = { youth: 0.52, midAge: 0.60, senior: 0.70, elderly: 0.74 }; // 연령별 투표율 (지방선거 추세)
+const APPROVAL_SWING = 0.008;  // 지지율 10%p → 득표율 8%p
+const AGE_SAT_SWING = 0.005;   // 연령 만족도가 동 평균보다 10점 높으면 그 연령 득표율 +5%p
+const INCUMBENCY = 0.01;       // 현직 프리미엄
+const PLEDGE_WIN = 0.015;      // 공약 달성 1개당 구 전체 득표율
+const PLEDGE_LOSS = 0.01;      // 공약 미달 1개당
+
+export const MAX_TERMS = 3; // 지방자치단체장 연임 제한 (3기)
+
+/**
+ * 동별 지지율 초기화 (이미 있으면 그대로)
+ * @param {Object} state - (mutated: dongs[].approval)
+ * @returns {Object} state
+ */
+export function initApproval(state) {
+  for (const dong of state.dongs) {
+    if (dong.approval === undefined) dong.approval = round1(approvalTarget(dong));
+  }
+  return state;
+}
+
+/**
+ * 틱마다 지지율 업데이트 (만족도 갱신 후)
+ * @param {Object} state - (mutated: dongs[].approval)
+ */
+export function updateApproval(state) {
+  initApproval(state);
+  const rejections = (state.council?.votes || []).filter(v => v.result === 'rejected').length;
+  for (const dong of state.dongs) {
+    const next = dong.approval + (approvalTarget(dong) - dong.approval) * APPROVAL_ADJUST - rejections * REJECTION_PENALTY;
+    dong.approval = round1(clamp(next, 0, 100));
+  }
+  return state;
+}
+
+/**
+ * 구 전체 지지율 (인구 가중 평균)
+ */
+export function getApprovalRating(state) {
+  const pop = state.dongs.reduce((s, d) => s + d.population, 0);
+  const weighted = state.dongs.reduce((s, d) => s + (d.approval ?? approvalTarget(d)) * d.population, 0);
+  return round1(weighted / Math.max(1, pop));
+}
+
+/**
+ * 임기 말 선거 (상태 변경 없음 — 기록은 recordElection)
+ * @param {Object} state - 임기 마지막 턴 상태
+ * @param {Object} initialState - 임기 시작 상태 (공약 진행률 기준)
+ * @returns {Object} election - { term, turn, voteShare, turnout, reelected, pledgeSwing, byDong }
+ */
+export function simulateElection(state, initialState) {
+  const pledges = state.meta.pledges || [];
+  const achieved = pledges.filter(id => calcProgress(id, state, initialState) >= 99.5).length;
+  const pledgeSwing = achieved * PLEDGE_WIN - (pledges.length - achieved) * PLEDGE_LOSS;
+
+  let totalVotes = 0;
+  let totalVoters = 0;
+  let totalEligible = 0;
+  const byDong = state.dongs.map(dong => {
+    const approval = dong.approval ?? approvalTarget(dong);
+    const ageSat = calcAgeSatisfaction(dong);
+    let votes = 0;
+    let voters = 0;
+    let eligible = 0;
+    for (const [age, rate] of Object.entries(TURNOUT)) {
+      const pop = dong.populationByAge?.[age] || 0;
+      const share = clamp(0.5 + (approval - 50) * APPROVAL_SWING
+        + (ageSat[age] - dong.satisfaction) * AGE_SAT_SWING + INCUMBENCY + pledgeSwing, 0.05, 0.95);
+      eligible += pop;
+      voters += pop * rate;
+      votes += pop * rate * share;
+    }
+    totalVotes += votes;
+    totalVoters += voters;
+    totalEligible += eligible;
+    return {
+      id: dong.id,
+      name: dong.name,
+      approval: round1(approval),
+      turnout: round3(voters / Math.max(1, eligible)),
+      voteShare: round3(votes / Math.max(1, voters)),
+      votes: Math.round(votes),
+      voters: Math.round(voters),
+    };
+  });
+
+  const voteShare = round3(totalVotes / Math.max(1, totalVoters));
+  return {
+    term: state.meta.term || 1,
+    turn: state.meta.turn,
+    voteShare,
+    turnout: round3(totalVoters / Math.max(1, totalEligible)),
+    reelected: voteShare > 0.5,
+    pledgeSwing: round3(pledgeSwing),
+    byDong,
+  };
+}
+
+/**
+ * 선거 결과 기록 (같은 임기 결과가 있으면 교체)
+ * @param {Object} state - (mutated: elections)
+ */
+export function recordElection(state, election) {
+  state.elections = [...(state.elections || []).filter(e => e.term !== election.term), election];
+  return election;
+}
+
+/**
+ * 다음 임기를 시작할 수 있는지 — 이번 임기 선거에서 재선했고 연임 제한 전
+ */
+export function canStartNextTerm(state) {
+  const term = state.meta.term || 1;
+  const election = state.elections?.find(e => e.term === term);
+  return Boolean(election?.reelected) && term < MAX_TERMS;
+}
+
+/**
+ * 재선 임기 시작 — 턴·날짜·시뮬레이션 상태는 이어지고 임기 번호와 공약만 바뀐다
+ * @param {Object} state - (mutated: meta.term, meta.pledges)
+ * @param {string[]} pledges - 새 임기 공약
+ * @returns {Object} state
+ * @throws {Error} 재선하지 못했거나 연임 제한이면
+ */
+export function startNextTerm(state, pledges = []) {
+  if (!canStartNextTerm(state)) {
+    throw new Error((state.meta.term || 1) >= MAX_TERMS ? `연임 제한(${MAX_TERMS}기)으로 더 출마할 수 없습니다.` : '재선하지 못해 임기를 이어갈 수 없습니다.');
+  }
+  state.meta.term = (state.meta.term || 1) + 1;
+  state.meta.pledges = [...pledges];
+  return state;
+}
+
+/**
+ * 선거 결과 한 줄 — "득표율 52.3% · 투표율 63.1% — 재선"
+ */
+export function formatElection(election) {
+  const pct = v => `${(v * 100).toFixed(1)}%`;
+  return `득표율 ${pct(election.voteShare)} · 투표율 ${pct(election.turnout)} — ${election.reelected ? '재선' : '낙선'}`;
+}
+
+// === Helpers ===
+function approvalTarget(dong) {
+  const displaced = Math.min(10, (dong.housing?.displaced || 0) / Math.max(1, dong.population) * DISPLACED_PENALTY);
+  return clamp(APPROVAL_BASE + (dong.satisfaction - SAT_BASELINE) * SAT_TO_APPROVAL - displaced, 0, 100);
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
@@ -1,14 +1,459 @@
 /**
- * events.js — 이벤트 트리거/효과 로직
- * Sprint 4 구현 예정 (mvp-spec-v1.md 7절)
+ * events.js — 이벤트 트리거 판정 (events.json 기반)
+ *
+ * 쿨다운/one-shot 기록은 호출자가 소유하는 tracker 객체에 보관한다.
+ * (브라우저 event.js, headless 시뮬레이터, MCP 서버가 각자 tracker를 가짐)
+ *
+ * trigger.type: periodic(정기) · threshold(condition 하나) · random(확률) · turn(특정 턴 이후 + additionalCondition)
+ *   · condition(when 조건식만). 어느 type이든 when이 있으면 함께 만족해야 한다.
+ *
+ * 조건식 (when / condition / additionalCondition):
+ *   { all: [조건...] } · { any: [조건...] } · { not: 조건 }
+ *   { metric, operator, value }           — 구 전체 지표 (metrics.js, 예: 평균 만족도·지지율·지방채)
+ *     + dong: 'id'                        — 그 동의 값
+ *     + dongs: ['id', ...]                — 그 동들만 집계
+ *     + minDongCount: n                   — 조건을 만족하는 동이 n개 이상 (dongs가 없으면 16개 동 전체)
+ *     + consecutive: n                    — 최근 n턴 연속 만족 (히스토리 지표만)
+ *     + change: 'percent' | 'points', turns: n — 값 대신 n턴 전 대비 변화량을 비교 (히스토리 지표만)
+ *   { metric, trend: 'falling' | 'rising', turns: n } — n턴 연속 하락/상승 (히스토리 지표만)
+ *   { metric: 'turn' | 'termTurn' | 'month', operator, value } — 진행 턴 · 임기 내 턴 · 달
+ *   { policy: 'id' }                      — 정책 시행 중
+ *   { choice: { event, choice?, outcome?, withinTurns? } } — 지난 이벤트에서 고른 선택지 (state.eventLog)
+ *   { chance: 0.2 }                       — 턴마다 확률
+ *
+ * 선택지의 policies: { activate: [정책 ID], cancel: [정책 ID] } — 선택하면 다음 틱에 정책을 시행·중단한다
+ *   (linkEventPolicies()로 정책 정의를 붙인 카탈로그를 써야 시행할 수 있다, simulation.js)
+ *
+ * 선택지의 followUp: { event, afterTurns, chance?, outcome? } (또는 배열) — 후속 이벤트 예약
+ *   선택이 반영되는 틱에 state.scheduledEvents에 예약하고, afterTurns턴 뒤 다른 후보보다 먼저 발생한다
+ *   (쿨다운·발생 확률 무시, 후속 이벤트의 when이 그때 맞지 않으면 흐지부지 — averted).
+ *   trigger.type 'followUp' 이벤트는 예약으로만 발생한다.
+ *   state.eventLog 항목의 from이 앞 선택을 가리켜 이벤트 연쇄(describeEventChains)를 이룬다.
  */
 
-export function checkEvents(state) {
-  // Stub: no events triggered
-  return [];
+import { measureMetric, historySeries, metricInfo, HISTORY_METRICS } from './metrics.js';
+import { getTermTurn } from './calendar.js';
+
+// === Constants ===
+const OPERATORS = ['>', '<', '>=', '<=', '=='];
+const TURN_METRICS = {
+  turn: state => state.meta.turn,
+  termTurn: state => getTermTurn(state),
+  month: state => state.meta.month,
+};
+
+/**
+ * 이벤트 추적 상태 생성
+ * @returns {{ cooldowns: Object<string, number>, firedOneShots: string[] }}
+ */
+export function createEventTracker() {
+  return {
+    cooldowns: {}, // { eventId: turnsRemaining }
+    firedOneShots: [], // one-shot events already fired
+  };
+}
+
+/**
+ * 턴 시작 시 이벤트 트리거 체크 (tracker를 갱신)
+ * @param {Object[]} catalog - events.json의 events
+ * @param {Object} state - 현재 게임 상태
+ * @param {Object} tracker - createEventTracker() 결과
+ * @param {Object} rng - createRng() 결과 (확률 판정용)
+ * @returns {Object|null} 트리거된 이벤트 (없으면 null)
+ */
+export function checkEventTriggers(catalog, state, tracker, rng) {
+  const turn = state.meta.turn;
+  const { cooldowns, firedOneShots } = tracker;
+
+  // 쿨다운 감소
+  for (const id of Object.keys(cooldowns)) {
+    cooldowns[id]--;
+    if (cooldowns[id] <= 0) delete cooldowns[id];
+  }
+
+  // 예약된 후속 이벤트가 먼저
+  const scheduled = takeScheduledEvent(catalog, state, rng);
+  if (scheduled) {
+    if (scheduled.cooldown > 0) cooldowns[scheduled.id] = scheduled.cooldown;
+    if (scheduled.oneShot && !firedOneShots.includes(scheduled.id)) firedOneShots.push(scheduled.id);
+    return scheduled;
+  }
+
+  // 후보 이벤트 수집
+  const candidates = [];
+
+  for (const event of catalog) {
+    // 이미 쿨다운 중
+    if (cooldowns[event.id]) continue;
+    // one-shot 이미 발생
+    if (event.oneShot && firedOneShots.includes(event.id)) continue;
+
+    if (checkTrigger(event, state, turn, rng)) {
+      candidates.push(event);
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  // 확률 체크 후 하나만 선택
+  const triggered = [];
+  for (const event of candidates) {
+    if (rng.next() < (event.probability || 1.0)) {
+      triggered.push(event);
+    }
+  }
+
+  if (triggered.length === 0) return null;
+
+  // 여러 개면 하나만 랜덤 선택
+  const selected = triggered[Math.floor(rng.next() * triggered.length)];
+
+  // 쿨다운 + oneShot 기록
+  if (selected.cooldown > 0) cooldowns[selected.id] = selected.cooldown;
+  if (selected.oneShot) firedOneShots.push(selected.id);
+
+  return selected;
+}
+
+/**
+ * 조건식 판정
+ * @param {Object} cond - 조건식 (파일 머리 주석 참고)
+ * @param {Object} state
+ * @param {Object} rng - chance 조건용
+ * @returns {boolean}
+ */
+export function evaluateCondition(cond, state, rng) {
+  if (!cond) return true;
+  if (cond.all) return cond.all.every(c => evaluateCondition(c, state, rng));
+  if (cond.any) return cond.any.some(c => evaluateCondition(c, state, rng));
+  if (cond.not) return !evaluateCondition(cond.not, state, rng);
+  if (cond.policy) return (state.activePolicies || []).some(ap => ap.policy.id === cond.policy);
+  if (cond.choice) return hasChosen(cond.choice, state);
+  if (cond.chance !== undefined) return rng.next() < cond.chance;
+  if (TURN_METRICS[cond.metric]) return compare(TURN_METRICS[cond.metric](state), cond.operator, cond.value);
+
+  if (cond.minDongCount) {
+    const ids = cond.dongs || state.dongs.map(d => d.id);
+    return ids.filter(id => checkMetric(cond, state, [id])).length >= cond.minDongCount;
+  }
+  return checkMetric(cond, state, cond.dong ? [cond.dong] : cond.dongs);
+}
+
+/**
+ * 고른 선택지를 activeEvents 항목으로 (다음 틱부터 simulation.js tickEvents가 반영)
+ * duration 0(일회성)은 remainDuration 0 — 첫 틱에 효과를 한 번 주고 빠진다
+ * @param {Object} event - events.json 이벤트
+ * @param {Object} choice - event.choices 중 하나
+ * @returns {Object} { eventId, eventName, choiceId, choice, affectedDongs, totalDuration, remainDuration }
+ */
+export function createActiveEvent(event, choice) {
+  return {
+    eventId: event.id,
+    eventName: event.name,
+    choiceId: choice.id,
+    choice,
+    affectedDongs: event.affectedDongs || [],
+    totalDuration: choice.duration || 0,
+    remainDuration: choice.duration || 0,
+  };
+}
+
+/**
+ * 선택지 효과 기간 문구 — 정책의 '영구'처럼 duration 0은 '일회성'
+ * @param {number} duration - choice.duration
+ * @param {number} [remaining] - activeEvents 항목의 remainDuration (주면 '잔여 n턴')
+ * @returns {string}
+ */
+export function formatEventDuration(duration, remaining) {
+  if (!duration) return '일회성';
+  return remaining === undefined ? `${duration}턴` : `잔여 ${remaining}턴`;
+}
+
+/**
+ * 선택이 반영되는 첫 틱에 선택 기록 + 후속 이벤트 예약 (simulation.js tickEvents)
+ * @param {Object} state - 틱 중인 상태 (eventLog · scheduledEvents를 갱신)
+ * @param {Object} ae - activeEvents 항목 { eventId, eventName?, choiceId, choice, outcome? }
+ * @param {number} turn - 선택한 턴 (getTickTurn)
+ * @param {Object} rng - followUp.chance 판정용
+ * @returns {Object} 추가한 eventLog 항목
+ */
+export function recordEventChoice(state, ae, turn, rng) {
+  // 예약으로 발생한 이벤트면 앞 선택과 잇는다
+  const source = (state.scheduledEvents || [])
+    .find(s => s.status === 'fired' && s.eventId === ae.eventId && s.resolvedTurn === turn);
+  const entry = {
+    turn,
+    eventId: ae.eventId,
+    eventName: ae.eventName || ae.eventId,
+    choiceId: ae.choiceId,
+    choiceName: ae.choice?.name || ae.choiceId,
+    outcome: ae.outcome || null,
+    from: source ? source.from : null,
+  };
+  if (!state.eventLog) state.eventLog = [];
+  state.eventLog.push(entry);
+
+  for (const followUp of [].concat(ae.choice?.followUp || [])) {
+    if (followUp.outcome !== undefined && ![].concat(followUp.outcome).includes(entry.outcome)) continue;
+    if (followUp.chance !== undefined && rng.next() >= followUp.chance) continue;
+    if (!state.scheduledEvents) state.scheduledEvents = [];
+    state.scheduledEvents.push({
+      eventId: followUp.event,
+      dueTurn: turn + (followUp.afterTurns || 1),
+      from: { eventId: entry.eventId, choiceId: entry.choiceId, turn },
+      status: 'pending', // pending → fired(발생) | averted(흐지부지)
+    });
+  }
+  return entry;
+}
+
+/**
+ * 이벤트 연쇄 — 후속 이벤트로 이어진 선택들 (가지가 나뉘면 가지마다 하나)
+ * @param {Object} state
+ * @returns {{ steps: Object[], next: Object|null }[]} steps는 eventLog 항목 (오래된 순),
+ *   next는 아직 선택으로 이어지지 않은 예약 (scheduledEvents 항목)
+ */
+export function describeEventChains(state) {
+  const log = state.eventLog || [];
+  const scheduled = state.scheduledEvents || [];
+  const chains = [];
+  const walk = steps => {
+    const last = steps[steps.length - 1];
+    const follows = item => item.from?.eventId === last.eventId && item.from.turn === last.turn;
+    const children = log.filter(follows);
+    const waiting = scheduled.filter(s => follows(s) && !children.some(c => c.eventId === s.eventId));
+    for (const child of children) walk([...steps, child]);
+    for (const next of waiting) chains.push({ steps, next });
+    if (steps.length > 1 && children.length === 0 && waiting.length === 0) chains.push({ steps, next: null });
+  };
+  for (const root of log.filter(e => !e.from)) walk([root]);
+  return chains;
+}
+
+/**
+ * 이벤트 연쇄 요약 — 연쇄마다 한 줄
+ * "12턴 연남동 임대료 폭등: 시장 논리에 맡기기 ⇒ 15턴 연남동 상가 폐업 항의 시위: 개입하지 않음 ⇒ 19턴 후속 이벤트 예정"
+ * @returns {string[]}
+ */
+export function formatEventChains(state) {
+  return describeEventChains(state).map(({ steps, next }) => {
+    const parts = steps.map(s => `${s.turn}턴 ${s.eventName || s.eventId}: ${s.choiceName || s.choiceId}${s.outcome ? ` (${s.outcome})` : ''}`);
+    if (next?.status === 'pending') parts.push(`${next.dueTurn}턴 후속 이벤트 예정`);
+    if (next?.status === 'averted') parts.push(`${next.resolvedTurn}턴 여파 없이 마무리`);
+    if (next?.status === 'fired') parts.push(`${next.resolvedTurn}턴 후속 이벤트 발생${next.resolvedTurn === state.meta.turn ? ' — 대응 대기' : ' — 대응 없음'}`);
+    return parts.join(' ⇒ ');
+  });
+}
+
+/**
+ * 이번 턴 예약으로 발생한 이벤트의 원인 — "12턴 연남동 임대료 폭등에서 고른 '시장 논리에 맡기기'의 여파" (아니면 '')
+ */
+export function formatEventOrigin(state, eventId) {
+  const source = (state.scheduledEvents || [])
+    .find(s => s.status === 'fired' && s.eventId === eventId && s.resolvedTurn === state.meta.turn);
+  const cause = source && (state.eventLog || []).find(e => e.eventId === source.from.eventId && e.turn === source.from.turn);
+  return cause ? `${cause.turn}턴 ${cause.eventName}에서 고른 '${cause.choiceName}'의 여파` : '';
+}
+
+/**
+ * 선택지 policies의 정책 ID를 정책 정의로 바꾼 이벤트 카탈로그 사본 (이미 바뀐 항목도 다시 찾는다)
+ * @param {Object[]} catalog - events.json의 events
+ * @param {Object[]} policyCatalog - policies.json의 policies
+ * @returns {Object[]}
+ */
+export function linkEventPolicies(catalog, policyCatalog) {
+  const resolve = ref => {
+    const id = typeof ref === 'string' ? ref : ref?.id;
+    return policyCatalog.find(p => p.id === id) || ref;
+  };
+  return catalog.map(event => {
+    if (!event.choices?.some(c => c.policies)) return event;
+    return {
+      ...event,
+      choices: event.choices.map(choice => (choice.policies
+        ? {
+          ...choice,
+          policies: {
+            activate: (choice.policies.activate || []).map(resolve),
+            cancel: (choice.policies.cancel || []).map(resolve),
+          },
+        }
+        : choice)),
+    };
+  });
+}
+
+/**
+ * 선택지의 정책 시행·중단 한 줄 — "시행: 주거비 보조 · 중단: 야간 관광 경제 활성화" (없으면 '')
+ */
+export function formatChoicePolicies(choice) {
+  const name = ref => (typeof ref === 'string' ? ref : ref.name || ref.id);
+  const parts = [];
+  if (choice?.policies?.activate?.length) parts.push(`시행: ${choice.policies.activate.map(name).join(', ')}`);
+  if (choice?.policies?.cancel?.length) parts.push(`중단: ${choice.policies.cancel.map(name).join(', ')}`);
+  return parts.join(' · ');
+}
+
+/**
+ * 트리거 조건식 검증 (오류 메시지 배열)
+ * @param {Object} trigger - event.trigger
+ * @param {string} where - 오류 메시지용 위치 (이벤트 ID)
+ */
+export function validateTrigger(trigger, where) {
+  if (!trigger) return [`${where}: trigger가 없습니다`];
+  const errors = [];
+  switch (trigger.type) {
+    case 'periodic':
+    case 'random':
+      break;
+    case 'threshold':
+      errors.push(...validateCondition(trigger.condition, `${where}/condition`));
+      break;
+    case 'turn':
+      if (trigger.additionalCondition) errors.push(...validateCondition(trigger.additionalCondition, `${where}/additionalCondition`));
+      break;
+    case 'condition':
+      if (!trigger.when) errors.push(`${where}: condition 트리거에는 when이 필요합니다`);
+      break;
+    case 'followUp':
+      break;
+    default:
+      errors.push(`${where}: 알 수 없는 트리거 '${trigger.type}'`);
+  }
+  if (trigger.when) errors.push(...validateCondition(trigger.when, `${where}/when`));
+  return errors;
+}
+
+// === Helpers ===
+function checkTrigger(event, state, turn, rng) {
+  const trigger = event.trigger;
+  if (!trigger) return false;
+  if (!checkTriggerType(trigger, state, turn, rng)) return false;
+  return trigger.when ? evaluateCondition(trigger.when, state, rng) : true;
+}
+
+function checkTriggerType(trigger, state, turn, rng) {
+  switch (trigger.type) {
+    case 'periodic':
+      return turn >= (trigger.startTurn || 1) && (turn - (trigger.startTurn || 1)) % (trigger.interval || 4) === 0;
+
+    case 'threshold':
+      return Boolean(trigger.condition) && evaluateCondition(trigger.condition, state, rng);
+
+    case 'random':
+      return turn >= (trigger.minTurn || 1) && rng.next() < (trigger.probabilityPerTurn || 0.1);
+
+    case 'turn':
+      if (turn < (trigger.minTurn || 1)) return false;
+      return trigger.additionalCondition ? evaluateCondition(trigger.additionalCondition, state, rng) : true;
+
+    case 'condition':
+      return true;
+
+    case 'followUp':
+      return false; // 앞 선택지의 예약으로만 발생 (takeScheduledEvent)
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * 때가 된 예약 후속 이벤트 하나 (없으면 null) — 이벤트가 없거나 when이 맞지 않는 예약은 흐지부지 처리
+ */
+function takeScheduledEvent(catalog, state, rng) {
+  const turn = state.meta.turn;
+  for (const entry of state.scheduledEvents || []) {
+    if (entry.status !== 'pending' || entry.dueTurn > turn) continue;
+    const event = catalog.find(e => e.id === entry.eventId);
+    entry.resolvedTurn = turn;
+    if (!event || !evaluateCondition(event.trigger?.when, state, rng)) {
+      entry.status = 'averted';
+      continue;
+    }
+    entry.status = 'fired';
+    return event;
+  }
+  return null;
+}
+
+/**
+ * 지표 조건 — 값 비교 (consecutive · change) 또는 추세
+ */
+function checkMetric(cond, state, dongIds) {
+  if (cond.trend) {
+    const turns = cond.turns || 1;
+    const series = historySeries(state, cond.metric, dongIds).slice(-(turns + 1));
+    if (series.length < turns + 1) return false;
+    return series.slice(1).every((v, i) => (cond.trend === 'falling' ? v < series[i] : v > series[i]));
+  }
+
+  if (cond.change) {
+    const turns = cond.turns || 1;
+    const series = historySeries(state, cond.metric, dongIds);
+    if (series.length < turns + 1) return false;
+    const past = series[series.length - 1 - turns];
+    const current = series[series.length - 1];
+    const value = cond.change === 'percent' ? (current - past) / Math.max(1e-9, Math.abs(past)) * 100 : current - past;
+    return compare(value, cond.operator, cond.value);
+  }
+
+  if (cond.consecutive > 1) {
+    const series = historySeries(state, cond.metric, dongIds).slice(-cond.consecutive);
+    return series.length === cond.consecutive && series.every(v => compare(v, cond.operator, cond.value));
+  }
+
+  return compare(measureMetric(state, cond.metric, dongIds), cond.operator, cond.value);
+}
+
+/**
+ * 지난 이벤트 선택 기록 조회 — choice/outcome은 ID 하나 또는 배열
+ */
+function hasChosen(ref, state) {
+  const matches = (expected, actual) => expected === undefined || [].concat(expected).includes(actual);
+  return (state.eventLog || []).some(entry => entry.eventId === ref.event
+    && matches(ref.choice, entry.choiceId)
+    && matches(ref.outcome, entry.outcome)
+    && (ref.withinTurns === undefined || state.meta.turn - entry.turn <= ref.withinTurns));
+}
+
+function validateCondition(cond, where) {
+  if (!cond || typeof cond !== 'object') return [`${where}: 조건식이 비어 있습니다`];
+  if (cond.all || cond.any) {
+    const list = cond.all || cond.any;
+    if (!Array.isArray(list) || list.length === 0) return [`${where}: all/any는 비어 있지 않은 배열이어야 합니다`];
+    return list.flatMap((c, i) => validateCondition(c, `${where}/${cond.all ? 'all' : 'any'}[${i}]`));
+  }
+  if (cond.not) return validateCondition(cond.not, `${where}/not`);
+  if (cond.policy) return [];
+  if (cond.choice) return cond.choice.event ? [] : [`${where}: choice 조건에는 event가 필요합니다`];
+  if (cond.chance !== undefined) {
+    return cond.chance >= 0 && cond.chance <= 1 ? [] : [`${where}: chance는 0~1입니다 (${cond.chance})`];
+  }
+
+  const errors = [];
+  const history = cond.trend || cond.change || cond.consecutive > 1;
+  if (!TURN_METRICS[cond.metric] && !metricInfo(cond.metric).known) {
+    errors.push(`${where}: 알 수 없는 지표 '${cond.metric}'`);
+  } else if (history && !HISTORY_METRICS.includes(cond.metric)) {
+    errors.push(`${where}: '${cond.metric}'는 히스토리에 남지 않아 연속·추세·변화 조건에 쓸 수 없습니다 (${HISTORY_METRICS.join(', ')})`);
+  }
+  if (cond.trend) {
+    if (!['falling', 'rising'].includes(cond.trend)) errors.push(`${where}: trend는 'falling' 또는 'rising'입니다 (${cond.trend})`);
+  } else if (!OPERATORS.includes(cond.operator) || typeof cond.value !== 'number') {
+    errors.push(`${where}: operator(${OPERATORS.join(' ')})와 숫자 value가 필요합니다`);
+  }
+  if (cond.change && !['percent', 'points'].includes(cond.change)) errors.push(`${where}: change는 'percent' 또는 'points'입니다 (${cond.change})`);
+  return errors;
 }
 
-export function applyEventChoice(state, eventId, choiceId) {
-  // Stub: no effect
-  return state;
+function compare(value, operator, threshold) {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '<': return value < threshold;
+    case '>=': return value >= threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    default: return false;
+  }
 }
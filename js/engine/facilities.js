@@ -0,0 +1,162 @@
+/**
+ * facilities.js — 구획 슬롯 시설 건설
+ *
+ * 시설(facilities.json)은 구획 슬롯(slotCapacity) 하나를 차지한다.
+ *   - 건설 중: 총 건설비를 buildTurns에 나눠 매 턴 자유예산에서 차감 (finance.js)
+ *   - 완공 후: 유지비 차감 + effects를 매 턴 적용 (영구 정책과 같은 방식)
+ *     housingUnits가 있으면 완공 시 한 번 동 공공임대 재고에 더한다 (housing.js)
+ * 효과는 해당 동에 전부, 인접 동에는 인접 계수 × NEIGHBOR_SHARE만큼 (만족도·인구만).
+ *
+ * state.facilities: [{ id, facility, blockId, dongId, status, remainTurns, startedTurn, completedTurn }]
+ */
+
+import { validateEffects } from './effects.js';
+import { findBlockDong } from './blocks.js';
+import { getTickTurn } from './calendar.js';
+
+// === Constants ===
+const NEIGHBOR_SHARE = 0.5; // 인접 동 효과 비율 (× 인접 계수)
+const NEIGHBOR_CATEGORIES = ['satisfaction', 'population'];
+
+/**
+ * 구획에 지어졌거나 짓는 중인 시설 수
+ */
+export function getUsedSlots(blockId, state) {
+  return (state.facilities || []).filter(f => f.blockId === blockId).length;
+}
+
+/**
+ * 건설 가능 여부 (예산 제외 — 호출자가 자유예산 기준으로 판단)
+ * @param {Object} facility - facilities.json 항목
+ * @param {string} blockId
+ * @param {Object} state
+ * @param {Object[]} [pending] - 같은 턴에 함께 신청한 건설 [{ facility, blockId }]
+ * @returns {string|null} 불가 사유 (가능하면 null)
+ */
+export function checkConstruction(facility, blockId, state, pending = []) {
+  const dong = findBlockDong(blockId, state);
+  const block = dong?.blocks.find(b => b.id === blockId);
+  if (!block) return `알 수 없는 구획입니다: ${blockId}`;
+
+  if (facility.blockTypes && !facility.blockTypes.includes(block.type)) {
+    return `${block.name}(${block.type})에는 ${facility.name}을(를) 지을 수 없습니다`;
+  }
+
+  const used = getUsedSlots(blockId, state) + pending.filter(p => p.blockId === blockId).length;
+  if (used >= (block.slotCapacity || 0)) {
+    return `${block.name}의 슬롯이 가득 찼습니다 (${used}/${block.slotCapacity})`;
+  }
+  return null;
+}
+
+/**
+ * 건설 착공 (검증 통과 시 state.facilities에 추가)
+ * @returns {Object|null} 추가된 시설 (불가하면 null)
+ */
+export function startConstruction(state, facility, blockId) {
+  if (checkConstruction(facility, blockId, state)) return null;
+  if (!state.facilities) state.facilities = [];
+
+  const turn = getTickTurn(state);
+  const entry = {
+    id: `${facility.id}@${blockId}#${turn}`,
+    facility,
+    blockId,
+    dongId: findBlockDong(blockId, state).id,
+    status: 'building',
+    remainTurns: facility.buildTurns || 1,
+    startedTurn: turn,
+    completedTurn: null,
+  };
+  state.facilities.push(entry);
+  return entry;
+}
+
+/**
+ * 이번 턴 시설 비용 (finance.js updateFinance에서 호출)
+ * @returns {{ capital: number, maintenance: number }} 억원
+ */
+export function calcFacilityCost(state) {
+  let capital = 0;
+  let maintenance = 0;
+  for (const f of state.facilities || []) {
+    if (f.status === 'building') {
+      capital += f.facility.cost / (f.facility.buildTurns || 1);
+    } else {
+      maintenance += f.facility.maintenance || 0;
+    }
+  }
+  return { capital: Math.round(capital), maintenance: Math.round(maintenance) };
+}
+
+/**
+ * 완공 시설 효과를 정책 효과 집계에 합산
+ * @param {Object} state
+ * @param {Object} effects - { global, byDong }
+ * @param {Object} adjacency
+ * @param {Function} merge - simulation.js mergeEffects
+ */
+export function addFacilityEffects(state, effects, adjacency, merge) {
+  for (const f of state.facilities || []) {
+    if (f.status !== 'built') continue;
+
+    if (!effects.byDong[f.dongId]) effects.byDong[f.dongId] = {};
+    merge(effects.byDong[f.dongId], f.facility.effects);
+
+    for (const [nId, coeff] of Object.entries(adjacency[f.dongId] || {})) {
+      const share = {};
+      for (const cat of NEIGHBOR_CATEGORIES) {
+        const values = f.facility.effects[cat];
+        if (!values) continue;
+        share[cat] = {};
+        for (const [key, val] of Object.entries(values)) {
+          share[cat][key] = val * coeff * NEIGHBOR_SHARE;
+        }
+      }
+      if (!effects.byDong[nId]) effects.byDong[nId] = {};
+      merge(effects.byDong[nId], share);
+    }
+  }
+}
+
+/**
+ * 공정 진행 (재정 정산 이후 호출 — 이번 턴 건설비를 낸 뒤 남은 턴 차감)
+ * @returns {Object[]} 이번 턴 완공된 시설
+ */
+export function advanceConstruction(state) {
+  const completed = [];
+  for (const f of state.facilities || []) {
+    if (f.status !== 'building') continue;
+    f.remainTurns--;
+    if (f.remainTurns <= 0) {
+      f.status = 'built';
+      f.completedTurn = getTickTurn(state);
+      const dong = state.dongs.find(d => d.id === f.dongId);
+      if (f.facility.housingUnits && dong?.housing?.units) {
+        dong.housing.units.public += f.facility.housingUnits;
+      }
+      completed.push(f);
+    }
+  }
+  return completed;
+}
+
+/**
+ * facilities.json 검증
+ * @param {Object[]} catalog
+ * @returns {string[]} 오류 목록
+ */
+export function validateFacilityCatalog(catalog) {
+  const errors = [];
+  for (const facility of catalog) {
+    if (!(facility.cost >= 0)) errors.push(`${facility.id}: cost는 0 이상의 숫자여야 합니다`);
+    if (!(Number.isInteger(facility.buildTurns) && facility.buildTurns > 0)) {
+      errors.push(`${facility.id}: buildTurns는 양의 정수여야 합니다 (${facility.buildTurns})`);
+    }
+    if (facility.housingUnits !== undefined && !(Number.isInteger(facility.housingUnits) && facility.housingUnits > 0)) {
+      errors.push(`${facility.id}: housingUnits는 양의 정수여야 합니다 (${facility.housingUnits})`);
+    }
+    errors.push(...validateEffects(facility.effects, facility.id));
+  }
+  return errors;
+}
@@ -3,15 +3,29 @@
  * numerical-design-v1.md 3절 구현
  *
  * 세입: 지방세 + 조정교부금 + 보조금 + 세외수입
- * 세출: 의무지출(50%) + 자유예산(50%) → 7카테고리 배분
+ * 세출: 의무지출(50% + 지방채 원리금) + 자유예산(50%) → 7카테고리 배분
  * 재정자립도 업데이트
+ *
+ * 회계연도 (finance.cycle, 달력은 calendar.js):
+ *   - 본예산 의결 월(기본 12월)이 든 턴과 임기 첫 턴 = 본예산: 배분 비율 확정, 지방채 발행 · 적립금 인출 가능
+ *   - 추경 기간(기본 4~9월)에 든 턴 중 회계연도당 1회 = 추경: 배분을 바꾸거나 지방채·적립금을 쓰면 그 턴이 추경
+ *   - 나머지 턴은 확정 배분으로 집행 (새 배분·재원 요청은 무시)
+ *   - 본예산·추경은 구의회 표결을 거친다 (council.js — 수정 가결이면 수정안, 부결이면 기존 확정 배분)
+ * 금액은 월 기준 × 턴 길이(개월), 겨울(12~2월)에는 난방 등 복지 의무지출이 붙는다
+ * 적립금(finance.reserve): 배분하지 않은 비율만큼 자유예산이 쌓이고, 지출이 자유예산을 넘으면 먼저 여기서 메운다
+ * 지방채(finance.debt): 발행액은 그 턴 자유예산에 더해지고, 이자 + 원금 분할상환이 의무지출에 붙는다
+ * 세입 배수(finance.revenueScale): 시나리오가 정하는 항목별 배수 (예: 긴축 재정 { grantFromCity: 0.9 })
  */
 
+import { calcFacilityCost } from './facilities.js';
+import { getCalendar, getTickTurn, turnDate, getSeasonShares, perTurn, yearFraction } from './calendar.js';
+import { voteOnBudget, recordVote } from './council.js';
+
 // === Constants ===
 const ACCEL_FINANCE = 2.0; // 재정 변동 가속 계수
 const MANDATORY_RATIO = 0.50; // 의무지출 비율
 
-// 기본 세입 (턴당, 억원)
+// 기본 세입 (월, 억원)
 const BASE_REVENUE = {
   localTax: 613,
   grantFromCity: 700,
@@ -19,9 +33,16 @@ const BASE_REVENUE = {
   otherIncome: 125,
 };
 
+const BASE_FREE_BUDGET = 1094; // 초기 자유예산 (월) — 예산 효과의 기준 금액
+
+const BOND_RATE = 0.03;       // 지방채 이자율 (연)
+const BOND_TERM_YEARS = 5;    // 원금 분할상환 기간 (년)
+const DEBT_LIMIT_RATIO = 0.5; // 지방채 잔액 한도 = 턴당 총세입 × 0.5
+const WINTER_WELFARE_RATIO = 0.02; // 겨울 난방·취약계층 지원 의무지출 (총세입 대비)
+
 const BASE_POP = 357232; // 초기 인구
 const BASE_BIZ = 55516;  // 초기 사업체
-const TAX_DECLINE_RATE = -0.004; // 턴당 0.4% 자연 감소 추세
+const TAX_DECLINE_RATE = -0.004; // 0.4% 자연 감소 추세 (초기 세입 대비 고정 편차)
 // 원래 -0.5%였으나 48턴에서 세수 악순환이 너무 심해 완화
 
 // 예산 효율 체감감소 (카테고리별 적정 비율)
@@ -36,12 +57,86 @@ const OPTIMAL_PCT = {
 };
 
 /**
- * 재정 업데이트 (세입, 세출, 자립도)
+ * 이번 결정의 예산 단계
+ * @param {Object} state - 플레이어 단계의 gameState
+ * @returns {'annual'|'supplementary'|'locked'} 본예산 / 추경 가능 / 집행 중
+ */
+export function getBudgetPhase(state) {
+  const cycle = state.finance.cycle;
+  const cal = getCalendar(state);
+  const { months } = turnDate(state, getTickTurn(state));
+  if (months.includes(cal.budgetMonth) || !cycle?.approved) return 'annual';
+  const [from, to] = cal.supplementaryMonths;
+  if (months.some(m => m >= from && m <= to) && !cycle.supplementary) return 'supplementary';
+  return 'locked';
+}
+
+/**
+ * 지방채 추가 발행 한도 (억원)
+ */
+export function getBondCapacity(finance) {
+  return Math.max(0, Math.round(finance.totalBudget * DEBT_LIMIT_RATIO - (finance.debt || 0)));
+}
+
+/**
+ * 플레이어 예산 결정을 회계연도 규칙에 맞춰 확정 (틱 시작 시) — 본예산·추경은 구의회 표결
+ * @param {Object} state - (mutated: finance.cycle, council)
+ * @param {Object} playerActions - { budget, fiscal: { bond, reserveDraw } }
+ * @returns {{ allocation: Object, phase: string, bond: number, reserveDraw: number, vote: Object|null }}
+ *   phase는 실제로 반영된 단계 ('locked'면 확정 배분으로 집행, 재원 요청 무시)
+ *   vote는 구의회 표결 결과 (표결이 없었으면 null)
+ */
+export function resolveBudget(state, playerActions = {}) {
+  const finance = state.finance;
+  const phase = getBudgetPhase(state);
+  const cycle = { year: 0, approved: null, supplementary: false, ...finance.cycle };
+  const requested = playerActions.budget || cycle.approved || finance.allocation;
+  const bond = Math.min(Math.max(0, Math.round(playerActions.fiscal?.bond || 0)), getBondCapacity(finance));
+  const reserveDraw = Math.min(Math.max(0, Math.round(playerActions.fiscal?.reserveDraw || 0)), finance.reserve || 0);
+
+  let applied = 'locked';
+  if (phase === 'annual') {
+    applied = 'annual';
+  } else if (phase === 'supplementary'
+    && (bond > 0 || reserveDraw > 0 || JSON.stringify(requested) !== JSON.stringify(cycle.approved))) {
+    applied = 'supplementary';
+  }
+
+  let vote = null;
+  let granted = { bond: 0, reserveDraw: 0 };
+  if (applied !== 'locked') {
+    vote = recordVote(state, voteOnBudget(state, { allocation: requested, bond, reserveDraw, phase: applied }));
+    // 부결: 본예산은 기존 확정 배분(없으면 현재 배분)으로 집행, 추경은 기회만 소진
+    const allocation = vote.allocation || cycle.approved || finance.allocation;
+    if (applied === 'annual') {
+      cycle.year += 1;
+      cycle.supplementary = false;
+    } else {
+      cycle.supplementary = true;
+    }
+    cycle.approved = { ...allocation };
+    granted = { bond: vote.bond, reserveDraw: vote.reserveDraw };
+  }
+  finance.cycle = cycle;
+
+  return {
+    allocation: { ...cycle.approved },
+    phase: applied,
+    ...granted,
+    vote,
+  };
+}
+
+/**
+ * 재정 업데이트 (세입, 세출, 자립도, 적립금, 지방채)
  * @param {Object} state - 전체 gameState
- * @param {Object} budgetAlloc - 플레이어 예산 배분 (%)
+ * @param {Object} budgetAlloc - 이번 턴 집행 예산 배분 (%) — resolveBudget 결과
+ * @param {Object} policyEffects
+ * @param {Object} [extra] - { bond, reserveDraw } (resolveBudget 결과) + eventCost (이벤트 선택 비용)
  * @returns {Object} 업데이트된 finance 객체
  */
-export function updateFinance(state, budgetAlloc = {}, policyEffects = {}) {
+export function updateFinance(state, budgetAlloc = {}, policyEffects = {}, extra = {}) {
+  const { bond = 0, reserveDraw = 0, eventCost = 0 } = extra;
   const finance = { ...state.finance };
   const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
   const totalBiz = state.dongs.reduce((s, d) => s + d.businesses, 0);
@@ -56,39 +151,72 @@ export function updateFinance(state, budgetAlloc = {}, policyEffects = {}) {
   // 지방세: 사업체/종사자 변동 반영 + 자연 감소 추세 + 정책 보너스
   const bizGrowth = (totalBiz - BASE_BIZ) / BASE_BIZ;
   const taxGrowth = (bizGrowth * 0.3 + TAX_DECLINE_RATE + localTaxBonus) * ACCEL_FINANCE;
-  finance.revenue.localTax = Math.round(BASE_REVENUE.localTax * (1 + taxGrowth));
+  const scale = finance.revenueScale || {};
+  finance.revenue.localTax = Math.round(perTurn(state, BASE_REVENUE.localTax) * (1 + taxGrowth) * (scale.localTax ?? 1));
 
   // 조정교부금: 인구 비례
   const popRatio = totalPop / BASE_POP;
-  finance.revenue.grantFromCity = Math.round(BASE_REVENUE.grantFromCity * popRatio);
+  finance.revenue.grantFromCity = Math.round(perTurn(state, BASE_REVENUE.grantFromCity) * popRatio * (scale.grantFromCity ?? 1));
 
   // 보조금: 기본 유지 (이벤트/정책에 의한 특별 보조금은 별도)
-  finance.revenue.subsidy = BASE_REVENUE.subsidy;
+  finance.revenue.subsidy = Math.round(perTurn(state, BASE_REVENUE.subsidy) * (scale.subsidy ?? 1));
 
   // 세외수입: 상권활력 평균에 연동
   const avgVitality = state.dongs.reduce((s, d) => s + d.commerceVitality, 0) / state.dongs.length;
-  finance.revenue.otherIncome = Math.round(BASE_REVENUE.otherIncome * (0.8 + avgVitality * 0.004));
+  finance.revenue.otherIncome = Math.round(perTurn(state, BASE_REVENUE.otherIncome) * (0.8 + avgVitality * 0.004) * (scale.otherIncome ?? 1));
 
   // 총예산
   const totalRevenue = finance.revenue.localTax + finance.revenue.grantFromCity
     + finance.revenue.subsidy + finance.revenue.otherIncome;
   finance.totalBudget = totalRevenue;
 
-  // === 2. 세출 구조 ===
-  const mandatoryDelta = globalPE.finance?.mandatorySpendDelta || 0;
-  finance.mandatorySpend = Math.round(totalRevenue * MANDATORY_RATIO) + mandatoryDelta;
-  finance.freeBudget = totalRevenue - finance.mandatorySpend;
+  // === 2. 지방채 원리금 (기존 잔액 기준, 이번 발행분은 다음 턴부터) ===
+  const prevDebt = finance.debt || 0;
+  const interest = Math.round(prevDebt * BOND_RATE * yearFraction(state));
+  const principal = Math.min(prevDebt, Math.round(prevDebt * yearFraction(state) / BOND_TERM_YEARS));
+  finance.debtService = interest + principal;
+  finance.debt = prevDebt - principal + bond;
+  finance.bondIssued = bond;
+
+  // === 3. 세출 구조 ===
+  // 정책 mandatorySpendDelta는 월 기준, 겨울 복지지출은 이번 턴에 든 겨울 달 비율만큼
+  const mandatoryDelta = perTurn(state, globalPE.finance?.mandatorySpendDelta || 0);
+  const winter = getSeasonShares(state, getTickTurn(state)).winter;
+  finance.seasonalSpend = Math.round(totalRevenue * WINTER_WELFARE_RATIO * winter);
+  finance.mandatorySpend = Math.round(totalRevenue * MANDATORY_RATIO) + mandatoryDelta
+    + finance.seasonalSpend + finance.debtService;
+  let free = totalRevenue - finance.mandatorySpend + bond + reserveDraw;
 
-  // 정책 비용 차감 (딜레이 중에도 예산 소요)
-  const policyCost = (state.activePolicies || [])
-    .reduce((s, ap) => s + ap.policy.cost, 0);
+  // 정책 비용 (딜레이 중에도 예산 소요)
+  const policyCost = perTurn(state, (state.activePolicies || [])
+    .reduce((s, ap) => s + ap.policy.cost, 0));
   finance.policyCost = policyCost;
-  finance.freeBudget = Math.max(0, finance.freeBudget - policyCost);
+
+  // 시설 건설비(공사 중, 분할) + 유지비(완공, 월 기준)
+  const facilityCost = calcFacilityCost(state);
+  finance.facilityCost = facilityCost.capital + perTurn(state, facilityCost.maintenance);
+
+  // 이벤트 선택 비용 (일회성)
+  finance.eventCost = eventCost;
+  free -= policyCost + finance.facilityCost + eventCost;
+
+  // === 4. 적립금: 지난 턴 자유예산 중 배분하지 않은 비율 적립, 부족분은 적립금에서 충당 ===
+  const allocated = Object.values(budgetAlloc).reduce((sum, v) => sum + (v || 0), 0);
+  const unallocated = Math.max(0, 100 - allocated);
+  const deposit = Math.round((state.finance.freeBudget || 0) * unallocated / 100);
+  let reserve = (finance.reserve || 0) - reserveDraw + deposit;
+  const cover = Math.min(reserve, Math.max(0, -free));
+  reserve -= cover;
+  free += cover;
+  finance.reserve = reserve;
+  finance.reserveFlow = deposit - reserveDraw - cover;
+  finance.deficit = Math.max(0, -free); // 적립금으로도 못 메운 초과 지출 (예산 효과 0)
+  finance.freeBudget = Math.max(0, free);
 
   // 배분 비율 업데이트
   finance.allocation = { ...budgetAlloc };
 
-  // === 3. 재정자립도 ===
+  // === 5. 재정자립도 ===
   // 자체수입(지방세+세외수입) / 총세입
   const selfRevenue = finance.revenue.localTax + finance.revenue.otherIncome;
   finance.fiscalIndependence = Math.round((selfRevenue / Math.max(1, totalRevenue)) * 100);
@@ -115,15 +243,16 @@ export function calcEffectiveSpend(category, rawPct) {
  * 예산 배분 → 동별 효과 계수 계산
  * @param {Object} budgetAlloc - 배분 비율 (%)
  * @param {number} freeBudget - 자유예산 총액 (억원)
+ * @param {number} [turnMonths=1] - 턴 길이 (개월) — 기준 금액도 턴 길이만큼
  * @returns {Object} 카테고리별 효과 계수
  */
-export function calcBudgetEffects(budgetAlloc, freeBudget) {
+export function calcBudgetEffects(budgetAlloc, freeBudget, turnMonths = 1) {
   const effects = {};
   for (const [cat, pct] of Object.entries(budgetAlloc)) {
     const effectivePct = calcEffectiveSpend(cat, pct);
     const amount = freeBudget * effectivePct / 100;
-    // 효과 계수: 적정 금액 대비 투자 비율
-    const optimalAmount = freeBudget * (OPTIMAL_PCT[cat] || 15) / 100;
+    // 효과 계수: 적정 금액 대비 투자 비율 — 기준은 초기 자유예산이라 지방채·적립금으로 늘린 재원도 효과를 낸다
+    const optimalAmount = BASE_FREE_BUDGET * turnMonths * (OPTIMAL_PCT[cat] || 15) / 100;
     effects[cat] = amount / Math.max(1, optimalAmount);
   }
   return effects;
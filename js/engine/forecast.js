@@ -0,0 +1,207 @@
+/**
+ * forecast.js — 다중 턴 전망 (시드를 바꿔 여러 번 돌린 결과의 중앙값·백분위 구간)
+ *
+ * forecastRun() — 상태 사본을 시드 하나로 몇 턴 진행하며 매 턴 지표·공약 진행률을 기록
+ *   첫 턴은 지금 고른 결정, 이후는 예산 배분만 유지한다 (새 정책·시설 없음).
+ *   이벤트는 실제 게임처럼 트리거를 판정하고, 선택지는 난수로 고른다 (플레이어의 앞으로의 선택은 모르므로).
+ * summarizeForecast() — 여러 실행을 턴별 백분위 구간으로 요약
+ * forecast() — 둘을 한 번에 (MCP). 브라우저(js/forecast.js)는 실행 사이에 화면을 갱신하려고 나눠 부른다.
+ */
+
+import { tick } from './simulation.js';
+import { setTurn, getTotalTurns } from './calendar.js';
+import { createRng } from './rng.js';
+import { createEventTracker, checkEventTriggers, createActiveEvent } from './events.js';
+import { findPledge, calcProgress, checkAchieved } from './pledges.js';
+import { metricInfo, measureMetric, formatMetricValue, historySnapshot } from './metrics.js';
+
+// === Constants ===
+export const FORECAST_HORIZONS = [4, 12, 24];
+export const FORECAST_RUNS = 16;
+
+// 전망 지표 (metrics.js 키)
+export const FORECAST_METRICS = ['population', 'satisfaction', 'fiscalIndependence'];
+
+const PERCENTILES = { p10: 10, p25: 25, median: 50, p75: 75, p90: 90 };
+
+/**
+ * 남은 임기에 맞춘 전망 턴 수 — 임기를 넘는 값은 빼고 대신 임기 말까지를 넣는다
+ * @param {Object} state
+ * @param {number[]} [horizons] - 기본 FORECAST_HORIZONS
+ * @returns {number[]} 오름차순 (남은 턴이 없으면 빈 배열)
+ */
+export function forecastHorizons(state, horizons = FORECAST_HORIZONS) {
+  const remaining = getTotalTurns(state) - state.meta.turn;
+  const within = horizons.filter(h => h > 0 && h <= remaining);
+  if (remaining > 0 && within.length < horizons.length) within.push(remaining);
+  return [...new Set(within)].sort((a, b) => a - b);
+}
+
+/**
+ * 실행별 시드 — 같은 턴에 같은 결정이면 같은 전망
+ * @param {Object} state
+ * @param {Object} [options] - runs (기본 FORECAST_RUNS), seed (기본 meta.seed + 현재 턴)
+ * @returns {number[]}
+ */
+export function forecastSeeds(state, options = {}) {
+  const base = options.seed ?? ((state.meta.seed ?? 0) + state.meta.turn);
+  return Array.from({ length: options.runs ?? FORECAST_RUNS }, (_, i) => (base + Math.imul(i, 0x9E3779B9)) | 0);
+}
+
+/**
+ * 전망 1회 — 시드 하나로 horizon턴 진행 (state는 변경하지 않음)
+ * @param {Object} state - 플레이어 단계의 gameState
+ * @param {Object} actions - 이번 턴 결정 (tick playerActions) — 둘째 턴부터는 예산 배분만 유지
+ * @param {Object} adjacency
+ * @param {Object} options
+ *   - horizon: 몇 턴 뒤까지
+ *   - seed: 이 실행의 난수 시드
+ *   - eventCatalog: 발생할 수 있는 이벤트 (시나리오 범위 적용, 생략하면 이벤트 없음)
+ *   - eventTracker: 지금의 쿨다운·one-shot 기록 (복사해서 쓴다)
+ *   - initialState: 공약 진행률 기준 (임기 시작 상태, 없으면 공약 생략)
+ * @returns {Object[]} 턴별 표본 [{ turn, metrics: { [metric]: number }, pledges: { [id]: { progress, achieved } } }] — 0번이 현재
+ */
+export function forecastRun(state, actions, adjacency, options) {
+  const { horizon, seed, eventCatalog = [], initialState = null } = options;
+  const tracker = options.eventTracker ? JSON.parse(JSON.stringify(options.eventTracker)) : createEventTracker();
+  const rng = createRng(seed);
+  let s = JSON.parse(JSON.stringify(state));
+  const samples = [sample(s, initialState)];
+
+  let turnActions = actions || {};
+  for (let k = 1; k <= horizon; k++) {
+    // main.js endTurn → startTurn 순서 (이벤트 선택 반영 · 히스토리 · 턴 진행 · 틱)
+    if (turnActions.eventChoice) (s.activeEvents ||= []).push(turnActions.eventChoice);
+    (s.history ||= []).push(historySnapshot(s));
+    setTurn(s, state.meta.turn + k);
+    s = tick(s, turnActions, adjacency, rng);
+    samples.push(sample(s, initialState));
+
+    const event = k < horizon ? checkEventTriggers(eventCatalog, s, tracker, rng) : null;
+    turnActions = { budget: actions?.budget, eventChoice: event ? randomChoice(event, rng) : null };
+  }
+  return samples;
+}
+
+/**
+ * 여러 실행을 턴별 백분위 구간으로 요약
+ * @param {Object} state - 전망을 시작한 상태
+ * @param {Object[][]} runs - forecastRun() 결과들 (길이가 같아야 한다)
+ * @param {number[]} horizons - 표에 보일 턴 수 (forecastHorizons())
+ * @returns {{ turn, termEnd, runs, horizons, series: Object, pledges: Object[] }}
+ *   series: { [metric]: Band[] }, pledges: [{ id, name, series: Band[], achieved: number[] }]
+ *   Band: { turn, p10, p25, median, p75, p90 } — 0번이 현재, achieved는 턴별 달성 실행 비율 (0~1)
+ */
+export function summarizeForecast(state, runs, horizons) {
+  const length = Math.min(...runs.map(r => r.length));
+  const bands = pick => Array.from({ length }, (_, k) => band(runs[0][k].turn, runs.map(r => pick(r[k]))));
+
+  const series = {};
+  for (const metric of FORECAST_METRICS) series[metric] = bands(x => x.metrics[metric]);
+  const pledges = Object.keys(runs[0]?.[0]?.pledges || {}).map(id => ({
+    id,
+    name: findPledge(state, id)?.name || id,
+    series: bands(x => x.pledges[id].progress),
+    achieved: Array.from({ length }, (_, k) => runs.filter(r => r[k].pledges[id].achieved).length / runs.length),
+  }));
+  return { turn: state.meta.turn, termEnd: getTotalTurns(state), runs: runs.length, horizons, series, pledges };
+}
+
+/**
+ * 다중 턴 전망 — forecastRun()을 시드만 바꿔 runs번 돌려 요약
+ * @param {Object} state
+ * @param {Object} actions - 이번 턴 결정
+ * @param {Object} adjacency
+ * @param {Object} [options] - forecastRun() 옵션 (horizon·seed 제외) + horizons, runs, seed
+ * @returns {Object} summarizeForecast() 결과
+ */
+export function forecast(state, actions, adjacency, options = {}) {
+  const horizons = forecastHorizons(state, options.horizons);
+  const horizon = horizons[horizons.length - 1] ?? 0;
+  const runs = forecastSeeds(state, options).map(seed => forecastRun(state, actions, adjacency, { ...options, horizon, seed }));
+  return summarizeForecast(state, runs, horizons);
+}
+
+/**
+ * 공약 전망 — 달성 실행 비율로 판정
+ * @param {number} share - 0~1
+ * @returns {'순항'|'불확실'|'위험'}
+ */
+export function pledgeOutlook(share) {
+  if (share >= 0.7) return '순항';
+  if (share >= 0.3) return '불확실';
+  return '위험';
+}
+
+/**
+ * 전망 문구 (markdown) — 칸마다 중앙값과 10~90백분위
+ * @param {Object} result - summarizeForecast() 결과
+ * @returns {string}
+ */
+export function formatForecast(result) {
+  if (result.horizons.length === 0) return '남은 임기가 없어 전망할 턴이 없습니다.';
+  const label = h => `${h}턴 뒤${result.turn + h === result.termEnd ? ' (임기 말)' : ''}`;
+  const lines = [
+    `## 전망 — ${result.turn}턴부터 (${result.runs}회 시뮬레이션)`,
+    '',
+    `| 지표 | 현재 | ${result.horizons.map(label).join(' | ')} |`,
+    `|---|---|${result.horizons.map(() => '---|').join('')}`,
+  ];
+  for (const [metric, bands] of Object.entries(result.series)) {
+    const info = metricInfo(metric);
+    const cells = result.horizons.map(h => formatBand(bands[h], info));
+    lines.push(`| ${info.label} | ${formatMetricValue(bands[0].median, info)} | ${cells.join(' | ')} |`);
+  }
+  for (const pledge of result.pledges) {
+    const info = { unit: '%', digits: 0 };
+    const cells = result.horizons.map(h => `${formatBand(pledge.series[h], info)} · 달성 ${Math.round(pledge.achieved[h] * 100)}%`);
+    lines.push(`| 공약: ${pledge.name} | ${formatMetricValue(pledge.series[0].median, info)} | ${cells.join(' | ')} |`);
+  }
+
+  const last = result.horizons[result.horizons.length - 1];
+  if (result.pledges.length) {
+    lines.push('', `공약 전망 (${label(last)} 달성 비율): ${result.pledges.map(p => `${p.name} ${pledgeOutlook(p.achieved[last])}`).join(', ')}`);
+  }
+  lines.push('', '칸의 값은 중앙값, 괄호는 10~90백분위입니다. 첫 턴은 지금 결정, 이후는 예산 배분만 유지하고 이벤트 선택지는 무작위로 가정했습니다.');
+  return lines.join('\n');
+}
+
+// === Helpers ===
+
+function sample(state, initialState) {
+  const metrics = {};
+  for (const metric of FORECAST_METRICS) metrics[metric] = measureMetric(state, metric);
+  const pledges = {};
+  if (initialState) {
+    for (const id of state.meta.pledges || []) {
+      pledges[id] = { progress: calcProgress(id, state, initialState), achieved: checkAchieved(id, state, initialState) };
+    }
+  }
+  return { turn: state.meta.turn, metrics, pledges };
+}
+
+// 이벤트 선택지를 난수로
+function randomChoice(event, rng) {
+  const choice = event.choices?.[Math.floor(rng.next() * event.choices.length)];
+  return choice ? createActiveEvent(event, choice) : null;
+}
+
+function band(turn, values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = { turn };
+  for (const [key, p] of Object.entries(PERCENTILES)) result[key] = percentile(sorted, p);
+  return result;
+}
+
+// 선형 보간 백분위 (sorted는 오름차순)
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function formatBand(b, info) {
+  return `${formatMetricValue(b.median, info)} (${formatMetricValue(b.p10, info, { unit: false })}~${formatMetricValue(b.p90, info)})`;
+}
@@ -0,0 +1,177 @@
+/**
+ * housing.js — 주택 재고 · 임대료 · 주거비 부담
+ *
+ * 동마다 유형별 주택 재고(아파트/빌라/원룸/공공임대)와 기준 월세(baseRent)를 두고,
+ *   - 재고: 정책 housing 효과로 철거(재개발)·빈집 정비·공공임대 공급, 철거분은 REBUILD_TURNS 뒤 아파트로 재건축
+ *   - 공가율: 1 − (인구 / 세대당 인원) / 재고
+ *   - 월세: 임대료 압력(상권) + 공가율(수급)로 매 턴 변동
+ *   - 주거비 부담: 연령대별로 사는 주택 유형이 달라 (청년=원룸·공공임대, 중장년=아파트)
+ *     같은 동이라도 부담이 다르고, 구 평균 대비 부담이 이주(population.js)를 움직인다.
+ * 철거된 주택의 거주자는 population.js에서 강제이주로 빠진다 (housing.demolished).
+ *
+ * dong.housing: { units: {apt, villa, oneRoom, public}, pph, baseRent, avgRent, vacancyRate,
+ *                 capacity, pipeline, demolished, displaced, displacedTotal }
+ */
+
+import { getTickTurn } from './calendar.js';
+
+// === Constants ===
+export const HOUSING_TYPES = ['apt', 'villa', 'oneRoom', 'public'];
+
+// 유형별 월세 배수 (빌라 = 1)
+const TYPE_RENT = { apt: 1.4, villa: 1.0, oneRoom: 0.85, public: 0.45 };
+
+// 연령대별 가구 월소득 (만원) — 주거비 부담 = 실효 월세 / 소득
+const INCOME = { youth: 260, midAge: 520, senior: 450, elderly: 170 };
+
+// 연령대별 주택 유형 선호 (재고 비중에 곱해 실효 월세를 구한다)
+const PREFERENCE = {
+  youth:   { apt: 0.5, villa: 2, oneRoom: 3, public: 4 },
+  midAge:  { apt: 3, villa: 2, oneRoom: 0.2, public: 1 },
+  senior:  { apt: 2, villa: 2, oneRoom: 0.2, public: 1 },
+  elderly: { apt: 1, villa: 2, oneRoom: 0.2, public: 2 },
+};
+
+const RENT_PASS = 0.5;        // 임대료 압력 → 월세 상승 전달률
+const TARGET_VACANCY = 0.04;  // 수급 균형 공가율
+const VACANCY_SENS = 0.1;     // 공가율 1%p 부족 → 월세 +0.1%/턴
+const MAX_RENT_CHANGE = 0.02; // 턴당 월세 변동 한도
+const CAPACITY_HEADROOM = 1.1; // 세대당 인원이 늘어날 수 있는 여유 (generate_init.js와 동일)
+const REBUILD_TURNS = 8;      // 철거 → 재건축 준공
+const REBUILD_RATIO = 1.3;    // 재건축 세대수 증가 (용적률 상향)
+const AFFORD_WEIGHT = 0.006;  // 구 평균 대비 주거비 부담 차이 → 연령별 이주 pull
+
+/**
+ * 주택 상태 초기화 (이미 있으면 그대로)
+ * @param {Object} dong - housing.units가 있는 동 (mutated)
+ * @returns {Object} dong
+ */
+export function initHousing(dong) {
+  const h = dong.housing;
+  if (!h?.units || h.pph) return dong;
+
+  h.pph = Math.round(dong.population / Math.max(1, dong.households) * 100) / 100;
+  h.pipeline = [];
+  h.demolished = 0;
+  h.displaced = 0;
+  h.displacedTotal = 0;
+  refreshHousing(dong);
+  return dong;
+}
+
+/**
+ * 주택 재고 · 월세 업데이트 (경제 이후, 인구 이전)
+ * 정책 housing 효과 (턴당 비율):
+ *   - demolish: 빌라 철거 (재개발) → 거주자 강제이주, REBUILD_TURNS 뒤 아파트 × REBUILD_RATIO
+ *   - renovate: 빌라 재고 대비 빈집 정비 (거주 가능 재고 증가)
+ *   - publicSupply: 전체 재고 대비 공공임대 공급
+ * @param {Object} dong - (mutated)
+ * @param {Object} state
+ * @param {Object} policyEffects
+ */
+export function updateHousing(dong, state, policyEffects) {
+  const h = dong.housing;
+  if (!h?.units) return dong;
+
+  const he = policyEffects.byDong?.[dong.id]?.housing || {};
+  const units = h.units;
+  const total = totalUnits(h);
+
+  // 재건축 준공
+  const turn = getTickTurn(state);
+  const ready = h.pipeline.filter(p => p.readyTurn <= turn);
+  for (const p of ready) units.apt += p.units;
+  h.pipeline = h.pipeline.filter(p => p.readyTurn > turn);
+
+  // 철거 (재개발)
+  h.demolished = 0;
+  if (he.demolish > 0) {
+    h.demolished = Math.round(units.villa * he.demolish);
+    units.villa -= h.demolished;
+    h.pipeline.push({ units: Math.round(h.demolished * REBUILD_RATIO), readyTurn: turn + REBUILD_TURNS });
+  }
+
+  if (he.renovate > 0) units.villa += Math.round(units.villa * he.renovate);
+  if (he.publicSupply > 0) units.public += Math.round(total * he.publicSupply);
+
+  // 월세: 상권 임대료 압력 + 수급
+  const vacancy = calcVacancy(dong);
+  const change = clamp(RENT_PASS * (dong.rentPressure || 0) + VACANCY_SENS * (TARGET_VACANCY - vacancy), -MAX_RENT_CHANGE, MAX_RENT_CHANGE);
+  h.baseRent = Math.round(h.baseRent * (1 + change) * 10) / 10;
+
+  refreshHousing(dong);
+  return dong;
+}
+
+/**
+ * 연령대별 주거비 부담 (실효 월세 / 소득)
+ * @returns {Object} { youth, midAge, senior, elderly }
+ */
+export function calcRentBurden(dong) {
+  const h = dong.housing;
+  const burden = {};
+  for (const [age, pref] of Object.entries(PREFERENCE)) {
+    let weight = 0;
+    let rent = 0;
+    for (const type of HOUSING_TYPES) {
+      const w = (h.units[type] || 0) * pref[type];
+      weight += w;
+      rent += w * h.baseRent * TYPE_RENT[type];
+    }
+    burden[age] = weight > 0 ? rent / weight / INCOME[age] : 0;
+  }
+  return burden;
+}
+
+/**
+ * 연령별 주거비 부담 이주 pull — 구 평균보다 부담이 낮으면 +, 높으면 −
+ * @param {Object} dong
+ * @param {Object} state
+ * @returns {Object} { youth, midAge, senior, elderly } (주택 데이터가 없으면 빈 객체)
+ */
+export function calcAffordabilityPull(dong, state) {
+  if (!dong.housing?.units) return {};
+  const others = state.dongs.filter(d => d.housing?.units);
+  const burdens = others.map(calcRentBurden);
+  const own = calcRentBurden(dong);
+
+  const pull = {};
+  for (const age of Object.keys(PREFERENCE)) {
+    const avg = burdens.reduce((s, b) => s + b[age], 0) / burdens.length;
+    pull[age] = avg > 0 ? clamp((avg - own[age]) / avg, -1, 1) * AFFORD_WEIGHT : 0;
+  }
+  return pull;
+}
+
+/**
+ * 공가율 (음수 = 과밀)
+ */
+export function calcVacancy(dong) {
+  const h = dong.housing;
+  const total = totalUnits(h);
+  if (total <= 0) return 0;
+  return 1 - dong.population / h.pph / total;
+}
+
+export function totalUnits(housing) {
+  return HOUSING_TYPES.reduce((s, t) => s + (housing.units[t] || 0), 0);
+}
+
+/**
+ * 표시용 파생값 (평균 월세, 공가율, 수용 인구) — 인구가 바뀐 뒤 다시 호출
+ */
+export function refreshHousing(dong) {
+  const h = dong.housing;
+  if (!h?.units) return;
+  const total = totalUnits(h);
+  const rentSum = HOUSING_TYPES.reduce((s, t) => s + (h.units[t] || 0) * TYPE_RENT[t], 0);
+  h.avgRent = total > 0 ? Math.round(h.baseRent * rentSum / total * 10) / 10 : 0;
+  h.vacancyRate = Math.round(calcVacancy(dong) * 1000) / 1000;
+  h.capacity = Math.round(total * h.pph * CAPACITY_HEADROOM);
+}
+
+// === Helpers ===
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
@@ -0,0 +1,502 @@
+/**
+ * index.d.ts — 공유 엔진 타입 선언 (MCP 서버 TypeScript용)
+ *
+ * 엔진은 순수 JS이므로 구조적 최소 타입만 선언한다.
+ * 호출자의 상세 GameState 타입은 제네릭으로 그대로 통과시킨다.
+ */
+
+export type AdjacencyMap = Record<string, Record<string, number>>;
+
+export interface EngineDong {
+  id: string;
+  name: string;
+  population: number;
+  populationByAge: Record<string, number>;
+  businesses: number;
+  commerceVitality: number;
+  commerceCharacter: number;
+  satisfaction: number;
+  satisfactionFactors: Record<string, number>;
+}
+
+export interface EngineCalendar {
+  startYear: number;
+  startMonth: number;
+  turnMonths: number;
+  termYears: number;
+  budgetMonth: number;
+  supplementaryMonths: readonly number[];
+}
+
+export interface EngineState {
+  meta: { turn: number; year?: number; month?: number; ticks?: number; term?: number; calendar?: Partial<EngineCalendar>; pledges?: string[] };
+  council?: EngineCouncil;
+  elections?: EngineElection[];
+  scenario?: EngineScenarioSummary | null;
+  activePolicies?: Array<{ policy: { id: string } }>;
+  enactedPolicies?: string[];
+  eventLog?: EngineEventLogEntry[];
+  scheduledEvents?: EngineScheduledEvent[];
+  history?: object[];
+  dongs: EngineDong[];
+  finance: { fiscalIndependence: number };
+}
+
+export interface BudgetAllocation {
+  economy: number;
+  transport: number;
+  culture: number;
+  environment: number;
+  education: number;
+  welfare: number;
+  renewal: number;
+}
+
+export interface EnginePlayerActions {
+  budget?: BudgetAllocation;
+  fiscal?: { bond?: number; reserveDraw?: number } | null;
+  policies?: readonly object[];
+  eventChoice?: object | null;
+  constructions?: ReadonlyArray<{ facility: FacilityRule; blockId: string }>;
+}
+
+export interface EngineEvent {
+  id: string;
+  oneShot?: boolean;
+  cooldown?: number;
+  probability?: number;
+  trigger?: Record<string, unknown>;
+}
+
+export interface Rng {
+  seed: number;
+  next(): number;
+  getState(): number;
+}
+
+export interface EventTracker {
+  cooldowns: Record<string, number>;
+  firedOneShots: string[];
+}
+
+export interface Pledge {
+  id: string;
+  name: string;
+  desc: string;
+  difficulty: number;
+  goal?: ScenarioGoal;  // 시나리오 공약
+}
+
+export interface FinalScore {
+  total: number;
+  grade: string;
+  kpis: Array<{ id: string; label: string; max: number; score: number; detail: string }>;
+  pledgeResults: Array<{ id: string; name: string; achieved: boolean; progress: number; score: number }>;
+  kpiTotal: number;
+  pledgeTotal: number;
+}
+
+export function tick<S extends EngineState>(gameState: S, playerActions: EnginePlayerActions | null, adjacency: AdjacencyMap, rng: Rng): S;
+
+export function createGameState(
+  initData: { dongs: object[]; commute?: object; transit?: object; finance: object; industryBreakdown?: object },
+  options?: { playerName?: string; pledges?: string[]; seed?: number; calendar?: Partial<EngineCalendar>; scenario?: EngineScenario | null },
+): unknown;
+
+export const PLEDGES: readonly Pledge[];
+export function getPledgeCatalog(state: { scenario?: { pledges?: EngineScenarioSummary['pledges'] } | null } | null): readonly Pledge[];
+export function findPledge(state: { scenario?: { pledges?: EngineScenarioSummary['pledges'] } | null } | null, pledgeId: string): Pledge | null;
+export function calcProgress(pledgeId: string, state: EngineState, initialState: EngineState | null): number;
+export function checkAchieved(pledgeId: string, state: EngineState, initialState: EngineState | null): boolean;
+export function calcFinalScore(state: EngineState, initialState: EngineState | null): FinalScore;
+
+export function createEventTracker(): EventTracker;
+export function checkEventTriggers<E extends EngineEvent>(catalog: readonly E[], state: EngineState, tracker: EventTracker, rng: Rng): E | null;
+export function evaluateCondition(cond: object | null | undefined, state: EngineState, rng: Rng): boolean;
+export function linkEventPolicies<E extends object>(catalog: readonly E[], policyCatalog: readonly { id: string }[]): E[];
+export function formatChoicePolicies(choice: { policies?: { activate?: ReadonlyArray<string | { id: string; name?: string }>; cancel?: ReadonlyArray<string | { id: string; name?: string }> } }): string;
+export function validateTrigger(trigger: object | undefined, where: string): string[];
+export function createActiveEvent<C extends { id: string; duration?: number }>(
+  event: { id: string; name?: string; affectedDongs?: string[] },
+  choice: C,
+): { eventId: string; eventName?: string; choiceId: string; choice: C; affectedDongs: string[]; totalDuration: number; remainDuration: number };
+export function formatEventDuration(duration: number | undefined, remaining?: number): string;
+
+export interface EngineEventLogEntry {
+  turn: number;
+  eventId: string;
+  eventName: string;
+  choiceId: string;
+  choiceName: string;
+  outcome: string | null;
+  from: { eventId: string; choiceId: string; turn: number } | null;
+}
+
+export interface EngineScheduledEvent {
+  eventId: string;
+  dueTurn: number;
+  from: { eventId: string; choiceId: string; turn: number };
+  status: 'pending' | 'fired' | 'averted';
+  resolvedTurn?: number;
+}
+
+export function describeEventChains(state: EngineState): Array<{ steps: EngineEventLogEntry[]; next: EngineScheduledEvent | null }>;
+export function formatEventChains(state: EngineState): string[];
+export function formatEventOrigin(state: EngineState, eventId: string): string;
+
+export const HISTORY_METRICS: readonly string[];
+export function measureMetric(state: Pick<EngineState, 'dongs' | 'finance'>, metric: string, dongIds?: readonly string[] | null): number;
+export function historySeries(state: EngineState, metric: string, dongIds?: readonly string[] | null): number[];
+
+export interface EngineHistorySnapshot {
+  turn: number;
+  totalPopulation: number;
+  avgSatisfaction: number;
+  fiscalIndependence: number;
+  dongs: Array<{ id: string; population: number; satisfaction: number; businesses: number; approval: number }>;
+}
+
+export function historySnapshot(state: EngineState, turn?: number): EngineHistorySnapshot;
+
+export interface PreviewActions extends EnginePlayerActions {
+  deactivate?: readonly string[];
+}
+
+export interface PreviewDelta {
+  base: number;
+  variant: number;
+  delta: number;
+}
+
+export interface PreviewResult {
+  turns: number;
+  seed: number;
+  budgetPhase: BudgetPhase;
+  district: Record<string, PreviewDelta>;
+  dongs: Array<{ id: string; name: string; metrics: Record<string, PreviewDelta> }>;
+  votes: { base: string[]; variant: string[] };
+}
+
+export interface ProjectionDelta {
+  current: number;
+  projected: number;
+  delta: number;
+}
+
+export interface ProjectionResult {
+  turn: number;
+  budgetPhase: BudgetPhase;
+  district: Record<string, ProjectionDelta>;
+  dongs: Array<{ id: string; name: string; metrics: Record<string, ProjectionDelta> }>;
+  votes: string[];
+}
+
+export const PREVIEW_MAX_TURNS: number;
+export function formatDongComparison(state: EngineState, dongIds: readonly string[]): string;
+export function previewTurn(
+  state: EngineState,
+  base: PreviewActions | null,
+  variant: PreviewActions | null,
+  adjacency: AdjacencyMap,
+  options?: { turns?: number; seed?: number },
+): PreviewResult;
+export function formatPreview(result: PreviewResult, options?: { dongIds?: readonly string[] | null; limit?: number }): string;
+export function projectTurn(
+  state: EngineState,
+  actions: PreviewActions | null,
+  adjacency: AdjacencyMap,
+  options?: { rngState?: number; seed?: number },
+): ProjectionResult;
+export function formatProjection(result: ProjectionResult, options?: { dongIds?: readonly string[] | null; limit?: number }): string;
+
+export interface ForecastBand {
+  turn: number;
+  p10: number;
+  p25: number;
+  median: number;
+  p75: number;
+  p90: number;
+}
+
+export interface ForecastSample {
+  turn: number;
+  metrics: Record<string, number>;
+  pledges: Record<string, { progress: number; achieved: boolean }>;
+}
+
+export interface ForecastResult {
+  turn: number;
+  termEnd: number;
+  runs: number;
+  horizons: number[];
+  series: Record<string, ForecastBand[]>;
+  pledges: Array<{ id: string; name: string; series: ForecastBand[]; achieved: number[] }>;
+}
+
+export interface ForecastRunOptions {
+  eventCatalog?: readonly EngineEvent[];
+  eventTracker?: EventTracker;
+  initialState?: EngineState | null;
+}
+
+export const FORECAST_HORIZONS: readonly number[];
+export const FORECAST_RUNS: number;
+export const FORECAST_METRICS: readonly string[];
+export function forecastHorizons(state: EngineState, horizons?: readonly number[]): number[];
+export function forecastSeeds(state: EngineState, options?: { runs?: number; seed?: number }): number[];
+export function forecastRun(
+  state: EngineState,
+  actions: EnginePlayerActions | null,
+  adjacency: AdjacencyMap,
+  options: ForecastRunOptions & { horizon: number; seed: number },
+): ForecastSample[];
+export function summarizeForecast(state: EngineState, runs: readonly ForecastSample[][], horizons: readonly number[]): ForecastResult;
+export function forecast(
+  state: EngineState,
+  actions: EnginePlayerActions | null,
+  adjacency: AdjacencyMap,
+  options?: ForecastRunOptions & { horizons?: readonly number[]; runs?: number; seed?: number },
+): ForecastResult;
+export function pledgeOutlook(share: number): '순항' | '불확실' | '위험';
+export function formatForecast(result: ForecastResult): string;
+
+export interface ReplayFrame<S = unknown> {
+  turn: number;
+  state: S;
+  event: { id: string; name: string; choiceId: string | null } | null;
+  action: {
+    budget: BudgetAllocation | null;
+    activate: string[];
+    deactivate: string[];
+    eventChoice: string | null;
+    constructions: Array<{ facilityId: string; blockId: string }>;
+  };
+  recorded: Record<string, unknown> | null;
+  recomputed: Record<string, unknown>;
+  diffs: Array<{ key: string; recorded: unknown; recomputed: unknown }>;
+}
+
+export function replayRun(
+  run: { seed?: number | null; pledges?: string[]; turnLog: object[]; source?: string; playerName?: string; calendar?: Partial<EngineCalendar>; scenario?: string | null },
+  data: {
+    initData: object;
+    adjacency: AdjacencyMap;
+    policyCatalog: readonly object[];
+    eventCatalog: readonly object[];
+    facilityCatalog?: readonly object[];
+    scenarioCatalog?: readonly EngineScenario[];
+  },
+): { frames: ReplayFrame[]; divergedTurns: number[] };
+
+export const EFFECT_KEYS: Readonly<Record<string, readonly string[]>>;
+export function validateEffects(effects: object | undefined, where: string, duration?: number): string[];
+export function validateEventCatalog(catalog: readonly object[], policyCatalog?: readonly { id: string }[] | null): string[];
+
+export interface PolicyRule {
+  id: string;
+  name?: string;
+  category?: string;
+  prerequisites?: string[];
+  incompatible?: string[];
+}
+
+export interface ActivationBlocker {
+  reason: 'active' | 'prerequisite' | 'incompatible';
+  ids: string[];
+}
+
+export function getMissingPrerequisites(policy: PolicyRule, state: EngineState): string[];
+export function checkPolicyActivation(policy: PolicyRule, state: EngineState, pendingIds?: readonly string[]): ActivationBlocker | null;
+export function describeActivationBlocker(blocker: ActivationBlocker, catalog: readonly PolicyRule[]): string;
+export function getBlockedChoicePolicies<P extends PolicyRule>(
+  choice: { policies?: { activate?: ReadonlyArray<string | P>; cancel?: ReadonlyArray<string | { id: string }> } },
+  state: EngineState,
+): Array<{ policy: P; blocker: ActivationBlocker }>;
+export function getPrerequisiteChain(policyId: string, catalog: readonly PolicyRule[]): string[];
+export function buildPolicyGraph(catalog: readonly PolicyRule[]): {
+  nodes: Array<{ id: string; name: string; category: string; depth: number }>;
+  edges: Array<{ from: string; to: string; type: 'prerequisite' | 'incompatible' }>;
+  pathConflicts: Array<{ id: string; pair: [string, string] }>;
+};
+
+export interface FacilityRule {
+  id: string;
+  name: string;
+  cost: number;
+  buildTurns: number;
+  maintenance: number;
+  blockTypes?: string[];
+  effects: Record<string, Record<string, number>>;
+}
+
+export function getUsedSlots(blockId: string, state: EngineState): number;
+export function checkConstruction(
+  facility: FacilityRule, blockId: string, state: EngineState,
+  pending?: ReadonlyArray<{ blockId: string }>,
+): string | null;
+export function startConstruction<F extends FacilityRule>(state: EngineState, facility: F, blockId: string): {
+  id: string; facility: F; blockId: string; dongId: string;
+  status: 'building' | 'built'; remainTurns: number; startedTurn: number; completedTurn: number | null;
+} | null;
+export function calcFacilityCost(state: EngineState): { capital: number; maintenance: number };
+export function validateFacilityCatalog(catalog: readonly object[]): string[];
+
+export type BudgetPhase = 'annual' | 'supplementary' | 'locked';
+export function getBudgetPhase(state: { finance: object }): BudgetPhase;
+export function getBondCapacity(finance: { totalBudget: number; debt?: number }): number;
+
+export const EXTERNAL: 'ext';
+export function getCommuteLinks(
+  state: object, dongId: string, direction?: 'in' | 'out',
+): Array<{ from: string; to: string; flow: number; load: number }>;
+
+export function getAccessibility(dong: { accessibility?: number; transitScore?: number }): number;
+export function lineService(
+  transit: { lines: Record<string, { capacity?: number; load?: number }>; base?: { capacity: Record<string, number> } },
+  line: string,
+): number;
+
+export function createRng(seed: number, state?: number): Rng;
+export function randomSeed(): number;
+export function parseSeed(input: unknown): number | null;
+
+export type Season = 'winter' | 'spring' | 'summer' | 'autumn';
+export const DEFAULT_CALENDAR: EngineCalendar;
+export const TURN_LENGTHS: readonly number[];
+export const SEASONS: Record<Season, { name: string; months: number[] }>;
+export function createCalendar(options?: Partial<EngineCalendar>): EngineCalendar;
+export function getCalendar(state: { meta?: EngineState['meta'] }): EngineCalendar;
+export function getTermTurns(state: { meta?: EngineState['meta'] }): number;
+export function getTermTurn(state: { meta: EngineState['meta'] }, turn?: number): number;
+export function getTotalTurns(state: { meta?: EngineState['meta'] }): number;
+export function turnDate(state: { meta?: EngineState['meta'] }, turn: number): { turn: number; year: number; month: number; months: number[] };
+export function setTurn<S extends { meta: EngineState['meta'] }>(state: S, turn: number): S;
+export function getTickTurn(state: EngineState): number;
+export function getSeasonShares(state: { meta?: EngineState['meta'] }, turn: number): Record<Season, number>;
+export function seasonalMultiplier(seasonal: Partial<Record<Season, number>> | undefined, shares: Record<Season, number>): number;
+export function formatTurnDate(state: { meta: EngineState['meta'] }, turn?: number): string;
+export function formatTurnLength(state: { meta?: EngineState['meta'] }): string;
+export function formatBudgetSchedule(state: { meta?: EngineState['meta'] }): string;
+export function formatSeason(state: { meta: EngineState['meta'] }, turn?: number): string;
+
+export type CouncilFactionId = 'ruling' | 'opposition' | 'independent';
+
+export interface CouncilSeat {
+  id: string;
+  name: string;
+  faction: CouncilFactionId;
+  dongs: string[] | null;
+}
+
+export interface CouncilVote {
+  kind: 'budget' | 'policy';
+  id: string;
+  name: string;
+  turn: number;
+  yes: number;
+  no: number;
+  seats: number;
+  byFaction: Partial<Record<CouncilFactionId, { yes: number; no: number }>>;
+  result: 'passed' | 'amended' | 'rejected';
+  allocation?: BudgetAllocation | null;
+  bond?: number;
+  reserveDraw?: number;
+  amendments?: Partial<Record<keyof BudgetAllocation, number>> | null;
+}
+
+export interface EngineCouncil {
+  seats: CouncilSeat[];
+  votes: CouncilVote[];
+  log: CouncilVote[];
+}
+
+export const COUNCIL_FACTIONS: Record<CouncilFactionId, {
+  name: string;
+  lean: number;
+  budget: Partial<Record<keyof BudgetAllocation, number>>;
+  policy: Record<string, number>;
+  bondTolerance: number;
+}>;
+export const POLICY_COST_THRESHOLD: number;
+export function initCouncil<S extends EngineState>(state: S): S & { council: EngineCouncil };
+export function getCouncilSeats(state: EngineState): Record<CouncilFactionId, number>;
+export function needsCouncilVote(policy: { cost?: number; council?: boolean }): boolean;
+export function voteOnBudget(
+  state: EngineState,
+  proposal: { allocation: BudgetAllocation; bond?: number; reserveDraw?: number; phase?: BudgetPhase },
+): CouncilVote;
+export function voteOnPolicy(
+  state: EngineState,
+  policy: PolicyRule & { cost?: number; targetDong?: string | string[] | null },
+): CouncilVote;
+export function recordVote(state: EngineState, vote: CouncilVote): CouncilVote;
+export function formatVote(vote: CouncilVote): string;
+export function formatCouncilSeats(state: EngineState): string;
+
+export interface EngineElection {
+  term: number;
+  turn: number;
+  voteShare: number;
+  turnout: number;
+  reelected: boolean;
+  pledgeSwing: number;
+  byDong: Array<{ id: string; name: string; approval: number; turnout: number; voteShare: number; votes: number; voters: number }>;
+}
+
+export const MAX_TERMS: number;
+export function initApproval<S extends EngineState>(state: S): S;
+export function updateApproval<S extends EngineState>(state: S): S;
+export function getApprovalRating(state: { dongs: Array<{ population: number; satisfaction: number; approval?: number }> }): number;
+export function simulateElection(state: EngineState, initialState: EngineState): EngineElection;
+export function recordElection(state: EngineState, election: EngineElection): EngineElection;
+export function canStartNextTerm(state: EngineState): boolean;
+export function startNextTerm<S extends EngineState>(state: S, pledges?: string[]): S;
+export function formatElection(election: EngineElection): string;
+
+export interface ScenarioGoal {
+  metric: string;
+  dongs?: string[];
+  change?: 'percent' | 'points';
+  min?: number;
+  max?: number;
+}
+
+export interface ScenarioScope {
+  only?: string[];
+  exclude?: string[];
+}
+
+export interface EngineScenarioSummary {
+  id: string;
+  name: string;
+  description: string;
+  pledges: Array<string | (Omit<Pledge, 'desc'> & { desc?: string; goal: ScenarioGoal })> | null;
+  winConditions: Array<ScenarioGoal & { label: string }>;
+  events: ScenarioScope | null;
+  policies: ScenarioScope | null;
+}
+
+export interface EngineScenario extends Partial<Omit<EngineScenarioSummary, 'id' | 'name'>> {
+  id: string;
+  name: string;
+  calendar?: Partial<EngineCalendar>;
+  overrides?: { finance?: object; dongs?: Array<{ ids: '*' | string[]; scale?: Record<string, number>; add?: Record<string, number> }> };
+}
+
+export interface ScenarioEvaluation {
+  id: string;
+  name: string;
+  cleared: boolean;
+  conditions: Array<{ label: string; detail: string; met: boolean; progress: number }>;
+}
+
+export const DEFAULT_SCENARIO_ID: string;
+export function validateScenarioCatalog(catalog: readonly object[]): string[];
+export function findScenario<T extends { id: string }>(catalog: readonly T[] | null | undefined, id: string): T | null;
+export function applyScenarioOverrides<D extends object>(initData: D, scenario: EngineScenario | null): D;
+export function scenarioSummary(scenario: EngineScenario | null): EngineScenarioSummary | null;
+export function filterScenarioCatalog<T extends { id: string }>(state: EngineState | null, catalog: readonly T[], kind: 'events' | 'policies'): T[];
+export function measureGoal(goal: ScenarioGoal, state: EngineState, initialState: EngineState | null): { value: number; met: boolean; progress: number };
+export function evaluateScenario(state: EngineState, initialState: EngineState | null): ScenarioEvaluation | null;
+export function formatGoal(goal: ScenarioGoal): string;
+export function formatGoalValue(goal: ScenarioGoal, value: number): string;
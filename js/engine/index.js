@@ -0,0 +1,50 @@
+/**
+ * index.js — 공유 시뮬레이션 엔진 진입점
+ *
+ * 브라우저(js/main.js), headless 시뮬레이터(sim/), MCP 서버(ai-mapo-mcp/)가
+ * 모두 이 모듈을 import한다. DOM/fetch/fs 의존 없음 — 데이터(인접 행렬,
+ * 이벤트 카탈로그 등)는 호출자가 로드해서 넘긴다.
+ */
+
+export { tick } from './simulation.js';
+export { createGameState } from './state.js';
+export { PLEDGES, getPledgeCatalog, findPledge, calcProgress, checkAchieved, calcFinalScore } from './pledges.js';
+export {
+  createEventTracker, checkEventTriggers, evaluateCondition, linkEventPolicies, formatChoicePolicies, validateTrigger,
+  describeEventChains, formatEventChains, formatEventOrigin, createActiveEvent, formatEventDuration,
+} from './events.js';
+export { HISTORY_METRICS, measureMetric, historySeries, historySnapshot } from './metrics.js';
+export { PREVIEW_MAX_TURNS, formatDongComparison, previewTurn, formatPreview, projectTurn, formatProjection } from './analysis.js';
+export {
+  FORECAST_HORIZONS, FORECAST_RUNS, FORECAST_METRICS, forecastHorizons, forecastSeeds, forecastRun, summarizeForecast,
+  forecast, pledgeOutlook, formatForecast,
+} from './forecast.js';
+export { createRng, randomSeed, parseSeed } from './rng.js';
+export { replayRun } from './replay.js';
+export { EFFECT_KEYS, validateEffects, validateEventCatalog } from './effects.js';
+export {
+  getMissingPrerequisites, checkPolicyActivation, describeActivationBlocker, getBlockedChoicePolicies,
+  getPrerequisiteChain, buildPolicyGraph,
+} from './policies.js';
+export {
+  getUsedSlots, checkConstruction, startConstruction, calcFacilityCost, validateFacilityCatalog,
+} from './facilities.js';
+export { getBudgetPhase, getBondCapacity } from './finance.js';
+export { EXTERNAL, getCommuteLinks } from './commute.js';
+export { getAccessibility, lineService } from './transit.js';
+export {
+  DEFAULT_CALENDAR, TURN_LENGTHS, SEASONS, createCalendar, getCalendar, getTermTurns, getTermTurn, getTotalTurns, turnDate, setTurn,
+  getTickTurn, getSeasonShares, seasonalMultiplier, formatTurnDate, formatTurnLength, formatBudgetSchedule, formatSeason,
+} from './calendar.js';
+export {
+  COUNCIL_FACTIONS, POLICY_COST_THRESHOLD, initCouncil, getCouncilSeats, needsCouncilVote,
+  voteOnBudget, voteOnPolicy, recordVote, formatVote, formatCouncilSeats,
+} from './council.js';
+export {
+  MAX_TERMS, initApproval, updateApproval, getApprovalRating, simulateElection, recordElection,
+  canStartNextTerm, startNextTerm, formatElection,
+} from './election.js';
+export {
+  DEFAULT_SCENARIO_ID, validateScenarioCatalog, findScenario, applyScenarioOverrides, scenarioSummary,
+  filterScenarioCatalog, measureGoal, evaluateScenario, formatGoal, formatGoalValue,
+} from './scenario.js';
@@ -0,0 +1,116 @@
+/**
+ * metrics.js — 구·동 지표 (시나리오 목표 · 이벤트 트리거 공용)
+ *
+ * measureMetric(state, metric, dongIds?) — 구 전체 또는 일부 동 집계 (동 하나면 그 동의 값)
+ *   metric은 METRICS 키 또는 'satisfaction.<구성요소>'
+ * historySeries() — state.history 스냅샷 + 현재 상태의 값 (연속·추세 조건용)
+ *   히스토리에는 HISTORY_METRICS만 남아 있다 (historySnapshot() — 모든 실행 경로가 틱 직전에 쌓는다)
+ */
+
+// === Constants ===
+// agg: sum(합계) · mean(동 평균) · share(인구 대비 %) · popMean(인구 가중 평균), state 지표는 동 구분 없음
+const METRICS = {
+  population: { label: '인구', unit: '명', dong: d => d.population, agg: 'sum' },
+  businesses: { label: '사업체', unit: '개', dong: d => d.businesses, agg: 'sum' },
+  workers: { label: '종사자', unit: '명', dong: d => d.workers, agg: 'sum' },
+  satisfaction: { label: '평균 만족도', unit: '', dong: d => d.satisfaction, agg: 'mean' },
+  commerceVitality: { label: '상권활력', unit: '', dong: d => d.commerceVitality, agg: 'mean' },
+  rentPressure: { label: '임대료압력', unit: '', dong: d => d.rentPressure, agg: 'mean', digits: 4 },
+  youthShare: { label: '청년 비율', unit: '%', dong: d => d.populationByAge.youth, agg: 'share' },
+  elderlyShare: { label: '고령 비율', unit: '%', dong: d => d.populationByAge.elderly, agg: 'share' },
+  approval: { label: '지지율', unit: '%', dong: d => d.approval ?? 50, agg: 'popMean' },
+  fiscalIndependence: { label: '재정자립도', unit: '%', state: s => s.finance.fiscalIndependence },
+  debt: { label: '지방채 잔액', unit: '억', state: s => s.finance.debt || 0 },
+  reserve: { label: '적립금', unit: '억', state: s => s.finance.reserve || 0 },
+};
+
+const SATISFACTION_LABELS = {
+  economy: '경제', transport: '교통', housing: '주거', safety: '안전', culture: '문화', welfare: '복지',
+};
+
+// history 스냅샷에 남는 지표 (dongs[]: population · satisfaction · businesses · approval)
+export const HISTORY_METRICS = ['population', 'businesses', 'satisfaction', 'approval', 'fiscalIndependence'];
+
+/**
+ * 지표 정의 — 알 수 없으면 known: false
+ * @returns {{ label, unit, digits?, dong?, state?, agg?, known: boolean }}
+ */
+export function metricInfo(metric) {
+  if (METRICS[metric]) return { ...METRICS[metric], known: true };
+  const [base, comp] = String(metric).split('.');
+  if (base === 'satisfaction' && SATISFACTION_LABELS[comp]) {
+    return { label: `${SATISFACTION_LABELS[comp]} 만족도`, unit: '', dong: d => d.satisfactionFactors[comp], agg: 'mean', known: true };
+  }
+  return { label: metric, unit: '', known: false };
+}
+
+/**
+ * 지표 값 문구 — metricInfo()의 unit · digits (digits가 없으면 % 지표와 100 미만은 소수 한 자리, 1,000 이상은 천 단위 쉼표)
+ * @param {number} v
+ * @param {{ unit?: string, digits?: number }} info
+ * @param {Object} [options]
+ *   - signed: 차이 값 (부호, % 지표는 %p)
+ *   - unit: false면 단위 생략 (구간 '10~20%'의 앞 값)
+ * @returns {string}
+ */
+export function formatMetricValue(v, info, options = {}) {
+  const digits = info.digits ?? (info.unit === '%' || Math.abs(v) < 100 ? 1 : 0);
+  const rounded = Number(v.toFixed(digits));
+  const text = Math.abs(rounded) >= 1000 ? Math.round(rounded).toLocaleString() : rounded.toString();
+  const unit = options.signed && info.unit === '%' ? '%p' : info.unit || '';
+  return `${options.signed && rounded > 0 ? '+' : ''}${text}${options.unit === false ? '' : unit}`;
+}
+
+/**
+ * 지표 값
+ * @param {Object} state - { dongs, finance }
+ * @param {string} metric
+ * @param {string[]|null} [dongIds] - 일부 동만 (null이면 구 전체, 구 단위 지표는 무시)
+ * @returns {number}
+ */
+export function measureMetric(state, metric, dongIds = null) {
+  const info = metricInfo(metric);
+  if (info.state) return info.state(state);
+  if (!info.dong) return 0;
+  const dongs = dongIds ? state.dongs.filter(d => dongIds.includes(d.id)) : state.dongs;
+  const values = dongs.map(info.dong);
+  const pop = dongs.reduce((s, d) => s + d.population, 0);
+  switch (info.agg) {
+    case 'sum': return values.reduce((s, v) => s + v, 0);
+    case 'share': return values.reduce((s, v) => s + v, 0) / Math.max(1, pop) * 100;
+    case 'popMean': return dongs.reduce((s, d, i) => s + values[i] * d.population, 0) / Math.max(1, pop);
+    default: return values.reduce((s, v) => s + v, 0) / Math.max(1, values.length);
+  }
+}
+
+/**
+ * 턴별 지표 값 (오래된 턴 → 현재 상태)
+ * HISTORY_METRICS가 아니면 현재 값 하나만 돌려준다
+ * @returns {number[]}
+ */
+export function historySeries(state, metric, dongIds = null) {
+  const current = measureMetric(state, metric, dongIds);
+  if (!HISTORY_METRICS.includes(metric)) return [current];
+  const past = (state.history || [])
+    .filter(h => h.turn < state.meta.turn && h.dongs)
+    .map(h => measureMetric({ dongs: h.dongs, finance: { fiscalIndependence: h.fiscalIndependence } }, metric, dongIds));
+  return [...past, current];
+}
+
+/**
+ * state.history에 쌓을 턴 스냅샷 (브라우저 · headless · MCP · 리플레이 · 전망 공용)
+ * @param {Object} state
+ * @param {number} [turn] - 스냅샷 턴 (기본: state.meta.turn)
+ * @returns {{ turn, totalPopulation, avgSatisfaction, fiscalIndependence, dongs: Object[] }}
+ */
+export function historySnapshot(state, turn = state.meta.turn) {
+  return {
+    turn,
+    totalPopulation: state.dongs.reduce((s, d) => s + d.population, 0),
+    avgSatisfaction: Math.round(state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length),
+    fiscalIndependence: state.finance.fiscalIndependence,
+    dongs: state.dongs.map(d => ({
+      id: d.id, population: d.population, satisfaction: d.satisfaction, businesses: d.businesses, approval: d.approval,
+    })),
+  };
+}
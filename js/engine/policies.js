@@ -0,0 +1,153 @@
+/**
+ * policies.js — 정책 선행조건/상충 판정 + 정책 트리 그래프
+ *
+ * 정책 패널(policy.js), 자동 플레이 검증(autoplay.js, sim-advisor.mjs),
+ * MCP activate_policy, 엔진 tick()(플레이어 정책 · 이벤트 선택지 정책)이 같은 규칙을 쓴다.
+ *
+ * 선행조건은 해당 정책이 한 번이라도 효과를 냈으면(state.enactedPolicies) 충족된다.
+ * 이후 해제하거나 기간이 끝나도 해금은 유지된다.
+ */
+
+/**
+ * 충족되지 않은 선행 정책 ID
+ * @param {Object} policy - policies.json 항목
+ * @param {Object} state - gameState
+ * @returns {string[]}
+ */
+export function getMissingPrerequisites(policy, state) {
+  const enacted = state.enactedPolicies || [];
+  return (policy.prerequisites || []).filter(id => !enacted.includes(id));
+}
+
+/**
+ * 정책 활성화 가능 여부 (슬롯/예산 제외 — 호출자마다 기준이 다름)
+ * @param {Object} policy
+ * @param {Object} state
+ * @param {string[]} [pendingIds] - 같은 턴에 함께 선택된 정책 ID (상충 판정에 포함)
+ * @returns {{ reason: 'active'|'prerequisite'|'incompatible', ids: string[] } | null} 불가 사유 (가능하면 null)
+ */
+export function checkPolicyActivation(policy, state, pendingIds = []) {
+  const activeIds = (state.activePolicies || []).map(ap => ap.policy.id);
+  if (activeIds.includes(policy.id)) return { reason: 'active', ids: [policy.id] };
+
+  const missing = getMissingPrerequisites(policy, state);
+  if (missing.length > 0) return { reason: 'prerequisite', ids: missing };
+
+  const conflicts = (policy.incompatible || [])
+    .filter(id => activeIds.includes(id) || pendingIds.includes(id));
+  if (conflicts.length > 0) return { reason: 'incompatible', ids: conflicts };
+
+  return null;
+}
+
+/**
+ * 불가 사유 → 한국어 설명
+ * @param {Object} blocker - checkPolicyActivation() 결과
+ * @param {Object[]} catalog - 정책 이름 조회용
+ */
+export function describeActivationBlocker(blocker, catalog) {
+  const names = blocker.ids.map(id => catalog.find(p => p.id === id)?.name || id).join(', ');
+  switch (blocker.reason) {
+    case 'active': return '이미 시행 중인 정책입니다';
+    case 'prerequisite': return `선행 정책이 먼저 시행되어야 합니다: ${names}`;
+    case 'incompatible': return `상충 정책이 시행(선택) 중입니다: ${names}`;
+    default: return '';
+  }
+}
+
+/**
+ * 이벤트 선택지가 시행할 정책 중 막히는 정책 (선택지의 중단을 먼저 반영 — simulation.js applyEventPolicies와 같은 순서)
+ * 이미 시행 중인 정책은 그대로 이어지므로 제외
+ * @param {Object} choice - linkEventPolicies()로 정책 정의를 붙인 선택지
+ * @param {Object} state
+ * @returns {{ policy: Object, blocker: Object }[]} blocker는 checkPolicyActivation() 결과
+ */
+export function getBlockedChoicePolicies(choice, state) {
+  const cancelIds = (choice?.policies?.cancel || []).map(ref => (typeof ref === 'string' ? ref : ref.id));
+  const afterCancel = { ...state, activePolicies: (state.activePolicies || []).filter(ap => !cancelIds.includes(ap.policy.id)) };
+  const blocked = [];
+  for (const policy of choice?.policies?.activate || []) {
+    if (typeof policy !== 'object') continue;
+    const blocker = checkPolicyActivation(policy, afterCancel);
+    if (blocker && blocker.reason !== 'active') blocked.push({ policy, blocker });
+  }
+  return blocked;
+}
+
+/**
+ * 정책을 해금하기 위해 거쳐야 하는 선행 정책 전체 (자기 자신 제외, 재귀)
+ * @returns {string[]}
+ */
+export function getPrerequisiteChain(policyId, catalog) {
+  const chain = new Set();
+  const visit = (id) => {
+    const policy = catalog.find(p => p.id === id);
+    for (const pre of policy?.prerequisites || []) {
+      if (chain.has(pre)) continue;
+      chain.add(pre);
+      visit(pre);
+    }
+  };
+  visit(policyId);
+  chain.delete(policyId);
+  return [...chain];
+}
+
+/**
+ * 정책 트리 그래프
+ * @param {Object[]} catalog - policies.json의 policies
+ * @returns {{
+ *   nodes: { id, name, category, depth }[],
+ *   edges: { from, to, type: 'prerequisite'|'incompatible' }[],
+ *   pathConflicts: { id, pair: [string, string] }[]
+ * }}
+ *   - prerequisite 간선: from(선행) → to(해금)
+ *   - incompatible 간선: 한 쌍당 하나
+ *   - pathConflicts: 선행 경로 안에 서로 상충하는 정책 쌍이 있는 정책
+ *     (한쪽을 시행한 뒤 해제해야만 다음 단계로 갈 수 있다)
+ */
+export function buildPolicyGraph(catalog) {
+  const depthCache = {};
+  const depthOf = (id, seen = new Set()) => {
+    if (depthCache[id] !== undefined) return depthCache[id];
+    if (seen.has(id)) return 0; // 순환 방어
+    seen.add(id);
+    const pres = catalog.find(p => p.id === id)?.prerequisites || [];
+    const depth = pres.length === 0 ? 0 : 1 + Math.max(...pres.map(pre => depthOf(pre, seen)));
+    depthCache[id] = depth;
+    return depth;
+  };
+
+  const nodes = catalog.map(p => ({ id: p.id, name: p.name, category: p.category, depth: depthOf(p.id) }));
+
+  const edges = [];
+  for (const p of catalog) {
+    for (const pre of p.prerequisites || []) {
+      edges.push({ from: pre, to: p.id, type: 'prerequisite' });
+    }
+    for (const other of p.incompatible || []) {
+      // 한 쌍은 한 번만 (양쪽에 선언돼 있어도)
+      if (p.id < other || !catalog.find(c => c.id === other)?.incompatible?.includes(p.id)) {
+        edges.push({ from: p.id, to: other, type: 'incompatible' });
+      }
+    }
+  }
+
+  const pathConflicts = [];
+  for (const p of catalog) {
+    const path = [...getPrerequisiteChain(p.id, catalog), p.id];
+    const pair = findIncompatiblePair(path, catalog);
+    if (pair) pathConflicts.push({ id: p.id, pair });
+  }
+
+  return { nodes, edges, pathConflicts };
+}
+
+function findIncompatiblePair(ids, catalog) {
+  for (const id of ids) {
+    const policy = catalog.find(p => p.id === id);
+    const other = (policy?.incompatible || []).find(x => ids.includes(x));
+    if (other) return [id, other];
+  }
+  return null;
+}
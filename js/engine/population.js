@@ -3,12 +3,44 @@
  * numerical-design-v1.md 1절 구현
  *
  * ΔPop = Natural + Migration + Displacement
+ *
+ * Natural (코호트 모형, 연간 비율 × 턴 길이 — calendar.js yearFraction):
+ *   - 노화: 각 연령대의 1/구간 연수가 1년에 다음 연령대로 넘어감
+ *   - 출생: 청년·중장년 인구 × 출생률 (정책 population.birthBonus로 가산) → child
+ *   - 사망: 장년·고령 인구 × 사망률
+ *   - 수도권 이동 추세: 청년은 서울로 유입, 가족(중장년+자녀)은 경기로 유출
+ *
+ * 동에 주택 재고(housing.js)가 있으면
+ *   - 수용력: 주택 재고 기준 (빈 주택만큼만 늘어남 — 다 차면 전입 없음, 공가율이 높으면 유출 억제)
+ *   - 연령별 이주: 구 평균 대비 주거비 부담 차이를 더한다
+ *   - 강제이주: 철거된 주택의 거주자
  */
 
+import { calcAffordabilityPull, calcVacancy } from './housing.js';
+import { getAccessibility } from './transit.js';
+import { yearFraction } from './calendar.js';
+
 // === Constants ===
-const NATURAL_RATE = -0.0015; // 연간 자연감소율 (서울 평균)
+// 코호트 노화: 1년에 다음 연령대로 넘어가는 비율 = 1 / 구간 연수
+const AGING_RATE = {
+  child: 1 / 10,  // 0-9세
+  teen: 1 / 10,   // 10-19세
+  youth: 1 / 15,  // 20-34세
+  midAge: 1 / 15, // 35-49세
+  senior: 1 / 15, // 50-64세
+};
+const NEXT_COHORT = { child: 'teen', teen: 'youth', youth: 'midAge', midAge: 'senior', senior: 'elderly' };
+
+const BIRTH_RATE = { youth: 0.011, midAge: 0.007 }; // 연간 1인당 출생아 (마포 조출생률 약 4.3‰)
+const DEATH_RATE = { senior: 0.004, elderly: 0.025 }; // 연간 사망률
+// 서울 외 전입/전출 추세 (연간, 연령대 인구 대비) — 청년 유입이 노화로 빠지는 청년을 대부분 메운다
+const EXTERNAL_TREND = { child: -0.024, teen: -0.016, youth: 0.038, midAge: -0.024 };
 const ACCEL_MIGRATION = 1.5; // 이동 가속 계수 (2.0 → 1.5로 하향)
 const MAX_CHANGE_RATE = 0.02; // 단일 턴 최대 변동 ±2%
+// 정책 효과 → 턴당 비율 (게임플레이 계수 — 턴 길이와 무관, calendar.js 참고)
+const POLICY_PULL_FACTOR = 0.25; // population.<연령대> 보너스 → 이주 pull
+const DISPLACEMENT_FACTOR = 0.25; // population.displacement → 강제이주 비율
+const MAX_VACANCY = 0.15; // 공가율이 이보다 높으면 유출 억제, 두 배면 유출 없음 (빈집이 늘면 월세가 내려 붙잡는 효과)
 
 // 생애주기별 이동성 계수
 const AGE_MOBILITY = {
@@ -20,6 +52,9 @@ const AGE_MOBILITY = {
   elderly: 0.3, // 의료, 복지, 커뮤니티
 };
 
+// 강제이주 비중 (세입자 비율)
+const TENANT_WEIGHT = { youth: 1.4, elderly: 1.2 };
+
 // Pull factor 가중치
 const PULL_WEIGHTS = {
   jobs: 0.30,
@@ -40,30 +75,40 @@ export function updatePopulation(dong, state, adjacency, policyEffects = {}) {
   const pop = dong.population;
   if (pop <= 0) return dong;
 
-  // (A) 자연 변동
-  const natural = Math.round(pop * NATURAL_RATE * 0.25); // 턴 단위
+  const pe = getPolicyEffect(dong.id, policyEffects);
+
+  // (A) 자연 변동 (출생·사망·수도권 이동 추세)
+  const naturalByAge = calcNaturalChange(dong, pe.population?.birthBonus || 0, yearFraction(state));
+  const natural = Object.values(naturalByAge).reduce((s, v) => s + v, 0);
 
   // (B) 전입/전출
   let pull = calcMigrationPull(dong, state, adjacency);
 
   // 정책 효과: 인구 유입 보너스
-  const pe = getPolicyEffect(dong.id, policyEffects);
   if (pe.population) {
     for (const [age, bonus] of Object.entries(pe.population)) {
-      if (age === 'displacement') continue; // 강제이주는 별도 처리
-      // 직접 pull에 반영 (턴 스케일)
-      pull += bonus * 0.25;
+      if (age === 'displacement' || age === 'birthBonus') continue; // 강제이주·출생은 별도 처리
+      // 직접 pull에 반영
+      pull += bonus * POLICY_PULL_FACTOR;
     }
   }
 
+  // 주거비 부담: 연령별로 구 평균보다 싸면 유입, 비싸면 유출
+  const affordPull = calcAffordabilityPull(dong, state);
+
   // 수용력 한계: 대칭적 — 과밀 시 유입 억제, 과소 시 유출 억제
-  if (dong._initPop) {
+  // 주택 재고가 있으면 수용 인구(다 차면 전입 없음, 아래에서 증가분을 빈 주택만큼으로 제한)·공가율 기준,
+  // 없으면 초기 인구 × 1.15 / 0.85
+  let inflowDamp = 1;
+  let outflowDamp = 1;
+  if (dong.housing?.units) {
+    const vacancy = calcVacancy(dong);
+    if (pop >= dong.housing.capacity) inflowDamp = 0;
+    if (vacancy > MAX_VACANCY) outflowDamp = Math.max(0, 1.0 - (vacancy - MAX_VACANCY) / MAX_VACANCY);
+  } else if (dong._initPop) {
     const growthRatio = pop / dong._initPop;
-    if (pull > 0 && growthRatio > 1.15) {
-      pull *= Math.max(0.1, 1.0 - (growthRatio - 1.15) * 2);
-    } else if (pull < 0 && growthRatio < 0.85) {
-      pull *= Math.max(0.1, 1.0 - (0.85 - growthRatio) * 2);
-    }
+    if (growthRatio > 1.15) inflowDamp = Math.max(0.1, 1.0 - (growthRatio - 1.15) * 2);
+    if (growthRatio < 0.85) outflowDamp = Math.max(0.1, 1.0 - (0.85 - growthRatio) * 2);
   }
 
   // 연령별 이동 계산
@@ -75,7 +120,9 @@ export function updatePopulation(dong, state, adjacency, policyEffects = {}) {
     const agePop = dong.populationByAge[age] || 0;
     if (agePop <= 0) continue;
 
-    const raw = agePop * pull * ACCEL_MIGRATION * AGE_MOBILITY[age];
+    const agePull = pull + (affordPull[age] || 0);
+    const damped = agePull * (agePull > 0 ? inflowDamp : outflowDamp);
+    const raw = agePop * damped * ACCEL_MIGRATION * AGE_MOBILITY[age];
     const clamped = clamp(raw, -agePop * MAX_CHANGE_RATE, agePop * MAX_CHANGE_RATE);
     ageMigration[age] = Math.round(clamped);
     totalMigration += ageMigration[age];
@@ -89,26 +136,28 @@ export function updatePopulation(dong, state, adjacency, policyEffects = {}) {
   ageMigration.teen = Math.round((dong.populationByAge.teen || 0) * midAgeRate);
   totalMigration += ageMigration.child + ageMigration.teen;
 
-  // 전체 인구 변동 클램프
-  const totalDelta = clamp(natural + totalMigration, -pop * MAX_CHANGE_RATE, pop * MAX_CHANGE_RATE);
+  // 전체 인구 변동 클램프 — 주택 재고가 있으면 늘어나는 인구는 빈 주택이 받을 수 있는 만큼까지
+  let totalDelta = clamp(natural + totalMigration, -pop * MAX_CHANGE_RATE, pop * MAX_CHANGE_RATE);
+  if (dong.housing?.units) totalDelta = Math.min(totalDelta, Math.max(0, dong.housing.capacity - pop));
   const scale = (natural + totalMigration) !== 0
     ? totalDelta / (natural + totalMigration)
     : 1;
 
   // 연령별 인구 업데이트
   for (const age of Object.keys(dong.populationByAge)) {
-    const ageDelta = age in ageMigration
-      ? Math.round((ageMigration[age] + natural * (dong.populationByAge[age] / pop)) * scale)
-      : Math.round(natural * (dong.populationByAge[age] / pop) * scale);
+    const ageDelta = Math.round(((ageMigration[age] || 0) + (naturalByAge[age] || 0)) * scale);
     dong.populationByAge[age] = Math.max(0, dong.populationByAge[age] + ageDelta);
   }
 
+  // (A') 코호트 노화 (연령대 간 이동, 총인구 불변)
+  ageCohorts(dong, yearFraction(state));
+
   // 총 인구 = 연령별 합산
   dong.population = Object.values(dong.populationByAge).reduce((s, v) => s + v, 0);
 
   // 정책 효과: 강제이주 (재개발 등)
   if (pe.population?.displacement && pe.population.displacement < 0) {
-    const displacePct = pe.population.displacement * 0.25; // 턴 스케일
+    const displacePct = pe.population.displacement * DISPLACEMENT_FACTOR;
     const displaced = Math.round(dong.population * Math.abs(displacePct));
     for (const age of Object.keys(dong.populationByAge)) {
       const ratio = dong.populationByAge[age] / Math.max(1, dong.population);
@@ -117,22 +166,100 @@ export function updatePopulation(dong, state, adjacency, policyEffects = {}) {
     dong.population = Object.values(dong.populationByAge).reduce((s, v) => s + v, 0);
   }
 
-  // 세대 수: 인구 변화의 30%만 반영 (주택 공급은 느리게 변화)
+  // 철거 주택 거주자 강제이주 (재개발 — housing.js가 이번 턴 철거한 호수)
+  if (dong.housing?.demolished > 0) {
+    displaceResidents(dong, Math.round(dong.housing.demolished * dong.housing.pph));
+  } else if (dong.housing) {
+    dong.housing.displaced = 0;
+  }
+
+  // 세대 수: 인구 변화의 30%만 반영 (주택 공급은 느리게 변화), 주택 재고를 넘지 않음
   if (pop > 0) {
     const popRatio = dong.population / pop;
     dong.households = Math.round(dong.households * (0.7 + 0.3 * popRatio));
   }
+  if (dong.housing?.units) {
+    const units = Object.values(dong.housing.units).reduce((s, v) => s + v, 0);
+    dong.households = Math.min(dong.households, units);
+  }
 
   return dong;
 }
 
+/**
+ * 출생·사망·수도권 이동 추세 (턴 단위, 연령대별 증감)
+ * 결과는 dong.vitals { births, deaths }에도 기록 (표시용)
+ * @param {Object} dong
+ * @param {number} birthBonus - 정책 출생률 가산 (0.15 = +15%)
+ * @param {number} years - 턴 길이 (년)
+ * @returns {Object} { child, teen, youth, midAge, senior, elderly }
+ */
+function calcNaturalChange(dong, birthBonus, years) {
+  const byAge = dong.populationByAge;
+  const change = Object.fromEntries(Object.keys(byAge).map(age => [age, 0]));
+
+  const births = Math.round(Object.entries(BIRTH_RATE)
+    .reduce((s, [age, rate]) => s + (byAge[age] || 0) * rate, 0) * (1 + birthBonus) * years);
+  change.child += births;
+
+  let deaths = 0;
+  for (const [age, rate] of Object.entries(DEATH_RATE)) {
+    const n = Math.round((byAge[age] || 0) * rate * years);
+    change[age] -= n;
+    deaths += n;
+  }
+
+  for (const [age, rate] of Object.entries(EXTERNAL_TREND)) {
+    change[age] += Math.round((byAge[age] || 0) * rate * years);
+  }
+
+  dong.vitals = { births, deaths };
+  return change;
+}
+
+/**
+ * 코호트 노화 — 어린 연령대부터 옮기면 한 턴에 두 칸 넘어가므로 옮길 인원을 먼저 계산
+ */
+function ageCohorts(dong, years) {
+  const byAge = dong.populationByAge;
+  const moving = {};
+  for (const [age, rate] of Object.entries(AGING_RATE)) {
+    moving[age] = Math.round((byAge[age] || 0) * rate * years);
+  }
+  for (const [age, n] of Object.entries(moving)) {
+    byAge[age] -= n;
+    byAge[NEXT_COHORT[age]] = (byAge[NEXT_COHORT[age]] || 0) + n;
+  }
+}
+
+/**
+ * 철거 주택 거주자 강제이주 — 세입자 비중이 높은 청년·고령층이 더 많이 밀려난다
+ */
+function displaceResidents(dong, count) {
+  const total = Math.max(1, dong.population);
+  const weighted = Object.entries(dong.populationByAge)
+    .map(([age, n]) => [age, n * (TENANT_WEIGHT[age] || 1)]);
+  const weightSum = weighted.reduce((s, [, w]) => s + w, 0) || 1;
+  const target = Math.min(count, Math.round(total * MAX_CHANGE_RATE));
+
+  let displaced = 0;
+  for (const [age, w] of weighted) {
+    const n = Math.min(dong.populationByAge[age], Math.round(target * w / weightSum));
+    dong.populationByAge[age] -= n;
+    displaced += n;
+  }
+  dong.population = Object.values(dong.populationByAge).reduce((s, v) => s + v, 0);
+  dong.housing.displaced = displaced;
+  dong.housing.displacedTotal = (dong.housing.displacedTotal || 0) + displaced;
+}
+
 /**
  * Migration pull 계산 (-1 ~ +1 범위)
  */
 function calcMigrationPull(dong, state, adjacency) {
   const avgSat = state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length;
   const avgBizDensity = state.dongs.reduce((s, d) => s + d.businesses / Math.max(1, d.population), 0) / state.dongs.length;
-  const avgTransit = state.dongs.reduce((s, d) => s + d.transitScore, 0) / state.dongs.length;
+  const avgAccess = state.dongs.reduce((s, d) => s + getAccessibility(d), 0) / state.dongs.length;
 
   // (1) 일자리 접근성: 종사자 비율 + 인접 동 가중
   const workerRatio = dong.workers / Math.max(1, dong.population);
@@ -160,9 +287,9 @@ function calcMigrationPull(dong, state, adjacency) {
   const avgRent = state.dongs.reduce((s, d) => s + (d.rentPressure || 0), 0) / state.dongs.length;
   const housingScore = normalize(dong.satisfactionFactors.housing, avgHousing, 15) - (dong.rentPressure - avgRent) * 1.5;
 
-  // (3) 생활 인프라: 교통 + 상업 + 문화
+  // (3) 생활 인프라: 교통 접근성 + 상업 + 문화
   const infraScore = (
-    normalize(dong.transitScore, avgTransit, Math.max(1, avgTransit)) * 0.5 +
+    normalize(getAccessibility(dong), avgAccess, Math.max(1, avgAccess)) * 0.5 +
     normalize(dong.commerceVitality, avgVitality, Math.max(1, avgVitality)) * 0.3 +
     normalize(dong.satisfactionFactors.culture, avgCulture, 15) * 0.2
   );
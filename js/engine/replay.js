@@ -0,0 +1,161 @@
+/**
+ * replay.js — 결과 파일(turnLog + seed) 재실행
+ *
+ * 브라우저 downloadResult() / headless saveRun() 결과를 같은 시드로 다시 돌려
+ * 턴별 상태를 복원하고, 기록된 stateSnapshot과 다른 턴을 찾는다.
+ * 턴 진행 순서는 main.js startTurn/endTurn 및 headless-game.mjs와 동일하게 유지할 것.
+ */
+
+import { tick } from './simulation.js';
+import { createGameState } from './state.js';
+import { createEventTracker, checkEventTriggers, linkEventPolicies, createActiveEvent } from './events.js';
+import { createRng } from './rng.js';
+import { historySnapshot } from './metrics.js';
+import { setTurn } from './calendar.js';
+import { findScenario, filterScenarioCatalog } from './scenario.js';
+
+/**
+ * @param {Object} run - 결과 파일 ({ seed, pledges, turnLog, source, playerName, calendar, scenario })
+ * @param {Object} data
+ * @param {Object} data.initData - mapo_init.json
+ * @param {Object} data.adjacency - adjacency.json의 adjacency
+ * @param {Object[]} data.policyCatalog - policies.json의 policies
+ * @param {Object[]} data.eventCatalog - events.json의 events
+ * @param {Object[]} [data.facilityCatalog] - facilities.json의 facilities (건설 기록 재현)
+ * @param {Object[]} [data.scenarioCatalog] - scenarios.json의 scenarios (run.scenario가 있을 때)
+ * @returns {{ frames: Object[], divergedTurns: number[] }}
+ *   frames[i] = { turn, state, event, action, recorded, recomputed, diffs }
+ *   state는 해당 턴 플레이어 단계의 상태 (결정 반영, 이번 턴 히스토리 기록 전)
+ * @throws {Error} 시드나 turnLog가 없거나 시나리오를 찾을 수 없으면
+ */
+export function replayRun(run, { initData, adjacency, policyCatalog, eventCatalog, facilityCatalog = [], scenarioCatalog = [] }) {
+  if (run?.seed == null) throw new Error('시드가 기록되지 않은 결과 파일입니다.');
+  if (!Array.isArray(run.turnLog) || run.turnLog.length === 0) throw new Error('턴 기록(turnLog)이 없습니다.');
+  const scenario = run.scenario ? findScenario(scenarioCatalog, run.scenario) : null;
+  if (run.scenario && !scenario) throw new Error(`시나리오를 찾을 수 없습니다: ${run.scenario}`);
+
+  const rng = createRng(run.seed);
+  const tracker = createEventTracker();
+  let state = createGameState(initData, {
+    playerName: run.playerName || 'Replay',
+    pledges: run.pledges || [],
+    seed: run.seed,
+    calendar: run.calendar,
+    scenario,
+  });
+  // 시나리오에서 빠진 이벤트는 트리거되지 않고, 선택지가 시행하는 정책은 정의를 붙여 둔다
+  const events = linkEventPolicies(filterScenarioCatalog(state, eventCatalog, 'events'), policyCatalog);
+
+  const frames = [];
+  let lastActions = null;
+
+  for (const entry of run.turnLog) {
+    const turn = entry.turn;
+    if (entry.term) state.meta.term = entry.term; // 재선 임기 (총 턴 수가 늘어난다)
+    setTurn(state, turn);
+
+    // 1. 지난 턴 결정 반영
+    if (turn > 1 && lastActions) {
+      state = tick(state, lastActions, adjacency, rng);
+    }
+
+    // 2. 이벤트 트리거 — 브라우저는 첫 턴에 트리거 체크를 하지 않는다
+    const skipCheck = run.source === 'browser' && turn === 1;
+    const event = skipCheck ? null : checkEventTriggers(events, state, tracker, rng);
+
+    // 3. 기록된 결정 적용
+    const action = normalizeAction(entry);
+
+    for (const id of action.deactivate) {
+      const idx = state.activePolicies.findIndex(ap => ap.policy.id === id);
+      if (idx >= 0) state.activePolicies.splice(idx, 1);
+    }
+
+    const policies = action.activate
+      .map(id => policyCatalog.find(p => p.id === id))
+      .filter(Boolean);
+
+    let eventChoice = null;
+    if (event && action.eventChoice) {
+      const choice = event.choices.find(c => c.id === action.eventChoice);
+      if (choice) {
+        eventChoice = createActiveEvent(event, choice);
+        if (!state.activeEvents) state.activeEvents = [];
+        state.activeEvents.push(eventChoice);
+      }
+    }
+
+    const constructions = action.constructions
+      .map(c => ({ facility: facilityCatalog.find(f => f.id === c.facilityId), blockId: c.blockId }))
+      .filter(c => c.facility);
+
+    lastActions = {
+      budget: action.budget || state.finance.allocation, fiscal: action.fiscal, policies, eventChoice, constructions,
+    };
+
+    const frameState = JSON.parse(JSON.stringify(state));
+
+    // 4. 히스토리 스냅샷 (main.js endTurn과 동일)
+    const snapshot = historySnapshot(state, turn);
+    state.history.push(snapshot);
+
+    const recomputed = {
+      totalPop: snapshot.totalPopulation,
+      avgSat: snapshot.avgSatisfaction,
+      fiscalIndependence: state.finance.fiscalIndependence,
+      freeBudget: state.finance.freeBudget,
+      activePolicies: state.activePolicies.map(ap => ap.policy.id),
+    };
+    const diffs = diffSnapshot(entry.stateSnapshot, recomputed);
+
+    // 기록된 이벤트와 다시 뽑은 이벤트 비교
+    const recordedEventId = entry.event?.id ?? null;
+    if (recordedEventId && recordedEventId !== (event?.id ?? null)) {
+      diffs.push({ key: 'event', recorded: recordedEventId, recomputed: event?.id ?? null });
+    }
+
+    frames.push({
+      turn,
+      state: frameState,
+      event: event ? { id: event.id, name: event.name, choiceId: eventChoice?.choiceId ?? null } : null,
+      action,
+      recorded: entry.stateSnapshot || null,
+      recomputed,
+      diffs,
+    });
+  }
+
+  return {
+    frames,
+    divergedTurns: frames.filter(f => f.diffs.length > 0).map(f => f.turn),
+  };
+}
+
+/**
+ * turnLog 항목 → 결정 (브라우저/headless 기록 형식 차이 흡수)
+ */
+function normalizeAction(entry) {
+  const ai = entry.aiAction || {};
+  return {
+    budget: ai.budget || null,
+    fiscal: ai.fiscal || null,
+    activate: ai.policies?.activate || [],
+    deactivate: ai.policies?.deactivate || [],
+    constructions: ai.constructions || [],
+    // 브라우저: event.choiceId, headless: event.choice
+    eventChoice: entry.event?.choiceId ?? entry.event?.choice ?? ai.eventChoice ?? null,
+  };
+}
+
+function diffSnapshot(recorded, recomputed) {
+  if (!recorded) return [];
+  const diffs = [];
+  for (const key of Object.keys(recomputed)) {
+    if (!(key in recorded)) continue;
+    const a = recorded[key];
+    const b = recomputed[key];
+    const same = Array.isArray(b) ? JSON.stringify(a) === JSON.stringify(b) : a === b;
+    if (!same) diffs.push({ key, recorded: a, recomputed: b });
+  }
+  return diffs;
+}
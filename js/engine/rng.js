@@ -0,0 +1,45 @@
+/**
+ * rng.js — 시드 기반 난수 생성기 (mulberry32)
+ *
+ * 이벤트 발생, 선택지 무작위 결과 등 게임 내 모든 난수는 이 객체를 통해 뽑는다.
+ * 같은 시드 + 같은 플레이어 결정 = 같은 이벤트 순서.
+ */
+
+/**
+ * @param {number} seed - 32bit 정수 시드
+ * @param {number} [state] - 저장된 내부 상태 (불러오기 시)
+ * @returns {{ seed: number, next: () => number, getState: () => number }}
+ */
+export function createRng(seed, state = seed) {
+  let t = state | 0;
+  return {
+    seed,
+    /** [0, 1) 균등 난수 */
+    next() {
+      t = (t + 0x6D2B79F5) | 0;
+      let x = Math.imul(t ^ (t >>> 15), 1 | t);
+      x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
+      return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    },
+    /** 저장용 내부 상태 */
+    getState() {
+      return t;
+    },
+  };
+}
+
+/**
+ * 무작위 시드 생성 (새 게임 시작 시)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 2147483647);
+}
+
+/**
+ * 사용자 입력 시드 파싱 — 정수가 아니면 null
+ */
+export function parseSeed(input) {
+  const text = String(input ?? '').trim();
+  if (!/^-?\d+$/.test(text)) return null;
+  return Number(text) | 0;
+}
@@ -3,12 +3,20 @@
  * numerical-design-v1.md 4절 구현
  *
  * 6개 구성요소 × 생애주기별 가중치 → 종합 만족도
- * + 자연 감쇠 + 예산 효과 + 파급효과
+ * + 자연 감쇠 + 예산 효과 + 파급효과 + 계절 (겨울 고령층 복지 부담)
+ * 동에 구획이 있으면 종합 만족도는 구획 만족도의 상주인구 가중평균 (blocks.js)
  */
 
+import { updateBlockSatisfaction } from './blocks.js';
+import { getAccessibility } from './transit.js';
+import { getTickTurn, getSeasonShares } from './calendar.js';
+
 // === Constants ===
 const DECAY = -0.55; // 자연 감쇠/턴 — 균등 배분으로는 부족, 집중 투자+정책으로 성장 가능
 const ACCEL_SAT = 5.0; // 만족도 변동 가속 계수
+const CONGESTION_THRESHOLD = 0.9; // 통근 링크 평균 부하가 이 이상이면 교통 만족도 감점
+const CONGESTION_SAT = 10;        // 부하 0.1 초과 → 교통 만족도 −1/턴
+const WINTER_WELFARE_SAT = 1.0;   // 겨울 한 달 → 구 평균 고령 비율 동의 복지 만족도 −1/턴 (복지 예산 적정의 2배면 상쇄)
 
 // 생애주기별 만족도 구성요소 가중치
 const AGE_WEIGHTS = {
@@ -74,6 +82,11 @@ export function updateSatisfaction(dong, state, adjacency, budgetEffects = {}, p
       if (factors[comp] !== undefined) {
         // 정책 효과는 턴당 적용 (절대값 × 0.5로 스케일)
         factors[comp] += val * 0.5;
+      } else if (BUDGET_TO_SATISFACTION[comp]) {
+        // 예산 카테고리 키 (environment 등) — 예산 효과와 같은 비율로 구성요소에 분배
+        for (const [satComponent, weight] of Object.entries(BUDGET_TO_SATISFACTION[comp])) {
+          factors[satComponent] += val * 0.5 * weight;
+        }
       }
     }
   }
@@ -115,11 +128,24 @@ export function updateSatisfaction(dong, state, adjacency, budgetEffects = {}, p
     factors.housing -= overcrowdPenalty * 0.5;
   }
 
-  // 교통 점수 반영
-  const avgTransit = state.dongs.reduce((s, d) => s + d.transitScore, 0) / state.dongs.length;
-  const transitDelta = (dong.transitScore / Math.max(0.1, avgTransit) - 1.0) * 1.5;
+  // 교통 접근성 반영 (transit.js — 노선 용량·혼잡, 역 세력권)
+  const avgAccess = state.dongs.reduce((s, d) => s + getAccessibility(d), 0) / state.dongs.length;
+  const transitDelta = (getAccessibility(dong) / Math.max(0.1, avgAccess) - 1.0) * 1.5;
   factors.transport += clamp(transitDelta, -2, 2);
 
+  // 통근 링크 혼잡 → 교통 만족도 하락 (commute.js)
+  const congestion = dong.commute?.congestion || 0;
+  if (congestion > CONGESTION_THRESHOLD) {
+    factors.transport -= Math.min(3, (congestion - CONGESTION_THRESHOLD) * CONGESTION_SAT);
+  }
+
+  // 겨울 난방·돌봄 부담 → 고령층 비율에 비례해 복지 만족도 하락, 복지 예산 초과 투자로 상쇄
+  const winter = getSeasonShares(state, getTickTurn(state)).winter;
+  if (winter > 0) {
+    const relief = Math.max(0, 2 - (budgetEffects.welfare ?? 1));
+    factors.welfare -= WINTER_WELFARE_SAT * winter * elderlyShare(dong) / Math.max(0.01, districtElderlyShare(state)) * relief;
+  }
+
   // === 4. 인접 동 파급효과 ===
   const neighbors = adjacency[dong.id] || {};
   for (const [nId, coeff] of Object.entries(neighbors)) {
@@ -140,7 +166,11 @@ export function updateSatisfaction(dong, state, adjacency, budgetEffects = {}, p
   }
 
   // === 6. 종합 만족도 계산 (인구 가중 평균) ===
-  dong.satisfaction = calcWeightedSatisfaction(dong);
+  if (dong.blocks?.length > 0) {
+    updateBlockSatisfaction(dong, calcWeightedSatisfaction(dong), policyEffects);
+  } else {
+    dong.satisfaction = calcWeightedSatisfaction(dong);
+  }
 
   return dong;
 }
@@ -152,32 +182,45 @@ function calcWeightedSatisfaction(dong) {
   const pop = dong.population;
   if (pop <= 0) return 50;
 
-  const factors = dong.satisfactionFactors;
   const byAge = dong.populationByAge;
+  const ageSat = calcAgeSatisfaction(dong);
 
-  // 각 연령대의 만족도 계산
+  // 각 연령대의 만족도 가중 합
   let totalWeightedSat = 0;
   let totalPop = 0;
 
   // 영유아/청소년은 부모(midAge) 만족도 공유
   const childTeenPop = (byAge.child || 0) + (byAge.teen || 0);
 
-  for (const [age, weights] of Object.entries(AGE_WEIGHTS)) {
+  for (const age of Object.keys(AGE_WEIGHTS)) {
     let agePop = byAge[age] || 0;
     if (age === 'midAge') agePop += childTeenPop; // 부모 가중
 
     if (agePop <= 0) continue;
 
+    totalWeightedSat += ageSat[age] * agePop;
+    totalPop += agePop;
+  }
+
+  return Math.round(totalWeightedSat / Math.max(1, totalPop));
+}
+
+/**
+ * 생애주기별 만족도 { youth, midAge, senior, elderly } — 구성요소 × AGE_WEIGHTS (선거 득표 계산에도 사용)
+ * @param {Object} dong
+ * @returns {Object}
+ */
+export function calcAgeSatisfaction(dong) {
+  const factors = dong.satisfactionFactors;
+  const result = {};
+  for (const [age, weights] of Object.entries(AGE_WEIGHTS)) {
     let ageSat = 0;
     for (const [comp, w] of Object.entries(weights)) {
       ageSat += (factors[comp] || 50) * w;
     }
-
-    totalWeightedSat += ageSat * agePop;
-    totalPop += agePop;
+    result[age] = ageSat;
   }
-
-  return Math.round(totalWeightedSat / Math.max(1, totalPop));
+  return result;
 }
 
 function getPolicyEffect(dongId, policyEffects) {
@@ -196,6 +239,15 @@ function getPolicyEffect(dongId, policyEffects) {
 }
 
 // === Helper ===
+function elderlyShare(dong) {
+  return (dong.populationByAge?.elderly || 0) / Math.max(1, dong.population);
+}
+
+function districtElderlyShare(state) {
+  const elderly = state.dongs.reduce((s, d) => s + (d.populationByAge?.elderly || 0), 0);
+  return elderly / Math.max(1, state.dongs.reduce((s, d) => s + d.population, 0));
+}
+
 function clamp(val, min, max) {
   return Math.max(min, Math.min(max, val));
 }
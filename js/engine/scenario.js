@@ -0,0 +1,206 @@
+/**
+ * scenario.js — 시나리오 (시작 조건 · 이벤트/정책 범위 · 공약 · 승리 조건)
+ *
+ * scenarios.json의 시나리오:
+ *   { id, name, description,
+ *     calendar: { startYear, startMonth, termYears, ... }   — 시작 시점과 임기(턴 수 = termYears × 12 / 턴 길이)
+ *     overrides: { finance: { ... }, dongs: [{ ids: '*' | [dongId], scale: { path: 배수 }, add: { path: 증감 } }] }
+ *     events / policies: { only?: [id], exclude?: [id] }  — 쓸 수 있는 이벤트·정책 범위
+ *     pledges: [공약 ID | { id, name, desc, difficulty, goal }]  — 공약 후보 (생략하면 기본 8개)
+ *     winConditions: [{ label, ...goal }] }
+ *
+ * 목표(goal): { metric, dongs?, change?: 'percent' | 'points', min?, max? }
+ *   metric은 metrics.js 지표 (동 단위 지표는 dongs로 일부 동만), change가 있으면 임기 시작 대비 변화량으로 판정
+ *
+ * overrides는 createGameState()가 mapo_init.json 사본에 적용하고,
+ * 나머지는 state.scenario에 남겨 공약·이벤트·정책·최종 평가가 참조한다 (리플레이도 같은 상태에서 출발).
+ */
+
+import { metricInfo, measureMetric } from './metrics.js';
+
+// === Constants ===
+export const DEFAULT_SCENARIO_ID = 'standard';
+
+/**
+ * scenarios.json 검증 — 알 수 없는 지표·필드 (오류 메시지 배열)
+ */
+export function validateScenarioCatalog(catalog) {
+  const errors = [];
+  for (const scenario of catalog) {
+    const where = scenario.id || '(id 없음)';
+    if (!scenario.id || !scenario.name) errors.push(`${where}: id와 name이 필요합니다`);
+    for (const pledge of scenario.pledges || []) {
+      if (typeof pledge === 'object') errors.push(...validateGoal(pledge.goal, `${where}/${pledge.id}`));
+    }
+    for (const [i, cond] of (scenario.winConditions || []).entries()) {
+      errors.push(...validateGoal(cond, `${where}/winConditions[${i}]`));
+    }
+    for (const [i, rule] of (scenario.overrides?.dongs || []).entries()) {
+      for (const [path, val] of Object.entries({ ...rule.scale, ...rule.add })) {
+        if (typeof val !== 'number' || !Number.isFinite(val)) {
+          errors.push(`${where}/overrides.dongs[${i}]: '${path}' 값이 숫자가 아닙니다 (${JSON.stringify(val)})`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * ID로 시나리오 찾기 (없으면 null)
+ */
+export function findScenario(catalog, id) {
+  return (catalog || []).find(s => s.id === id) || null;
+}
+
+/**
+ * 시나리오 시작 조건을 적용한 초기 데이터 (initData는 변경하지 않는다)
+ * @param {Object} initData - mapo_init.json
+ * @param {Object} scenario
+ * @returns {Object} initData 사본
+ */
+export function applyScenarioOverrides(initData, scenario) {
+  const overrides = scenario?.overrides;
+  if (!overrides) return initData;
+  const data = JSON.parse(JSON.stringify(initData));
+
+  if (overrides.finance) {
+    data.finance = { ...data.finance, ...overrides.finance };
+  }
+  for (const rule of overrides.dongs || []) {
+    const dongs = rule.ids === '*' ? data.dongs : data.dongs.filter(d => rule.ids.includes(d.id));
+    for (const dong of dongs) {
+      for (const [path, factor] of Object.entries(rule.scale || {})) {
+        updatePath(dong, path, v => v * factor);
+        // 인구를 바꾸면 연령 구성·세대수도 같은 비율로
+        if (path === 'population') {
+          for (const age of Object.keys(dong.populationByAge)) dong.populationByAge[age] = Math.round(dong.populationByAge[age] * factor);
+          dong.households = Math.round(dong.households * factor);
+        }
+      }
+      for (const [path, delta] of Object.entries(rule.add || {})) {
+        updatePath(dong, path, v => v + delta);
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * 게임 상태에 남길 시나리오 정보 (시작 조건 제외)
+ */
+export function scenarioSummary(scenario) {
+  if (!scenario) return null;
+  const { id, name, description, pledges, winConditions, events, policies } = scenario;
+  return { id, name, description: description || '', pledges: pledges || null, winConditions: winConditions || [], events: events || null, policies: policies || null };
+}
+
+/**
+ * 시나리오에서 쓸 수 있는 이벤트·정책만 남긴 카탈로그
+ * @param {Object} state
+ * @param {Object[]} catalog - events.json events 또는 policies.json policies
+ * @param {'events'|'policies'} kind
+ */
+export function filterScenarioCatalog(state, catalog, kind) {
+  const rule = state?.scenario?.[kind];
+  if (!rule) return catalog;
+  return catalog.filter(item => (!rule.only || rule.only.includes(item.id)) && !rule.exclude?.includes(item.id));
+}
+
+/**
+ * 목표 판정
+ * @param {Object} goal - { metric, dongs?, change?, min?, max? }
+ * @param {Object} state - 현재 상태
+ * @param {Object} initialState - 임기 시작 상태
+ * @returns {{ value: number, met: boolean, progress: number }} progress 0~100
+ */
+export function measureGoal(goal, state, initialState) {
+  const current = measureMetric(state, goal.metric, goal.dongs);
+  const start = measureMetric(initialState || state, goal.metric, goal.dongs);
+  const value = goal.change === 'percent' ? (current - start) / Math.max(1e-9, Math.abs(start)) * 100
+    : goal.change === 'points' ? current - start
+      : current;
+  const from = goal.change ? 0 : start; // 임기 시작 시점의 판정값
+
+  const met = (goal.min === undefined || value >= goal.min) && (goal.max === undefined || value <= goal.max);
+  if (met) return { value, met, progress: 100 };
+
+  // 미달이면 시작값 → 목표까지 얼마나 왔는지 (시작부터 반대 방향이면 0)
+  const target = goal.min !== undefined && value < goal.min ? goal.min : goal.max;
+  const span = target - from;
+  const progress = span === 0 ? 0 : clamp((value - from) / span * 100, 0, 99);
+  return { value, met, progress };
+}
+
+/**
+ * 시나리오 승리 조건 평가 (조건이 없으면 null)
+ * @returns {{ id, name, cleared: boolean, conditions: { label, detail, met, progress }[] }|null}
+ */
+export function evaluateScenario(state, initialState) {
+  const scenario = state.scenario;
+  if (!scenario?.winConditions?.length) return null;
+  const conditions = scenario.winConditions.map(cond => {
+    const { value, met, progress } = measureGoal(cond, state, initialState);
+    return { label: cond.label, detail: formatGoalValue(cond, value), met, progress: Math.round(progress) };
+  });
+  return { id: scenario.id, name: scenario.name, cleared: conditions.every(c => c.met), conditions };
+}
+
+/**
+ * 목표 설명 — "사업체 임기 초 대비 +8% 이상"
+ */
+export function formatGoal(goal) {
+  const where = goal.dongs ? `${goal.dongs.length}개 동 ` : '';
+  return `${where}${metricInfo(goal.metric).label}${goal.change ? ' 임기 초 대비' : ''} ${formatBound(goal)}`;
+}
+
+/**
+ * 목표 현재값 — "사업체 +6.2% (목표 +8% 이상)"
+ */
+export function formatGoalValue(goal, value) {
+  return `${metricInfo(goal.metric).label} ${formatGoalNumber(goal, value)} (목표 ${formatBound(goal)})`;
+}
+
+// === Helpers ===
+function validateGoal(goal, where) {
+  const errors = [];
+  if (!goal) return [`${where}: 목표(goal)가 없습니다`];
+  if (!metricInfo(goal.metric).known) errors.push(`${where}: 알 수 없는 지표 '${goal.metric}'`);
+  if (goal.min === undefined && goal.max === undefined) errors.push(`${where}: min 또는 max가 필요합니다`);
+  if (goal.change && !['percent', 'points'].includes(goal.change)) errors.push(`${where}: change는 'percent' 또는 'points'입니다 (${goal.change})`);
+  return errors;
+}
+
+function updatePath(obj, path, fn) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => o?.[k], obj);
+  if (typeof target?.[last] !== 'number') return;
+  const next = fn(target[last]);
+  target[last] = Number.isInteger(target[last]) && Math.abs(target[last]) >= 10 ? Math.round(next) : Math.round(next * 10000) / 10000;
+}
+
+function formatBound(goal) {
+  return [
+    goal.min !== undefined ? `${formatGoalNumber(goal, goal.min)} 이상` : '',
+    goal.max !== undefined ? `${formatGoalNumber(goal, goal.max)} 이하` : '',
+  ].filter(Boolean).join(' · ');
+}
+
+// 변화량 목표는 부호를 붙이고 % 지표의 변화는 %p
+function formatGoalNumber(goal, v) {
+  const { unit, digits } = metricInfo(goal.metric);
+  if (goal.change === 'percent') return formatNumber(v, '%', 1, true);
+  if (goal.change === 'points') return formatNumber(v, unit === '%' ? '%p' : '', digits ?? 1, true);
+  return formatNumber(v, unit, digits);
+}
+
+function formatNumber(v, unit, digits, signed = false) {
+  const d = digits ?? (Math.abs(v) >= 100 ? 0 : 1);
+  const text = Math.abs(v) >= 1000 ? Math.round(v).toLocaleString() : Number(v.toFixed(d)).toString();
+  return `${signed && v >= 0 ? '+' : ''}${text}${unit}`;
+}
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
@@ -2,122 +2,168 @@
  * simulation.js — 시뮬레이션 엔진 (턴 틱 오케스트레이션)
  *
  * 실행 순서 (numerical-design-v1.md):
- * 1. 예산 효과 계산
- * 2. 정책 효과 적용 (delay/duration 관리)
+ * 0. 이번 틱이 시뮬레이션하는 턴 = meta.ticks + 1 (calendar.js — 날짜·계절·예산 일정)
+ * 1. 예산 확정 (본예산·추경·집행 — 회계연도 규칙, 구의회 표결) → 예산 효과 계산
+ * 2. 정책 (비용이 큰 정책은 구의회 표결) + 이벤트 선택지(정책 시행·중단 포함) + 완공 시설 효과 집계 (delay/duration 관리, 계절 배수, 착공)
  * 3. 경제 (사업체 변동, 임대료, 상권특색)
+ * 3.5. 주택 (재고 증감, 월세)
  * 4. 인구 (자연변동, 이주, 강제이주)
- * 5. 재정 (세입, 세출, 자립도)
+ * 5. 재정 (세입, 세출, 자립도, 이벤트 일회성 비용, 시설 건설비·유지비, 적립금, 지방채) → 공정 진행
+ * 5.5. 교통망 (노선 용량·부하, 동 접근성) → 통근 (OD 행렬, 링크 용량·혼잡도)
  * 6. 만족도 (6개 구성요소, 감쇠, 파급)
- * 7. 이벤트 효과 적용
+ * 7. 생활인구
+ * 8. 동별 지지율 (만족도 · 구의회 부결)
  */
 
 import { updatePopulation } from './population.js';
 import { updateEconomy } from './economy.js';
-import { updateFinance, calcBudgetEffects } from './finance.js';
+import { updateFinance, calcBudgetEffects, resolveBudget } from './finance.js';
 import { updateSatisfaction } from './satisfaction.js';
-
-let adjacencyData = null;
-
-/**
- * 인접 행렬 로드 (한 번만)
- */
-async function loadAdjacency() {
-  if (adjacencyData) return adjacencyData;
-  try {
-    const resp = await fetch('data/game/adjacency.json');
-    const data = await resp.json();
-    adjacencyData = data.adjacency;
-  } catch (err) {
-    console.warn('[Engine] Failed to load adjacency.json, using empty:', err);
-    adjacencyData = {};
-  }
-  return adjacencyData;
-}
-
-// 초기 로드 시작
-loadAdjacency();
+import { getMissingPrerequisites, getBlockedChoicePolicies } from './policies.js';
+import { initBlockState, addBlockEffects } from './blocks.js';
+import { startConstruction, addFacilityEffects, advanceConstruction } from './facilities.js';
+import { initHousing, updateHousing, refreshHousing } from './housing.js';
+import { initCommute, updateCommute } from './commute.js';
+import { initTransit, updateTransit } from './transit.js';
+import { getCalendar, getTickTurn, getSeasonShares, seasonalMultiplier } from './calendar.js';
+import { initCouncil, needsCouncilVote, voteOnPolicy, recordVote } from './council.js';
+import { updateApproval } from './election.js';
+import { recordEventChoice } from './events.js';
+
+// === Constants ===
+const VISITOR_VITALITY = 0.01; // 상권활력 +10 (초기 대비) → 방문객 = 밤 인구의 10%
+const VISITOR_ADJUST = 0.2;    // 방문객이 상권활력 기준치로 수렴하는 속도 (턴당)
+const LIVING_POP_FACTOR = 0.25; // 정책/이벤트 livingPopBonus → 턴당 낮 생활인구 증감 비율 (게임플레이 계수, calendar.js 참고)
 
 /**
  * 메인 시뮬레이션 틱
  * @param {Object} gameState - 전체 게임 상태 (deep copy 후 수정)
  * @param {Object} playerActions - 플레이어 액션
- *   - budget: {economy: 15, transport: 15, ...}
+ *   - budget: {economy: 15, transport: 15, ...} (본예산·추경 턴에만 반영, 합계 100 미만이면 나머지는 적립)
+ *   - fiscal: {bond, reserveDraw} (억원, 본예산·추경 턴에만 반영)
  *   - policies: [policyObj, ...] (새로 활성화할 정책)
  *   - eventChoice: {eventId, choiceId} | null
+ *   - constructions: [{facility, blockId}] (새로 착공할 시설)
+ * @param {Object} adjacency - 인접 계수 {dongId: {neighborId: coeff}} (adjacency.json의 adjacency)
+ * @param {Object} rng - createRng() 결과 (선택지 무작위 결과 판정용)
  * @returns {Object} 업데이트된 gameState
  */
-export function tick(gameState, playerActions) {
+export function tick(gameState, playerActions, adjacency, rng) {
   // Deep copy to avoid mutation issues
   const state = JSON.parse(JSON.stringify(gameState));
-  const adjacency = adjacencyData || {};
-  const budgetAlloc = playerActions?.budget || state.finance.allocation;
 
   // Debug log disabled for headless batch runs
   // console.log(`[Engine] Tick for turn ${state.meta.turn}`);
 
-  // === 1. 예산 효과 계산 ===
-  const budgetEffects = calcBudgetEffects(budgetAlloc, state.finance.freeBudget);
+  // === 1. 예산 확정 + 효과 계산 ===
+  // 이번 틱 표결 기록 초기화 (state.council.votes — 예산·정책 표결이 여기 쌓인다)
+  initCouncil(state).council.votes = [];
+  const budget = resolveBudget(state, playerActions);
+  const budgetAlloc = budget.allocation;
+  const budgetEffects = calcBudgetEffects(budgetAlloc, state.finance.freeBudget, getCalendar(state).turnMonths);
 
   // === 1.5. 초기 인구 기준값 설정 (첫 틱에서만) ===
   for (const dong of state.dongs) {
     if (!dong._initPop) dong._initPop = dong.population;
     if (!dong._initBiz) dong._initBiz = dong.businesses;
+    if (dong._initVitality === undefined) dong._initVitality = dong.commerceVitality;
+    initBlockState(dong);
+    initHousing(dong);
   }
+  initCommute(state);
+  initTransit(state);
 
   // === 2. 정책 관리 ===
   // 새로 선택한 정책 활성화
   if (playerActions?.policies?.length > 0) {
     for (const policy of playerActions.policies) {
+      // 선행 정책 미시행이면 무시 (UI/검증 단계에서 이미 걸러짐)
+      if (getMissingPrerequisites(policy, state).length > 0) continue;
       // 중복 방지
-      if (!state.activePolicies.some(ap => ap.policy.id === policy.id)) {
-        state.activePolicies.push({
-          policy: policy,
-          remainDelay: policy.delay || 0,
-          remainDuration: policy.duration || 0,
-          turnsActive: 0,
-        });
-      }
+      if (state.activePolicies.some(ap => ap.policy.id === policy.id)) continue;
+      // 비용이 큰 정책은 구의회 표결 — 부결이면 시행하지 않음
+      if (needsCouncilVote(policy) && recordVote(state, voteOnPolicy(state, policy)).result !== 'passed') continue;
+      state.activePolicies.push({
+        policy: policy,
+        remainDelay: policy.delay || 0,
+        remainDuration: policy.duration || 0,
+        turnsActive: 0,
+      });
     }
   }
 
+  // 이벤트 선택지가 시행·중단하는 정책 (구의회 표결 없이 바로)
+  applyEventPolicies(state);
+
+  // 시설 착공 (슬롯/구획 유형이 맞지 않으면 무시 — UI/검증 단계에서 이미 걸러짐)
+  for (const c of playerActions?.constructions || []) {
+    startConstruction(state, c.facility, c.blockId);
+  }
+
   // 정책 효과 계산 + 타이머 업데이트
   const policyEffects = tickPolicies(state);
 
+  // 이벤트 선택지 효과도 같은 효과 집계에 합산
+  const eventCost = tickEvents(state, policyEffects, rng);
+
+  // 완공 시설 효과 (해당 동 + 인접 동)
+  addFacilityEffects(state, policyEffects, adjacency, mergeEffects);
+
   // === 3. 경제 업데이트 (사업체, 임대료, 상권특색) ===
   for (const dong of state.dongs) {
     updateEconomy(dong, state, adjacency, budgetAlloc, policyEffects);
   }
 
+  // === 3.5. 주택 업데이트 (재개발 철거·공공임대 공급, 월세) ===
+  for (const dong of state.dongs) {
+    updateHousing(dong, state, policyEffects);
+  }
+
   // === 4. 인구 업데이트 ===
   for (const dong of state.dongs) {
     updatePopulation(dong, state, adjacency, policyEffects);
   }
+  for (const dong of state.dongs) {
+    refreshHousing(dong);
+  }
 
   // === 5. 재정 업데이트 ===
-  state.finance = updateFinance(state, budgetAlloc, policyEffects);
+  // 이벤트 선택 비용은 일회성으로 이번 턴 자유예산에서 차감
+  state.finance = updateFinance(state, budgetAlloc, policyEffects, { bond: budget.bond, reserveDraw: budget.reserveDraw, eventCost });
+  state.finance.budgetPhase = budget.phase;
+
+  // 이번 턴 건설비를 낸 시설의 공정 진행 (완공 시 다음 턴부터 효과·유지비)
+  advanceConstruction(state);
+
+  // === 5.5. 교통망 · 통근 업데이트 (교통 투자 → 노선·링크 용량, 종사자 변동 → 동 간 통근) ===
+  updateTransit(state, budgetEffects, policyEffects);
+  updateCommute(state, budgetEffects, policyEffects);
 
   // === 6. 만족도 업데이트 ===
   for (const dong of state.dongs) {
     updateSatisfaction(dong, state, adjacency, budgetEffects, policyEffects);
   }
 
-  // === 7. 이벤트 효과 적용 ===
-  tickEventEffects(state);
+  // === 7. 생활인구 업데이트 (상주인구·통근·방문객) ===
+  updateLivingPopulation(state, policyEffects);
 
-  // === 8. 생활인구 업데이트 (인구/사업체 변동에 비례) ===
-  updateLivingPopulation(state);
+  // === 8. 지지율 업데이트 (만족도 → 여론, 구의회 부결 부담) ===
+  updateApproval(state);
 
+  state.meta.ticks = getTickTurn(state);
   return state;
 }
 
 /**
- * 정책 타이머 관리 + 동별/구 전체 효과 집계
- * @returns {Object} policyEffects { global: {...}, byDong: {dongId: {...}} }
+ * 정책 타이머 관리 + 동별/구획별/구 전체 효과 집계
+ * 정책에 seasonal 배수가 있으면 이번 턴에 든 계절 비율만큼 효과를 키우거나 줄인다
+ * @returns {Object} policyEffects { global: {...}, byDong: {dongId: {...}}, byBlock: {blockId: {...}} }
  */
 function tickPolicies(state) {
   const effects = {
     global: {}, // 구 전체 효과 합산
     byDong: {}, // 특정 동 효과 합산
+    byBlock: {}, // 특정 구획 효과 합산 (targetBlock)
   };
 
   // 만료된 정책 제거
@@ -130,6 +176,8 @@ function tickPolicies(state) {
     return ap.remainDuration > 0;
   });
 
+  const seasons = getSeasonShares(state, getTickTurn(state));
+
   for (const ap of state.activePolicies) {
     ap.turnsActive++;
 
@@ -146,16 +194,27 @@ function tickPolicies(state) {
 
     // 효과 적용
     const policy = ap.policy;
+    if (!state.enactedPolicies) state.enactedPolicies = [];
+    if (!state.enactedPolicies.includes(policy.id)) state.enactedPolicies.push(policy.id);
+    const policyEffects = scaleEffects(policy.effects, seasonalMultiplier(policy.seasonal, seasons));
+
+    // targetBlock = 구획 단위 정책 (targetDong은 표시용)
+    if (policy.targetBlock) {
+      const blockIds = Array.isArray(policy.targetBlock) ? policy.targetBlock : [policy.targetBlock];
+      addBlockEffects(effects, blockIds, policyEffects, state, mergeEffects);
+      continue;
+    }
+
     const targetDongs = getTargetDongs(policy, state);
 
     for (const dongId of targetDongs) {
       if (!effects.byDong[dongId]) effects.byDong[dongId] = {};
-      mergeEffects(effects.byDong[dongId], policy.effects);
+      mergeEffects(effects.byDong[dongId], policyEffects);
     }
 
     // null targetDong = 구 전체
     if (!policy.targetDong) {
-      mergeEffects(effects.global, policy.effects);
+      mergeEffects(effects.global, policyEffects);
     }
   }
 
@@ -192,58 +251,165 @@ function mergeEffects(target, source) {
 }
 
 /**
- * 이벤트 효과 타이머 관리
+ * 효과 배수 적용 (배수 1이면 원본 그대로, 중첩 객체는 유지)
  */
-function tickEventEffects(state) {
-  if (!state.activeEvents) return;
+function scaleEffects(source, factor) {
+  if (factor === 1) return source;
+  const scaled = {};
+  for (const [category, values] of Object.entries(source)) {
+    scaled[category] = {};
+    for (const [key, val] of Object.entries(values)) {
+      scaled[category][key] = typeof val === 'number' ? val * factor : val;
+    }
+  }
+  return scaled;
+}
 
-  state.activeEvents = state.activeEvents.filter(ae => {
-    ae.remainDuration--;
-    if (ae.remainDuration <= 0) return false;
+/**
+ * 새로 고른 이벤트 선택지의 policies 반영 — 중단 후 시행, 한 선택지당 한 번
+ * 시행할 정책은 linkEventPolicies()가 붙인 정책 정의여야 한다 (ID 문자열이면 무시)
+ * 선행 미충족 · 상충으로 막힌 정책은 정책 패널처럼 시행하지 않고 ae.blockedPolicies에 남긴다
+ */
+function applyEventPolicies(state) {
+  for (const ae of state.activeEvents || []) {
+    const changes = ae.choice?.policies;
+    if (!changes || ae.policiesApplied) continue;
+    ae.policiesApplied = true;
+
+    const blocked = getBlockedChoicePolicies(ae.choice, state);
+    if (blocked.length > 0) ae.blockedPolicies = blocked.map(({ policy, blocker }) => ({ id: policy.id, ...blocker }));
+
+    const cancelIds = (changes.cancel || []).map(ref => (typeof ref === 'string' ? ref : ref.id));
+    state.activePolicies = state.activePolicies.filter(ap => !cancelIds.includes(ap.policy.id));
+
+    for (const policy of changes.activate || []) {
+      if (typeof policy !== 'object') continue;
+      if (blocked.some(b => b.policy === policy)) continue;
+      if (state.activePolicies.some(ap => ap.policy.id === policy.id)) continue;
+      state.activePolicies.push({
+        policy,
+        remainDelay: policy.delay || 0,
+        remainDuration: policy.duration || 0,
+        turnsActive: 0,
+        source: ae.eventId,
+      });
+    }
+  }
+}
 
-    // 효과 적용
+/**
+ * 이벤트 선택지 타이머 관리 + 효과 집계
+ * 선택지 effects는 선택이 주는 효과의 합계다:
+ *   - duration 턴 동안 매 턴 effects / duration을 policyEffects에 합산 (duration 0 = 첫 틱에 한 번)
+ *   - finance 효과는 구 전체 재정, 나머지는 영향 동에만 적용
+ *   - delayed_completion은 triggerAfter(기본 duration)턴 뒤 완공 — 완공 효과도 합계로, 자체 duration 턴에 나눠 적용 (없으면 한 번)
+ *   - 오래 남는 효과는 선택지의 policies(정책 시행)로 준다
+ * @returns {number} 이번 틱에 차감할 일회성 선택 비용 (억원)
+ */
+function tickEvents(state, effects, rng) {
+  if (!state.activeEvents) return 0;
+
+  let cost = 0;
+  const completions = [];
+
+  for (const ae of state.activeEvents) {
     const choice = ae.choice;
-    if (!choice?.effects) return true;
-
-    for (const dong of state.dongs) {
-      const isAffected = ae.affectedDongs?.includes(dong.id) || !ae.affectedDongs;
-      if (!isAffected) continue;
-
-      // 만족도 효과
-      if (choice.effects.satisfaction) {
-        for (const [comp, val] of Object.entries(choice.effects.satisfaction)) {
-          if (dong.satisfactionFactors[comp] !== undefined) {
-            // 이벤트 효과는 duration에 걸쳐 분산
-            dong.satisfactionFactors[comp] += val / (ae.totalDuration || 1);
-          }
-        }
-      }
+    if (!choice) continue;
+
+    // 첫 틱: 무작위 결과 확정 (예: 주민투표) + 선택 비용 차감 + 선택 기록·후속 이벤트 예약 (events.js)
+    if (choice.randomOutcome && !ae.outcome) {
+      ae.outcome = drawOutcome(choice.randomOutcome, rng);
+    }
+    if (!ae.costPaid) {
+      cost += choice.cost || 0;
+      ae.costPaid = true;
+      recordEventChoice(state, ae, getTickTurn(state), rng);
     }
 
-    return true;
-  });
+    const { delayed_completion: completion, ...choiceEffects } = choice.effects || {};
+    addEventEffects(effects, scaleEffects(choiceEffects, 1 / Math.max(1, choice.duration || 0)), ae.affectedDongs, state);
+
+    ae.turnsActive = (ae.turnsActive || 0) + 1;
+    ae.remainDuration--;
+
+    if (completion && ae.turnsActive === (completion.triggerAfter || choice.duration)) {
+      const { triggerAfter, duration = 0, ...completionEffects } = completion;
+      completions.push({
+        eventId: ae.eventId,
+        choiceId: `${ae.choiceId}_completion`,
+        choice: { id: `${choice.id}_completion`, name: `${choice.name} (완공)`, cost: 0, duration, effects: completionEffects },
+        affectedDongs: ae.affectedDongs,
+        totalDuration: duration,
+        remainDuration: duration,
+        costPaid: true,
+        turnsActive: 0,
+      });
+    }
+  }
+
+  state.activeEvents = state.activeEvents
+    .filter(ae => ae.remainDuration > 0)
+    .concat(completions);
+
+  return cost;
+}
+
+/**
+ * 이벤트 효과를 정책 효과 집계에 합산
+ */
+function addEventEffects(effects, eventEffects, affectedDongs, state) {
+  const { finance, ...local } = eventEffects;
+  if (finance) mergeEffects(effects.global, { finance });
+
+  const targets = affectedDongs?.length ? affectedDongs : state.dongs.map(d => d.id);
+  for (const dongId of targets) {
+    if (!effects.byDong[dongId]) effects.byDong[dongId] = {};
+    mergeEffects(effects.byDong[dongId], local);
+  }
+}
+
+/**
+ * 가중치 표 {outcomeId: 확률}에서 하나 추첨
+ */
+function drawOutcome(weights, rng) {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((s, [, w]) => s + w, 0);
+  let r = rng.next() * total;
+  for (const [id, w] of entries) {
+    r -= w;
+    if (r < 0) return id;
+  }
+  return entries[entries.length - 1][0];
 }
 
 /**
  * 생활인구 업데이트
- * 평일 낮: 사업체/종사자 변동에 비례
- * 밤: 상주인구 변동에 비례
+ * 밤: 상주인구에 수렴
+ * 평일 낮: 상주인구 변화 + 통근 순유입 변화(commute.js) + 방문객 변화
+ *   방문객 = 초기 대비 상권활력 변화에 따른 쇼핑·관광 인구 + 정책/이벤트 livingPopBonus × LIVING_POP_FACTOR,
+ *   VISITOR_ADJUST 속도로 상권활력 기준치에 수렴 (일시적 관광 붐은 빠진다)
  */
-function updateLivingPopulation(state) {
+function updateLivingPopulation(state, policyEffects) {
   for (const dong of state.dongs) {
     if (!dong.livingPop) continue;
+    const lp = dong.livingPop;
 
-    // 낮 생활인구: 종사자 + 관광 연동 (성장률 캡으로 지수적 폭발 방지)
-    const workerRatio = dong.workers / Math.max(1, dong.population);
-    const vitalityFactor = Math.min(1.02, 0.85 + dong.commerceVitality * 0.003);
-    dong.livingPop.weekdayDay = Math.round(dong.livingPop.weekdayDay * vitalityFactor * 0.99 + dong.population * workerRatio * 0.01);
+    const livingPopBonus = (policyEffects.global.economy?.livingPopBonus || 0)
+      + (policyEffects.byDong[dong.id]?.economy?.livingPopBonus || 0);
 
     // 밤 생활인구: 상주인구에 수렴
-    dong.livingPop.weekdayNight = Math.round(dong.population * 0.9 + dong.livingPop.weekdayNight * 0.1);
+    lp.weekdayNight = Math.round(dong.population * 0.9 + lp.weekdayNight * 0.1);
+
+    const prevVisitors = lp.visitors || 0;
+    const target = lp.weekdayNight * (dong.commerceVitality - dong._initVitality) * VISITOR_VITALITY;
+    lp.visitors = Math.round(prevVisitors + (target - prevVisitors) * VISITOR_ADJUST + lp.weekdayDay * livingPopBonus * LIVING_POP_FACTOR);
+    const residentChange = dong.population - (lp.residents ?? dong._initPop);
+    lp.residents = dong.population;
+    lp.weekdayDay = Math.max(0, lp.weekdayDay + residentChange + dong.commute.netChange + (lp.visitors - prevVisitors));
 
     // 주말: 상권 특색에 연동
     const charFactor = dong.commerceCharacter / 80;
-    dong.livingPop.weekendDay = Math.round(dong.livingPop.weekdayDay * 0.85 * charFactor + dong.population * 0.15);
-    dong.livingPop.weekendNight = Math.round(dong.livingPop.weekdayNight * 0.95);
+    lp.weekendDay = Math.round(lp.weekdayDay * 0.85 * charFactor + dong.population * 0.15);
+    lp.weekendNight = Math.round(lp.weekdayNight * 0.95);
   }
 }
@@ -0,0 +1,64 @@
+/**
+ * state.js — 게임 상태 초기화
+ */
+
+import { initBlockState } from './blocks.js';
+import { initHousing } from './housing.js';
+import { initCommute } from './commute.js';
+import { initTransit } from './transit.js';
+import { createCalendar, turnDate } from './calendar.js';
+import { initCouncil } from './council.js';
+import { initApproval } from './election.js';
+import { applyScenarioOverrides, scenarioSummary } from './scenario.js';
+
+/**
+ * mapo_init.json 데이터로 새 게임 상태 생성
+ * @param {Object} initData - mapo_init.json ({ dongs, commute, transit, finance, industryBreakdown })
+ * @param {Object} [options]
+ * @param {string} [options.playerName]
+ * @param {string[]} [options.pledges]
+ * @param {number} [options.seed] - 난수 시드 (기록/공유용)
+ * @param {Object} [options.calendar] - 달력 설정 (calendar.js DEFAULT_CALENDAR 일부, 예: { turnMonths: 3 })
+ * @param {Object} [options.scenario] - scenarios.json 시나리오 (시작 조건·달력 적용, 나머지는 state.scenario)
+ * @returns {Object} gameState
+ */
+export function createGameState(initData, options = {}) {
+  const scenario = options.scenario || null;
+  if (scenario) initData = applyScenarioOverrides(initData, scenario);
+  const calendar = createCalendar({ ...scenario?.calendar, ...options.calendar });
+  const start = turnDate({ meta: { calendar } }, 1);
+  return initApproval(initCouncil(initTransit(initCommute({
+    meta: {
+      turn: 1,
+      year: start.year,
+      month: start.month,
+      ticks: 0, // 엔진 틱 카운터 (calendar.js getTickTurn)
+      term: 1,  // 임기 (재선 시 증가 — election.js)
+      calendar,
+      playerName: options.playerName || '',
+      pledges: options.pledges || [],
+      seed: options.seed ?? null,
+    },
+    // 구획·주택은 턴마다 갱신되므로 initData와 공유하지 않도록 복사
+    dongs: initData.dongs.map(d => initHousing(initBlockState({
+      ...d,
+      blocks: d.blocks?.map(b => ({ ...b })),
+      housing: d.housing && { ...d.housing, units: d.housing.units && { ...d.housing.units } },
+    }))),
+    // 통근 OD 행렬 (commute.js) — initCommute가 용량·초기값을 붙이므로 initData와 분리
+    commute: initData.commute && { flows: JSON.parse(JSON.stringify(initData.commute.flows)) },
+    // 역·노선 그래프 (transit.js) — 이용객·용량이 턴마다 바뀐다
+    transit: initData.transit && JSON.parse(JSON.stringify(initData.transit)),
+    finance: { ...initData.finance },
+    industryBreakdown: initData.industryBreakdown || {},
+    activePolicies: [],
+    enactedPolicies: [], // 한 번이라도 효과를 낸 정책 ID (선행조건 해금)
+    activeEvents: [],
+    eventLog: [], // 고른 이벤트 선택지 { turn, eventId, eventName, choiceId, choiceName, outcome, from } — 후속 이벤트 트리거·연쇄 (events.js)
+    scheduledEvents: [], // 예약된 후속 이벤트 { eventId, dueTurn, from, status } (events.js)
+    facilities: [], // 구획 슬롯 시설 (facilities.js)
+    elections: [], // 임기 말 선거 결과 (election.js)
+    scenario: scenarioSummary(scenario), // 공약 후보·이벤트/정책 범위·승리 조건 (scenario.js)
+    history: [],
+  }))));
+}
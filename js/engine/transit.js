@@ -0,0 +1,138 @@
+/**
+ * transit.js — 지하철 역·노선 네트워크와 동별 교통 접근성
+ *
+ * state.transit (mapo_init.json):
+ *   stations: { 역이름: { dongId, lines, ridership, catchment: { 인접 동: 인접 계수 } } }
+ *   lines: { 노선: { stations: [역이름, ...] } }
+ *   - 역 세력권: 역이 있는 동 1, 인접 동은 인접 계수 × (CATCHMENT_SHARE + 그 동의 정책 transit.catchment)
+ *   - 역 이용객: 초기 이용객 × 세력권 수요(상주인구 + 종사자) 증감
+ *   - 노선 부하: 역 이용객을 지나는 노선 수로 나눠 합산 ÷ 노선 용량 (초기 용량 = 초기 부하 × LINE_HEADROOM)
+ *   - 노선 용량: 교통 예산(적정 대비) + 정책 transit.capacity (노선이 지나는 동 중 최대)
+ *   - 노선 서비스 = (용량 / 초기 용량)^CAPACITY_ELASTICITY ÷ (1 + 과부하)
+ * 동 접근성(dong.accessibility) = Σ 세력권 가중치 × 역 규모(초기 이용객/만 명) × 환승 보너스 × 노선 서비스 평균
+ * 교통 만족도·이주 pull·상권 수요는 구 평균 대비 접근성을 쓴다 (초기 데이터의 transitScore는 역이 있는 동만 센 정적 값).
+ */
+
+// === Constants ===
+const CATCHMENT_SHARE = 0.25;      // 인접 동(계수 1.0)이 역을 이용하는 비율
+const LINE_HEADROOM = 1.15;        // 초기 노선 용량 = 초기 부하 × 1.15 (부하 0.87)
+const CAPACITY_ELASTICITY = 0.5;   // 용량 1% 증가 → 노선 서비스 0.5% 향상
+const BUDGET_CAPACITY_RATE = 0.01; // 교통 예산 효과(적정=1) 1 차이 → 노선 용량 ±1%/턴 (commute.js와 동일)
+const MIN_CAPACITY_RATIO = 0.8;    // 예산 부족으로 떨어질 수 있는 용량 하한 (초기 대비)
+const TRANSFER_BONUS = [1.0, 1.0, 1.3, 1.5, 1.7]; // 노선 수 → 역 가치 (환승역)
+
+/**
+ * 교통망 초기화 (이미 있으면 그대로)
+ * @param {Object} state - transit.stations가 있는 게임 상태 (mutated)
+ * @returns {Object} state
+ */
+export function initTransit(state) {
+  const t = state.transit;
+  if (!t?.stations || t.base) return state;
+
+  t.base = { ridership: {}, demand: {}, capacity: {} };
+  for (const [name, st] of Object.entries(t.stations)) {
+    t.base.ridership[name] = st.ridership;
+    t.base.demand[name] = catchmentDemand(st, state, {});
+  }
+  for (const [line, info] of Object.entries(t.lines)) {
+    info.capacity = Math.round(lineRidership(t, line) * LINE_HEADROOM);
+    t.base.capacity[line] = info.capacity;
+    info.load = Math.round(lineRidership(t, line) / info.capacity * 100) / 100;
+  }
+  updateAccessibility(state, {});
+  return state;
+}
+
+/**
+ * 노선 용량 · 역 이용객 · 동 접근성 업데이트 (재정 이후, 만족도 이전)
+ * @param {Object} state - (mutated)
+ * @param {Object} budgetEffects - calcBudgetEffects 결과 (transport = 적정 대비 투자 비율)
+ * @param {Object} policyEffects
+ */
+export function updateTransit(state, budgetEffects, policyEffects) {
+  const t = state.transit;
+  if (!t?.base) return;
+
+  // 1. 노선 용량
+  const budgetGrowth = BUDGET_CAPACITY_RATE * ((budgetEffects.transport ?? 1) - 1);
+  for (const [line, info] of Object.entries(t.lines)) {
+    const policyGrowth = Math.max(0, ...info.stations.map(name =>
+      policyEffects.byDong?.[t.stations[name].dongId]?.transit?.capacity || 0));
+    const min = t.base.capacity[line] * MIN_CAPACITY_RATIO;
+    info.capacity = Math.max(min, Math.round(info.capacity * (1 + budgetGrowth + policyGrowth)));
+  }
+
+  // 2. 역 이용객 (세력권 수요 증감)
+  for (const [name, st] of Object.entries(t.stations)) {
+    const demand = catchmentDemand(st, state, policyEffects);
+    st.ridership = Math.round(t.base.ridership[name] * demand / Math.max(1, t.base.demand[name]));
+  }
+
+  // 3. 노선 부하
+  for (const [line, info] of Object.entries(t.lines)) {
+    info.load = Math.round(lineRidership(t, line) / info.capacity * 100) / 100;
+  }
+
+  updateAccessibility(state, policyEffects);
+}
+
+/**
+ * 교통 접근성 — 교통망이 없는 예전 저장은 정적 transitScore
+ */
+export function getAccessibility(dong) {
+  return dong.accessibility ?? dong.transitScore ?? 0;
+}
+
+/**
+ * 노선 서비스 수준 (1 = 초기, 용량 증설 ↑, 과부하 ↓)
+ */
+export function lineService(transit, line) {
+  const info = transit.lines[line];
+  if (!info?.capacity) return 1;
+  const overload = Math.max(0, info.load - 1);
+  return Math.pow(info.capacity / transit.base.capacity[line], CAPACITY_ELASTICITY) / (1 + overload);
+}
+
+// === Helpers ===
+
+function updateAccessibility(state, policyEffects) {
+  const t = state.transit;
+  const value = {};
+  for (const [name, st] of Object.entries(t.stations)) {
+    const service = st.lines.reduce((s, l) => s + lineService(t, l), 0) / Math.max(1, st.lines.length);
+    const bonus = TRANSFER_BONUS[Math.min(st.lines.length, TRANSFER_BONUS.length - 1)];
+    value[name] = t.base.ridership[name] / 10000 * bonus * service;
+  }
+  for (const dong of state.dongs) {
+    let score = 0;
+    for (const [name, st] of Object.entries(t.stations)) {
+      score += catchmentWeight(dong.id, st, policyEffects) * value[name];
+    }
+    dong.accessibility = Math.round(score * 10) / 10;
+  }
+}
+
+function catchmentWeight(dongId, station, policyEffects) {
+  if (dongId === station.dongId) return 1;
+  const coeff = station.catchment?.[dongId] || 0;
+  if (coeff <= 0) return 0;
+  return coeff * (CATCHMENT_SHARE + (policyEffects.byDong?.[dongId]?.transit?.catchment || 0));
+}
+
+function catchmentDemand(station, state, policyEffects) {
+  let demand = 0;
+  for (const dong of state.dongs) {
+    const w = catchmentWeight(dong.id, station, policyEffects);
+    if (w > 0) demand += w * (dong.population + dong.workers);
+  }
+  return demand;
+}
+
+// 환승역 이용객은 지나는 노선에 균등 배분
+function lineRidership(transit, line) {
+  return transit.lines[line].stations.reduce((s, name) => {
+    const st = transit.stations[name];
+    return s + st.ridership / st.lines.length;
+  }, 0);
+}
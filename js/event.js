@@ -4,20 +4,30 @@
  */
 
 import { addMessage, generateEventAnalysis } from './advisor.js';
+import {
+  createEventTracker, checkEventTriggers as checkEngineTriggers, validateEventCatalog, filterScenarioCatalog,
+  linkEventPolicies, formatChoicePolicies, formatEventOrigin, createActiveEvent,
+  getBlockedChoicePolicies, describeActivationBlocker,
+} from './engine/index.js';
 
 let eventCatalog = [];
-let eventCooldowns = {}; // { eventId: turnsRemaining }
-let firedOneShots = new Set(); // one-shot events already fired
+let policyCatalog = []; // 시행 불가 사유의 정책 이름
+let eventTracker = createEventTracker(); // 쿨다운 + one-shot 기록
 let currentEvent = null; // 현재 턴 이벤트
 let selectedChoiceId = null;
+let currentAnalysis = null; // 자문관 분석 (저장/복원용)
 let currentState = null;
 
 export async function initEvents(state) {
   currentState = state;
   try {
-    const resp = await fetch('data/game/events.json');
-    const data = await resp.json();
-    eventCatalog = data.events;
+    const [data, policies] = await Promise.all([
+      fetch('data/game/events.json').then(r => r.json()),
+      fetch('data/game/policies.json').then(r => r.json()),
+    ]);
+    for (const error of validateEventCatalog(data.events, policies.policies)) console.error('[Events] 데이터 오류:', error);
+    policyCatalog = policies.policies;
+    eventCatalog = linkEventPolicies(data.events, policyCatalog); // 선택지가 시행하는 정책 정의를 붙인다
   } catch (err) {
     console.warn('[Events] Failed to load events.json:', err);
     eventCatalog = [];
@@ -27,124 +37,23 @@ export async function initEvents(state) {
 
 /**
  * 턴 시작 시 이벤트 트리거 체크
+ * @param {Object} rng - 게임 난수 생성기 (main.js 소유)
  * @returns {Object|null} 트리거된 이벤트 (없으면 null)
  */
-export function checkEventTriggers(state) {
+export function checkEventTriggers(state, rng) {
   currentState = state;
-  const turn = state.meta.turn;
-
-  // 쿨다운 감소
-  for (const id of Object.keys(eventCooldowns)) {
-    eventCooldowns[id]--;
-    if (eventCooldowns[id] <= 0) delete eventCooldowns[id];
-  }
-
-  // 후보 이벤트 수집
-  const candidates = [];
-
-  for (const event of eventCatalog) {
-    // 이미 쿨다운 중
-    if (eventCooldowns[event.id]) continue;
-    // one-shot 이미 발생
-    if (event.oneShot && firedOneShots.has(event.id)) continue;
-
-    if (checkTrigger(event, state, turn)) {
-      candidates.push(event);
-    }
-  }
-
-  if (candidates.length === 0) return null;
-
-  // 확률 체크 후 하나만 선택
-  const triggered = [];
-  for (const event of candidates) {
-    if (Math.random() < (event.probability || 1.0)) {
-      triggered.push(event);
-    }
-  }
-
-  if (triggered.length === 0) return null;
-
-  // 여러 개면 하나만 랜덤 선택
-  const selected = triggered[Math.floor(Math.random() * triggered.length)];
-
-  // 쿨다운 + oneShot 기록
-  if (selected.cooldown > 0) eventCooldowns[selected.id] = selected.cooldown;
-  if (selected.oneShot) firedOneShots.add(selected.id);
-
-  return selected;
-}
-
-function checkTrigger(event, state, turn) {
-  const trigger = event.trigger;
-  if (!trigger) return false;
-
-  switch (trigger.type) {
-    case 'periodic':
-      return turn >= (trigger.startTurn || 1) && (turn - (trigger.startTurn || 1)) % (trigger.interval || 4) === 0;
-
-    case 'threshold': {
-      const cond = trigger.condition;
-      if (!cond) return false;
-
-      if (cond.dong) {
-        // 특정 동 조건
-        const dong = state.dongs.find(d => d.id === cond.dong);
-        if (!dong) return false;
-        return checkCondition(getMetricValue(dong, cond.metric), cond.operator, cond.value);
-      } else if (cond.minDongCount) {
-        // 복수 동 조건
-        const count = state.dongs.filter(d => checkCondition(getMetricValue(d, cond.metric), cond.operator, cond.value)).length;
-        return count >= cond.minDongCount;
-      }
-      return false;
-    }
-
-    case 'random':
-      return turn >= (trigger.minTurn || 1) && Math.random() < (trigger.probabilityPerTurn || 0.1);
-
-    case 'turn': {
-      if (turn < (trigger.minTurn || 1)) return false;
-      // 추가 조건
-      if (trigger.additionalCondition) {
-        const cond = trigger.additionalCondition;
-        const dong = state.dongs.find(d => d.id === cond.dong);
-        if (!dong) return false;
-        return checkCondition(getMetricValue(dong, cond.metric), cond.operator, cond.value);
-      }
-      return true;
-    }
-
-    default:
-      return false;
-  }
-}
-
-function getMetricValue(dong, metric) {
-  if (metric === 'elderlyRatio') {
-    return (dong.populationByAge?.elderly || 0) / Math.max(1, dong.population);
-  }
-  return dong[metric] ?? 0;
-}
-
-function checkCondition(value, operator, threshold) {
-  switch (operator) {
-    case '>': return value > threshold;
-    case '<': return value < threshold;
-    case '>=': return value >= threshold;
-    case '<=': return value <= threshold;
-    case '==': return value === threshold;
-    default: return false;
-  }
+  return checkEngineTriggers(filterScenarioCatalog(state, eventCatalog, 'events'), state, eventTracker, rng);
 }
 
 /**
  * 이벤트 렌더링
+ * @param {string|null} savedAnalysis - 불러오기 시 저장된 자문관 분석 (있으면 재생성하지 않음)
  */
-export async function renderEvent(event, state) {
+export async function renderEvent(event, state, savedAnalysis = null) {
   currentState = state;
   currentEvent = event;
   selectedChoiceId = null;
+  currentAnalysis = savedAnalysis;
 
   const container = document.getElementById('tab-event');
   if (!container) return;
@@ -152,10 +61,12 @@ export async function renderEvent(event, state) {
   // 이벤트 탭 활성화
   activateEventTab();
 
+  const origin = formatEventOrigin(state, event.id);
   let html = `
     <div class="event-card">
       <div class="event-title">${event.icon || ''} ${event.name}</div>
       <div class="event-desc">${event.description}</div>
+      ${origin ? `<div class="event-origin">⤷ ${origin}입니다</div>` : ''}
       <div class="event-affected">영향 동: ${(event.affectedDongs || []).map(id => getDongName(id, state)).join(', ')}</div>
       <div class="event-choices">`;
 
@@ -167,6 +78,9 @@ export async function renderEvent(event, state) {
             <span class="event-choice-cost">${choice.cost > 0 ? choice.cost + '억원' : '무료'}</span>
           </div>
           <div class="event-choice-desc">${choice.description}</div>
+          ${choice.policies ? `<div class="event-choice-policies">${formatChoicePolicies(choice)}</div>` : ''}
+          ${getBlockedChoicePolicies(choice, state).map(({ policy, blocker }) => `
+          <div class="event-choice-blocked">⚠ ${policy.name} 시행 불가 — ${describeActivationBlocker(blocker, policyCatalog)}</div>`).join('')}
         </div>`;
   }
 
@@ -186,11 +100,17 @@ export async function renderEvent(event, state) {
     });
   });
 
-  // Generate advisor analysis
+  // Generate advisor analysis (API 자문관이면 받는 대로 표시)
   const analysisEl = document.getElementById('event-analysis');
   if (analysisEl) {
-    const analysis = await generateEventAnalysis(event, state);
-    analysisEl.innerHTML = `<div class="event-advisor-comment">${analysis}</div>`;
+    analysisEl.innerHTML = '<div class="event-advisor-comment">자문관 분석 중...</div>';
+    const commentEl = analysisEl.firstElementChild;
+    const analysis = savedAnalysis ?? await generateEventAnalysis(event, state, text => {
+      commentEl.textContent = text;
+    });
+    if (currentEvent !== event) return; // 분석 생성 중 다른 이벤트로 교체됨
+    currentAnalysis = analysis;
+    commentEl.textContent = analysis;
   }
 }
 
@@ -199,6 +119,7 @@ export function renderNoEvent() {
   if (!container) return;
   currentEvent = null;
   selectedChoiceId = null;
+  currentAnalysis = null;
   container.innerHTML = '<div class="no-event">이번 달에는 특별한 이벤트가 없습니다.</div>';
 }
 
@@ -224,16 +145,48 @@ export function getEventChoice() {
   const choice = currentEvent.choices.find(c => c.id === selectedChoiceId);
   if (!choice) return null;
 
+  return createActiveEvent(currentEvent, choice);
+}
+
+/**
+ * 전망 시뮬레이션용 이벤트 범위와 쿨다운·one-shot 기록 (사본)
+ */
+export function getEventContext(state) {
   return {
-    eventId: currentEvent.id,
-    choiceId: selectedChoiceId,
-    choice: choice,
-    affectedDongs: currentEvent.affectedDongs || [],
-    totalDuration: choice.duration || 1,
-    remainDuration: choice.duration || 1,
+    catalog: filterScenarioCatalog(state, eventCatalog, 'events'),
+    tracker: JSON.parse(JSON.stringify(eventTracker)),
   };
 }
 
+/**
+ * 저장용 이벤트 모듈 상태 (쿨다운, one-shot, 대기 중 이벤트와 선택)
+ */
+export function getEventSaveData() {
+  return {
+    tracker: JSON.parse(JSON.stringify(eventTracker)),
+    currentEvent,
+    selectedChoiceId,
+    analysis: currentAnalysis,
+  };
+}
+
+/**
+ * 저장된 이벤트 상태 복원 + 이벤트 탭 다시 그리기
+ */
+export async function restoreEvents(data, state) {
+  currentState = state;
+  eventTracker = data?.tracker ? JSON.parse(JSON.stringify(data.tracker)) : createEventTracker();
+
+  if (data?.currentEvent) {
+    // renderEvent는 선택지 DOM을 동기적으로 그린 뒤 분석을 기다린다
+    const rendering = renderEvent(data.currentEvent, state, data.analysis);
+    if (data.selectedChoiceId) setEventChoice(data.selectedChoiceId);
+    await rendering;
+  } else {
+    renderNoEvent();
+  }
+}
+
 function getDongName(dongId, state) {
   const dong = state?.dongs?.find(d => d.id === dongId);
   return dong ? dong.name : dongId;
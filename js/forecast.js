@@ -0,0 +1,255 @@
+/**
+ * forecast.js — 대시보드 전망 탭 (여러 시드로 4·12·24턴 뒤까지 돌린 중앙값·백분위 구간)
+ *
+ * 엔진 forecastRun()을 실행 한 번씩 나눠 돌리고 사이사이 화면에 양보한다 (한 번에 돌리면 몇 초간 멈춘다).
+ * 자문관 도구(forecast)도 runForecast()를 같이 쓴다.
+ */
+
+import { getPledgeBaseline } from './pledge.js';
+import { getEventContext } from './event.js';
+import {
+  forecastHorizons, forecastSeeds, forecastRun, summarizeForecast, pledgeOutlook,
+} from './engine/index.js';
+
+// === Constants ===
+const METRIC_OPTIONS = {
+  population: { label: '총인구', format: v => Math.round(v).toLocaleString() + '명' },
+  satisfaction: { label: '평균 만족도', format: v => v.toFixed(1) },
+  fiscalIndependence: { label: '재정자립도', format: v => v.toFixed(1) + '%' },
+};
+const PLEDGE_FORMAT = v => Math.round(v) + '%';
+
+const OUTLOOK_CLASS = { 순항: 'outlook-good', 불확실: 'outlook-mixed', 위험: 'outlook-bad' };
+
+// === State ===
+let adjacency = {};
+let getState = () => null;
+let getPlayerActions = () => null;
+let chart = null;
+let result = null; // 마지막 전망 (summarizeForecast 결과)
+let controller = null; // 진행 중인 계산 — 턴이 넘어가면 중단
+
+/**
+ * 전망 탭 초기화 (main.js)
+ * @param {Object} options
+ *   - adjacency: adjacency.json의 adjacency
+ *   - getState: 현재 gameState
+ *   - getPlayerActions: 지금 화면에서 고른 결정 (tick playerActions 형식)
+ */
+export function initForecast(options) {
+  adjacency = options.adjacency || {};
+  getState = options.getState;
+  getPlayerActions = options.getPlayerActions;
+
+  document.getElementById('btn-forecast')?.addEventListener('click', computeForecast);
+  document.getElementById('forecast-metric')?.addEventListener('change', (e) => renderChart(e.target.value));
+  clearForecast();
+}
+
+/**
+ * 전망 계산 — 실행마다 이벤트 루프에 양보한다
+ * @param {Object} state - 시작 상태 (복사해서 쓴다)
+ * @param {Object} actions - 이번 턴 결정
+ * @param {Object} [options]
+ *   - runs, horizons, seed: 엔진 forecast() 옵션과 같음
+ *   - onProgress(done, total): 실행 하나가 끝날 때마다
+ *   - signal: AbortSignal — 중단되면 null
+ * @returns {Promise<Object|null>} summarizeForecast() 결과
+ */
+export async function runForecast(state, actions, options = {}) {
+  const start = JSON.parse(JSON.stringify(state)); // 계산 중에 턴이 넘어가도 같은 상태에서
+  const horizons = forecastHorizons(start, options.horizons);
+  const { catalog, tracker } = getEventContext(start);
+  const runOptions = {
+    horizon: horizons[horizons.length - 1] ?? 0,
+    eventCatalog: catalog,
+    eventTracker: tracker,
+    initialState: getPledgeBaseline(),
+  };
+
+  const seeds = forecastSeeds(start, options);
+  const runs = [];
+  for (const seed of seeds) {
+    if (options.signal?.aborted) return null;
+    runs.push(forecastRun(start, actions, adjacency, { ...runOptions, seed }));
+    options.onProgress?.(runs.length, seeds.length);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return summarizeForecast(start, runs, horizons);
+}
+
+/**
+ * 전망 지우기 (턴이 넘어가거나 불러오기 시 — 계산 중이면 중단)
+ */
+export function clearForecast() {
+  controller?.abort();
+  controller = null;
+  result = null;
+  chart?.destroy();
+  chart = null;
+  setButtonBusy(false);
+  setStatus('지금 결정과 예산 배분을 유지할 때 4·12·24턴 뒤 전망 (여러 시드)');
+  const select = document.getElementById('forecast-metric');
+  if (select) select.innerHTML = '';
+  const pledges = document.getElementById('forecast-pledges');
+  if (pledges) pledges.innerHTML = '';
+}
+
+// === Panel ===
+async function computeForecast() {
+  const state = getState();
+  if (!state || controller) return;
+  const actions = getPlayerActions();
+  const budgetTotal = Object.values(actions?.budget || {}).reduce((s, v) => s + v, 0);
+  if (budgetTotal > 100) {
+    setStatus(`예산 합계가 ${budgetTotal}%입니다. 100% 이하로 조정한 뒤 다시 계산하세요.`);
+    return;
+  }
+  if (forecastHorizons(state).length === 0) {
+    setStatus('남은 임기가 없어 전망할 턴이 없습니다.');
+    return;
+  }
+
+  const current = new AbortController();
+  controller = current;
+  setButtonBusy(true);
+  let forecast;
+  try {
+    forecast = await runForecast(state, actions, {
+      signal: current.signal,
+      onProgress: (done, total) => setStatus(`계산 중… (${done}/${total})`),
+    });
+  } catch (err) {
+    console.error('[Forecast] 계산 실패:', err);
+    if (!current.signal.aborted) setStatus(`전망 계산에 실패했습니다: ${err.message}`);
+    return;
+  } finally {
+    // 중단된 계산은 clearForecast()가 이미 정리했다
+    if (controller === current) {
+      controller = null;
+      setButtonBusy(false);
+    }
+  }
+  if (current.signal.aborted || !forecast) return;
+
+  result = forecast;
+  setStatus(`T${result.turn} 기준 ${result.runs}회 시뮬레이션 — 첫 턴은 지금 결정, 이후 예산 배분 유지, 이벤트 선택은 무작위`);
+  renderMetricOptions();
+  renderChart(document.getElementById('forecast-metric')?.value || 'population');
+  renderPledges();
+}
+
+function renderMetricOptions() {
+  const select = document.getElementById('forecast-metric');
+  if (!select) return;
+  const selected = select.value;
+  select.innerHTML = [
+    ...Object.entries(METRIC_OPTIONS).map(([key, opt]) => `<option value="${key}">${opt.label}</option>`),
+    ...result.pledges.map(p => `<option value="pledge:${p.id}">공약: ${p.name}</option>`),
+  ].join('');
+  if ([...select.options].some(o => o.value === selected)) select.value = selected;
+}
+
+// 선택한 지표의 구간 — 공약은 'pledge:<id>'
+function seriesFor(key) {
+  if (key.startsWith('pledge:')) {
+    const pledge = result.pledges.find(p => p.id === key.slice('pledge:'.length));
+    return pledge ? { label: `${pledge.name} 진행률`, bands: pledge.series, format: PLEDGE_FORMAT } : null;
+  }
+  const opt = METRIC_OPTIONS[key];
+  return opt && result.series[key] ? { label: opt.label, bands: result.series[key], format: opt.format } : null;
+}
+
+function renderChart(key) {
+  const canvas = document.getElementById('forecast-chart');
+  if (!canvas || typeof Chart === 'undefined' || !result) return;
+  const series = seriesFor(key);
+  if (!series) return;
+  const { bands, format } = series;
+
+  const band = (label, pick, extra) => ({
+    label, data: bands.map(pick), pointRadius: 0, borderWidth: 0, tension: 0.3, fill: false, ...extra,
+  });
+  const data = {
+    labels: bands.map((b, k) => (k === 0 ? '현재' : `T${b.turn}`)),
+    datasets: [
+      band('p10', b => b.p10),
+      band('10~90%', b => b.p90, { fill: '-1', backgroundColor: 'rgba(37, 99, 235, 0.12)' }),
+      band('p25', b => b.p25),
+      band('25~75%', b => b.p75, { fill: '-1', backgroundColor: 'rgba(37, 99, 235, 0.25)' }),
+      band('중앙값', b => b.median, {
+        borderColor: '#2563eb',
+        borderWidth: 2,
+        pointRadius: bands.map((_, k) => (result.horizons.includes(k) ? 3 : 0)),
+      }),
+    ],
+  };
+
+  chart?.destroy();
+  chart = new Chart(canvas, {
+    type: 'line',
+    data,
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          position: 'top',
+          labels: { font: { size: 11 }, boxWidth: 12, filter: item => !item.text.startsWith('p') },
+        },
+        tooltip: {
+          filter: item => item.dataset.label === '중앙값',
+          callbacks: {
+            label: ctx => {
+              const b = bands[ctx.dataIndex];
+              return `중앙값 ${format(b.median)} (10~90%: ${format(b.p10)}~${format(b.p90)})`;
+            },
+          },
+        },
+      },
+      scales: {
+        y: {
+          title: { display: true, text: series.label, font: { size: 10 } },
+          ticks: { font: { size: 10 } },
+        },
+        x: { ticks: { font: { size: 10 } } },
+      },
+    },
+  });
+}
+
+function renderPledges() {
+  const container = document.getElementById('forecast-pledges');
+  if (!container) return;
+  if (result.pledges.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  const last = result.horizons[result.horizons.length - 1];
+  const when = result.turn + last === result.termEnd ? '임기 말' : `${last}턴 뒤`;
+  container.innerHTML = `<div class="forecast-pledges-title">공약 전망 (${when})</div>` + result.pledges.map(p => {
+    const outlook = pledgeOutlook(p.achieved[last]);
+    const b = p.series[last];
+    return `
+      <div class="forecast-pledge">
+        <div class="forecast-pledge-head">
+          <span>${p.name}</span>
+          <span class="forecast-outlook ${OUTLOOK_CLASS[outlook]}">${outlook}</span>
+        </div>
+        <div class="forecast-pledge-detail">달성 ${Math.round(p.achieved[last] * 100)}% · 진행률 ${PLEDGE_FORMAT(b.median)} (${PLEDGE_FORMAT(b.p10)}~${PLEDGE_FORMAT(b.p90)})</div>
+      </div>`;
+  }).join('');
+}
+
+function setStatus(text) {
+  const el = document.getElementById('forecast-status');
+  if (el) el.textContent = text;
+}
+
+function setButtonBusy(busy) {
+  const btn = document.getElementById('btn-forecast');
+  if (!btn) return;
+  btn.disabled = busy;
+  btn.textContent = busy ? '계산 중' : '전망 계산';
+}
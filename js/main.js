@@ -2,19 +2,44 @@
  * main.js — AI 마포구청장 앱 초기화 + 턴 루프 상태 머신
  */
 
-import { initMap, updateMapColors, updateGameState } from './map.js';
-import { initDashboard, updateDashboard } from './dashboard.js';
-import { initAdvisor, generateBriefing, addMessage, updateAdvisorState } from './advisor.js';
-import { initBudget, getAllocation } from './budget.js';
-import { initPolicy, getSelectedPolicies, updatePolicyState } from './policy.js';
-import { initEvents, renderNoEvent, renderEvent, getEventChoice, checkEventTriggers } from './event.js';
-import { showPledgeSelection, initPledgeBar, renderPledgeBar, calcFinalScore } from './pledge.js';
-import { tick } from './engine/simulation.js';
+import { initMap, updateMapColors, updateGameState, showElectionOnMap, showPreviewOnMap } from './map.js';
+import { initDashboard, updateDashboard, restoreDashboard, setDashboardPreview } from './dashboard.js';
+import { initAdvisor, generateBriefing, addMessage, updateAdvisorState, getAdvisorSaveData, restoreAdvisor } from './advisor.js';
+import { initAdvisorTools } from './advisor-tools.js';
+import { initForecast, clearForecast } from './forecast.js';
+import { initBudget, getAllocation, setAllocation, updateBudgetState, getFiscalActions } from './budget.js';
+import {
+  initPolicy, getSelectedPolicies, updatePolicyState, setPolicies,
+  getCancelledPolicies, resetCancelledPolicies,
+} from './policy.js';
+import {
+  initEvents, renderNoEvent, renderEvent, getEventChoice, getCurrentEvent, checkEventTriggers,
+  getEventSaveData, restoreEvents,
+} from './event.js';
+import {
+  showPledgeSelection, initPledgeBar, renderPledgeBar, calcFinalScore, getPledgeBaseline, simulateElection,
+  evaluateScenario,
+} from './pledge.js';
+import {
+  tick, createGameState, createRng, randomSeed, parseSeed,
+  TURN_LENGTHS, setTurn, getTotalTurns, getCalendar, formatTurnDate, formatTurnLength, formatVote,
+  recordElection, canStartNextTerm, startNextTerm, formatElection, MAX_TERMS,
+  validateScenarioCatalog, findScenario, formatGoal, DEFAULT_SCENARIO_ID,
+  describeEventChains, formatEventChains, projectTurn, historySnapshot,
+} from './engine/index.js';
+import { initConstruction, updateConstructionState, getPendingConstructions, setConstructions } from './construction.js';
 import { initAutoplay, getLastAIReasoning } from './autoplay.js';
+import { showSaveMenu, writeSave, hasSaves, AUTOSAVE_SLOT } from './save.js';
+import { readRunFile, startReplay } from './replay.js';
 
 // === Game State ===
 let gameState = null;
+let initData = null; // mapo_init.json — 리플레이 시 초기 상태 재생성용
+let adjacency = {}; // adjacency.json — tick()에 전달
+let scenarioCatalog = []; // scenarios.json — 시작 화면 시나리오 선택
+let rng = null; // 시드 기반 난수 — 이벤트 발생과 tick()이 공유
 let lastTurnActions = null;
+let turnPreview = null; // 이번 턴 미리보기 (projectTurn 결과) — 턴이 넘어가면 지움
 let autoplayActive = false;
 let turnLog = []; // per-turn action log for result export
 let gameStartTime = 0;
@@ -32,8 +57,15 @@ let currentPhase = PHASE.GAME_START;
 // === App Init ===
 async function init() {
   try {
-    const resp = await fetch('data/game/mapo_init.json');
-    const initData = await resp.json();
+    const [initJson, adjacencyData, scenarioData] = await Promise.all([
+      fetch('data/game/mapo_init.json').then(r => r.json()),
+      fetch('data/game/adjacency.json').then(r => r.json()),
+      fetch('data/game/scenarios.json').then(r => r.json()),
+    ]);
+    initData = initJson;
+    adjacency = adjacencyData.adjacency || {};
+    scenarioCatalog = scenarioData.scenarios || [];
+    for (const error of validateScenarioCatalog(scenarioCatalog)) console.error('[Scenarios] 데이터 오류:', error);
     gameState = createGameState(initData);
 
     // Show game start modal
@@ -47,24 +79,6 @@ async function init() {
   }
 }
 
-function createGameState(initData) {
-  return {
-    meta: {
-      turn: 1,
-      year: 2026,
-      month: 1,
-      playerName: '',
-      pledges: [],
-    },
-    dongs: initData.dongs.map(d => ({ ...d })),
-    finance: { ...initData.finance },
-    industryBreakdown: initData.industryBreakdown || {},
-    activePolicies: [],
-    activeEvents: [],
-    history: [],
-  };
-}
-
 // === Game Start ===
 function showGameStart() {
   currentPhase = PHASE.GAME_START;
@@ -77,21 +91,61 @@ function showGameStart() {
     <div class="modal-subtitle">마포구 16개 동, 357,232명의 구청장이 되어보세요</div>
     <input type="text" class="modal-input" id="player-name-input"
            placeholder="구청장님 성함을 입력하세요" maxlength="10" autofocus>
+    <input type="text" class="modal-input" id="seed-input" inputmode="numeric"
+           placeholder="시드 (비우면 무작위 — 같은 시드면 같은 이벤트 전개)" value="${initialSeedInput()}">
+    <select class="modal-input scenario-select" id="scenario-input" title="시나리오 — 시작 시점·조건·공약 후보·승리 조건">
+      ${scenarioCatalog.map(sc => `<option value="${sc.id}" ${sc.id === DEFAULT_SCENARIO_ID ? 'selected' : ''}>${sc.name}</option>`).join('')}
+    </select>
+    <div class="scenario-info" id="scenario-info"></div>
+    <select class="modal-input" id="turn-length-input" title="한 턴의 길이 — 세입·인구 변동·예산 일정이 실제 기간에 맞춰진다"></select>
     <button class="modal-btn" id="btn-start">시작하기</button>
+    ${hasSaves() ? '<button class="modal-btn" id="btn-load-game" style="margin-top:8px;background:var(--success)">저장된 게임 불러오기</button>' : ''}
+    <label class="modal-btn replay-open-btn" for="replay-file-input">결과 파일 리플레이</label>
+    <input type="file" id="replay-file-input" accept=".json,application/json" style="display:none">
   `;
 
   modal.classList.add('active');
 
+  const scenarioInput = document.getElementById('scenario-input');
+  scenarioInput?.addEventListener('change', () => renderScenarioInfo(findScenario(scenarioCatalog, scenarioInput.value)));
+  renderScenarioInfo(findScenario(scenarioCatalog, scenarioInput?.value));
+
+  document.getElementById('btn-load-game')?.addEventListener('click', () => {
+    showSaveMenu({
+      getSaveData: null,
+      onLoad: (save) => startGame(save),
+      onClose: () => showGameStart(),
+    });
+  });
+
+  document.getElementById('replay-file-input')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const run = await readRunFile(file);
+      currentPhase = PHASE.GAME_END; // 리플레이 중에는 턴 진행 없음
+      await startReplay(run, { initData, adjacency });
+      modal.classList.remove('active');
+    } catch (err) {
+      alert(`리플레이할 수 없습니다: ${err.message}`);
+    }
+  });
+
   document.getElementById('btn-start').addEventListener('click', () => {
     const name = document.getElementById('player-name-input')?.value.trim() || '시민';
-    gameState.meta.playerName = name;
+    gameState = createGameState(initData, {
+      playerName: name,
+      seed: parseSeed(document.getElementById('seed-input')?.value) ?? randomSeed(),
+      calendar: { turnMonths: Number(document.getElementById('turn-length-input')?.value) },
+      scenario: findScenario(scenarioCatalog, scenarioInput?.value),
+    });
     modal.classList.remove('active');
 
     // Move to pledge selection
     showPledgeSelection((pledges) => {
       gameState.meta.pledges = pledges;
       startGame();
-    });
+    }, 1, gameState);
   });
 
   // Enter key shortcut
@@ -100,17 +154,48 @@ function showGameStart() {
   });
 }
 
+/**
+ * 시작 화면 — 선택한 시나리오 설명·승리 조건, 턴 길이 옵션 (임기 길이가 시나리오마다 다르다)
+ */
+function renderScenarioInfo(scenario) {
+  const info = document.getElementById('scenario-info');
+  if (info) {
+    const goals = (scenario?.winConditions || []).map(c => `<li>${c.label}: ${formatGoal(c)}</li>`).join('');
+    info.innerHTML = scenario
+      ? `<div>${scenario.description || ''}</div>${goals ? `<ul class="scenario-goals">${goals}</ul>` : ''}`
+      : '';
+  }
+
+  const lengthInput = document.getElementById('turn-length-input');
+  if (!lengthInput) return;
+  const selected = Number(lengthInput.value) || undefined;
+  lengthInput.innerHTML = TURN_LENGTHS.map(m => {
+    const cal = { meta: { calendar: { ...scenario?.calendar, turnMonths: m } } };
+    return `<option value="${m}" ${m === selected ? 'selected' : ''}>한 턴 = ${formatTurnLength(cal)} (임기 ${getTotalTurns(cal)}턴)</option>`;
+  }).join('');
+}
+
 // === Start Game ===
-async function startGame() {
+/**
+ * @param {Object|null} save - 불러온 세이브 데이터 (null이면 새 게임)
+ */
+async function startGame(save = null) {
+  if (save) gameState = save.gameState;
+
   // Update header
   document.getElementById('player-info').textContent = `${gameState.meta.playerName} 구청장`;
+  rng = createRng(gameState.meta.seed);
+  updateSeedDisplay();
 
   // Init all modules
   await initMap(document.getElementById('map-container'), gameState);
   initDashboard(gameState);
   initAdvisor(gameState);
+  initAdvisorTools({ adjacency, getPlayerActions: collectPlayerActions });
+  initForecast({ adjacency, getState: () => gameState, getPlayerActions: collectPlayerActions });
   initBudget(gameState);
   await initPolicy(gameState);
+  await initConstruction(gameState);
   await initEvents(gameState);
   initPledgeBar(gameState.meta.pledges, gameState);
 
@@ -124,8 +209,12 @@ async function startGame() {
     });
   });
 
-  // End turn button
+  // End turn / preview buttons
   document.getElementById('btn-end-turn')?.addEventListener('click', endTurn);
+  document.getElementById('btn-preview-turn')?.addEventListener('click', previewNextTurn);
+
+  // Save menu button
+  document.getElementById('btn-save-menu')?.addEventListener('click', openSaveMenu);
 
   // Init autoplay
   initAutoplay({
@@ -136,6 +225,11 @@ async function startGame() {
     setAutoplayActive: (v) => { autoplayActive = v; },
   });
 
+  if (save) {
+    await applySave(save);
+    return;
+  }
+
   // Start first turn
   turnLog = [];
   gameStartTime = Date.now();
@@ -143,17 +237,84 @@ async function startGame() {
   currentPhase = PHASE.PLAYER_PHASE;
 }
 
+// === Save / Load ===
+function buildSaveData() {
+  return {
+    gameState: JSON.parse(JSON.stringify(gameState)),
+    turnLog: JSON.parse(JSON.stringify(turnLog)),
+    elapsedMs: Date.now() - gameStartTime,
+    rngState: rng.getState(),
+    pledgeBaseline: getPledgeBaseline(),
+    budget: getAllocation(),
+    pendingPolicies: getSelectedPolicies().map(p => p.id),
+    pendingConstructions: getPendingConstructions().map(c => ({ facilityId: c.facility.id, blockId: c.blockId })),
+    cancelledPolicies: getCancelledPolicies(),
+    events: getEventSaveData(),
+    advisor: getAdvisorSaveData(),
+  };
+}
+
+/**
+ * 세이브 데이터를 현재 게임에 적용 (모듈 초기화 이후 호출)
+ */
+async function applySave(save) {
+  gameState = JSON.parse(JSON.stringify(save.gameState));
+  turnLog = save.turnLog || [];
+  gameStartTime = Date.now() - (save.elapsedMs || 0);
+  lastTurnActions = null;
+  clearTurnPreview();
+  clearForecast();
+
+  document.getElementById('player-info').textContent = `${gameState.meta.playerName} 구청장`;
+  if (gameState.meta.seed == null) gameState.meta.seed = randomSeed(); // 시드 도입 이전 세이브
+  rng = createRng(gameState.meta.seed, save.rngState);
+  updateSeedDisplay();
+
+  initPledgeBar(gameState.meta.pledges, gameState, save.pledgeBaseline);
+  updateGameState(gameState);
+  updateMapColors(gameState.dongs);
+  restoreDashboard(gameState);
+  restoreAdvisor(save.advisor, gameState);
+  updateBudgetState(gameState);
+  setAllocation(save.budget || gameState.finance.allocation, gameState.finance.freeBudget);
+  updatePolicyState(gameState);
+  setPolicies(save.pendingPolicies || []);
+  updateConstructionState(gameState);
+  setConstructions(save.pendingConstructions || []);
+  resetCancelledPolicies(save.cancelledPolicies || []);
+  updateTurnDisplay();
+  currentPhase = PHASE.PLAYER_PHASE;
+
+  await restoreEvents(save.events, gameState);
+}
+
+function openSaveMenu() {
+  if (autoplayActive || currentPhase !== PHASE.PLAYER_PHASE) return;
+  showSaveMenu({
+    getSaveData: buildSaveData,
+    onLoad: (save) => applySave(save),
+  });
+}
+
+function autosave() {
+  if (!writeSave(AUTOSAVE_SLOT, buildSaveData())) {
+    console.warn('[Save] Autosave failed');
+  }
+}
+
 // === Turn Loop ===
 function startTurn() {
   currentPhase = PHASE.TURN_START;
 
   // 1. Simulation tick (apply last turn's actions)
   if (gameState.meta.turn > 1 && lastTurnActions) {
-    gameState = tick(gameState, lastTurnActions);
+    gameState = tick(gameState, lastTurnActions, adjacency, rng);
   }
 
   // 2. Update all UIs
   updateGameState(gameState);
+  clearTurnPreview();
+  clearForecast();
   updateMapColors(gameState.dongs);
   updateDashboard(gameState);
   renderPledgeBar(gameState.meta.pledges, gameState);
@@ -163,12 +324,19 @@ function startTurn() {
   if (gameState.meta.turn > 1 && !autoplayActive) {
     generateBriefing(gameState);
   }
+  // 지난 턴 결정에 대한 구의회 표결 결과 (예산안·고비용 정책)
+  for (const vote of gameState.council?.votes || []) {
+    addMessage('advisor', `[구의회] ${formatVote(vote)}${vote.result === 'rejected' && vote.kind === 'policy' ? ' — 정책이 시행되지 않습니다.' : ''}`);
+  }
 
-  // 4. Update policy UI
+  // 4. Update budget / policy / construction UI
+  updateBudgetState(gameState);
   updatePolicyState(gameState);
+  resetCancelledPolicies();
+  updateConstructionState(gameState);
 
   // 5. Check event triggers
-  const event = checkEventTriggers(gameState);
+  const event = checkEventTriggers(gameState, rng);
   if (event) {
     renderEvent(event, gameState);
     addMessage('advisor', `[긴급] ${event.name} 이벤트가 발생했습니다. 이벤트 탭에서 대응 방안을 선택하세요.`);
@@ -181,26 +349,67 @@ function startTurn() {
   updateTurnDisplay();
 }
 
-function endTurn() {
-  if (currentPhase !== PHASE.PLAYER_PHASE) return;
+/**
+ * 지금 화면에서 고른 결정 (tick playerActions 형식 — 턴 종료 · 자문관 미리보기 도구 공용)
+ */
+function collectPlayerActions() {
+  return {
+    budget: getAllocation(),
+    fiscal: getFiscalActions(),
+    policies: getSelectedPolicies(),
+    eventChoice: getEventChoice(),
+    constructions: getPendingConstructions(),
+  };
+}
 
-  // Validate budget total before proceeding
-  const budgetAlloc = getAllocation();
-  const budgetTotal = Object.values(budgetAlloc).reduce((s, v) => s + v, 0);
+/**
+ * 예산 합계 검사 (100% 초과면 알리고 false)
+ */
+function checkBudgetTotal() {
+  const budgetTotal = Object.values(getAllocation()).reduce((s, v) => s + v, 0);
   if (budgetTotal > 100) {
     alert(`예산 합계가 ${budgetTotal}%입니다. 100% 이하로 조정해주세요.`);
-    return;
+    return false;
   }
+  return true;
+}
+
+/**
+ * 다음 턴 미리보기 — 지금 결정으로 턴을 끝냈을 때의 변화를 지도·대시보드에 표시
+ * 게임 난수의 현재 상태를 복제해 쓰므로 결정을 바꾸지 않고 턴을 끝내면 예상과 같은 결과가 나온다 (새 이벤트 제외)
+ */
+function previewNextTurn() {
+  if (autoplayActive || currentPhase !== PHASE.PLAYER_PHASE) return;
+  if (!checkBudgetTotal()) return;
+
+  turnPreview = projectTurn(gameState, collectPlayerActions(), adjacency, { rngState: rng.getState() });
+  showPreviewOnMap(turnPreview);
+  setDashboardPreview(turnPreview);
+
+  const d = turnPreview.district;
+  const signed = (v, digits = 0) => `${v > 0 ? '+' : ''}${Number(v.toFixed(digits)).toLocaleString()}`;
+  const votes = turnPreview.votes.length ? ` · 구의회: ${turnPreview.votes.join(', ')}` : '';
+  addMessage('advisor', `[미리보기] 지금 결정대로면 ${turnPreview.turn}턴에 인구 ${signed(d.population.delta)}명, 사업체 ${signed(d.businesses.delta)}개, 평균 만족도 ${signed(d.satisfaction.delta, 1)}, 재정자립도 ${signed(d.fiscalIndependence.delta, 1)}%p${votes} (새 이벤트 제외). 결정을 바꾸면 다시 눌러 확인하세요.`);
+}
+
+function clearTurnPreview() {
+  if (!turnPreview) return;
+  turnPreview = null;
+  showPreviewOnMap(null);
+  setDashboardPreview(null);
+}
+
+function endTurn() {
+  if (currentPhase !== PHASE.PLAYER_PHASE) return;
+
+  // Validate budget total before proceeding
+  if (!checkBudgetTotal()) return;
 
   currentPhase = PHASE.TURN_END;
 
   // Collect player actions
-  const eventChoice = getEventChoice();
-  lastTurnActions = {
-    budget: budgetAlloc,
-    policies: getSelectedPolicies(),
-    eventChoice: eventChoice,
-  };
+  lastTurnActions = collectPlayerActions();
+  const eventChoice = lastTurnActions.eventChoice;
 
   // Add event choice to active events for effect tracking
   if (eventChoice) {
@@ -209,66 +418,70 @@ function endTurn() {
   }
 
   // Save history snapshot
-  const totalPop = gameState.dongs.reduce((s, d) => s + d.population, 0);
-  const avgSat = Math.round(gameState.dongs.reduce((s, d) => s + d.satisfaction, 0) / gameState.dongs.length);
-  gameState.history.push({
-    turn: gameState.meta.turn,
-    totalPopulation: totalPop,
-    avgSatisfaction: avgSat,
-    fiscalIndependence: gameState.finance.fiscalIndependence,
-    dongs: gameState.dongs.map(d => ({
-      id: d.id,
-      population: d.population,
-      satisfaction: d.satisfaction,
-      businesses: d.businesses,
-    })),
-  });
+  const snapshot = historySnapshot(gameState);
+  gameState.history.push(snapshot);
 
   // Log turn actions for result export
   turnLog.push({
     turn: gameState.meta.turn,
+    term: gameState.meta.term || 1,
     aiAction: {
       budget: lastTurnActions.budget,
+      fiscal: lastTurnActions.fiscal,
       policies: {
         activate: lastTurnActions.policies.map(p => p.id),
-        deactivate: [],
+        deactivate: getCancelledPolicies(),
       },
       eventChoice: eventChoice?.choiceId || null,
+      constructions: lastTurnActions.constructions.map(c => ({ facilityId: c.facility.id, blockId: c.blockId })),
     },
     aiReasoning: autoplayActive ? getLastAIReasoning() : '',
     stateSnapshot: {
-      totalPop: totalPop,
-      avgSat: avgSat,
+      totalPop: snapshot.totalPopulation,
+      avgSat: snapshot.avgSatisfaction,
       fiscalIndependence: gameState.finance.fiscalIndependence,
       freeBudget: gameState.finance.freeBudget,
       activePolicies: (gameState.activePolicies || []).map(ap => ap.policy.id),
     },
-    event: eventChoice ? { id: eventChoice.eventId, choiceId: eventChoice.choiceId } : null,
+    // 선택하지 않은 이벤트도 기록 (리플레이 검증용)
+    event: getCurrentEvent() ? { id: getCurrentEvent().id, choiceId: eventChoice?.choiceId || null } : null,
     mode: autoplayActive ? 'auto' : 'manual',
   });
 
   // Advance turn
-  gameState.meta.turn++;
-  gameState.meta.month = ((gameState.meta.turn - 1) % 12) + 1;
-  gameState.meta.year = 2026 + Math.floor((gameState.meta.turn - 1) / 12);
+  setTurn(gameState, gameState.meta.turn + 1);
 
   // Check game end
-  if (gameState.meta.turn > 48) {
+  if (gameState.meta.turn > getTotalTurns(gameState)) {
     showGameEnd();
     return;
   }
 
   // Next turn
   startTurn();
+
+  // Autosave (다음 턴의 플레이어 단계 상태)
+  autosave();
 }
 
-function updateTurnDisplay() {
-  const turn = gameState.meta.turn;
-  const year = gameState.meta.year;
-  const month = gameState.meta.month;
+/**
+ * 시작 화면 시드 입력 기본값 — URL의 ?seed= 로 공유된 시드
+ */
+function initialSeedInput() {
+  const seed = parseSeed(new URLSearchParams(location.search).get('seed'));
+  return seed === null ? '' : String(seed);
+}
 
-  document.getElementById('turn-label').textContent = `턴 ${turn}/48`;
-  document.getElementById('turn-date').textContent = `${year}년 ${month}월`;
+function updateSeedDisplay() {
+  const el = document.getElementById('seed-info');
+  if (!el) return;
+  el.textContent = `시드 ${gameState.meta.seed}`;
+  el.title = `같은 시드로 시작하면 같은 이벤트가 발생합니다 (?seed=${gameState.meta.seed})`;
+}
+
+function updateTurnDisplay() {
+  document.getElementById('turn-label').textContent = `턴 ${gameState.meta.turn}/${getTotalTurns(gameState)}`;
+  document.getElementById('turn-date').textContent = formatTurnDate(gameState);
 }
 
 // === Game End ===
@@ -279,8 +492,12 @@ function showGameEnd() {
   const content = document.getElementById('modal-content');
 
   const result = calcFinalScore(gameState);
+  const election = recordElection(gameState, simulateElection(gameState));
+  const scenarioResult = evaluateScenario(gameState);
+  const eventChains = formatEventChains(gameState);
+  const term = gameState.meta.term || 1;
   const gradeLabels = {
-    S: '재선 확정', A: '유능한 구청장', B: '무난한 임기',
+    S: '탁월한 임기', A: '유능한 구청장', B: '무난한 임기',
     C: '아쉬운 성과', D: '위기의 마포구', F: '주민소환',
   };
 
@@ -303,8 +520,16 @@ function showGameEnd() {
     </div>
   `).join('');
 
+  // Election — 득표율 상·하위 동
+  const dongsByShare = [...election.byDong].sort((a, b) => b.voteShare - a.voteShare);
+  const dongShare = d => `${d.name} ${(d.voteShare * 100).toFixed(1)}%`;
+  const nextTerm = canStartNextTerm(gameState);
+  const electionNote = election.reelected
+    ? (nextTerm ? `${term + 1}기 임기를 이어갈 수 있습니다.` : `연임 제한(${MAX_TERMS}기)으로 이번이 마지막 임기입니다.`)
+    : '구청장직을 내려놓게 되었습니다.';
+
   content.innerHTML = `
-    <div class="modal-title">마포구 4년 성적표</div>
+    <div class="modal-title">마포구 ${term > 1 ? `${term}기 ` : ''}${getCalendar(gameState).termYears}년 성적표</div>
     <div class="modal-subtitle">${gameState.meta.playerName} 구청장님의 임기가 끝났습니다</div>
 
     <div class="grade-display">
@@ -328,6 +553,27 @@ function showGameEnd() {
       <div class="pledge-results">${pledgeHtml}</div>
     </div>` : ''}
 
+    ${scenarioResult ? `
+    <div class="report-section">
+      <div class="report-section-title">시나리오 목표 — ${scenarioResult.name}</div>
+      <div class="election-result election-${scenarioResult.cleared ? 'won' : 'lost'}">${scenarioResult.cleared ? '달성' : '실패'}</div>
+      ${scenarioResult.conditions.map(c => `<div class="election-detail">${c.met ? '✓' : '✗'} ${c.label} — ${c.detail}</div>`).join('')}
+    </div>` : ''}
+
+    ${eventChains.length > 0 ? `
+    <div class="report-section">
+      <div class="report-section-title">이벤트 연쇄</div>
+      ${eventChains.map(c => `<div class="election-detail">${c}</div>`).join('')}
+    </div>` : ''}
+
+    <div class="report-section">
+      <div class="report-section-title">구청장 선거</div>
+      <div class="election-result election-${election.reelected ? 'won' : 'lost'}">${formatElection(election)}</div>
+      <div class="election-detail">강세 ${dongsByShare.slice(0, 3).map(dongShare).join(' · ')}</div>
+      <div class="election-detail">약세 ${dongsByShare.slice(-3).reverse().map(dongShare).join(' · ')}</div>
+      <div class="election-detail">${electionNote} 동별 득표율은 지도에서 볼 수 있습니다.</div>
+    </div>
+
     <div class="report-section">
       <div class="report-section-title">AI 자문관 리뷰</div>
       <div class="ai-review" id="ai-review-content">리뷰 생성 중...</div>
@@ -335,22 +581,42 @@ function showGameEnd() {
 
     <div style="display:flex;gap:8px;margin-top:8px">
       <button class="modal-btn" id="btn-download-result" style="background:var(--success);flex:1">결과 JSON 다운로드</button>
+      ${nextTerm ? `<button class="modal-btn" id="btn-next-term" style="flex:1">${term + 1}기 임기 시작</button>` : ''}
       <button class="modal-btn" onclick="location.reload()" style="flex:1">다시 플레이</button>
     </div>
   `;
 
   modal.classList.add('active');
+  showElectionOnMap(gameState);
+
+  document.getElementById('btn-next-term')?.addEventListener('click', () => {
+    modal.classList.remove('active');
+    beginNextTerm();
+  });
 
   // Download result button
   document.getElementById('btn-download-result')?.addEventListener('click', () => {
-    downloadResult(gameState, result);
+    downloadResult(gameState, result, scenarioResult);
   });
 
   // Generate AI review asynchronously
-  generateGameReview(gameState, result);
+  generateGameReview(gameState, result, election, scenarioResult);
+}
+
+/**
+ * 재선 후 다음 임기 — 새 공약을 고르고 턴을 이어간다 (공약 진행률 기준은 새 임기 시작 상태)
+ */
+function beginNextTerm() {
+  showPledgeSelection((pledges) => {
+    startNextTerm(gameState, pledges);
+    initPledgeBar(gameState.meta.pledges, gameState);
+    addMessage('advisor', `${gameState.meta.term}기 임기가 시작되었습니다. ${getTotalTurns(gameState)}턴까지 새 공약을 달성하세요.`);
+    startTurn();
+    autosave();
+  }, (gameState.meta.term || 1) + 1, gameState);
 }
 
-async function generateGameReview(state, result) {
+async function generateGameReview(state, result, election, scenarioResult = null) {
   const reviewEl = document.getElementById('ai-review-content');
   if (!reviewEl) return;
 
@@ -365,7 +631,7 @@ async function generateGameReview(state, result) {
     const { buildAdvisorContext } = await import('./advisor.js');
     const context = typeof buildAdvisorContext === 'function' ? buildAdvisorContext(state) : '';
 
-    const prompt = `구청장님의 4년 임기가 끝났습니다. 아래 결과를 바탕으로 총평을 작성하세요.
+    const prompt = `구청장님의 ${state.meta.term > 1 ? `${state.meta.term}기 ` : ''}${getCalendar(state).termYears}년 임기가 끝났습니다. 아래 결과를 바탕으로 총평을 작성하세요.
 
 ${context}
 
@@ -374,8 +640,10 @@ ${context}
 총점: ${result.total}/100
 KPI: ${kpiText}
 공약: ${pledgeText}
+선거: ${formatElection(election)}${scenarioResult ? `
+시나리오 ${scenarioResult.name}: ${scenarioResult.cleared ? '달성' : '실패'} (${scenarioResult.conditions.map(c => c.detail).join(', ')})` : ''}
 
-3~4문장으로 구청장님의 강점, 아쉬운 점, 그리고 "다음 임기에는..." 제안을 써 주세요.`;
+3~4문장으로 구청장님의 강점, 아쉬운 점, 그리고 "다음 임기에는..." 제안을 써 주세요.${state.eventLog?.some(e => e.from) ? '\n[이벤트 연쇄]에서 앞선 선택이 어떤 후속 사건으로 이어졌는지도 한 문장으로 짚어 주세요.' : ''}`;
 
     const review = await callAdvisorForReview(prompt);
     reviewEl.textContent = review || getDefaultReview(result);
@@ -409,7 +677,7 @@ function getDefaultReview(result) {
 }
 
 // === Result Export ===
-function downloadResult(state, result) {
+function downloadResult(state, result, scenarioResult = null) {
   const durationMs = Date.now() - gameStartTime;
   const autoTurns = turnLog.filter(t => t.mode === 'auto').length;
   const manualTurns = turnLog.filter(t => t.mode === 'manual').length;
@@ -419,7 +687,12 @@ function downloadResult(state, result) {
     source: 'browser',
     provider: localStorage.getItem('ai-mapo-backend') || 'mock',
     playerName: state.meta.playerName,
+    seed: state.meta.seed,
+    calendar: state.meta.calendar,
+    scenario: state.scenario?.id || null,
     pledges: state.meta.pledges,
+    term: state.meta.term || 1,
+    elections: state.elections || [],
     mode: autoTurns > 0 && manualTurns > 0 ? 'mixed' : autoTurns > 0 ? 'auto' : 'manual',
     autoTurns,
     manualTurns,
@@ -429,6 +702,8 @@ function downloadResult(state, result) {
     kpiTotal: result.kpiTotal,
     pledgeResults: result.pledgeResults,
     pledgeTotal: result.pledgeTotal,
+    scenarioResult,
+    eventChains: describeEventChains(state),
     turnLog,
     durationMs,
   };
@@ -2,11 +2,15 @@
  * map.js — 마포구 SVG 맵 렌더링, 색상 코딩, 호버/클릭 인터랙션
  */
 
+import { getCommuteLinks, EXTERNAL, getAccessibility } from './engine/index.js';
+
 let mapContainer = null;
 let tooltipEl = null;
 let selectedDongId = null;
 let currentIndicator = 'satisfaction';
 let gameState = null;
+let showTransit = false;
+let preview = null; // 다음 턴 예상 (projectTurn 결과) — 예상 변화 지표와 동 상세에 표시
 
 // Zoom & pan state
 let svgEl = null;
@@ -28,7 +32,31 @@ const INDICATOR_CONFIG = {
   populationChange: { label: '인구변화율', unit: '%', reverse: false, format: v => (v >= 0 ? '+' : '') + v.toFixed(1) + '%' },
   commerceVitality: { label: '상권활력', unit: '', reverse: false, format: v => Math.round(v) },
   rentPressure: { label: '임대료압력', unit: '', reverse: true, format: v => v.toFixed(2) },
+  accessibility: { label: '교통접근성', unit: '', reverse: false, format: v => v.toFixed(1) },
+  approval: { label: '지지율', unit: '%', reverse: false, format: v => v.toFixed(1) + '%' },
+  voteShare: { label: '득표율', unit: '%', reverse: false, format: v => v.toFixed(1) + '%' },
+  // 다음 턴 예상 변화 — 0(변화 없음)을 가운데 색으로
+  previewPopulation: { label: '예상 인구 변화', unit: '명', diverging: true, format: v => signed(Math.round(v).toLocaleString(), v) + '명' },
+  previewBusinesses: { label: '예상 사업체 변화', unit: '개', diverging: true, format: v => signed(Math.round(v).toLocaleString(), v) + '개' },
+  previewSatisfaction: { label: '예상 만족도 변화', unit: '', diverging: true, format: v => signed(v.toFixed(1), v) },
+};
+
+// 예상 변화 지표 → projectTurn 동별 지표
+const PREVIEW_INDICATORS = {
+  previewPopulation: 'population',
+  previewBusinesses: 'businesses',
+  previewSatisfaction: 'satisfaction',
+};
+
+// 노선 색 (서울 지하철 표준색)
+const LINE_COLORS = {
+  '2호선': '#33a23d',
+  '5호선': '#996cac',
+  '6호선': '#cd7c2f',
+  '경의중앙선': '#77c4a3',
+  '공항철도': '#0090d2',
 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 export async function initMap(containerEl, state) {
   mapContainer = containerEl;
@@ -63,6 +91,15 @@ export async function initMap(containerEl, state) {
     });
   }
 
+  // Transit layer toggle
+  const transitToggle = document.getElementById('map-transit');
+  if (transitToggle) {
+    transitToggle.addEventListener('change', (e) => {
+      showTransit = e.target.checked;
+      renderTransitLayer();
+    });
+  }
+
   // Initial coloring
   updateMapColors(state.dongs, currentIndicator);
   renderLegend(currentIndicator);
@@ -156,6 +193,7 @@ export function updateMapColors(dongs, indicator) {
   const min = Math.min(...validValues);
   const max = Math.max(...validValues);
   const range = max - min || 1;
+  const maxAbs = Math.max(...validValues.map(Math.abs)) || 1;
 
   // Assign color levels
   dongs.forEach((dong, i) => {
@@ -168,8 +206,10 @@ export function updateMapColors(dongs, indicator) {
     const val = values[i];
     if (val === null) return;
 
-    // Normalize to 0-4 (5 levels)
-    let normalized = Math.floor(((val - min) / range) * 4.99);
+    // Normalize to 0-4 (5 levels) — 증감 지표는 가장 큰 변화 폭 기준으로 0을 가운데(2)에
+    let normalized = config.diverging
+      ? Math.round(2 + (val / maxAbs) * 2)
+      : Math.floor(((val - min) / range) * 4.99);
     normalized = Math.max(0, Math.min(4, normalized));
 
     // Reverse for "bad = high" indicators (like rent pressure)
@@ -179,9 +219,13 @@ export function updateMapColors(dongs, indicator) {
   });
 
   renderLegend(indicator);
+  renderTransitLayer();
 }
 
 function getIndicatorValue(dong, indicator) {
+  if (PREVIEW_INDICATORS[indicator]) {
+    return preview?.dongs.find(d => d.id === dong.id)?.metrics[PREVIEW_INDICATORS[indicator]].delta ?? null;
+  }
   switch (indicator) {
     case 'satisfaction': return dong.satisfaction;
     case 'populationChange': {
@@ -194,25 +238,131 @@ function getIndicatorValue(dong, indicator) {
     }
     case 'commerceVitality': return dong.commerceVitality;
     case 'rentPressure': return dong.rentPressure;
+    case 'accessibility': return getAccessibility(dong);
+    case 'approval': return dong.approval ?? null;
+    case 'voteShare': {
+      const result = lastElectionResult(dong.id);
+      return result ? result.voteShare * 100 : null;
+    }
     default: return null;
   }
 }
 
+/**
+ * 임기 말 선거 결과를 지도에 표시 — 득표율 지표를 추가하고 선택
+ */
+export function showElectionOnMap(state) {
+  gameState = state;
+  const select = document.getElementById('map-indicator');
+  if (select && !select.querySelector('option[value="voteShare"]')) {
+    select.insertAdjacentHTML('beforeend', `<option value="voteShare">${INDICATOR_CONFIG.voteShare.label}</option>`);
+  }
+  if (select) select.value = 'voteShare';
+  updateMapColors(state.dongs, 'voteShare');
+}
+
+/**
+ * 다음 턴 예상을 지도에 표시 — 예상 변화 지표를 추가하고 선택 (null이면 지표를 빼고 만족도로 되돌림)
+ * @param {Object|null} projection - projectTurn() 결과
+ */
+export function showPreviewOnMap(projection) {
+  preview = projection;
+  const select = document.getElementById('map-indicator');
+  for (const [key, config] of Object.entries(INDICATOR_CONFIG)) {
+    if (!PREVIEW_INDICATORS[key] || !select) continue;
+    const option = select.querySelector(`option[value="${key}"]`);
+    if (!projection) option?.remove();
+    else if (!option) select.insertAdjacentHTML('beforeend', `<option value="${key}">${config.label}</option>`);
+  }
+
+  const previewing = !!PREVIEW_INDICATORS[currentIndicator];
+  const indicator = projection
+    ? (previewing ? currentIndicator : 'previewSatisfaction')
+    : (previewing ? 'satisfaction' : currentIndicator);
+  if (select) select.value = indicator;
+  if (gameState) updateMapColors(gameState.dongs, indicator);
+  if (selectedDongId) showDongDetail(selectedDongId);
+}
+
+function lastElectionResult(dongId) {
+  const elections = gameState?.elections || [];
+  return elections[elections.length - 1]?.byDong.find(d => d.id === dongId) || null;
+}
+
 function renderLegend(indicator) {
   const legendEl = document.getElementById('map-legend');
   if (!legendEl) return;
   const config = INDICATOR_CONFIG[indicator];
   if (!config) return;
 
-  const labels = config.reverse
-    ? ['높음', '', '보통', '', '낮음']
-    : ['낮음', '', '보통', '', '높음'];
+  const labels = config.diverging
+    ? ['감소', '', '변화 없음', '', '증가']
+    : config.reverse
+      ? ['높음', '', '보통', '', '낮음']
+      : ['낮음', '', '보통', '', '높음'];
 
   legendEl.innerHTML = COLOR_CLASSES.map((cls, i) =>
     `<span class="legend-item"><span class="legend-color" style="background:var(--${cls})"></span>${labels[i]}</span>`
   ).join('');
 }
 
+// === Transit Layer ===
+// 역은 소재 동 라벨 아래에 놓고, 한 동에 역이 여럿이면 가로로 벌린다
+function renderTransitLayer() {
+  if (!svgEl) return;
+  svgEl.querySelector('#transit-layer')?.remove();
+  const transit = gameState?.transit;
+  if (!showTransit || !transit?.stations) return;
+
+  const labelPos = {};
+  svgEl.querySelectorAll('.dong-label').forEach(el => {
+    labelPos[el.textContent.trim()] = { x: +el.getAttribute('x'), y: +el.getAttribute('y') };
+  });
+  const byDong = {};
+  for (const [name, st] of Object.entries(transit.stations)) {
+    (byDong[st.dongId] ||= []).push(name);
+  }
+  const pos = {};
+  for (const [dongId, names] of Object.entries(byDong)) {
+    const label = labelPos[gameState.dongs.find(d => d.id === dongId)?.name];
+    if (!label) continue;
+    names.forEach((name, i) => {
+      pos[name] = { x: label.x + (i - (names.length - 1) / 2) * 16, y: label.y + 12 };
+    });
+  }
+
+  const layer = document.createElementNS(SVG_NS, 'g');
+  layer.id = 'transit-layer';
+
+  // 같은 구간을 지나는 노선이 겹치지 않게 노선마다 조금씩 어긋나게 그린다
+  Object.entries(transit.lines).forEach(([line, info], li) => {
+    const shift = (li - 2) * 1.5;
+    const points = info.stations.filter(n => pos[n]).map(n => `${pos[n].x + shift},${pos[n].y + shift}`);
+    if (points.length < 2) return;
+    const el = document.createElementNS(SVG_NS, 'polyline');
+    el.setAttribute('points', points.join(' '));
+    el.setAttribute('class', 'transit-line' + (info.load > 1 ? ' overloaded' : ''));
+    el.style.stroke = LINE_COLORS[line] || '#64748b';
+    layer.appendChild(el);
+  });
+
+  for (const [name, st] of Object.entries(transit.stations)) {
+    if (!pos[name]) continue;
+    const el = document.createElementNS(SVG_NS, 'circle');
+    el.setAttribute('cx', pos[name].x);
+    el.setAttribute('cy', pos[name].y);
+    el.setAttribute('r', (2 + Math.sqrt(st.ridership / 10000) * 1.5).toFixed(1));
+    el.setAttribute('class', 'transit-station');
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${name}역 (${st.lines.join('·')})\n일 이용객 ${st.ridership.toLocaleString()}명\n`
+      + st.lines.map(l => `${l} 부하 ${transit.lines[l].load.toFixed(2)}`).join('\n');
+    el.appendChild(title);
+    layer.appendChild(el);
+  }
+
+  svgEl.appendChild(layer);
+}
+
 function onDongHover(e) {
   const dongId = e.target.dataset.dongId;
   const dong = gameState?.dongs?.find(d => d.id === dongId);
@@ -286,12 +436,15 @@ function showDongDetail(dongId) {
     <div class="detail-dong-name">${dong.name}</div>
     <div class="detail-character">${getDongCharacter(dong)}</div>
 
+    ${formatPreviewSection(dong.id)}
+
     <div class="detail-section">
       <h3>인구</h3>
       <div class="detail-stat"><span>총인구</span><span class="detail-stat-value">${dong.population.toLocaleString()}명</span></div>
       <div class="detail-stat"><span>세대수</span><span class="detail-stat-value">${dong.households.toLocaleString()}</span></div>
       <div class="detail-stat"><span>청년(20-34)</span><span class="detail-stat-value">${dong.populationByAge.youth.toLocaleString()}명 (${(dong.populationByAge.youth / dong.population * 100).toFixed(1)}%)</span></div>
       <div class="detail-stat"><span>고령(65+)</span><span class="detail-stat-value">${dong.populationByAge.elderly.toLocaleString()}명 (${(dong.populationByAge.elderly / dong.population * 100).toFixed(1)}%)</span></div>
+      ${dong.vitals ? `<div class="detail-stat"><span>출생 / 사망 (분기)</span><span class="detail-stat-value">${dong.vitals.births} / ${dong.vitals.deaths}</span></div>` : ''}
     </div>
 
     <div class="detail-section">
@@ -303,13 +456,43 @@ function showDongDetail(dongId) {
       <div class="detail-stat"><span>상권특색</span><span class="detail-stat-value">${dong.commerceCharacter}</span></div>
     </div>
 
+    ${dong.landValue && dong.housing ? `
+    <div class="detail-section">
+      <h3>토지·주거</h3>
+      <div class="detail-stat"><span>공시지가</span><span class="detail-stat-value">${dong.landValue.avgPerSqm.toLocaleString()}만원/㎡ (${dong.landValue.index.toFixed(2)}x)</span></div>
+      <div class="detail-stat"><span>주택</span><span class="detail-stat-value">${formatUnits(dong.housing.units)}</span></div>
+      <div class="detail-stat"><span>평균 월세</span><span class="detail-stat-value">${dong.housing.avgRent ?? '-'}만원</span></div>
+      <div class="detail-stat"><span>공가율</span><span class="detail-stat-value">${(dong.housing.vacancyRate * 100).toFixed(1)}%</span></div>
+      ${dong.housing.displacedTotal ? `<div class="detail-stat"><span>재개발 이주</span><span class="detail-stat-value">${dong.housing.displacedTotal.toLocaleString()}명${dong.housing.displaced ? ` (이번 턴 ${dong.housing.displaced.toLocaleString()})` : ''}</span></div>` : ''}
+      <div class="detail-stat"><span>저층 건물(1~2층)</span><span class="detail-stat-value">${dong.buildingStock ? Math.round(dong.buildingStock.lowRiseRatio * 100) + '%' : '-'}</span></div>
+      <div class="detail-stat"><span>간선도로 밀도</span><span class="detail-stat-value">${dong.roadDensity ?? '-'}</span></div>
+    </div>` : ''}
+
     <div class="detail-section">
       <h3>생활인구</h3>
       <div class="detail-stat"><span>평일 낮</span><span class="detail-stat-value">${dong.livingPop.weekdayDay.toLocaleString()}</span></div>
       <div class="detail-stat"><span>평일 밤</span><span class="detail-stat-value">${dong.livingPop.weekdayNight.toLocaleString()}</span></div>
       <div class="detail-stat"><span>낮/주민 배수</span><span class="detail-stat-value">${(dong.livingPop.weekdayDay / dong.population).toFixed(2)}x</span></div>
+      ${dong.commute ? `
+      <div class="detail-stat"><span>통근 유입/유출</span><span class="detail-stat-value">${dong.commute.inbound.toLocaleString()} / ${dong.commute.outbound.toLocaleString()}</span></div>
+      <div class="detail-stat"><span>주요 출발지</span><span class="detail-stat-value">${formatCommuteOrigins(dong.id)}</span></div>
+      <div class="detail-stat"><span>통근 혼잡도</span><span class="detail-stat-value">${dong.commute.congestion.toFixed(2)}</span></div>` : ''}
     </div>
 
+    ${dong.accessibility !== undefined ? `
+    <div class="detail-section">
+      <h3>지하철</h3>
+      <div class="detail-stat"><span>교통접근성</span><span class="detail-stat-value">${dong.accessibility.toFixed(1)} (구 평균 ${avgAccessibility().toFixed(1)})</span></div>
+      <div class="detail-stat"><span>동 내 역</span><span class="detail-stat-value">${formatStations(dong.id)}</span></div>
+    </div>` : ''}
+
+    ${dong.approval !== undefined ? `
+    <div class="detail-section">
+      <h3>여론</h3>
+      <div class="detail-stat"><span>지지율</span><span class="detail-stat-value">${dong.approval.toFixed(1)}%</span></div>
+      ${lastElectionResult(dong.id) ? `<div class="detail-stat"><span>득표율 / 투표율</span><span class="detail-stat-value">${(lastElectionResult(dong.id).voteShare * 100).toFixed(1)}% / ${(lastElectionResult(dong.id).turnout * 100).toFixed(1)}%</span></div>` : ''}
+    </div>` : ''}
+
     <div class="detail-section">
       <h3>만족도 ${dong.satisfaction}</h3>
       ${Object.entries(dong.satisfactionFactors).map(([k, v]) =>
@@ -321,12 +504,41 @@ function showDongDetail(dongId) {
       <h3>구획</h3>
       <div class="detail-stat"><span>구획 수</span><span class="detail-stat-value">${dong.blockSummary.total}개</span></div>
       <div class="detail-stat"><span>용도갈등</span><span class="detail-stat-value">${dong.blockSummary.zoningConflicts}개</span></div>
+      ${(dong.blocks || []).map(b => `
+        <div class="detail-block ${b.zoningConflict ? 'conflict' : ''}">
+          <span class="detail-block-name" title="${b.traits?.join(', ') || ''}">${b.name}</span>
+          <span class="detail-block-stats">사업체 ${Math.round(b.businesses ?? 0).toLocaleString()} · 임대료 ${(b.rentPressure ?? 0).toFixed(3)} · 만족 ${b.satisfaction ?? '-'}</span>
+        </div>`).join('')}
     </div>
   `;
 
   panel.classList.remove('hidden');
 }
 
+// 동 상세의 다음 턴 예상 (미리보기 중일 때만)
+function formatPreviewSection(dongId) {
+  const metrics = preview?.dongs.find(d => d.id === dongId)?.metrics;
+  if (!metrics) return '';
+  const row = (label, m, format, unit = '') => {
+    const cls = m.delta > 0 ? 'delta-up' : m.delta < 0 ? 'delta-down' : '';
+    const deltaUnit = unit === '%' ? '%p' : unit;
+    return `<div class="detail-stat"><span>${label}</span><span class="detail-stat-value ${cls}">${format(m.projected)}${unit} (${signed(format(m.delta), m.delta)}${deltaUnit})</span></div>`;
+  };
+  return `
+    <div class="detail-section detail-preview">
+      <h3>다음 턴 예상 (${preview.turn}턴)</h3>
+      ${row('인구', metrics.population, v => Math.round(v).toLocaleString(), '명')}
+      ${row('사업체', metrics.businesses, v => Math.round(v).toLocaleString(), '개')}
+      ${row('만족도', metrics.satisfaction, v => v.toFixed(1))}
+      ${row('지지율', metrics.approval, v => v.toFixed(1), '%')}
+    </div>`;
+}
+
+// 변화량 표시 — 양수에 + 부호
+function signed(text, v) {
+  return v > 0 ? `+${text}` : `${text}`;
+}
+
 function hideDongDetail() {
   const panel = document.getElementById('dong-detail');
   if (panel) panel.classList.add('hidden');
@@ -346,6 +558,27 @@ function getDongCharacter(dong) {
   return chars[dong.id] || '';
 }
 
+function formatCommuteOrigins(dongId) {
+  return getCommuteLinks(gameState, dongId, 'in').slice(0, 2)
+    .map(l => `${l.from === EXTERNAL ? '구 밖' : gameState.dongs.find(d => d.id === l.from)?.name} ${l.flow.toLocaleString()}`)
+    .join(' · ');
+}
+
+function avgAccessibility() {
+  return gameState.dongs.reduce((s, d) => s + getAccessibility(d), 0) / gameState.dongs.length;
+}
+
+function formatStations(dongId) {
+  const stations = Object.entries(gameState.transit?.stations || {}).filter(([, st]) => st.dongId === dongId);
+  if (stations.length === 0) return '없음 (인접 동 역 이용)';
+  return stations.map(([name, st]) => `${name} ${st.ridership.toLocaleString()}명/일`).join(' · ');
+}
+
+function formatUnits(units) {
+  const total = Object.values(units).reduce((s, v) => s + v, 0);
+  return `${total.toLocaleString()}호 (아파트 ${units.apt.toLocaleString()} · 빌라 ${units.villa.toLocaleString()} · 원룸 ${units.oneRoom.toLocaleString()} · 공공 ${units.public.toLocaleString()})`;
+}
+
 function getSatisfactionLabel(key) {
   const labels = {
     economy: '경제', transport: '교통', housing: '주거',
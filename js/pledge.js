@@ -1,22 +1,29 @@
 /**
  * pledge.js — 공약 선택 + 추적 UI
+ * 공약 정의/점수 로직은 engine/pledges.js (공유 엔진)
  */
 
-const PLEDGES = [
-  { id: 'population_rebound', name: '인구 반등', desc: '인구 감소율 5% 이내 억제', difficulty: 3 },
-  { id: 'youth_settlement', name: '청년 정착', desc: '청년(20-34) 비율 1%p 상승', difficulty: 2 },
-  { id: 'tourism_coexist', name: '관광 상생', desc: '서교·합정·연남 만족도 >= 65 AND 상권활력 >= 60', difficulty: 3 },
-  { id: 'elderly_care', name: '고령 돌봄', desc: '65+ 만족도 구 평균 >= 60', difficulty: 2 },
-  { id: 'fiscal_health', name: '재정 건전', desc: '재정자립도 35% 달성', difficulty: 3 },
-  { id: 'commerce_diversity', name: '상권 다양성', desc: '상권특색 구 평균 >= 80', difficulty: 2 },
-  { id: 'transport_improve', name: '교통 개선', desc: '교통 만족도 구 평균 >= 65', difficulty: 1 },
-  { id: 'green_mapo', name: '녹색 마포', desc: '환경 만족도 구 평균 >= 65', difficulty: 1 },
-];
+import {
+  PLEDGES,
+  getPledgeCatalog,
+  findPledge,
+  getCalendar,
+  evaluateScenario as evaluateScenarioGoals,
+  calcProgress as calcPledgeProgress,
+  checkAchieved as checkPledgeAchieved,
+  calcFinalScore as calcPledgeFinalScore,
+  simulateElection as simulateTermElection,
+} from './engine/index.js';
 
 let selectedPledges = [];
 let initialState = null;
 
-export function showPledgeSelection(onComplete) {
+/**
+ * @param {Function} onComplete - (pledgeIds) => void
+ * @param {number} [term] - 임기 (재선 후 2기부터 제목에 표시)
+ * @param {Object} [state] - 게임 상태 (시나리오 공약 후보·임기 길이)
+ */
+export function showPledgeSelection(onComplete, term = 1, state = null) {
   const modal = document.getElementById('modal-overlay');
   const content = document.getElementById('modal-content');
   if (!modal || !content) return;
@@ -24,8 +31,8 @@ export function showPledgeSelection(onComplete) {
   selectedPledges = [];
 
   content.innerHTML = `
-    <div class="modal-title">공약 선택</div>
-    <div class="modal-subtitle">4년 임기 동안 달성할 공약 1~4개를 선택하세요</div>
+    <div class="modal-title">${term > 1 ? `${term}기 ` : ''}공약 선택</div>
+    <div class="modal-subtitle">${term > 1 ? '재선을 축하합니다! 새 ' : ''}${getCalendar(state).termYears}년 임기 동안 달성할 공약 1~4개를 선택하세요</div>
     <div class="pledge-grid" id="pledge-options"></div>
     <div style="text-align:center;margin-bottom:12px;font-size:12px;color:var(--text-muted)">
       선택: <span id="pledge-count">0</span>/4
@@ -34,7 +41,7 @@ export function showPledgeSelection(onComplete) {
   `;
 
   const optionsEl = document.getElementById('pledge-options');
-  PLEDGES.forEach(p => {
+  getPledgeCatalog(state).forEach(p => {
     const div = document.createElement('div');
     div.className = 'pledge-option';
     div.dataset.id = p.id;
@@ -81,17 +88,28 @@ function togglePledge(id, el) {
   });
 }
 
-export function initPledgeBar(pledgeIds, state) {
-  initialState = JSON.parse(JSON.stringify(state));
+/**
+ * 공약 바 초기화
+ * @param {Object|null} baseline - 불러오기 시 저장된 임기 시작 상태 (없으면 현재 상태 기준)
+ */
+export function initPledgeBar(pledgeIds, state, baseline = null) {
+  initialState = JSON.parse(JSON.stringify(baseline || state));
   renderPledgeBar(pledgeIds, state);
 }
 
+/**
+ * 공약 진행률 기준 상태 (저장용)
+ */
+export function getPledgeBaseline() {
+  return initialState;
+}
+
 export function renderPledgeBar(pledgeIds, state) {
   const bar = document.getElementById('pledge-bar');
   if (!bar) return;
 
   bar.innerHTML = pledgeIds.map(id => {
-    const pledge = PLEDGES.find(p => p.id === id);
+    const pledge = findPledge(state, id);
     if (!pledge) return '';
     const progress = calcProgress(id, state);
     return `
@@ -106,152 +124,33 @@ export function renderPledgeBar(pledgeIds, state) {
   }).join('');
 }
 
-export { PLEDGES };
+export { PLEDGES, findPledge };
 
+/**
+ * 공약 진행률 — 임기 시작 상태(initPledgeBar 시점) 기준
+ */
 export function calcProgress(pledgeId, state) {
-  if (!initialState) return 0;
-
-  const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
-  const initialPop = initialState.dongs.reduce((s, d) => s + d.population, 0);
-
-  switch (pledgeId) {
-    case 'population_rebound': {
-      // 감소율 5% 이내 = 95% 이상 유지하면 달성
-      const ratio = totalPop / initialPop;
-      return Math.min(100, (ratio / 0.95) * 100);
-    }
-
-    case 'youth_settlement': {
-      const currentYouth = state.dongs.reduce((s, d) => s + d.populationByAge.youth, 0) / totalPop * 100;
-      const initialYouth = initialState.dongs.reduce((s, d) => s + d.populationByAge.youth, 0) / initialPop * 100;
-      return Math.min(100, ((currentYouth - initialYouth) / 1.0) * 100);
-    }
-
-    case 'tourism_coexist': {
-      const targets = ['seogyo', 'hapjeong', 'yeonnam'];
-      const satOk = targets.every(id => (state.dongs.find(d => d.id === id)?.satisfaction || 0) >= 65);
-      const vitOk = targets.every(id => (state.dongs.find(d => d.id === id)?.commerceVitality || 0) >= 60);
-      const satProg = targets.reduce((s, id) => s + Math.min(100, (state.dongs.find(d => d.id === id)?.satisfaction || 0) / 65 * 100), 0) / 3;
-      const vitProg = targets.reduce((s, id) => s + Math.min(100, (state.dongs.find(d => d.id === id)?.commerceVitality || 0) / 60 * 100), 0) / 3;
-      return (satOk && vitOk) ? 100 : (satProg + vitProg) / 2;
-    }
-
-    case 'elderly_care': {
-      const avgElderlySat = state.dongs.reduce((s, d) => {
-        const elderlyPct = d.populationByAge.elderly / d.population;
-        return s + d.satisfactionFactors.welfare * elderlyPct;
-      }, 0) / state.dongs.reduce((s, d) => s + d.populationByAge.elderly / d.population, 0);
-      return Math.min(100, (avgElderlySat / 60) * 100);
-    }
-
-    case 'fiscal_health':
-      return Math.min(100, (state.finance.fiscalIndependence / 35) * 100);
-
-    case 'commerce_diversity': {
-      const avg = state.dongs.reduce((s, d) => s + d.commerceCharacter, 0) / state.dongs.length;
-      return Math.min(100, (avg / 80) * 100);
-    }
-
-    case 'transport_improve': {
-      const avg = state.dongs.reduce((s, d) => s + d.satisfactionFactors.transport, 0) / state.dongs.length;
-      return Math.min(100, (avg / 65) * 100);
-    }
-
-    case 'green_mapo': {
-      const avg = state.dongs.reduce((s, d) => s + (d.satisfactionFactors.environment || d.satisfactionFactors.safety), 0) / state.dongs.length;
-      return Math.min(100, (avg / 65) * 100);
-    }
-
-    default: return 0;
-  }
+  return calcPledgeProgress(pledgeId, state, initialState);
 }
 
-/**
- * 공약 달성 여부 판정 (progress >= 99.5 — 부동소수점 오차 허용)
- */
 export function checkAchieved(pledgeId, state) {
-  return calcProgress(pledgeId, state) >= 99.5;
+  return checkPledgeAchieved(pledgeId, state, initialState);
 }
 
-/**
- * 최종 점수 계산
- * 4개 KPI (60점 만점) + 공약 리스크-리워드 (달성 +10, 미달 -5, 최대 4개)
- * 만점 = KPI 60 + 공약 40 = 100 (S등급)
- * @returns {{ total, grade, kpis: { label, score, max, detail }[], pledgeResults }}
- */
 export function calcFinalScore(state) {
-  if (!initialState) return { total: 0, grade: 'F', kpis: [], pledgeResults: [] };
-
-  const initialPop = initialState.dongs.reduce((s, d) => s + d.population, 0);
-  const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
-  const popChangeRate = ((totalPop - initialPop) / initialPop) * 100;
-
-  const initialFiscal = initialState.finance.fiscalIndependence || 28;
-  const currentFiscal = state.finance.fiscalIndependence || 28;
-  const fiscalDelta = currentFiscal - initialFiscal;
-
-  const avgSat = state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length;
-
-  const satValues = state.dongs.map(d => d.satisfaction);
-  const satMean = satValues.reduce((s, v) => s + v, 0) / satValues.length;
-  const satStdDev = Math.sqrt(satValues.reduce((s, v) => s + (v - satMean) ** 2, 0) / satValues.length);
-
-  // 4개 KPI (총 60점)
-  const kpis = [
-    {
-      id: 'population', label: '인구 변화', max: 15,
-      score: linearScore(popChangeRate, -12, -7, -2, [0, 5, 12], 15),
-      detail: `${popChangeRate >= 0 ? '+' : ''}${popChangeRate.toFixed(1)}%`,
-    },
-    {
-      id: 'economy_fiscal', label: '경제·재정', max: 15,
-      score: linearScore(fiscalDelta, 0, 7, 14, [0, 6, 15], 15),
-      detail: `재정자립도 ${fiscalDelta >= 0 ? '+' : ''}${fiscalDelta.toFixed(1)}%p`,
-    },
-    {
-      id: 'satisfaction', label: '주민 만족도', max: 20,
-      score: linearScore(avgSat, 42, 55, 72, [0, 10, 20], 20),
-      detail: `평균 ${avgSat.toFixed(0)}`,
-    },
-    {
-      id: 'balance', label: '균형 발전', max: 10,
-      score: satStdDev <= 3 ? 10 : satStdDev <= 5 ? 7 : satStdDev <= 8 ? 4 : satStdDev <= 12 ? 1 : 0,
-      detail: `σ = ${satStdDev.toFixed(1)}`,
-    },
-  ];
-
-  // 공약: 달성 +10, 미달 -5
-  const pledges = state.meta.pledges || [];
-  const pledgeResults = pledges.map(id => {
-    const pledge = PLEDGES.find(p => p.id === id);
-    const achieved = checkAchieved(id, state);
-    const progress = calcProgress(id, state);
-    return {
-      id, name: pledge?.name || id, achieved, progress: Math.round(progress),
-      score: achieved ? 10 : -5,
-    };
-  });
-
-  const kpiTotal = kpis.reduce((s, k) => s + k.score, 0);
-  const pledgeTotal = pledgeResults.reduce((s, p) => s + p.score, 0);
-  const total = kpiTotal + pledgeTotal;
-
-  const grade = total >= 85 ? 'S' : total >= 70 ? 'A' : total >= 55 ? 'B' : total >= 40 ? 'C' : total >= 25 ? 'D' : 'F';
+  return calcPledgeFinalScore(state, initialState);
+}
 
-  return { total, grade, kpis, pledgeResults, kpiTotal, pledgeTotal };
+/**
+ * 임기 말 선거 — 공약 달성은 임기 시작 상태 기준
+ */
+export function simulateElection(state) {
+  return simulateTermElection(state, initialState);
 }
 
 /**
- * Linear interpolation for scoring
- * Given value, three thresholds (low, mid, high) and corresponding scores
+ * 시나리오 승리 조건 — 임기 시작 상태 기준 (조건이 없으면 null)
  */
-function linearScore(value, low, mid, high, scores, max) {
-  if (value <= low) return scores[0];
-  if (value >= high) return scores[2];
-  if (value <= mid) {
-    const t = (value - low) / (mid - low);
-    return Math.round(scores[0] + t * (scores[1] - scores[0]));
-  }
-  const t = (value - mid) / (high - mid);
-  return Math.min(max, Math.round(scores[1] + t * (scores[2] - scores[1])));
+export function evaluateScenario(state) {
+  return evaluateScenarioGoals(state, initialState);
 }
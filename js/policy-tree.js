@@ -0,0 +1,169 @@
+/**
+ * policy-tree.js — 정책 트리 (선행조건 / 상충 관계 그래프)
+ *
+ * 카테고리별 열에 28개 정책을 배치하고, 선행 → 해금 화살표와 상충 점선을 그린다.
+ * 노드 색은 현재 게임 상태 기준 (시행 중 / 해금 / 잠김 / 상충으로 막힘).
+ */
+
+import { buildPolicyGraph, checkPolicyActivation, describeActivationBlocker } from './engine/index.js';
+
+const COLUMNS = [
+  { id: 'economy', name: '경제' },
+  { id: 'transport', name: '교통' },
+  { id: 'culture', name: '문화' },
+  { id: 'environment', name: '환경' },
+  { id: 'education', name: '교육' },
+  { id: 'welfare', name: '복지' },
+  { id: 'renewal', name: '재생' },
+];
+
+const NODE_W = 118;
+const NODE_H = 34;
+const COL_GAP = 22;
+const ROW_GAP = 14;
+const HEADER_H = 28;
+
+/**
+ * 정책 트리 모달 열기
+ * @param {Object[]} catalog - policies.json의 policies
+ * @param {Object} state - 현재 gameState
+ */
+export function showPolicyTree(catalog, state) {
+  const modal = document.getElementById('modal-overlay');
+  const content = document.getElementById('modal-content');
+  if (!modal || !content) return;
+
+  const graph = buildPolicyGraph(catalog);
+  const positions = layoutNodes(graph.nodes);
+  const width = COLUMNS.length * (NODE_W + COL_GAP) - COL_GAP;
+  const height = HEADER_H + Math.max(...Object.values(positions).map(p => p.y)) + NODE_H + 4;
+
+  const edgesSvg = graph.edges.map(e => renderEdge(e, positions)).join('');
+  const nodesSvg = graph.nodes.map(n => renderNode(n, positions[n.id], catalog, state)).join('');
+  const headersSvg = COLUMNS.map((c, i) => `
+    <text class="tree-col-label" x="${i * (NODE_W + COL_GAP) + NODE_W / 2}" y="16">${c.name}</text>`).join('');
+
+  const prereqCount = graph.edges.filter(e => e.type === 'prerequisite').length;
+  const conflictHtml = graph.pathConflicts.length === 0 ? '' : `
+    <div class="tree-notes">
+      <div class="report-section-title">경로 상충</div>
+      ${graph.pathConflicts.map(c => `<div>${policyName(c.id, catalog)}: ${policyName(c.pair[0], catalog)} ↔ ${policyName(c.pair[1], catalog)} — 한쪽을 해제해야 진행 가능</div>`).join('')}
+    </div>`;
+
+  content.classList.add('modal-wide');
+  content.innerHTML = `
+    <div class="modal-title">정책 트리</div>
+    <div class="modal-subtitle">
+      선행 정책이 한 번 효과를 내면 다음 정책이 해금됩니다. ${prereqCount === 0 ? '(현재 데이터에는 선행 관계가 없습니다)' : ''}
+    </div>
+    <div class="tree-legend">
+      <span class="tree-chip active">시행 중</span>
+      <span class="tree-chip enacted">해금(시행 이력)</span>
+      <span class="tree-chip available">선택 가능</span>
+      <span class="tree-chip locked">선행 미충족</span>
+      <span class="tree-chip blocked">상충으로 막힘</span>
+      <span class="tree-legend-line">→ 선행</span>
+      <span class="tree-legend-line incompatible">┄ 상충</span>
+    </div>
+    <div class="tree-scroll">
+      <svg class="policy-tree" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+        <defs>
+          <marker id="tree-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" class="tree-arrow-head"></path>
+          </marker>
+        </defs>
+        ${headersSvg}
+        <g transform="translate(0, ${HEADER_H})">${edgesSvg}${nodesSvg}</g>
+      </svg>
+    </div>
+    ${conflictHtml}
+    <button class="modal-btn" id="btn-tree-close" style="margin-top:12px;background:var(--text-muted)">닫기</button>
+  `;
+
+  modal.classList.add('active');
+  document.getElementById('btn-tree-close').addEventListener('click', () => {
+    modal.classList.remove('active');
+    content.classList.remove('modal-wide');
+  });
+}
+
+// === Layout ===
+
+/**
+ * 카테고리 = 열, 열 안에서는 선행 깊이 → 카탈로그 순
+ */
+function layoutNodes(nodes) {
+  const positions = {};
+  COLUMNS.forEach((col, i) => {
+    const inColumn = nodes
+      .filter(n => n.category === col.id)
+      .sort((a, b) => a.depth - b.depth);
+    inColumn.forEach((n, row) => {
+      positions[n.id] = { x: i * (NODE_W + COL_GAP), y: row * (NODE_H + ROW_GAP) };
+    });
+  });
+  return positions;
+}
+
+// === Render ===
+
+function renderNode(node, pos, catalog, state) {
+  if (!pos) return '';
+  const policy = catalog.find(p => p.id === node.id);
+  const status = getNodeStatus(policy, state);
+  const blocker = checkPolicyActivation(policy, state);
+  const tooltip = [policy.name, policy.description, blocker && blocker.reason !== 'active' ? describeActivationBlocker(blocker, catalog) : '']
+    .filter(Boolean).join('\n');
+
+  return `
+    <g class="tree-node ${status}" transform="translate(${pos.x}, ${pos.y})">
+      <title>${escapeXml(tooltip)}</title>
+      <rect width="${NODE_W}" height="${NODE_H}" rx="6"></rect>
+      <text x="${NODE_W / 2}" y="${NODE_H / 2 + 4}">${escapeXml(truncate(policy.name, 9))}</text>
+    </g>`;
+}
+
+function renderEdge(edge, positions) {
+  const a = positions[edge.from];
+  const b = positions[edge.to];
+  if (!a || !b) return '';
+
+  if (edge.type === 'prerequisite') {
+    // 선행 노드 아래 → 해금 노드 위
+    const x1 = a.x + NODE_W / 2, y1 = a.y + NODE_H;
+    const x2 = b.x + NODE_W / 2, y2 = b.y;
+    const my = (y1 + y2) / 2;
+    return `<path class="tree-edge prerequisite" d="M ${x1} ${y1} C ${x1} ${my}, ${x2} ${my}, ${x2} ${y2}" marker-end="url(#tree-arrow)"></path>`;
+  }
+
+  // 상충: 같은 열이면 오른쪽으로 휘어서, 다른 열이면 가운데끼리
+  if (a.x === b.x) {
+    const x = a.x + NODE_W;
+    const y1 = a.y + NODE_H / 2, y2 = b.y + NODE_H / 2;
+    return `<path class="tree-edge incompatible" d="M ${x} ${y1} C ${x + 18} ${y1}, ${x + 18} ${y2}, ${x} ${y2}"></path>`;
+  }
+  const left = a.x < b.x ? a : b;
+  const right = a.x < b.x ? b : a;
+  return `<line class="tree-edge incompatible" x1="${left.x + NODE_W}" y1="${left.y + NODE_H / 2}" x2="${right.x}" y2="${right.y + NODE_H / 2}"></line>`;
+}
+
+function getNodeStatus(policy, state) {
+  const blocker = checkPolicyActivation(policy, state);
+  if (blocker?.reason === 'active') return 'active';
+  if (blocker?.reason === 'prerequisite') return 'locked';
+  if (blocker?.reason === 'incompatible') return 'blocked';
+  if ((state.enactedPolicies || []).includes(policy.id)) return 'enacted';
+  return 'available';
+}
+
+function policyName(id, catalog) {
+  return escapeXml(catalog.find(p => p.id === id)?.name || id);
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -1,8 +1,14 @@
 /**
  * policy.js — 정책 선택 UI
  * 28개 정책 카탈로그 (7카테고리 × 4개), 최대 3개 동시 활성
+ * 선행 정책(prerequisites)이 시행된 적 없으면 잠김
  */
 
+import {
+  getMissingPrerequisites, getCalendar, SEASONS, needsCouncilVote, voteOnPolicy, filterScenarioCatalog,
+} from './engine/index.js';
+import { showPolicyTree } from './policy-tree.js';
+
 const MAX_ACTIVE = 3;
 const CATEGORIES = [
   { id: 'all', name: '전체' },
@@ -18,6 +24,7 @@ const CATEGORIES = [
 let policyCatalog = [];
 let activePolicies = []; // [{policy, remainDelay, remainDuration, turnsActive}]
 let pendingSelection = []; // policy ids selected this turn (not yet activated)
+let cancelledThisTurn = []; // policy ids cancelled this turn (결과 기록/리플레이용)
 let currentFilter = 'all';
 let currentState = null;
 
@@ -53,7 +60,10 @@ export function getActivePolicies() {
 }
 
 export function setPolicies(ids) {
-  pendingSelection = ids.filter(id => policyCatalog.find(p => p.id === id));
+  pendingSelection = ids.filter(id => {
+    const policy = availablePolicies().find(p => p.id === id);
+    return policy && !isLocked(policy);
+  });
   renderPolicyPanel();
 }
 
@@ -61,20 +71,43 @@ export function cancelActivePolicy(id) {
   cancelPolicy(id);
 }
 
+/**
+ * 이번 턴에 해제한 정책 ID (turnLog의 policies.deactivate)
+ */
+export function getCancelledPolicies() {
+  return [...cancelledThisTurn];
+}
+
+/**
+ * 턴 시작 시 초기화, 불러오기 시 저장된 목록 복원
+ */
+export function resetCancelledPolicies(ids = []) {
+  cancelledThisTurn = [...ids];
+}
+
+/**
+ * 이번 게임에서 쓸 수 있는 정책 (시나리오 범위 적용)
+ */
 export function getPolicyCatalog() {
-  return policyCatalog;
+  return availablePolicies();
+}
+
+function availablePolicies() {
+  return filterScenarioCatalog(currentState, policyCatalog, 'policies');
 }
 
 function renderPolicyPanel() {
   const container = document.getElementById('tab-policy');
   if (!container) return;
 
+  // 정책 비용은 월 기준 — 턴당 자유예산과 비교할 때는 턴 길이(개월)를 곱한다
   const freeBudget = currentState?.finance?.freeBudget || 0;
-  const activeCost = activePolicies.reduce((s, ap) => s + ap.policy.cost, 0);
+  const months = getCalendar(currentState).turnMonths;
+  const activeCost = activePolicies.reduce((s, ap) => s + ap.policy.cost, 0) * months;
   const pendingCost = pendingSelection.reduce((s, id) => {
     const p = policyCatalog.find(pp => pp.id === id);
     return s + (p ? p.cost : 0);
-  }, 0);
+  }, 0) * months;
   const remainBudget = freeBudget - activeCost - pendingCost;
 
   // Active policies section
@@ -94,9 +127,9 @@ function renderPolicyPanel() {
         <div class="active-policy-item">
           <div class="active-policy-header">
             <span class="active-policy-name">${p.name}</span>
-            <span class="active-policy-cost">${p.cost}억/턴</span>
+            <span class="active-policy-cost">${p.cost}억/월</span>
           </div>
-          <div class="active-policy-status">${status}</div>
+          <div class="active-policy-status">${status}${ap.source ? ' · 이벤트 대응' : ''}</div>
           <button class="active-policy-cancel" data-id="${p.id}">해제</button>
         </div>`;
     }
@@ -114,42 +147,50 @@ function renderPolicyPanel() {
   for (const cat of CATEGORIES) {
     html += `<button class="policy-filter-btn ${cat.id === currentFilter ? 'active' : ''}" data-cat="${cat.id}">${cat.name}</button>`;
   }
+  html += '<button class="policy-filter-btn policy-tree-btn" id="btn-policy-tree">정책 트리</button>';
   html += '</div>';
 
   // Policy cards
+  const available = availablePolicies();
   const filtered = currentFilter === 'all'
-    ? policyCatalog
-    : policyCatalog.filter(p => p.category === currentFilter);
+    ? available
+    : available.filter(p => p.category === currentFilter);
 
   html += '<div class="policy-grid">';
   for (const p of filtered) {
     const isActive = activePolicies.some(ap => ap.policy.id === p.id);
     const isPending = pendingSelection.includes(p.id);
     const isIncompat = isIncompatible(p);
+    const missing = isActive ? [] : getMissingPrerequisites(p, currentState || {});
     const slotsFull = (activePolicies.length + pendingSelection.length) >= MAX_ACTIVE && !isPending;
-    const tooExpensive = p.cost > remainBudget + (isPending ? p.cost : 0);
-    const disabled = isActive || isIncompat || (slotsFull && !isPending) || (tooExpensive && !isPending);
+    const tooExpensive = p.cost * months > remainBudget + (isPending ? p.cost * months : 0);
+    const disabled = isActive || isIncompat || missing.length > 0 || (slotsFull && !isPending) || (tooExpensive && !isPending);
 
-    const targetLabel = p.targetDong
-      ? Array.isArray(p.targetDong)
-        ? p.targetDong.length + '개 동'
-        : getDongName(p.targetDong)
-      : '구 전체';
+    const targetLabel = p.targetBlock
+      ? [].concat(p.targetBlock).length + '개 구획'
+      : p.targetDong
+        ? Array.isArray(p.targetDong)
+          ? p.targetDong.length + '개 동'
+          : getDongName(p.targetDong)
+        : '구 전체';
 
     html += `
       <div class="policy-card ${isPending ? 'selected' : ''} ${disabled ? 'disabled' : ''}"
            data-id="${p.id}" ${disabled && !isPending ? 'data-disabled="true"' : ''}>
         <div class="policy-card-header">
           <span class="policy-name">${p.name}</span>
-          <span class="policy-cost">${p.cost}억/턴</span>
+          <span class="policy-cost">${p.cost}억/월</span>
         </div>
         <div class="policy-desc">${p.description}</div>
         <div class="policy-tags">
           <span class="policy-tag">${targetLabel}</span>
           ${p.delay > 0 ? `<span class="policy-tag">효과 ${p.delay}턴 후</span>` : ''}
           ${p.duration > 0 ? `<span class="policy-tag">${p.duration}턴 지속</span>` : '<span class="policy-tag">영구</span>'}
+          ${formatSeasonal(p.seasonal)}
+          ${isActive ? '' : formatCouncilVote(p)}
           ${isActive ? '<span class="policy-tag tag-active">시행 중</span>' : ''}
           ${isIncompat ? '<span class="policy-tag tag-incompat">충돌</span>' : ''}
+          ${missing.length > 0 ? `<span class="policy-tag tag-locked">선행: ${missing.map(getPolicyName).join(', ')}</span>` : ''}
         </div>
       </div>`;
   }
@@ -165,6 +206,10 @@ function renderPolicyPanel() {
     });
   });
 
+  document.getElementById('btn-policy-tree')?.addEventListener('click', () => {
+    showPolicyTree(availablePolicies(), currentState || {});
+  });
+
   container.querySelectorAll('.policy-card:not([data-disabled])').forEach(card => {
     card.addEventListener('click', () => togglePolicy(card.dataset.id));
   });
@@ -193,10 +238,19 @@ function cancelPolicy(id) {
   if (idx >= 0) {
     activePolicies.splice(idx, 1);
     if (currentState) currentState.activePolicies = activePolicies;
+    cancelledThisTurn.push(id);
   }
   renderPolicyPanel();
 }
 
+function isLocked(policy) {
+  return getMissingPrerequisites(policy, currentState || {}).length > 0;
+}
+
+function getPolicyName(id) {
+  return policyCatalog.find(p => p.id === id)?.name || id;
+}
+
 function isIncompatible(policy) {
   if (!policy.incompatible || policy.incompatible.length === 0) return false;
   const allActive = [
@@ -206,6 +260,20 @@ function isIncompatible(policy) {
   return policy.incompatible.some(id => allActive.includes(id));
 }
 
+// 계절 배수 태그 — { summer: 1.5, winter: 0.5 } → "여름 ×1.5 · 겨울 ×0.5"
+function formatSeasonal(seasonal) {
+  if (!seasonal) return '';
+  const text = Object.entries(seasonal).map(([id, m]) => `${SEASONS[id]?.name || id} ×${m}`).join(' · ');
+  return `<span class="policy-tag">${text}</span>`;
+}
+
+// 구의회 표결 대상 태그 — 지금 상정하면 예상 찬성 수 (council.js)
+function formatCouncilVote(policy) {
+  if (!currentState || !needsCouncilVote(policy)) return '';
+  const vote = voteOnPolicy(currentState, policy);
+  return `<span class="policy-tag ${vote.result === 'passed' ? '' : 'tag-incompat'}">의회 표결 필요 (예상 찬성 ${vote.yes}/${vote.seats})</span>`;
+}
+
 function getDongName(dongId) {
   const dong = currentState?.dongs?.find(d => d.id === dongId);
   return dong ? dong.name : dongId;
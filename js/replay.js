@@ -0,0 +1,239 @@
+/**
+ * replay.js — 결과 파일 리플레이 (턴 스크럽 + 기록 불일치 표시)
+ *
+ * 결과 JSON(브라우저 downloadResult / headless saveRun)을 엔진 replayRun()으로
+ * 다시 계산하고, 지도·대시보드를 선택한 턴의 상태로 되돌려 보여준다.
+ */
+
+import { initMap, updateMapColors, updateGameState } from './map.js';
+import { initDashboard, restoreDashboard } from './dashboard.js';
+import { initPledgeBar, renderPledgeBar } from './pledge.js';
+import { replayRun, getTotalTurns, formatTurnDate } from './engine/index.js';
+
+const BUDGET_LABELS = {
+  economy: '경제', transport: '교통', culture: '문화', environment: '환경',
+  education: '교육', welfare: '복지', renewal: '재생',
+};
+
+const SNAPSHOT_LABELS = {
+  totalPop: '총인구',
+  avgSat: '평균 만족도',
+  fiscalIndependence: '재정자립도',
+  freeBudget: '자율예산',
+  activePolicies: '활성 정책',
+};
+
+let run = null;
+let frames = [];
+let divergedTurns = [];
+let policyCatalog = [];
+let eventCatalog = [];
+let facilityCatalog = [];
+let currentIndex = 0;
+
+/**
+ * 결과 파일 읽기
+ * @param {File} file
+ * @returns {Promise<Object>} 결과 데이터
+ * @throws {Error} 리플레이할 수 없는 파일이면
+ */
+export async function readRunFile(file) {
+  const data = JSON.parse(await file.text());
+  if (!data || !Array.isArray(data.turnLog)) throw new Error('결과 파일 형식이 아닙니다.');
+  if (data.seed == null) throw new Error('시드가 기록되지 않은 결과 파일입니다. (시드 도입 이전 기록)');
+  return data;
+}
+
+/**
+ * 리플레이 모드 시작
+ * @param {Object} runData - readRunFile() 결과
+ * @param {Object} options
+ * @param {Object} options.initData - mapo_init.json
+ * @param {Object} options.adjacency - adjacency.json의 adjacency
+ */
+export async function startReplay(runData, { initData, adjacency }) {
+  run = runData;
+
+  const [policies, events, facilities, scenarios] = await Promise.all([
+    fetch('data/game/policies.json').then(r => r.json()),
+    fetch('data/game/events.json').then(r => r.json()),
+    fetch('data/game/facilities.json').then(r => r.json()),
+    fetch('data/game/scenarios.json').then(r => r.json()),
+  ]);
+  policyCatalog = policies.policies;
+  eventCatalog = events.events;
+  facilityCatalog = facilities.facilities;
+
+  ({ frames, divergedTurns } = replayRun(run, {
+    initData, adjacency, policyCatalog, eventCatalog, facilityCatalog, scenarioCatalog: scenarios.scenarios,
+  }));
+
+  const first = frames[0].state;
+  document.getElementById('player-info').textContent = `리플레이 · ${run.playerName || run.provider || run.runId || ''}`;
+  document.getElementById('seed-info').textContent = `시드 ${run.seed}`;
+  document.getElementById('btn-save-menu')?.remove();
+
+  await initMap(document.getElementById('map-container'), first);
+  initDashboard(first);
+  initPledgeBar(run.pledges || [], first); // 첫 턴 = 임기 시작 상태 (공약 진행률 기준)
+
+  renderReplayPanel();
+  document.addEventListener('keydown', onKeyDown);
+  showFrame(divergedTurns.length > 0 ? frames.findIndex(f => f.turn === divergedTurns[0]) : 0);
+}
+
+// === Frame ===
+
+function showFrame(index) {
+  currentIndex = Math.max(0, Math.min(frames.length - 1, index));
+  const frame = frames[currentIndex];
+  const state = frame.state;
+
+  updateGameState(state);
+  updateMapColors(state.dongs);
+  restoreDashboard(state);
+  renderPledgeBar(run.pledges || [], state);
+
+  document.getElementById('turn-label').textContent = `턴 ${frame.turn}/${getTotalTurns(state)}`;
+  document.getElementById('turn-date').textContent = formatTurnDate(state);
+
+  const slider = document.getElementById('replay-slider');
+  if (slider) slider.value = String(currentIndex);
+  const detail = document.getElementById('replay-detail');
+  if (detail) detail.innerHTML = renderFrameDetail(frame);
+}
+
+function onKeyDown(e) {
+  if (e.target instanceof HTMLInputElement && e.target.type !== 'range') return;
+  if (e.key === 'ArrowLeft') showFrame(currentIndex - 1);
+  if (e.key === 'ArrowRight') showFrame(currentIndex + 1);
+}
+
+// === Panel ===
+
+function renderReplayPanel() {
+  const panel = document.getElementById('action-panel');
+  if (!panel) return;
+
+  const divergedHtml = divergedTurns.length === 0
+    ? '<span class="replay-ok">모든 턴이 기록과 일치합니다</span>'
+    : `<span class="replay-bad">${divergedTurns.length}개 턴 불일치:</span> ` +
+      divergedTurns.map(t => `<button class="replay-turn-chip" data-turn="${t}">T${t}</button>`).join('');
+
+  panel.innerHTML = `
+    <div class="panel-header">
+      <h2>리플레이</h2>
+    </div>
+    <div class="replay-controls">
+      <button class="replay-btn" data-step="first" title="처음">⏮</button>
+      <button class="replay-btn" data-step="prev" title="이전 턴 (←)">◀</button>
+      <input type="range" id="replay-slider" class="replay-slider" min="0" max="${frames.length - 1}" value="0">
+      <button class="replay-btn" data-step="next" title="다음 턴 (→)">▶</button>
+      <button class="replay-btn" data-step="last" title="마지막">⏭</button>
+    </div>
+    <div class="replay-divergence">${divergedHtml}</div>
+    <div id="replay-detail" class="tab-content active"></div>
+    <div class="action-footer">
+      <button class="btn-end-turn" id="btn-replay-exit">리플레이 종료</button>
+    </div>
+  `;
+
+  document.getElementById('replay-slider').addEventListener('input', (e) => {
+    showFrame(Number(e.target.value));
+  });
+
+  panel.querySelectorAll('.replay-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const steps = { first: 0, prev: currentIndex - 1, next: currentIndex + 1, last: frames.length - 1 };
+      showFrame(steps[btn.dataset.step]);
+    });
+  });
+
+  panel.querySelectorAll('.replay-turn-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      showFrame(frames.findIndex(f => f.turn === Number(chip.dataset.turn)));
+    });
+  });
+
+  document.getElementById('btn-replay-exit').addEventListener('click', () => location.reload());
+}
+
+function renderFrameDetail(frame) {
+  const { action, event, diffs } = frame;
+  const entry = run.turnLog.find(t => t.turn === frame.turn) || {};
+
+  const budgetHtml = action.budget
+    ? Object.entries(action.budget).map(([k, v]) => `${BUDGET_LABELS[k] || k} ${v}%`).join(' · ')
+    : '이전 배분 유지';
+
+  const policyName = id => policyCatalog.find(p => p.id === id)?.name || id;
+  const policyLines = [
+    ...action.activate.map(id => `+ ${policyName(id)}`),
+    ...action.deactivate.map(id => `− ${policyName(id)}`),
+  ];
+  const facilityName = id => facilityCatalog.find(f => f.id === id)?.name || id;
+  const buildLines = action.constructions.map(c => `${facilityName(c.facilityId)} @ ${c.blockId}`);
+
+  let eventHtml = '없음';
+  if (event) {
+    const choice = eventCatalog.find(e => e.id === event.id)?.choices.find(c => c.id === event.choiceId);
+    eventHtml = `${escapeHtml(event.name)} → ${choice ? escapeHtml(choice.name) : '선택 안 함'}`;
+  }
+
+  const diffKeys = new Set(diffs.map(d => d.key));
+  const rows = Object.keys(SNAPSHOT_LABELS).map(key => {
+    const recorded = frame.recorded?.[key];
+    const recomputed = frame.recomputed[key];
+    return `
+      <tr class="${diffKeys.has(key) ? 'diverged' : ''}">
+        <td>${SNAPSHOT_LABELS[key]}</td>
+        <td>${formatValue(recorded)}</td>
+        <td>${formatValue(recomputed)}</td>
+      </tr>`;
+  }).join('');
+  const eventDiff = diffs.find(d => d.key === 'event');
+
+  return `
+    <div class="replay-section">
+      <div class="replay-section-title">예산</div>
+      <div>${budgetHtml}</div>
+    </div>
+    <div class="replay-section">
+      <div class="replay-section-title">정책</div>
+      <div>${policyLines.length > 0 ? policyLines.map(escapeHtml).join('<br>') : '변경 없음'}</div>
+    </div>
+    ${buildLines.length > 0 ? `
+    <div class="replay-section">
+      <div class="replay-section-title">착공</div>
+      <div>${buildLines.map(escapeHtml).join('<br>')}</div>
+    </div>` : ''}
+    <div class="replay-section">
+      <div class="replay-section-title">이벤트</div>
+      <div>${eventHtml}</div>
+      ${eventDiff ? `<div class="replay-bad">기록된 이벤트: ${escapeHtml(eventDiff.recorded)}</div>` : ''}
+    </div>
+    <div class="replay-section">
+      <div class="replay-section-title">상태 비교 ${diffs.length > 0 ? '<span class="replay-bad">불일치</span>' : '<span class="replay-ok">일치</span>'}</div>
+      <table class="replay-table">
+        <thead><tr><th></th><th>기록</th><th>재계산</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${entry.aiReasoning ? `
+    <div class="replay-section">
+      <div class="replay-section-title">AI 판단 근거</div>
+      <div class="replay-reasoning">${escapeHtml(entry.aiReasoning)}</div>
+    </div>` : ''}
+  `;
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return '-';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(id => escapeHtml(id)).join(', ') : '없음';
+  if (typeof value === 'number') return value.toLocaleString();
+  return escapeHtml(value);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
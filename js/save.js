@@ -0,0 +1,245 @@
+/**
+ * save.js — 게임 저장/불러오기 (localStorage 슬롯 + 파일 내보내기/가져오기)
+ *
+ * 세이브 데이터 수집/적용은 main.js가 담당하고, 이 모듈은 저장소와 UI만 다룬다.
+ */
+
+import { getTotalTurns, formatTurnDate } from './engine/index.js';
+
+export const SAVE_VERSION = 1;
+export const AUTOSAVE_SLOT = '자동 저장';
+
+const SAVE_PREFIX = 'ai-mapo-save:';
+const INDEX_KEY = 'ai-mapo-save-index';
+
+// === Storage ===
+
+/**
+ * 저장 슬롯 목록 (최근 저장 순)
+ * @returns {{ slot, savedAt, turn, totalTurns, date, year, month, playerName }[]}
+ */
+export function listSaves() {
+  const index = readIndex();
+  return Object.entries(index)
+    .map(([slot, info]) => ({ slot, ...info }))
+    .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+}
+
+export function hasSaves() {
+  return listSaves().length > 0;
+}
+
+/**
+ * 슬롯에 저장
+ * @returns {boolean} 성공 여부 (용량 초과 시 false)
+ */
+export function writeSave(slot, data) {
+  const save = { ...data, version: SAVE_VERSION, slot, savedAt: new Date().toISOString() };
+  try {
+    localStorage.setItem(SAVE_PREFIX + slot, JSON.stringify(save));
+  } catch (err) {
+    console.warn('[Save] Failed to write save slot:', slot, err);
+    return false;
+  }
+
+  const index = readIndex();
+  index[slot] = {
+    savedAt: save.savedAt,
+    turn: save.gameState.meta.turn,
+    totalTurns: getTotalTurns(save.gameState),
+    date: formatTurnDate(save.gameState),
+    year: save.gameState.meta.year,
+    month: save.gameState.meta.month,
+    playerName: save.gameState.meta.playerName,
+  };
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  return true;
+}
+
+export function readSave(slot) {
+  const raw = localStorage.getItem(SAVE_PREFIX + slot);
+  if (!raw) return null;
+  try {
+    return validateSave(JSON.parse(raw));
+  } catch (err) {
+    console.warn('[Save] Corrupt save slot:', slot, err);
+    return null;
+  }
+}
+
+export function deleteSave(slot) {
+  localStorage.removeItem(SAVE_PREFIX + slot);
+  const index = readIndex();
+  delete index[slot];
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+}
+
+function readIndex() {
+  try {
+    return JSON.parse(localStorage.getItem(INDEX_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 세이브 데이터 형식 검증 (가져오기/불러오기 공통)
+ * @throws {Error} 형식이 맞지 않으면
+ */
+function validateSave(data) {
+  if (!data || typeof data !== 'object') throw new Error('세이브 파일 형식이 아닙니다.');
+  if (data.version !== SAVE_VERSION) throw new Error(`지원하지 않는 세이브 버전입니다: ${data.version}`);
+  if (!data.gameState?.meta || !Array.isArray(data.gameState.dongs)) throw new Error('게임 상태가 없습니다.');
+  return data;
+}
+
+// === File Export / Import ===
+
+export function exportSave(data) {
+  const save = { ...data, version: SAVE_VERSION, savedAt: new Date().toISOString() };
+  const json = JSON.stringify(save, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `ai-mapo-save-turn${data.gameState.meta.turn}-${save.savedAt.replace(/[:.]/g, '-').slice(0, 19)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 세이브 파일 읽기
+ * @param {File} file
+ * @returns {Promise<Object>} 검증된 세이브 데이터
+ */
+export async function importSaveFile(file) {
+  const text = await file.text();
+  return validateSave(JSON.parse(text));
+}
+
+// === Save Menu UI ===
+
+/**
+ * 저장/불러오기 모달
+ * @param {Object} options
+ * @param {Function|null} options.getSaveData - 현재 게임 세이브 데이터 (null이면 불러오기 전용)
+ * @param {Function} options.onLoad - (saveData) => void
+ * @param {Function} [options.onClose]
+ */
+export function showSaveMenu({ getSaveData, onLoad, onClose }) {
+  const modal = document.getElementById('modal-overlay');
+  const content = document.getElementById('modal-content');
+  if (!modal || !content) return;
+
+  const canSave = typeof getSaveData === 'function';
+
+  const close = () => {
+    modal.classList.remove('active');
+    if (onClose) onClose();
+  };
+
+  const render = () => {
+    const saves = listSaves();
+    const rows = saves.map(s => `
+      <div class="save-slot" data-slot="${escapeHtml(s.slot)}">
+        <div class="save-slot-info">
+          <div class="save-slot-name">${escapeHtml(s.slot)}</div>
+          <div class="save-slot-meta">${escapeHtml(s.playerName || '')} 구청장 · 턴 ${s.turn}/${s.totalTurns ?? 48} (${s.date ?? `${s.year}년 ${s.month}월`}) · ${formatSavedAt(s.savedAt)}</div>
+        </div>
+        <button class="save-slot-btn" data-action="load">불러오기</button>
+        ${canSave && s.slot !== AUTOSAVE_SLOT ? '<button class="save-slot-btn" data-action="overwrite">덮어쓰기</button>' : ''}
+        <button class="save-slot-btn danger" data-action="delete">삭제</button>
+      </div>
+    `).join('');
+
+    content.innerHTML = `
+      <div class="modal-title">${canSave ? '저장 / 불러오기' : '저장된 게임 불러오기'}</div>
+      <div class="modal-subtitle">브라우저에 저장됩니다. 다른 기기로 옮기려면 파일로 내보내세요.</div>
+      ${canSave ? `
+      <div class="save-new-row">
+        <input type="text" class="modal-input" id="save-slot-name" placeholder="새 저장 이름" maxlength="20">
+        <button class="save-slot-btn primary" id="btn-save-new">저장</button>
+      </div>` : ''}
+      <div class="save-slot-list">${rows || '<div class="save-empty">저장된 게임이 없습니다.</div>'}</div>
+      <div class="save-file-row">
+        ${canSave ? '<button class="save-slot-btn" id="btn-save-export">파일로 내보내기</button>' : ''}
+        <label class="save-slot-btn" for="save-import-input">파일 가져오기</label>
+        <input type="file" id="save-import-input" accept=".json,application/json" style="display:none">
+      </div>
+      <button class="modal-btn" id="btn-save-close" style="margin-top:12px;background:var(--text-muted)">닫기</button>
+    `;
+
+    document.getElementById('btn-save-close').addEventListener('click', close);
+
+    document.getElementById('btn-save-new')?.addEventListener('click', () => {
+      const name = document.getElementById('save-slot-name')?.value.trim();
+      if (!name) return;
+      if (name === AUTOSAVE_SLOT) {
+        alert(`'${AUTOSAVE_SLOT}'은 예약된 이름입니다.`);
+        return;
+      }
+      if (listSaves().some(s => s.slot === name) && !confirm(`'${name}'을(를) 덮어쓸까요?`)) return;
+      if (!writeSave(name, getSaveData())) alert('저장 공간이 부족합니다. 오래된 저장을 삭제해주세요.');
+      render();
+    });
+
+    document.getElementById('btn-save-export')?.addEventListener('click', () => {
+      exportSave(getSaveData());
+    });
+
+    document.getElementById('save-import-input')?.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      try {
+        const save = await importSaveFile(file);
+        modal.classList.remove('active');
+        onLoad(save);
+      } catch (err) {
+        alert(`세이브 파일을 읽을 수 없습니다: ${err.message}`);
+      }
+    });
+
+    content.querySelectorAll('.save-slot').forEach(row => {
+      const slot = row.dataset.slot;
+      row.querySelectorAll('.save-slot-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          switch (btn.dataset.action) {
+            case 'load': {
+              const save = readSave(slot);
+              if (!save) {
+                alert('저장 데이터를 읽을 수 없습니다.');
+                return;
+              }
+              modal.classList.remove('active');
+              onLoad(save);
+              break;
+            }
+            case 'overwrite':
+              if (!confirm(`'${slot}'을(를) 현재 게임으로 덮어쓸까요?`)) return;
+              if (!writeSave(slot, getSaveData())) alert('저장 공간이 부족합니다.');
+              render();
+              break;
+            case 'delete':
+              if (!confirm(`'${slot}'을(를) 삭제할까요?`)) return;
+              deleteSave(slot);
+              render();
+              break;
+          }
+        });
+      });
+    });
+  };
+
+  render();
+  modal.classList.add('active');
+}
+
+function formatSavedAt(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return `${d.getMonth() + 1}/${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * generate_init.js
- * Combines 6 raw data files + mapo_blocks.json → data/game/mapo_init.json
+ * Combines 11 raw data files + mapo_blocks.json + adjacency.json → data/game/mapo_init.json
  *
  * Usage: node scripts/generate_init.js
  */
@@ -20,7 +20,13 @@ const business = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_business.json
 const livingPop = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_living_population.json'), 'utf8'));
 const subway = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_subway.json'), 'utf8'));
 const finance = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_finance.json'), 'utf8'));
+const landPrice = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_land_price.json'), 'utf8'));
+const zoning = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_zoning.json'), 'utf8'));
+const roads = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_roads.json'), 'utf8'));
+const facilitiesRaw = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_facilities.json'), 'utf8'));
+const buildingStats = JSON.parse(readFileSync(join(ROOT, 'data/raw/mapo_building_stats.json'), 'utf8'));
 const blocks = JSON.parse(readFileSync(join(ROOT, 'data/game/mapo_blocks.json'), 'utf8'));
+const adjacency = JSON.parse(readFileSync(join(ROOT, 'data/game/adjacency.json'), 'utf8')).adjacency;
 
 // --- Dong ID mapping (Korean name → English ID) from mapo_blocks.json ---
 const DONG_MAP = {};
@@ -33,17 +39,51 @@ const DONG_NAMES = Object.keys(DONG_MAP);
 console.log(`Found ${DONG_NAMES.length} dongs:`, DONG_NAMES.join(', '));
 
 // --- Subway stations grouped by dong ---
+// 원본 오기 정정: 대흥역은 6호선 (광흥창–대흥–공덕)
+const STATION_LINE_FIX = { '대흥': ['6호선'] };
 const stationsByDong = {};
 for (const [stationName, stationData] of Object.entries(subway.stations)) {
   const dongName = stationData.district;
   if (!stationsByDong[dongName]) stationsByDong[dongName] = [];
   stationsByDong[dongName].push({
     name: stationName,
-    lines: stationData.lines,
+    lines: STATION_LINE_FIX[stationName] || stationData.lines,
     dailyTotal: stationData.daily_avg_total,
   });
 }
 
+// --- Transit network (station/line graph) ---
+// mapo_subway.json에는 역 순서가 없어 노선도 기준으로 지정 (구 안 역만, 서쪽/북쪽 → 동쪽/남쪽)
+const LINE_ORDER = {
+  '2호선': ['홍대입구', '합정'],
+  '5호선': ['애오개', '공덕', '마포'],
+  '6호선': ['증산', '디지털미디어시티', '월드컵경기장', '마포구청', '망원', '합정', '상수', '광흥창', '대흥', '공덕'],
+  '경의중앙선': ['디지털미디어시티', '홍대입구', '공덕'],
+  '공항철도': ['디지털미디어시티', '홍대입구', '공덕'],
+};
+
+function buildTransit() {
+  const stations = {};
+  for (const [name, st] of Object.entries(subway.stations)) {
+    const dongId = DONG_MAP[st.district];
+    stations[name] = {
+      dongId,
+      lines: STATION_LINE_FIX[name] || st.lines,
+      ridership: st.daily_avg_total,
+      catchment: { ...adjacency[dongId] }, // 역을 함께 쓰는 인접 동 (인접 계수)
+    };
+  }
+  const lines = {};
+  for (const [line, order] of Object.entries(LINE_ORDER)) {
+    const missing = Object.entries(stations)
+      .filter(([name, st]) => st.lines.includes(line) && !order.includes(name))
+      .map(([name]) => name);
+    if (missing.length > 0) console.warn(`${line}: LINE_ORDER에 없는 역 ${missing.join(', ')}`);
+    lines[line] = { stations: order.filter(name => stations[name]) };
+  }
+  return { stations, lines };
+}
+
 // --- Transit score calculation (numerical-design-v1 Section 7.2) ---
 function calcTransitScore(dongName) {
   const stations = stationsByDong[dongName] || [];
@@ -58,6 +98,68 @@ function calcTransitScore(dongName) {
   return Math.round(score * 10) / 10;
 }
 
+// --- Land value / rent (keep in sync with js/engine/economy.js) ---
+const LAND_RENT_SENSITIVITY = 0.002; // 지가지수 1.5 → 임대료 압력 +0.001
+
+// --- Housing stock ---
+// 건축연도는 원본에 없음 → 1~2층 저층 건물 비율을 노후도 대리지표로 사용
+const BASE_VACANCY = 0.04;      // 서울 평균 공가율
+const OLD_STOCK_VACANCY = 0.05; // 저층 비율이 구 평균보다 10%p 높으면 공가율 +0.5%p
+const CAPACITY_HEADROOM = 1.1;  // 세대당 인원이 늘어날 수 있는 여유 (js/engine/housing.js와 동일)
+// 유형별 재고 비율: 고층 건물 비율 → 아파트, 청년 비율 → 원룸, 공공임대는 서울 평균 수준
+const PUBLIC_SHARE = 0.06;
+const BASE_RENT = 55;           // 만원/월 — 지가지수 1인 동의 빌라 월세 환산
+
+function getBuildingStock(dongName) {
+  const b = buildingStats.districts[dongName];
+  if (!b) return null;
+  const fd = b.floor_distribution;
+  return {
+    buildings: b.building_count,
+    avgFloors: b.avg_floors,
+    lowRiseRatio: Math.round(fd.low_rise_1_2f / b.building_count * 1000) / 1000,
+    highRiseRatio: Math.round((fd.high_rise_11_20f + fd.tower_21f_plus) / b.building_count * 1000) / 1000,
+  };
+}
+
+const guLowRise = (() => {
+  const stocks = DONG_NAMES.map(getBuildingStock).filter(Boolean);
+  return stocks.reduce((s, b) => s + b.lowRiseRatio, 0) / stocks.length;
+})();
+
+// --- Facility counts by category (mapo_facilities.json) ---
+const FACILITY_CATEGORY = {
+  '교통': 'transit',
+  '상업': 'market',
+  '공원/녹지': 'park',
+  '문화시설': 'culture',
+  '교육': 'school',
+  '업무지구': 'office',
+};
+// 법정동으로 적힌 시설 → 행정동
+const FACILITY_DONG_ALIAS = { '마포동': '용강동' };
+
+const facilityCountsByDong = {};
+for (const f of facilitiesRaw.facilities) {
+  const dongName = FACILITY_DONG_ALIAS[f.dong] || f.dong;
+  const key = FACILITY_CATEGORY[f.category];
+  if (!key || !DONG_MAP[dongName]) continue;
+  if (!facilityCountsByDong[dongName]) {
+    facilityCountsByDong[dongName] = Object.fromEntries(Object.values(FACILITY_CATEGORY).map(k => [k, 0]));
+  }
+  facilityCountsByDong[dongName][key]++;
+}
+
+// --- Road density (mapo_roads.json) ---
+// 동 면적 데이터가 없으므로 통과하는 간선도로 차선 합을 구 평균 대비 지수로 사용
+const roadLanesByDong = {};
+for (const road of roads.major_roads) {
+  for (const dongName of road.passing_dongs) {
+    roadLanesByDong[dongName] = (roadLanesByDong[dongName] || 0) + (road.lanes || 0);
+  }
+}
+const avgRoadLanes = DONG_NAMES.reduce((s, n) => s + (roadLanesByDong[n] || 0), 0) / DONG_NAMES.length;
+
 // --- Compute averages for normalization ---
 const allBizDensities = [];
 const allWorkerRatios = [];
@@ -134,8 +236,51 @@ for (const dongName of DONG_NAMES) {
   // Commerce vitality: normalize biz density to 0~100
   const commerceVitality = Math.round(Math.min(100, (bizDensity / maxBizDensity) * 85 + 15));
 
-  // Rent pressure: initial based on commerce vitality (threshold 70, low sensitivity)
-  const rentPressure = Math.round(Math.max(0, (commerceVitality - 70) * 0.0003) * 10000) / 10000;
+  // Land value: 만원/㎡, index = 구 평균 대비
+  const lpd = landPrice.districts[dongName];
+  const landValue = lpd ? {
+    avgPerSqm: Math.round(lpd.avg_land_price_per_sqm / 10000),
+    medianPerSqm: Math.round(lpd.median_land_price_per_sqm / 10000),
+    index: Math.round(lpd.avg_land_price_per_sqm / landPrice.district_total.avg_land_price_per_sqm * 100) / 100,
+  } : { avgPerSqm: 0, medianPerSqm: 0, index: 1 };
+
+  // Rent pressure: initial based on commerce vitality (threshold 70, low sensitivity) + land value
+  const landRent = Math.max(0, landValue.index - 1) * LAND_RENT_SENSITIVITY;
+  const rentPressure = Math.round((Math.max(0, (commerceVitality - 70) * 0.0003) + landRent) * 10000) / 10000;
+
+  // Zoning mix (area %)
+  const zs = zoning.districts[dongName]?.summary;
+  const zoningMix = zs ? {
+    residential: zs['주거지역_pct'],
+    commercial: zs['상업지역_pct'],
+    green: zs['녹지지역_pct'],
+  } : { residential: 100, commercial: 0, green: 0 };
+
+  // Building stock + housing stock
+  const buildingStock = getBuildingStock(dongName);
+  const lowRise = buildingStock?.lowRiseRatio ?? guLowRise;
+  const vacancyRate = Math.round(Math.min(0.08, Math.max(0.02,
+    BASE_VACANCY + (lowRise - guLowRise) * OLD_STOCK_VACANCY)) * 1000) / 1000;
+  const housingUnits = Math.round(households / (1 - vacancyRate));
+  const aptShare = Math.min(0.7, Math.max(0.1, 0.15 + (buildingStock?.highRiseRatio ?? 0.1) * 3));
+  const oneRoomShare = Math.min(0.35, Math.max(0.05, populationByAge.youth / population * 0.8));
+  const units = {
+    apt: Math.round(housingUnits * aptShare),
+    oneRoom: Math.round(housingUnits * oneRoomShare),
+    public: Math.round(housingUnits * PUBLIC_SHARE),
+  };
+  units.villa = housingUnits - units.apt - units.oneRoom - units.public;
+  // 엔진이 게임 시작 시 평균 월세·공가율·수용 인구를 다시 계산 (housing.js initHousing)
+  const housing = {
+    units: { apt: units.apt, villa: units.villa, oneRoom: units.oneRoom, public: units.public },
+    baseRent: Math.round(BASE_RENT * Math.sqrt(landValue.index) * 10) / 10,
+    vacancyRate,
+    capacity: Math.round(housingUnits * (population / households) * CAPACITY_HEADROOM),
+  };
+
+  const facilityCounts = facilityCountsByDong[dongName]
+    || Object.fromEntries(Object.values(FACILITY_CATEGORY).map(k => [k, 0]));
+  const roadDensity = Math.round((roadLanesByDong[dongName] || 0) / avgRoadLanes * 100) / 100;
 
   // Commerce character: default 80, seogyo gets 70 (already franchised)
   const commerceCharacter = dongId === 'seogyo' ? 70 : 80;
@@ -151,13 +296,15 @@ for (const dongName of DONG_NAMES) {
   const satisfaction = Math.round(60 + economyAdj + transportAdj + housingAdj);
 
   // Satisfaction factors (differentiated starting values)
+  // 교통: 간선도로 / 주거: 노후 저층 비율·지가(부담) / 안전·환경: 녹지·공원 / 문화: 문화시설 / 복지(교육 포함): 학교
   const satisfactionFactors = {
     economy: Math.round(Math.min(80, Math.max(40, 55 + (workerRatio - avgWorkerRatio) * 15))),
-    transport: Math.round(Math.min(85, Math.max(35, 50 + transitScore * 2))),
-    housing: Math.round(Math.min(75, Math.max(40, elderlyPct < 0.18 ? 65 : 55))),
-    safety: 60,
-    culture: Math.round(Math.min(80, Math.max(40, 50 + bizDensity * 30))),
-    welfare: Math.round(Math.min(70, Math.max(40, elderlyPct > 0.20 ? 45 : 55))),
+    transport: Math.round(Math.min(85, Math.max(35, 50 + transitScore * 2 + (roadDensity - 1) * 4))),
+    housing: Math.round(Math.min(75, Math.max(40,
+      (elderlyPct < 0.18 ? 65 : 55) - (lowRise - guLowRise) * 20 - (landValue.index - 1) * 6))),
+    safety: Math.round(Math.min(75, Math.max(50, 59 + zoningMix.green * 0.05 + Math.min(4, facilityCounts.park)))),
+    culture: Math.round(Math.min(80, Math.max(40, 50 + bizDensity * 30 + Math.min(6, facilityCounts.culture * 1.5)))),
+    welfare: Math.round(Math.min(70, Math.max(40, (elderlyPct > 0.20 ? 45 : 55) + Math.min(3, facilityCounts.school)))),
   };
 
   // Block summary
@@ -180,16 +327,99 @@ for (const dongName of DONG_NAMES) {
     satisfaction,
     satisfactionFactors,
     transitScore,
+    landValue,
+    zoningMix,
+    buildingStock,
+    housing,
+    facilityCounts,
+    roadDensity,
     blockSummary: {
       total: blockCount,
       zoningConflicts,
     },
+    // Block definitions (engine derives per-block businesses/rent/satisfaction at game start)
+    blocks: (blockDong?.blocks || []).map(b => ({
+      id: b.id,
+      name: b.name,
+      type: b.type,
+      zoning: b.zoning,
+      zoningConflict: b.zoningConflict,
+      slotCapacity: b.slotCapacity,
+      traits: b.traits,
+      facilities: b.facilities,
+      weight: b.weight,
+    })),
   });
 }
 
 // Sort by population descending (same order as design doc)
 dongs.sort((a, b) => b.population - a.population);
 
+// --- Commuter OD matrix (weekday daytime) ---
+// 원본에 동 간 통근 데이터가 없으므로 생활인구 낮/밤 차이를 주변 합으로 하는 중력 모형으로 추정:
+//   유출 = 밤 인구 × COMMUTE_OUT_RATE (낮에 크게 비는 동은 그 이상), 유입 = 낮 − 밤 + 유출
+//   구 내부 통근 = 유출 × INTERNAL_SHARE, 나머지는 구 밖(ext)과 오간다
+//   동 간 친화도 = 기본 + 인접 계수 + 공유 지하철 노선 수 × LINE_AFFINITY → 행/열 합을 IPF로 맞춤
+//   대각 성분 = 거주 동 안에서 일하는 주민 (종사자 × LOCAL_JOB_SHARE)
+const COMMUTE_OUT_RATE = 0.3;
+const INTERNAL_SHARE = 0.3;
+const LOCAL_JOB_SHARE = 0.15;
+const BASE_AFFINITY = 0.1;
+const LINE_AFFINITY = 0.5;
+const EXTERNAL = 'ext'; // js/engine/commute.js와 동일
+
+function buildCommute(dongs) {
+  const lines = Object.fromEntries(dongs.map(d =>
+    [d.id, new Set((stationsByDong[d.name] || []).flatMap(s => s.lines))]));
+  const out = {};
+  const inflow = {};
+  for (const d of dongs) {
+    const { weekdayDay: day, weekdayNight: night } = d.livingPop;
+    out[d.id] = Math.max(night * COMMUTE_OUT_RATE, (night - day) + night * 0.1);
+    inflow[d.id] = day - night + out[d.id];
+  }
+  const totalOut = dongs.reduce((s, d) => s + out[d.id], 0);
+  const totalIn = dongs.reduce((s, d) => s + inflow[d.id], 0);
+  const rowTarget = Object.fromEntries(dongs.map(d => [d.id, out[d.id] * INTERNAL_SHARE]));
+  const colTarget = Object.fromEntries(dongs.map(d => [d.id, totalOut * INTERNAL_SHARE * inflow[d.id] / totalIn]));
+
+  const m = {};
+  for (const o of dongs) {
+    m[o.id] = {};
+    for (const d of dongs) {
+      if (o.id === d.id) continue;
+      const shared = [...lines[o.id]].filter(l => lines[d.id].has(l)).length;
+      m[o.id][d.id] = BASE_AFFINITY + (adjacency[o.id]?.[d.id] || 0) + shared * LINE_AFFINITY;
+    }
+  }
+
+  // IPF (행 = 유출, 열 = 유입)
+  for (let iter = 0; iter < 50; iter++) {
+    for (const o of dongs) {
+      const row = Object.values(m[o.id]).reduce((s, v) => s + v, 0);
+      for (const d in m[o.id]) m[o.id][d] *= rowTarget[o.id] / row;
+    }
+    for (const d of dongs) {
+      const col = dongs.reduce((s, o) => s + (m[o.id][d.id] || 0), 0);
+      for (const o of dongs) if (m[o.id][d.id] !== undefined) m[o.id][d.id] *= colTarget[d.id] / col;
+    }
+  }
+
+  const flows = { [EXTERNAL]: {} };
+  for (const o of dongs) {
+    flows[o.id] = { [o.id]: Math.round(Math.min(o.workers * LOCAL_JOB_SHARE, o.livingPop.weekdayNight * 0.2)) };
+    for (const [d, v] of Object.entries(m[o.id])) flows[o.id][d] = Math.round(v);
+    const internalOut = Object.values(m[o.id]).reduce((s, v) => s + v, 0);
+    flows[o.id][EXTERNAL] = Math.round(out[o.id] - internalOut);
+    const internalIn = dongs.reduce((s, x) => s + (m[x.id][o.id] || 0), 0);
+    flows[EXTERNAL][o.id] = Math.round(inflow[o.id] - internalIn);
+  }
+  return { flows };
+}
+
+const commute = buildCommute(dongs);
+const transit = buildTransit();
+
 // --- Finance (gu-level) ---
 const financeData = {
   totalBudget: 2188,       // 억원/턴
@@ -211,6 +441,8 @@ const financeData = {
     otherIncome: 125,
   },
   fiscalIndependence: 28,
+  reserve: 0,              // 적립금 (억원) — 배분하지 않은 예산이 쌓임
+  debt: 0,                 // 지방채 잔액 (억원)
 };
 
 // --- Industry breakdown (gu-level, for game reference) ---
@@ -240,6 +472,11 @@ const output = {
       'mapo_living_population.json (2026-02)',
       'mapo_subway.json (2024)',
       'mapo_finance.json (2024-2026)',
+      'mapo_land_price.json (2025-01 공시지가)',
+      'mapo_zoning.json (2025-08)',
+      'mapo_roads.json (2026-02)',
+      'mapo_facilities.json (2026-02)',
+      'mapo_building_stats.json (2026-02, 망원·성산 1/2동 공유)',
       'mapo_blocks.json (v0.3)',
     ],
     totalPopulation: popBasic.district_total.total_population,
@@ -247,6 +484,8 @@ const output = {
     totalWorkers: business.district_total.total_workers,
   },
   dongs,
+  commute,
+  transit,
   finance: financeData,
   industryBreakdown,
 };
@@ -1,278 +1,51 @@
 /**
  * headless-game.mjs — Headless 게임 루프
  *
- * 브라우저 게임 엔진(simulation.js)을 Node.js에서 재활용.
- * DOM 의존 부분(이벤트 체크, 공약 점수)은 순수 로직으로 재구현.
+ * 공유 엔진(js/engine/index.js)을 Node.js에서 그대로 사용.
+ * 틱, 이벤트 트리거, 공약 점수 모두 브라우저/MCP 서버와 같은 코드.
  */
 
 import { readFile } from 'node:fs/promises';
-import { pathToFileURL } from 'node:url';
 import path from 'node:path';
 import { SimAdvisor } from './sim-advisor.mjs';
+import {
+  tick, createGameState, PLEDGES, getPledgeCatalog, calcProgress, calcFinalScore,
+  createEventTracker, checkEventTriggers, createRng, validateEventCatalog, validateFacilityCatalog, linkEventPolicies,
+  setTurn, getTotalTurns, simulateElection, recordElection, formatElection,
+  DEFAULT_SCENARIO_ID, validateScenarioCatalog, findScenario, filterScenarioCatalog, evaluateScenario,
+  describeEventChains, createActiveEvent, historySnapshot,
+} from '../js/engine/index.js';
 
 const ROOT = path.resolve(import.meta.dirname, '..');
 
-// === Fetch Monkey-Patch ===
-// simulation.js의 loadAdjacency()가 fetch('data/game/adjacency.json') 호출
-// Node.js에서 파일시스템 읽기로 대체
-const _originalFetch = globalThis.fetch;
-globalThis.fetch = async (url, options) => {
-  if (typeof url === 'string' && url.endsWith('adjacency.json')) {
-    const data = await readFile(path.join(ROOT, 'data/game/adjacency.json'), 'utf-8');
-    return { ok: true, json: async () => JSON.parse(data) };
-  }
-  // Fall through to real fetch for API calls
-  return _originalFetch(url, options);
-};
-
-// === Engine Import (after fetch patch) ===
-const { tick } = await import(pathToFileURL(path.join(ROOT, 'js/engine/simulation.js')).href);
-
 // === Data Loading ===
-async function loadGameData() {
-  const [initRaw, policiesRaw, eventsRaw] = await Promise.all([
+export async function loadGameData() {
+  const [initRaw, adjacencyRaw, policiesRaw, eventsRaw, facilitiesRaw, scenariosRaw] = await Promise.all([
     readFile(path.join(ROOT, 'data/game/mapo_init.json'), 'utf-8'),
+    readFile(path.join(ROOT, 'data/game/adjacency.json'), 'utf-8'),
     readFile(path.join(ROOT, 'data/game/policies.json'), 'utf-8'),
     readFile(path.join(ROOT, 'data/game/events.json'), 'utf-8'),
+    readFile(path.join(ROOT, 'data/game/facilities.json'), 'utf-8'),
+    readFile(path.join(ROOT, 'data/game/scenarios.json'), 'utf-8'),
   ]);
+  const policyCatalog = JSON.parse(policiesRaw).policies;
+  const events = JSON.parse(eventsRaw).events;
+  for (const err of validateEventCatalog(events, policyCatalog)) console.error('[Events] 데이터 오류:', err);
+  const facilityCatalog = JSON.parse(facilitiesRaw).facilities;
+  for (const err of validateFacilityCatalog(facilityCatalog)) console.error('[Facilities] 데이터 오류:', err);
+  const scenarioCatalog = JSON.parse(scenariosRaw).scenarios;
+  for (const err of validateScenarioCatalog(scenarioCatalog)) console.error('[Scenarios] 데이터 오류:', err);
+
   return {
     initData: JSON.parse(initRaw),
-    policyCatalog: JSON.parse(policiesRaw).policies,
-    eventCatalog: JSON.parse(eventsRaw).events,
-  };
-}
-
-// === Seeded PRNG (mulberry32) ===
-function createRng(seed) {
-  let t = seed | 0;
-  return () => {
-    t = (t + 0x6D2B79F5) | 0;
-    let x = Math.imul(t ^ (t >>> 15), 1 | t);
-    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    adjacency: JSON.parse(adjacencyRaw).adjacency,
+    policyCatalog,
+    eventCatalog: linkEventPolicies(events, policyCatalog), // 선택지가 시행하는 정책 정의를 붙인다
+    facilityCatalog,
+    scenarioCatalog,
   };
 }
 
-// === Pledges (pledge.js 순수 로직 재구현) ===
-const PLEDGES = [
-  { id: 'population_rebound', name: '인구 반등', desc: '인구 감소율 5% 이내 억제', difficulty: 3 },
-  { id: 'youth_settlement', name: '청년 정착', desc: '청년(20-34) 비율 1%p 상승', difficulty: 2 },
-  { id: 'tourism_coexist', name: '관광 상생', desc: '서교·합정·연남 만족도 >= 65 AND 상권활력 >= 60', difficulty: 3 },
-  { id: 'elderly_care', name: '고령 돌봄', desc: '65+ 만족도 구 평균 >= 60', difficulty: 2 },
-  { id: 'fiscal_health', name: '재정 건전', desc: '재정자립도 35% 달성', difficulty: 3 },
-  { id: 'commerce_diversity', name: '상권 다양성', desc: '상권특색 구 평균 >= 80', difficulty: 2 },
-  { id: 'transport_improve', name: '교통 개선', desc: '교통 만족도 구 평균 >= 65', difficulty: 1 },
-  { id: 'green_mapo', name: '녹색 마포', desc: '환경 만족도 구 평균 >= 65', difficulty: 1 },
-];
-
-function calcProgress(pledgeId, state, initialState) {
-  if (!initialState) return 0;
-
-  const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
-  const initialPop = initialState.dongs.reduce((s, d) => s + d.population, 0);
-
-  switch (pledgeId) {
-    case 'population_rebound': {
-      const ratio = totalPop / initialPop;
-      return Math.min(100, (ratio / 0.95) * 100);
-    }
-
-    case 'youth_settlement': {
-      const currentYouth = state.dongs.reduce((s, d) => s + d.populationByAge.youth, 0) / totalPop * 100;
-      const initialYouth = initialState.dongs.reduce((s, d) => s + d.populationByAge.youth, 0) / initialPop * 100;
-      return Math.min(100, ((currentYouth - initialYouth) / 1.0) * 100);
-    }
-
-    case 'tourism_coexist': {
-      const targets = ['seogyo', 'hapjeong', 'yeonnam'];
-      const satOk = targets.every(id => (state.dongs.find(d => d.id === id)?.satisfaction || 0) >= 65);
-      const vitOk = targets.every(id => (state.dongs.find(d => d.id === id)?.commerceVitality || 0) >= 60);
-      const satProg = targets.reduce((s, id) => s + Math.min(100, (state.dongs.find(d => d.id === id)?.satisfaction || 0) / 65 * 100), 0) / 3;
-      const vitProg = targets.reduce((s, id) => s + Math.min(100, (state.dongs.find(d => d.id === id)?.commerceVitality || 0) / 60 * 100), 0) / 3;
-      return (satOk && vitOk) ? 100 : (satProg + vitProg) / 2;
-    }
-
-    case 'elderly_care': {
-      const avgElderlySat = state.dongs.reduce((s, d) => {
-        const elderlyPct = d.populationByAge.elderly / d.population;
-        return s + d.satisfactionFactors.welfare * elderlyPct;
-      }, 0) / state.dongs.reduce((s, d) => s + d.populationByAge.elderly / d.population, 0);
-      return Math.min(100, (avgElderlySat / 60) * 100);
-    }
-
-    case 'fiscal_health':
-      return Math.min(100, (state.finance.fiscalIndependence / 35) * 100);
-
-    case 'commerce_diversity': {
-      const avg = state.dongs.reduce((s, d) => s + d.commerceCharacter, 0) / state.dongs.length;
-      return Math.min(100, (avg / 80) * 100);
-    }
-
-    case 'transport_improve': {
-      const avg = state.dongs.reduce((s, d) => s + d.satisfactionFactors.transport, 0) / state.dongs.length;
-      return Math.min(100, (avg / 65) * 100);
-    }
-
-    case 'green_mapo': {
-      const avg = state.dongs.reduce((s, d) => s + (d.satisfactionFactors.environment || d.satisfactionFactors.safety), 0) / state.dongs.length;
-      return Math.min(100, (avg / 65) * 100);
-    }
-
-    default: return 0;
-  }
-}
-
-function linearScore(value, low, mid, high, scores, max) {
-  if (value <= low) return scores[0];
-  if (value >= high) return scores[2];
-  if (value <= mid) {
-    const t = (value - low) / (mid - low);
-    return Math.round(scores[0] + t * (scores[1] - scores[0]));
-  }
-  const t = (value - mid) / (high - mid);
-  return Math.min(max, Math.round(scores[1] + t * (scores[2] - scores[1])));
-}
-
-function calcFinalScore(state, initialState) {
-  if (!initialState) return { total: 0, grade: 'F', kpis: [], pledgeResults: [], kpiTotal: 0, pledgeTotal: 0 };
-
-  const initialPop = initialState.dongs.reduce((s, d) => s + d.population, 0);
-  const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
-  const popChangeRate = ((totalPop - initialPop) / initialPop) * 100;
-
-  const initialFiscal = initialState.finance.fiscalIndependence || 28;
-  const currentFiscal = state.finance.fiscalIndependence || 28;
-  const fiscalDelta = currentFiscal - initialFiscal;
-
-  const avgSat = state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length;
-
-  const satValues = state.dongs.map(d => d.satisfaction);
-  const satMean = satValues.reduce((s, v) => s + v, 0) / satValues.length;
-  const satStdDev = Math.sqrt(satValues.reduce((s, v) => s + (v - satMean) ** 2, 0) / satValues.length);
-
-  // 4개 KPI (총 60점)
-  const kpis = [
-    { id: 'population', label: '인구 변화', max: 15, score: linearScore(popChangeRate, -12, -7, -2, [0, 5, 12], 15), detail: `${popChangeRate >= 0 ? '+' : ''}${popChangeRate.toFixed(1)}%` },
-    { id: 'economy_fiscal', label: '경제·재정', max: 15, score: linearScore(fiscalDelta, 0, 7, 14, [0, 6, 15], 15), detail: `재정자립도 ${fiscalDelta >= 0 ? '+' : ''}${fiscalDelta.toFixed(1)}%p` },
-    { id: 'satisfaction', label: '주민 만족도', max: 20, score: linearScore(avgSat, 42, 55, 72, [0, 10, 20], 20), detail: `평균 ${avgSat.toFixed(0)}` },
-    { id: 'balance', label: '균형 발전', max: 10, score: satStdDev <= 3 ? 10 : satStdDev <= 5 ? 7 : satStdDev <= 8 ? 4 : satStdDev <= 12 ? 1 : 0, detail: `σ = ${satStdDev.toFixed(1)}` },
-  ];
-
-  const pledgeIds = state.meta.pledges || [];
-  const pledgeResults = pledgeIds.map(id => {
-    const pledge = PLEDGES.find(p => p.id === id);
-    const progress = calcProgress(id, state, initialState);
-    const achieved = progress >= 99.5;
-    return { id, name: pledge?.name || id, achieved, progress: Math.round(progress), score: achieved ? 10 : -5 };
-  });
-
-  const kpiTotal = kpis.reduce((s, k) => s + k.score, 0);
-  const pledgeTotal = pledgeResults.reduce((s, p) => s + p.score, 0);
-  const total = kpiTotal + pledgeTotal;
-  const grade = total >= 85 ? 'S' : total >= 70 ? 'A' : total >= 55 ? 'B' : total >= 40 ? 'C' : total >= 25 ? 'D' : 'F';
-
-  return { total, grade, kpis, pledgeResults, kpiTotal, pledgeTotal };
-}
-
-// === Event System (event.js 순수 로직 재구현) ===
-class EventSystem {
-  constructor(catalog, rng) {
-    this.catalog = catalog;
-    this.cooldowns = {};
-    this.firedOneShots = new Set();
-    this.rng = rng;
-  }
-
-  checkTriggers(state) {
-    const turn = state.meta.turn;
-
-    // Decrease cooldowns
-    for (const id of Object.keys(this.cooldowns)) {
-      this.cooldowns[id]--;
-      if (this.cooldowns[id] <= 0) delete this.cooldowns[id];
-    }
-
-    // Collect candidates
-    const candidates = [];
-    for (const event of this.catalog) {
-      if (this.cooldowns[event.id]) continue;
-      if (event.oneShot && this.firedOneShots.has(event.id)) continue;
-      if (this._checkTrigger(event, state, turn)) candidates.push(event);
-    }
-
-    if (candidates.length === 0) return null;
-
-    // Probability check
-    const triggered = candidates.filter(e => this.rng() < (e.probability || 1.0));
-    if (triggered.length === 0) return null;
-
-    // Pick one
-    const selected = triggered[Math.floor(this.rng() * triggered.length)];
-
-    // Record cooldown + oneshot
-    if (selected.cooldown > 0) this.cooldowns[selected.id] = selected.cooldown;
-    if (selected.oneShot) this.firedOneShots.add(selected.id);
-
-    return selected;
-  }
-
-  _checkTrigger(event, state, turn) {
-    const trigger = event.trigger;
-    if (!trigger) return false;
-
-    switch (trigger.type) {
-      case 'periodic':
-        return turn >= (trigger.startTurn || 1) && (turn - (trigger.startTurn || 1)) % (trigger.interval || 4) === 0;
-
-      case 'threshold': {
-        const cond = trigger.condition;
-        if (!cond) return false;
-        if (cond.dong) {
-          const dong = state.dongs.find(d => d.id === cond.dong);
-          if (!dong) return false;
-          return this._checkCondition(this._getMetric(dong, cond.metric), cond.operator, cond.value);
-        } else if (cond.minDongCount) {
-          const count = state.dongs.filter(d => this._checkCondition(this._getMetric(d, cond.metric), cond.operator, cond.value)).length;
-          return count >= cond.minDongCount;
-        }
-        return false;
-      }
-
-      case 'random':
-        return turn >= (trigger.minTurn || 1) && this.rng() < (trigger.probabilityPerTurn || 0.1);
-
-      case 'turn': {
-        if (turn < (trigger.minTurn || 1)) return false;
-        if (trigger.additionalCondition) {
-          const cond = trigger.additionalCondition;
-          const dong = state.dongs.find(d => d.id === cond.dong);
-          if (!dong) return false;
-          return this._checkCondition(this._getMetric(dong, cond.metric), cond.operator, cond.value);
-        }
-        return true;
-      }
-
-      default: return false;
-    }
-  }
-
-  _getMetric(dong, metric) {
-    if (metric === 'elderlyRatio') return (dong.populationByAge?.elderly || 0) / Math.max(1, dong.population);
-    return dong[metric] ?? 0;
-  }
-
-  _checkCondition(value, operator, threshold) {
-    switch (operator) {
-      case '>': return value > threshold;
-      case '<': return value < threshold;
-      case '>=': return value >= threshold;
-      case '<=': return value <= threshold;
-      case '==': return value === threshold;
-      default: return false;
-    }
-  }
-}
-
 // === HeadlessGame ===
 export class HeadlessGame {
   /**
@@ -281,6 +54,8 @@ export class HeadlessGame {
    * @param {string[]} config.pledges - pledge IDs (null = AI chooses)
    * @param {number} config.pledgeCount - number of pledges AI should choose (default 2)
    * @param {number} config.seed - RNG seed
+   * @param {number} config.turnMonths - turn length in months (1 = 48 turns, 3 = 16 turns)
+   * @param {string} config.scenario - scenarios.json ID (default: standard)
    * @param {number} config.historyWindow - AI context window (turns)
    */
   constructor(config) {
@@ -288,39 +63,32 @@ export class HeadlessGame {
     this.pledgeIds = config.pledges || null; // null = AI decides
     this.pledgeCount = config.pledgeCount || 2;
     this.seed = config.seed || Date.now();
+    this.turnMonths = config.turnMonths || 1;
+    this.scenarioId = config.scenario || DEFAULT_SCENARIO_ID;
     this.historyWindow = config.historyWindow || 4;
     this.turnLog = [];
   }
 
   async play() {
     const startTime = Date.now();
+    // 이벤트 발생/선택지 결과 모두 이 RNG로 결정 (브라우저와 같은 시드 = 같은 전개)
     const rng = createRng(this.seed);
-
-    // Patch Math.random for deterministic events
-    const origRandom = Math.random;
-    Math.random = rng;
-
-    try {
-      return await this._run(rng, startTime);
-    } finally {
-      Math.random = origRandom;
-    }
+    return this._run(rng, startTime);
   }
 
   async _run(rng, startTime) {
     // Load data
-    const { initData, policyCatalog, eventCatalog } = await loadGameData();
-
-    // Create game state (mirrors main.js createGameState)
-    let state = {
-      meta: { turn: 1, year: 2026, month: 1, playerName: 'AI', pledges: [] },
-      dongs: initData.dongs.map(d => ({ ...d })),
-      finance: { ...initData.finance },
-      industryBreakdown: initData.industryBreakdown || {},
-      activePolicies: [],
-      activeEvents: [],
-      history: [],
-    };
+    const { initData, adjacency, scenarioCatalog, ...catalogs } = await loadGameData();
+    const scenario = findScenario(scenarioCatalog, this.scenarioId);
+    if (!scenario) throw new Error(`알 수 없는 시나리오: ${this.scenarioId}`);
+
+    let state = createGameState(initData, {
+      playerName: 'AI', seed: this.seed, calendar: { turnMonths: this.turnMonths }, scenario,
+    });
+    // 시나리오에서 쓸 수 있는 정책·이벤트만
+    const policyCatalog = filterScenarioCatalog(state, catalogs.policyCatalog, 'policies');
+    const eventCatalog = filterScenarioCatalog(state, catalogs.eventCatalog, 'events');
+    const pledgeCatalog = getPledgeCatalog(state);
 
     const advisor = new SimAdvisor(this.provider, { historyWindow: this.historyWindow });
 
@@ -331,20 +99,21 @@ export class HeadlessGame {
     } else {
       // AI chooses pledges
       console.log(`    AI selecting ${this.pledgeCount} pledges...`);
-      const aiPledges = await advisor.choosePledges(PLEDGES, this.pledgeCount, state);
+      const aiPledges = await advisor.choosePledges(pledgeCatalog, this.pledgeCount, state);
       if (aiPledges && aiPledges.length > 0) {
         state.meta.pledges = aiPledges;
-        console.log(`    AI chose: ${aiPledges.map(id => PLEDGES.find(p => p.id === id)?.name || id).join(', ')}`);
+        console.log(`    AI chose: ${aiPledges.map(id => pledgeCatalog.find(p => p.id === id)?.name || id).join(', ')}`);
       } else {
-        // Fallback: random selection using seeded RNG
+        // Fallback: random selection — 이벤트 난수 흐름과 분리해야 리플레이가 재현된다
         console.log(`    AI pledge selection failed, using random ${this.pledgeCount} pledges`);
-        const shuffled = [...PLEDGES];
+        const pledgeRng = createRng(this.seed ^ 0x5bd1e995);
+        const shuffled = [...pledgeCatalog];
         for (let i = shuffled.length - 1; i > 0; i--) {
-          const j = Math.floor(rng() * (i + 1));
+          const j = Math.floor(pledgeRng.next() * (i + 1));
           [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         state.meta.pledges = shuffled.slice(0, this.pledgeCount).map(p => p.id);
-        console.log(`    Random pledges: ${state.meta.pledges.map(id => PLEDGES.find(p => p.id === id)?.name || id).join(', ')}`);
+        console.log(`    Random pledges: ${state.meta.pledges.map(id => pledgeCatalog.find(p => p.id === id)?.name || id).join(', ')}`);
       }
     }
 
@@ -352,21 +121,21 @@ export class HeadlessGame {
     this.pledgeIds = state.meta.pledges;
 
     const initialState = JSON.parse(JSON.stringify(state));
-    const pledgeObjs = state.meta.pledges.map(id => PLEDGES.find(p => p.id === id)).filter(Boolean);
+    const pledgeObjs = state.meta.pledges.map(id => pledgeCatalog.find(p => p.id === id)).filter(Boolean);
 
-    const eventSystem = new EventSystem(eventCatalog, rng);
+    const eventTracker = createEventTracker();
 
     let lastActions = null;
 
-    // === 48-Turn Loop ===
-    for (let turn = 1; turn <= 48; turn++) {
-      state.meta.turn = turn;
-      state.meta.month = ((turn - 1) % 12) + 1;
-      state.meta.year = 2026 + Math.floor((turn - 1) / 12);
+    // === Turn Loop (월간 48턴 / 분기 16턴) ===
+    const totalTurns = getTotalTurns(state);
+    const turnsPerYear = 12 / state.meta.calendar.turnMonths;
+    for (let turn = 1; turn <= totalTurns; turn++) {
+      setTurn(state, turn);
 
       // 1. Simulation tick (apply last turn's actions) — skip turn 1
       if (turn > 1 && lastActions) {
-        state = tick(state, lastActions);
+        state = tick(state, lastActions, adjacency, rng);
       }
 
       // 2. Compute pledge progress (attach to state for advisor context)
@@ -376,7 +145,7 @@ export class HeadlessGame {
       }
 
       // 3. Check event triggers
-      const event = eventSystem.checkTriggers(state);
+      const event = checkEventTriggers(eventCatalog, state, eventTracker, rng);
 
       // 4. AI decision
       const { action, reasoning, raw } = await advisor.decide(state, event, policyCatalog, pledgeObjs);
@@ -397,14 +166,7 @@ export class HeadlessGame {
       if (event && action.eventChoice) {
         const choice = event.choices.find(c => c.id === action.eventChoice);
         if (choice) {
-          eventChoice = {
-            eventId: event.id,
-            choiceId: action.eventChoice,
-            choice,
-            affectedDongs: event.affectedDongs || [],
-            totalDuration: choice.duration || 1,
-            remainDuration: choice.duration || 1,
-          };
+          eventChoice = createActiveEvent(event, choice);
         }
       }
 
@@ -416,27 +178,20 @@ export class HeadlessGame {
 
       lastActions = {
         budget: action.budget,
+        fiscal: action.fiscal,
         policies: newPolicies,
         eventChoice,
       };
 
       // 6. Save history snapshot (mirrors main.js endTurn)
-      const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
-      const avgSat = Math.round(state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length);
-      state.history.push({
-        turn,
-        totalPopulation: totalPop,
-        avgSatisfaction: avgSat,
-        fiscalIndependence: state.finance.fiscalIndependence,
-        dongs: state.dongs.map(d => ({
-          id: d.id, population: d.population, satisfaction: d.satisfaction, businesses: d.businesses,
-        })),
-      });
+      const snapshot = historySnapshot(state, turn);
+      state.history.push(snapshot);
+      const { totalPopulation: totalPop, avgSatisfaction: avgSat } = snapshot;
 
       // 7. Turn log
       this.turnLog.push({
         turn,
-        aiAction: { budget: action.budget, policies: action.policies, eventChoice: action.eventChoice },
+        aiAction: { budget: action.budget, fiscal: action.fiscal, policies: action.policies, eventChoice: action.eventChoice },
         aiReasoning: reasoning,
         stateSnapshot: {
           totalPop, avgSat,
@@ -445,20 +200,25 @@ export class HeadlessGame {
           activePolicies: state.activePolicies.map(ap => ap.policy.id),
         },
         event: event ? { id: event.id, choice: action.eventChoice } : null,
+        councilVotes: (state.council?.votes || []).map(v => ({ kind: v.kind, id: v.id, result: v.result, yes: v.yes, no: v.no })),
         parseSuccess: raw !== '' && raw !== undefined,
       });
 
       // Progress indicator
-      if (turn % 12 === 0) {
+      if (turn % turnsPerYear === 0) {
         const year = state.meta.year;
-        console.log(`\n    Turn ${turn}/48 (${year}년) — pop: ${totalPop.toLocaleString()}, sat: ${avgSat}, fiscal: ${state.finance.fiscalIndependence}%`);
+        console.log(`\n    Turn ${turn}/${totalTurns} (${year}년) — pop: ${totalPop.toLocaleString()}, sat: ${avgSat}, fiscal: ${state.finance.fiscalIndependence}%`);
       } else {
         process.stdout.write('.');
       }
     }
 
-    // === Final Score ===
+    // === Final Score + 임기 말 선거 ===
     const result = calcFinalScore(state, initialState);
+    const election = recordElection(state, simulateElection(state, initialState));
+    console.log(`    선거: ${formatElection(election)}`);
+    const scenarioResult = evaluateScenario(state, initialState);
+    if (scenarioResult) console.log(`    시나리오 ${scenarioResult.name}: ${scenarioResult.cleared ? '달성' : '실패'}`);
     const durationMs = Date.now() - startTime;
 
     return {
@@ -472,7 +232,12 @@ export class HeadlessGame {
       tokenUsage: advisor.getUsage(),
       durationMs,
       seed: this.seed,
+      calendar: state.meta.calendar,
+      scenario: this.scenarioId,
+      scenarioResult,
+      eventChains: describeEventChains(state),
       pledges: this.pledgeIds,
+      election,
     };
   }
 }
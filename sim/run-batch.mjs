@@ -15,13 +15,16 @@
  *   --pledges       Comma-separated pledge IDs (fixed pledges, skips AI selection)
  *   --pledge-count  Number of pledges AI should choose (default: 2)
  *   --seed          Base RNG seed (default: random, incremented per run)
+ *   --turn-months   Turn length in months: 1 (48 turns) | 3 (16 turns) (default: 1)
+ *   --scenario      Scenario ID from data/game/scenarios.json (default: standard)
  *   --out           Output directory (default: sim/results/)
  *   --api-key       API key (overrides env var)
  *   --ollama-url    Ollama URL (default: http://localhost:11434)
  */
 
 import path from 'node:path';
-import { HeadlessGame, PLEDGES } from './headless-game.mjs';
+import { HeadlessGame, loadGameData } from './headless-game.mjs';
+import { DEFAULT_SCENARIO_ID, findScenario, getPledgeCatalog } from '../js/engine/index.js';
 import { createProvider, DEFAULT_MODELS } from './sim-provider.mjs';
 import { saveRun, saveSummary, printRunResult, printSummary } from './sim-reporter.mjs';
 
@@ -35,6 +38,8 @@ function parseArgs() {
     pledges: null,       // null = AI chooses
     pledgeCount: 2,      // how many pledges AI picks
     seed: null,
+    turnMonths: 1,
+    scenario: DEFAULT_SCENARIO_ID,
     out: null,
     apiKey: null,
     ollamaUrl: null,
@@ -48,6 +53,8 @@ function parseArgs() {
       case '--pledges': opts.pledges = args[++i].split(',').map(s => s.trim()); break;
       case '--pledge-count': opts.pledgeCount = parseInt(args[++i], 10) || 2; break;
       case '--seed': opts.seed = parseInt(args[++i], 10); break;
+      case '--turn-months': opts.turnMonths = parseInt(args[++i], 10) || 1; break;
+      case '--scenario': opts.scenario = args[++i]; break;
       case '--out': opts.out = args[++i]; break;
       case '--api-key': opts.apiKey = args[++i]; break;
       case '--ollama-url': opts.ollamaUrl = args[++i]; break;
@@ -59,11 +66,12 @@ function parseArgs() {
         console.log(`  --pledges       Comma-separated pledge IDs (fixed, skips AI selection)`);
         console.log(`  --pledge-count  Number of pledges AI should choose (default: 2)`);
         console.log(`  --seed          Base RNG seed`);
+        console.log(`  --turn-months   Turn length in months (1 | 3)`);
+        console.log(`  --scenario      Scenario ID (default: ${DEFAULT_SCENARIO_ID})`);
         console.log(`  --out           Output directory`);
         console.log(`  --api-key       API key`);
         console.log(`  --ollama-url    Ollama URL`);
-        console.log(`\nAvailable pledges: ${PLEDGES.map(p => p.id).join(', ')}`);
-        process.exit(0);
+        opts.help = true;
     }
   }
 
@@ -76,10 +84,23 @@ function parseArgs() {
 // === Main ===
 async function main() {
   const opts = parseArgs();
+  const { scenarioCatalog } = await loadGameData();
+  const scenario = findScenario(scenarioCatalog, opts.scenario);
+  const pledgeCatalog = getPledgeCatalog({ scenario });
+  if (opts.help) {
+    console.log(`\nAvailable scenarios: ${scenarioCatalog.map(s => s.id).join(', ')}`);
+    console.log(`Available pledges (${opts.scenario}): ${pledgeCatalog.map(p => p.id).join(', ')}`);
+    process.exit(0);
+  }
+  if (!scenario) {
+    console.error(`Unknown scenario: ${opts.scenario}\nAvailable: ${scenarioCatalog.map(s => s.id).join(', ')}`);
+    process.exit(1);
+  }
 
   console.log('=== AI 마포구청장 — Headless Simulation ===');
   console.log(`Provider: ${opts.provider} / ${opts.model}`);
   console.log(`Runs: ${opts.runs}`);
+  console.log(`Scenario: ${scenario.name} (${scenario.id})`);
 
   // Create provider
   const providerConfig = {
@@ -99,7 +120,7 @@ async function main() {
   let pledges = null; // null = AI chooses each run
   if (opts.pledges) {
     // Validate explicitly specified pledges
-    pledges = opts.pledges.filter(id => PLEDGES.some(p => p.id === id));
+    pledges = opts.pledges.filter(id => pledgeCatalog.some(p => p.id === id));
     if (pledges.length === 0) {
       console.warn('Warning: no valid pledge IDs specified. AI will choose.');
       pledges = null;
@@ -131,6 +152,8 @@ async function main() {
       pledges,           // null = AI chooses, array = fixed
       pledgeCount: opts.pledgeCount,
       seed: runSeed,
+      turnMonths: opts.turnMonths,
+      scenario: opts.scenario,
       historyWindow,
     });
 
@@ -147,7 +170,7 @@ async function main() {
   }
 
   // === Summary ===
-  const summary = await saveSummary(results, { provider: opts.provider, model: opts.model, pledgeMode, pledgeCount: opts.pledgeCount }, outDir);
+  const summary = await saveSummary(results, { provider: opts.provider, model: opts.model, scenario: opts.scenario, pledgeMode, pledgeCount: opts.pledgeCount }, outDir);
   printSummary(summary);
 
   console.log(`\nResults saved to: ${outDir}`);
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * run-replay.mjs — 결과 파일 재실행 검증
+ *
+ * run-*.json(headless) 또는 브라우저 결과 JSON을 같은 시드로 다시 돌려
+ * 기록된 stateSnapshot과 달라지는 턴을 출력한다. (엔진 변경 후 회귀 확인용)
+ *
+ * Usage:
+ *   node sim/run-replay.mjs sim/results/run-xxx.json [more.json ...]
+ *
+ * 하나라도 어긋나면 exit code 1.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { replayRun } from '../js/engine/index.js';
+import { loadGameData } from './headless-game.mjs';
+
+const files = process.argv.slice(2);
+if (files.length === 0 || files.includes('--help') || files.includes('-h')) {
+  console.log('Usage: node sim/run-replay.mjs <result.json> [more.json ...]');
+  process.exit(files.length === 0 ? 1 : 0);
+}
+
+const data = await loadGameData();
+let failed = 0;
+
+for (const file of files) {
+  let run;
+  try {
+    run = JSON.parse(await readFile(file, 'utf-8'));
+  } catch (err) {
+    console.error(`✗ ${file}: ${err.message}`);
+    failed++;
+    continue;
+  }
+
+  try {
+    const { frames, divergedTurns } = replayRun(run, data);
+    if (divergedTurns.length === 0) {
+      console.log(`✓ ${file}: ${frames.length}턴 일치 (seed ${run.seed})`);
+      continue;
+    }
+
+    failed++;
+    console.log(`✗ ${file}: ${divergedTurns.length}/${frames.length}턴 불일치 (seed ${run.seed}) — 첫 불일치 T${divergedTurns[0]}`);
+    const first = frames.find(f => f.turn === divergedTurns[0]);
+    for (const d of first.diffs) {
+      console.log(`    ${d.key}: 기록 ${JSON.stringify(d.recorded)} → 재계산 ${JSON.stringify(d.recomputed)}`);
+    }
+  } catch (err) {
+    console.error(`✗ ${file}: ${err.message}`);
+    failed++;
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -5,11 +5,18 @@
  * advisor.js의 컨텍스트 빌더 로직을 Node.js용으로 재구현.
  */
 
+import {
+  checkPolicyActivation, getMissingPrerequisites, getBudgetPhase, getBondCapacity,
+  getCalendar, getTotalTurns, getTermTurns, getTermTurn, getApprovalRating, formatTurnDate, formatTurnLength, formatBudgetSchedule, formatSeason,
+  POLICY_COST_THRESHOLD, needsCouncilVote, voteOnPolicy, formatCouncilSeats, formatVote, formatGoal, formatChoicePolicies, formatEventChains,
+} from '../js/engine/index.js';
+
 // === System Prompt (Headless 전용) ===
-const SYSTEM_PROMPT = `당신은 서울특별시 마포구의 AI 구청장입니다. 48개월(4년) 임기 동안 마포구를 운영합니다.
+// 임기·턴 길이는 게임 달력에 따라 systemPrompt()에서 채운다
+const SYSTEM_PROMPT = `당신은 서울특별시 마포구의 AI 구청장입니다. {TERM} 임기 동안 마포구를 운영합니다.
 
 ## 역할
-- 매달 예산 배분, 정책 선택, 이벤트 대응을 직접 결정합니다.
+- 매 턴({TURN_LENGTH}) 예산 배분, 정책 선택, 이벤트 대응을 직접 결정합니다.
 - 모든 결정은 지정된 JSON 형식으로 응답해야 합니다.
 
 ## 마포구 개요
@@ -17,9 +24,11 @@ const SYSTEM_PROMPT = `당신은 서울특별시 마포구의 AI 구청장입니
 - 홍대·연남 관광 상권, 상암 DMC 업무지구, 공덕 교통허브, 성산 주거단지 공존
 - 재정자립도 약 28%. 세수를 늘리려면 사업체를 늘리고, 부동산 가치를 올려야 합니다.
 - 핵심 딜레마: 관광 활성화 ↔ 주민 삶의 질, 개발 ↔ 보존, 성장 ↔ 형평
+- 구의회(16석)가 본예산·추경과 비용이 큰 정책을 표결합니다. 의원은 지역구 동 만족도와 소속 교섭단체 성향에 따라 찬반을 정합니다.
+- 동별 지지율은 만족도를 따라 천천히 움직이고, 구의회 부결이 잦으면 떨어집니다. 임기 마지막 턴에 구청장 선거가 열려 득표율 50%를 넘으면 재선합니다.
 
 ## 판단 프레임워크
-1. **변화**: 전월 대비 무엇이 달라졌는가?
+1. **변화**: 지난 턴 대비 무엇이 달라졌는가?
 2. **원인**: 왜 달라졌는가? (정책 효과? 외부 요인?)
 3. **영향**: 이 변화가 다른 지표에 어떤 파급을 줄 것인가?
 4. **대응**: 어떤 행동이 최선인가?
@@ -113,9 +122,9 @@ export class SimAdvisor {
     const totalPop = state.dongs.reduce((s, d) => s + d.population, 0);
     const avgSat = Math.round(state.dongs.reduce((s, d) => s + d.satisfaction, 0) / state.dongs.length);
 
-    const prompt = `당신은 마포구청장으로 취임합니다. 4년(48개월) 임기 동안 달성할 공약 ${count}개를 선택하세요.
+    const prompt = `당신은 마포구청장으로 취임합니다. ${getCalendar(state).termYears}년(${getTermTurns(state)}턴) 임기 동안 달성할 공약 ${count}개를 선택하세요.
 
-[마포구 현황]
+${state.scenario?.winConditions?.length ? `[시나리오: ${state.scenario.name}]\n${state.scenario.description}\n\n` : ''}[마포구 현황]
 총인구: ${totalPop.toLocaleString()}명
 평균 만족도: ${avgSat}/100
 재정자립도: ${state.finance.fiscalIndependence}%
@@ -140,7 +149,7 @@ ${pledgeList}
 - pledges 배열에는 위 목록의 ID만 사용하세요.`;
 
     const messages = [
-      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'system', content: systemPrompt(state) },
       { role: 'user', content: prompt },
     ];
 
@@ -173,7 +182,7 @@ ${pledgeList}
   // === Prompt Builders ===
 
   buildSystemMessage(state, pledges) {
-    let sys = SYSTEM_PROMPT;
+    let sys = systemPrompt(state);
     if (pledges?.length > 0) {
       const pledgeStr = pledges.map(p => `${p.name} (${p.desc})`).join(', ');
       sys += `\n\n선택한 공약: ${pledgeStr}\n공약 달성 시 +15점, 미달성 시 -20점입니다. 전략적으로 접근하세요.`;
@@ -185,26 +194,27 @@ ${pledgeList}
     const context = buildContext(state, pledges);
     const activePolicyIds = (state.activePolicies || []).map(ap => ap.policy.id);
 
-    // Available policies (not already active)
+    // Available policies (not already active, prerequisites met)
     const available = policyCatalog
-      .filter(p => !activePolicyIds.includes(p.id))
-      .map(p => `${p.id}: ${p.name} (${p.cost}억/턴, ${p.category}, ${p.targetDong || '구전체'})`)
+      .filter(p => !activePolicyIds.includes(p.id) && getMissingPrerequisites(p, state).length === 0)
+      .map(p => `${p.id}: ${p.name} (${p.cost}억/월, ${p.category}, ${p.targetDong || '구전체'}${p.incompatible?.length ? `, 상충: ${p.incompatible.join('/')}` : ''}${formatCouncilForecast(p, state)})`)
       .join('\n');
 
     let prompt = `${context}\n\n`;
 
     // Event info
     if (event) {
-      const choicesStr = event.choices.map(c =>
-        `${c.id}: ${c.name} — ${c.description} (비용: ${c.cost}억원)`
-      ).join('\n');
+      const choicesStr = event.choices.map(c => {
+        const policies = formatChoicePolicies(c);
+        return `${c.id}: ${c.name} — ${c.description} (비용: ${c.cost}억원${policies ? `, 정책 ${policies}` : ''})`;
+      }).join('\n');
       prompt += `[긴급 이벤트]\n${event.name}: ${event.description}\n영향 동: ${(event.affectedDongs || []).join(', ')}\n선택지:\n${choicesStr}\n\n`;
     }
 
-    prompt += `이번 달 행동을 결정하세요. 아래 JSON 형식으로만 응답하세요:
+    prompt += `이번 턴 행동을 결정하세요. 아래 JSON 형식으로만 응답하세요:
 
 {
-  "reasoning": "이번 달 판단 근거 — 현재 지표 분석 + 전략적 이유",
+  "reasoning": "이번 턴 판단 근거 — 현재 지표 분석 + 전략적 이유",
   "budget": {
     "economy": <0~40>, "transport": <0~40>, "culture": <0~40>,
     "environment": <0~40>, "education": <0~40>, "welfare": <0~40>, "renewal": <0~40>
@@ -212,7 +222,8 @@ ${pledgeList}
   "policies": {
     "activate": ["정책ID"],
     "deactivate": ["정책ID"]
-  }${event ? `,\n  "eventChoice": "선택지ID"` : ''}
+  },
+  "fiscal": { "bond": <지방채 발행 억원, 기본 0>, "reserveDraw": <적립금 인출 억원, 기본 0> }${event ? `,\n  "eventChoice": "선택지ID"` : ''}
 }
 
 전략 가이드:
@@ -223,6 +234,9 @@ ${pledgeList}
 
 규칙:
 - budget 7개 항목 합계 = 반드시 100
+- budget·fiscal은 예산 편성 턴(${formatBudgetSchedule(state)})에만 반영, 그 외 턴은 확정 배분으로 집행
+- 지방채는 원리금이 의무지출에 붙고 재정 건전 공약을 깎습니다
+- 예산안과 월 ${POLICY_COST_THRESHOLD}억 이상 정책은 구의회 표결 — 부결된 정책은 시행되지 않고, 예산안은 수정되거나 기존 배분으로 집행
 - 각 항목 최소 5, 최대 40
 - 활성 정책 최대 3개 (현재 ${activePolicyIds.length}개: ${activePolicyIds.join(', ') || '없음'})
 - activate: 새로 활성화할 정책 ID (비용과 슬롯 고려)
@@ -236,6 +250,50 @@ ${available}`;
 }
 
 // === Context Builder (advisor.js buildAdvisorContext 재구현) ===
+
+const BUDGET_PHASE_LABELS = { annual: '본예산 편성', supplementary: '추경 가능', locked: '집행 중 (배분 변경 불가)' };
+
+// 회계연도 단계 · 적립금 · 지방채 한 줄 요약
+function formatFiscalLine(state) {
+  const f = state.finance;
+  return `예산: ${BUDGET_PHASE_LABELS[getBudgetPhase(state)]} | 적립금 ${(f.reserve || 0).toLocaleString()}억 | 지방채 ${(f.debt || 0).toLocaleString()}억`
+    + `${f.debtService ? ` (원리금 ${f.debtService}억/턴)` : ''} | 추가 발행 한도 ${getBondCapacity(f).toLocaleString()}억\n`
+    + `예산 일정: ${formatBudgetSchedule(state)}${f.seasonalSpend ? ` | 겨울 복지지출 ${f.seasonalSpend}억` : ''}\n`;
+}
+
+// 구의회 의석 · 표결 대상 · 최근 표결 한 줄 요약
+function formatCouncilLine(state) {
+  const last = state.council?.log?.slice(-3).map(v => `${v.turn}턴 ${formatVote(v)}`).join(', ');
+  return `구의회: ${formatCouncilSeats(state)} | 예산안·월 ${POLICY_COST_THRESHOLD}억 이상 정책 표결${last ? ` | 최근: ${last}` : ''}\n`;
+}
+
+// 시나리오 이름 · 승리 조건 (기본 게임이면 빈 문자열)
+function formatScenarioLine(state) {
+  const scenario = state.scenario;
+  if (!scenario?.winConditions?.length) return '';
+  return `시나리오: ${scenario.name} | 승리 조건: ${scenario.winConditions.map(c => `${c.label}(${formatGoal(c)})`).join(', ')}\n`;
+}
+
+// 구 전체 지지율 · 임기 · 지지율 낮은 동
+function formatApprovalLine(state) {
+  const weakest = [...state.dongs].sort((a, b) => (a.approval ?? 0) - (b.approval ?? 0)).slice(0, 2)
+    .map(d => `${d.name} ${(d.approval ?? 0).toFixed(1)}%`).join(' · ');
+  return `지지율: ${getApprovalRating(state).toFixed(1)}% (${state.meta.term || 1}기, ${getTotalTurns(state)}턴에 선거) | 약세: ${weakest}\n`;
+}
+
+// 구의회 표결 대상 정책이면 지금 상정했을 때의 예상 찬성 수
+function formatCouncilForecast(policy, state) {
+  if (!needsCouncilVote(policy)) return '';
+  const vote = voteOnPolicy(state, policy);
+  return `, 의회 표결 예상 찬성 ${vote.yes}/${vote.seats}`;
+}
+
+function systemPrompt(state) {
+  return SYSTEM_PROMPT
+    .replace('{TERM}', `${getTermTurns(state)}턴(${getCalendar(state).termYears}년)`)
+    .replace('{TURN_LENGTH}', formatTurnLength(state));
+}
+
 function buildContext(state, pledges) {
   const prev = state.history?.length > 0 ? state.history[state.history.length - 1] : null;
 
@@ -247,8 +305,8 @@ function buildContext(state, pledges) {
   const satDelta = prev ? avgSat - prev.avgSatisfaction : 0;
 
   let ctx = `[현재 상황]\n`;
-  ctx += `턴: ${state.meta.turn}/48 (${state.meta.year}년 ${state.meta.month}월)\n`;
-  ctx += `임기 경과: ${Math.round(state.meta.turn / 48 * 100)}%\n\n`;
+  ctx += `턴: ${state.meta.turn}/${getTotalTurns(state)} (${formatTurnDate(state)}, ${formatSeason(state)}, 한 턴 = ${formatTurnLength(state)})\n`;
+  ctx += `임기 경과: ${Math.round(getTermTurn(state) / getTermTurns(state) * 100)}%\n\n`;
 
   ctx += `[구 전체 요약]\n`;
   ctx += `총인구: ${totalPop.toLocaleString()}명 (${popDelta >= 0 ? '+' : ''}${popDelta.toLocaleString()})\n`;
@@ -256,6 +314,10 @@ function buildContext(state, pledges) {
   ctx += `평균 만족도: ${avgSat}/100 (${satDelta >= 0 ? '+' : ''}${satDelta})\n`;
   ctx += `재정자립도: ${state.finance.fiscalIndependence}%\n`;
   ctx += `자유예산: ${state.finance.freeBudget}억원\n`;
+  ctx += formatFiscalLine(state);
+  ctx += formatCouncilLine(state);
+  ctx += formatApprovalLine(state);
+  ctx += formatScenarioLine(state);
 
   // Pledges with progress
   if (pledges?.length > 0 && state._pledgeProgress) {
@@ -277,7 +339,10 @@ function buildContext(state, pledges) {
     ctx += `${dong.name}: 인구 ${dong.population}(${pD >= 0 ? '+' : ''}${pD}) | `;
     ctx += `사업체 ${dong.businesses}(${bD >= 0 ? '+' : ''}${bD}) | `;
     ctx += `만족도 ${dong.satisfaction}(${sD >= 0 ? '+' : ''}${sD}) | `;
-    ctx += `상권 ${dong.commerceVitality} | 임대료 ${(dong.rentPressure * 100).toFixed(1)}%\n`;
+    ctx += `상권 ${dong.commerceVitality} | 임대료 ${(dong.rentPressure * 100).toFixed(1)}%`;
+    ctx += dong.housing?.avgRent ? ` | 월세 ${dong.housing.avgRent}만 공가 ${(dong.housing.vacancyRate * 100).toFixed(1)}%` : '';
+    ctx += dong.commute?.congestion > 0.9 ? ` | 통근혼잡 ${dong.commute.congestion.toFixed(2)}` : '';
+    ctx += '\n';
   }
 
   // Active policies
@@ -293,6 +358,12 @@ function buildContext(state, pledges) {
     }
   }
 
+  // Event chains (앞 선택이 부른 후속 이벤트)
+  const chains = formatEventChains(state);
+  if (chains.length > 0) {
+    ctx += `\n[이벤트 연쇄]\n${chains.map(c => `- ${c}`).join('\n')}\n`;
+  }
+
   // Budget allocation
   const alloc = state.finance.allocation || {};
   ctx += `\n[예산 배분]\n`;
@@ -304,6 +375,7 @@ function buildContext(state, pledges) {
   for (const dong of state.dongs) {
     if (dong.satisfaction < 50) flags.push(`${dong.name} 만족도 ${dong.satisfaction} — 주민 유출 위험`);
     if (dong.rentPressure > 0.01) flags.push(`${dong.name} 임대료 압력 ${(dong.rentPressure * 100).toFixed(1)}% — 젠트리피케이션 주의`);
+    if (dong.housing?.displaced > 0) flags.push(`${dong.name} 재개발 철거로 ${dong.housing.displaced}명 강제이주`);
   }
   if (flags.length > 0) {
     ctx += `\n[주목할 변화]\n${flags.map(f => `- ${f}`).join('\n')}\n`;
@@ -427,6 +499,10 @@ function regexExtract(raw) {
   const eventMatch = raw.match(/"eventChoice"\s*:\s*"([^"]+)"/);
   if (eventMatch) result.eventChoice = eventMatch[1];
 
+  const bondMatch = raw.match(/"bond"\s*:\s*(\d+)/);
+  const drawMatch = raw.match(/"reserveDraw"\s*:\s*(\d+)/);
+  if (bondMatch || drawMatch) result.fiscal = { bond: Number(bondMatch?.[1] || 0), reserveDraw: Number(drawMatch?.[1] || 0) };
+
   return result;
 }
 
@@ -438,6 +514,13 @@ function validateAction(parsed, state, event, policyCatalog) {
     eventChoice: null,
   };
 
+  // Fiscal: 음수·비숫자는 0 (한도·잔액 초과분은 엔진이 잘라낸다)
+  if (parsed?.fiscal && typeof parsed.fiscal === 'object') {
+    const bond = Math.max(0, Math.round(Number(parsed.fiscal.bond) || 0));
+    const reserveDraw = Math.max(0, Math.round(Number(parsed.fiscal.reserveDraw) || 0));
+    if (bond > 0 || reserveDraw > 0) action.fiscal = { bond, reserveDraw };
+  }
+
   // Budget validation
   if (parsed?.budget && typeof parsed.budget === 'object') {
     const keys = ['economy', 'transport', 'culture', 'environment', 'education', 'welfare', 'renewal'];
@@ -479,9 +562,19 @@ function validateAction(parsed, state, event, policyCatalog) {
 
     // Activate
     if (Array.isArray(parsed.policies.activate)) {
-      action.policies.activate = parsed.policies.activate
-        .filter(id => catalogIds.has(id) && !activePolicyIds.includes(id))
-        .slice(0, Math.max(0, slotsAvailable));
+      // 선행조건 + 상충 (해제 예정 정책은 상충 대상에서 제외, 같은 턴 선택끼리도 검사)
+      const afterState = {
+        ...state,
+        activePolicies: (state.activePolicies || []).filter(ap => !action.policies.deactivate.includes(ap.policy.id)),
+      };
+      const accepted = [];
+      for (const id of parsed.policies.activate) {
+        if (!catalogIds.has(id) || activePolicyIds.includes(id) || accepted.includes(id)) continue;
+        const policy = policyCatalog.find(p => p.id === id);
+        if (checkPolicyActivation(policy, afterState, accepted)) continue;
+        accepted.push(id);
+      }
+      action.policies.activate = accepted.slice(0, Math.max(0, slotsAvailable));
     }
   }
 
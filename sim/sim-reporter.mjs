@@ -80,11 +80,16 @@ export async function saveSummary(results, config, outDir) {
     { input: 0, output: 0 },
   );
 
+  // Scenario win conditions (시나리오에 승리 조건이 있을 때)
+  const scenarioRuns = results.filter(r => r.scenarioResult);
+  const scenarioCleared = scenarioRuns.filter(r => r.scenarioResult.cleared).length;
+
   const summary = {
     timestamp: new Date().toISOString(),
     config: {
       provider: config.provider,
       model: config.model,
+      scenario: config.scenario || 'standard',
       runs: results.length,
       pledgeMode: config.pledgeMode || 'fixed',
       pledgeCount: config.pledgeCount || 2,
@@ -96,6 +101,7 @@ export async function saveSummary(results, config, outDir) {
       max: maxScore,
     },
     kpiAverages: kpiAvg,
+    scenarioClearRate: scenarioRuns.length > 0 ? +(scenarioCleared / scenarioRuns.length).toFixed(2) : null,
     pledgeSelections: Object.entries(pledgeFreq)
       .sort((a, b) => b[1] - a[1])
       .map(([id, count]) => ({ id, count })),
@@ -127,7 +133,9 @@ export function printRunResult(result, runIndex) {
     .map(p => `${p.name}:${p.achieved ? '달성' : '미달'}`)
     .join(', ');
 
-  console.log(`  Run #${runIndex + 1}: ${result.finalGrade} (${result.totalScore}점) | ${kpiStr} | 공약: ${pledgeStr} | ${formatDuration(result.durationMs)}`);
+  const scenarioStr = result.scenarioResult ? ` | 시나리오: ${result.scenarioResult.cleared ? '달성' : '실패'}` : '';
+
+  console.log(`  Run #${runIndex + 1}: ${result.finalGrade} (${result.totalScore}점) | ${kpiStr} | 공약: ${pledgeStr}${scenarioStr} | ${formatDuration(result.durationMs)}`);
 }
 
 /**
@@ -136,7 +144,9 @@ export function printRunResult(result, runIndex) {
 export function printSummary(summary) {
   console.log('\n=== Batch Summary ===');
   console.log(`Provider: ${summary.config.provider} / ${summary.config.model}`);
+  console.log(`Scenario: ${summary.config.scenario}`);
   console.log(`Runs: ${summary.config.runs}`);
+  if (summary.scenarioClearRate !== null) console.log(`Scenario clear rate: ${Math.round(summary.scenarioClearRate * 100)}%`);
   console.log(`Grades: ${JSON.stringify(summary.gradeDistribution)}`);
   console.log(`Scores: avg=${summary.scores.avg} min=${summary.scores.min} max=${summary.scores.max}`);
 